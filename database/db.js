@@ -31,4 +31,9 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
-module.exports = db;
\ No newline at end of file
+// Wait for transactions on other connections instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', 5000);
+
+module.exports = db;
+// Path of the database file, for modules that open their own connection
+module.exports.dbPath = dbPath;
\ No newline at end of file
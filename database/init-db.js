@@ -7,6 +7,9 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_COST_FACTORS, DEFAULT_IMPROVEMENT_TYPES } = require('../utils/calculations');
+const { DEFAULT_GRID_FACTORS, DEFAULT_PROJECTED_FROM } = require('../utils/grid-factors');
+const { DEFAULT_HEALTH_COEFFICIENTS, PROPOSED_HEALTH_COEFFICIENTS } = require('../utils/health');
 require('dotenv').config();
 
 const algorithm = 'aes-256-gcm';
@@ -89,8 +92,8 @@ if (dbExists) {
             console.log(`${colors.yellow}Database file exists but schema is incomplete. Creating tables...${colors.reset}`);
             createDatabase();
           } else {
-            console.log(`${colors.green}✓ Database file is valid. Skipping initialization.${colors.reset}`);
-            process.exit(0);
+            console.log(`${colors.green}✓ Database file is valid. Applying schema updates...${colors.reset}`);
+            createDatabase();
           }
         });
       }
@@ -224,6 +227,398 @@ function createDatabase() {
       }
     });
 
+    // Calculation timelines table (series packed as little-endian float64)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS calculation_timelines (
+        calculation_id TEXT PRIMARY KEY,
+        points INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        FOREIGN KEY (calculation_id) REFERENCES calculations (id)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating calculation timelines table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Calculation timelines table created${colors.reset}`);
+      }
+    });
+
+    // Calculation inputs table (parameters after database references were resolved)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS calculation_inputs (
+        calculation_id TEXT PRIMARY KEY,
+        inputs TEXT NOT NULL,
+        FOREIGN KEY (calculation_id) REFERENCES calculations (id)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating calculation inputs table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Calculation inputs table created${colors.reset}`);
+      }
+    });
+
+    // Cost catalogs table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS cost_catalogs (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        country TEXT,
+        supplier TEXT,
+        year INTEGER,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating cost_catalogs table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Cost catalogs table created${colors.reset}`);
+      }
+    });
+
+    // Cost catalog versions table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS cost_catalog_versions (
+        id TEXT PRIMARY KEY,
+        catalog_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        cost_factors TEXT NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        UNIQUE (catalog_id, version),
+        FOREIGN KEY (catalog_id) REFERENCES cost_catalogs (id)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating cost_catalog_versions table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Cost catalog versions table created${colors.reset}`);
+      }
+    });
+
+    // Seed the default cost catalog with the built-in cost factors
+    db.run(
+      'INSERT OR IGNORE INTO cost_catalogs (id, name, description) VALUES (?, ?, ?)',
+      ['default', 'Default', 'Built-in cost factors per square meter']
+    );
+    db.run(
+      'INSERT OR IGNORE INTO cost_catalog_versions (id, catalog_id, version, cost_factors, notes) VALUES (?, ?, ?, ?, ?)',
+      ['default-v1', 'default', 1, JSON.stringify(DEFAULT_COST_FACTORS), 'Initial version'],
+      (err) => {
+        if (err) {
+          console.error(`${colors.red}Error seeding default cost catalog:${colors.reset}`, err);
+        } else {
+          console.log(`${colors.green}✓ Default cost catalog available${colors.reset}`);
+        }
+      }
+    );
+
+    // Exchange rates table (rates are units of currency per 1 unit of the base currency)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id TEXT PRIMARY KEY,
+        currency TEXT NOT NULL,
+        rate REAL NOT NULL,
+        effective_date TEXT NOT NULL,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        UNIQUE (currency, effective_date)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating exchange_rates table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Exchange rates table created${colors.reset}`);
+      }
+    });
+
+    // Seed indicative rates for the Nordic currencies we sell in
+    const seedRates = [
+      ['seed-dkk-2025', 'DKK', 7.46],
+      ['seed-sek-2025', 'SEK', 11.49],
+      ['seed-nok-2025', 'NOK', 11.75]
+    ];
+    for (const [id, currency, rate] of seedRates) {
+      db.run(
+        'INSERT OR IGNORE INTO exchange_rates (id, currency, rate, effective_date, source) VALUES (?, ?, ?, ?, ?)',
+        [id, currency, rate, '2025-01-01', 'Indicative seed rate - update via /admin/exchange-rates']
+      );
+    }
+
+    // Improvement types table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS improvement_types (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        savings_per_m2 REAL NOT NULL,
+        cost_per_m2 REAL NOT NULL,
+        start_year REAL NOT NULL DEFAULT 0,
+        degradation REAL NOT NULL DEFAULT 0.005,
+        sdgs TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        updated_at DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating improvement_types table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Improvement types table created${colors.reset}`);
+      }
+    });
+
+    // Seed the built-in improvement types
+    for (const [name, type] of Object.entries(DEFAULT_IMPROVEMENT_TYPES)) {
+      db.run(
+        `INSERT OR IGNORE INTO improvement_types (
+          id, name, savings_per_m2, cost_per_m2, start_year, degradation, sdgs
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name.toLowerCase().replace(/\s+/g, '-'),
+          name,
+          type.savings_per_m2,
+          type.cost_per_m2,
+          type.start_year,
+          type.degradation,
+          JSON.stringify(type.sdgs)
+        ]
+      );
+    }
+
+    // Grid factor tables table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS grid_factor_tables (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating grid_factor_tables table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Grid factor tables table created${colors.reset}`);
+      }
+    });
+
+    // Grid factor table versions table (factors are kg CO2e per kWh by country and year)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS grid_factor_table_versions (
+        id TEXT PRIMARY KEY,
+        table_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        factors TEXT NOT NULL,
+        projected_from INTEGER,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        UNIQUE (table_id, version),
+        FOREIGN KEY (table_id) REFERENCES grid_factor_tables (id)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating grid_factor_table_versions table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Grid factor table versions table created${colors.reset}`);
+      }
+    });
+
+    // Seed the default grid factor table with the built-in factors
+    db.run(
+      'INSERT OR IGNORE INTO grid_factor_tables (id, name, description, source) VALUES (?, ?, ?, ?)',
+      ['default', 'Default', 'Built-in grid carbon intensities with decarbonisation projections', 'Rounded national statistics to 2024; projections follow national targets']
+    );
+    db.run(
+      'INSERT OR IGNORE INTO grid_factor_table_versions (id, table_id, version, factors, projected_from, notes) VALUES (?, ?, ?, ?, ?, ?)',
+      ['default-v1', 'default', 1, JSON.stringify(DEFAULT_GRID_FACTORS), DEFAULT_PROJECTED_FROM, 'Initial version'],
+      (err) => {
+        if (err) {
+          console.error(`${colors.red}Error seeding default grid factor table:${colors.reset}`, err);
+        } else {
+          console.log(`${colors.green}✓ Default grid factor table available${colors.reset}`);
+        }
+      }
+    );
+
+    // Health coefficient sets table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS health_coefficient_sets (
+        id TEXT PRIMARY KEY,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating health_coefficient_sets table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Health coefficient sets table created${colors.reset}`);
+      }
+    });
+
+    // Health coefficient set versions table (coefficients with citations, and values by country)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS health_coefficient_set_versions (
+        id TEXT PRIMARY KEY,
+        set_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        coefficients TEXT NOT NULL,
+        countries TEXT NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_by TEXT,
+        UNIQUE (set_id, version),
+        FOREIGN KEY (set_id) REFERENCES health_coefficient_sets (id)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating health_coefficient_set_versions table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Health coefficient set versions table created${colors.reset}`);
+      }
+    });
+
+    // Seed the default health coefficient set with the values of the original
+    // model, and the coefficients from published studies as a separate set for review
+    db.run(
+      'INSERT OR IGNORE INTO health_coefficient_sets (id, name, description, source) VALUES (?, ?, ?, ?)',
+      ['default', 'Default', 'Built-in health impact coefficients', 'Values of the original health impact model; their underlying studies were not recorded']
+    );
+    db.run(
+      'INSERT OR IGNORE INTO health_coefficient_set_versions (id, set_id, version, coefficients, countries, notes) VALUES (?, ?, ?, ?, ?, ?)',
+      ['default-v1', 'default', 1, JSON.stringify(DEFAULT_HEALTH_COEFFICIENTS), JSON.stringify({}), 'Initial version']
+    );
+    db.run(
+      'INSERT OR IGNORE INTO health_coefficient_sets (id, name, description, source) VALUES (?, ?, ?, ?)',
+      ['published-studies', 'Published studies (proposed)', 'Health effects from published studies, proposed to replace the default values once reviewed', 'Published studies cited per coefficient; sick days keep the default value, as no study giving it has been found']
+    );
+    db.run(
+      'INSERT OR IGNORE INTO health_coefficient_set_versions (id, set_id, version, coefficients, countries, notes) VALUES (?, ?, ?, ?, ?, ?)',
+      ['published-studies-v1', 'published-studies', 1, JSON.stringify(PROPOSED_HEALTH_COEFFICIENTS), JSON.stringify({}), 'Proposed for review'],
+      (err) => {
+        if (err) {
+          console.error(`${colors.red}Error seeding built-in health coefficient sets:${colors.reset}`, err);
+        } else {
+          console.log(`${colors.green}✓ Built-in health coefficient sets available${colors.reset}`);
+        }
+      }
+    );
+
+    // Batch jobs table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS batch_jobs (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        common_parameters TEXT NOT NULL,
+        total_items INTEGER NOT NULL,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating batch_jobs table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Batch jobs table created${colors.reset}`);
+      }
+    });
+
+    // Batch job items table (one row per building)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS batch_job_items (
+        id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL,
+        item_index INTEGER NOT NULL,
+        building_id TEXT,
+        parameters TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        calculation_id TEXT,
+        result TEXT,
+        error TEXT,
+        processed_at DATETIME,
+        FOREIGN KEY (job_id) REFERENCES batch_jobs (id),
+        UNIQUE(job_id, item_index)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating batch_job_items table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Batch job items table created${colors.reset}`);
+      }
+    });
+
+    // Portfolios table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS portfolios (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        buildings TEXT NOT NULL,
+        common_parameters TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating portfolios table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Portfolios table created${colors.reset}`);
+      }
+    });
+
+    // Custom social metrics table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS social_metrics (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        unit TEXT NOT NULL,
+        scale_min REAL NOT NULL,
+        scale_max REAL NOT NULL,
+        default_weight REAL NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, name)
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating social_metrics table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Social metrics table created${colors.reset}`);
+      }
+    });
+
+    // Social weighting profiles table
+    db.run(`
+      CREATE TABLE IF NOT EXISTS social_weighting_profiles (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        weights TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      )
+    `, (err) => {
+      if (err) {
+        console.error(`${colors.red}Error creating social_weighting_profiles table:${colors.reset}`, err);
+      } else {
+        console.log(`${colors.green}✓ Social weighting profiles table created${colors.reset}`);
+      }
+    });
+
     // Check if default admin user exists
     db.get('SELECT * FROM users WHERE username = ?', [process.env.ADMIN_USERNAME || 'admin'], (err, row) => {
       if (err) {
@@ -0,0 +1,58 @@
+/**
+ * Database transaction module
+ * Runs work inside a SQLite transaction on a dedicated connection, so
+ * statements from concurrent requests on the shared connection are never
+ * committed or rolled back together with it
+ */
+const sqlite3 = require('sqlite3').verbose();
+const { dbPath } = require('./db');
+
+// Time to wait for a competing writer before giving up (milliseconds)
+const BUSY_TIMEOUT = 5000;
+
+/**
+ * Run a statement on a connection
+ * @param {object} connection - SQLite connection
+ * @param {string} sql - SQL statement
+ * @returns {Promise<void>}
+ */
+function exec(connection, sql) {
+  return new Promise((resolve, reject) => {
+    connection.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/**
+ * Run work inside a transaction. The work receives the transaction's
+ * connection and must use it for every statement that belongs to the
+ * transaction. The transaction is committed when the work resolves and
+ * rolled back when it rejects.
+ * @param {Function} work - Async function receiving the connection
+ * @returns {Promise<*>} Value returned by the work
+ */
+async function runInTransaction(work) {
+  const connection = await new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(dbPath, (err) => (err ? reject(err) : resolve(conn)));
+  });
+
+  try {
+    connection.configure('busyTimeout', BUSY_TIMEOUT);
+    await exec(connection, 'PRAGMA foreign_keys = ON');
+    await exec(connection, 'BEGIN IMMEDIATE TRANSACTION');
+
+    try {
+      const result = await work(connection);
+      await exec(connection, 'COMMIT');
+      return result;
+    } catch (error) {
+      await exec(connection, 'ROLLBACK').catch(() => {});
+      throw error;
+    }
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  runInTransaction
+};
@@ -12,6 +12,8 @@ require('dotenv').config();
 // Import utilities
 const logger = require('./utils/logger');
 const { validateConfig } = require('./utils/config-validator');
+const { resumeJobs } = require('./utils/job-queue');
+const schemas = require('./utils/schemas');
 
 // Import middleware
 const { apiLimiter, authLimiter } = require('./middleware/rate-limit');
@@ -22,6 +24,8 @@ const authRoutes = require('./routes/auth');
 const calculationRoutes = require('./routes/calculations');
 const adminRoutes = require('./routes/admin');
 const socialRoutes = require('./routes/social');
+const portfolioRoutes = require('./routes/portfolio');
+const waterRoutes = require('./routes/water');
 
 // Validate configuration
 validateConfig();
@@ -41,6 +45,8 @@ app.use('/auth/login', authLimiter);
 app.use('/auth/token/request', authLimiter);
 app.use('/calculate', apiLimiter);
 app.use('/social', apiLimiter);
+app.use('/portfolio', apiLimiter);
+app.use('/water', apiLimiter);
 
 // Swagger definition
 const swaggerOptions = {
@@ -69,197 +75,7 @@ const swaggerOptions = {
           bearerFormat: 'JWT'
         }
       },
-      schemas: {
-        CalculationParameters: {
-          type: 'object',
-          properties: {
-            roof_area: {
-              type: 'number',
-              description: 'Roof area in square meters',
-              example: 2776
-            },
-            GWP_roof: {
-              type: 'number',
-              description: 'Global Warming Potential of the roof',
-              example: 3.33
-            },
-            decline_rate: {
-              type: 'number',
-              description: 'Natural CO2 decline rate',
-              example: 0.03
-            },
-            roof_division: {
-              type: 'object',
-              description: 'Percentage allocation of roof improvements',
-              example: {
-                "Green Areas": 25,
-                "Solar Power": 25,
-                "Water Management": 25,
-                "Social Impact": 25
-              }
-            },
-            climate_zone: {
-              type: 'string',
-              description: 'Climate zone for calculations',
-              enum: ['temperate', 'tropical', 'arid', 'continental', 'polar'],
-              example: 'temperate'
-            },
-            efficiency_degradation: {
-              type: 'number',
-              description: 'Annual degradation of improvement efficiency',
-              example: 0.005
-            }
-          }
-        },
-        EnhancedCalculationParameters: {
-          type: 'object',
-          properties: {
-            roof_area: {
-              type: 'number',
-              description: 'Roof area in square meters',
-              example: 2776
-            },
-            GWP_roof: {
-              type: 'number',
-              description: 'Global Warming Potential of the roof',
-              example: 3.33
-            },
-            roof_division: {
-              type: 'object',
-              description: 'Percentage allocation of roof improvements',
-              example: {
-                "Green Areas": 25,
-                "Solar Power": 25,
-                "Water Management": 25,
-                "Social Impact": 25
-              }
-            },
-            plant_absorption: {
-              type: 'number',
-              description: 'CO2 absorption rate for plants in kg CO2e per year',
-              example: 1347.976
-            },
-            energy_emission: {
-              type: 'number',
-              description: 'Energy emission in kg CO2e per year',
-              example: 64095.68
-            },
-            solar_emission: {
-              type: 'number',
-              description: 'Solar panel emission in kg CO2e',
-              example: 1747.13
-            },
-            solar_reduction: {
-              type: 'number',
-              description: 'Solar panel reduction in kg CO2e per year',
-              example: 12142.5
-            },
-            heating_original: {
-              type: 'number',
-              description: 'Original heating emission in kg CO2e per year',
-              example: 16720
-            },
-            heating_reduced: {
-              type: 'number',
-              description: 'Reduced heating emission in kg CO2e per year',
-              example: 12540
-            },
-            water_emission: {
-              type: 'number',
-              description: 'Water emission in kg CO2e per year',
-              example: 6849.81
-            },
-            water_mitigated: {
-              type: 'number',
-              description: 'Water mitigated in kg CO2e per year',
-              example: 1441.254
-            },
-            water_collected: {
-              type: 'number',
-              description: 'Water collected in m3 per year',
-              example: 427
-            },
-            social_metrics: {
-              type: 'object',
-              description: 'Social impact metrics in percentage improvement',
-              example: {
-                "social_network": 11.08,
-                "trust": 11.08,
-                "reciprocity": 11.08,
-                "safety_wellbeing": 9.86,
-                "social_equity": 9.83,
-                "happiness": 22.6,
-                "stress_reduction": 39.4,
-                "quality_of_life": 35.3
-              }
-            },
-            health_metrics: {
-              type: 'object',
-              description: 'Health impact metrics',
-              example: {
-                "hypertension_reduction": 6.77,
-                "heat_wave_temperature": 28,
-                "mortality_reduction": 15
-              }
-            },
-            sdg_focus: {
-              type: 'array',
-              description: 'UN Sustainable Development Goals addressed',
-              example: ["Zero Hunger", "Good Health and Well-being", "Clean Water and Sanitation", "Affordable and Clean Energy"]
-            }
-          }
-        },
-        TokenRequest: {
-          type: 'object',
-          required: ['company', 'email', 'purpose'],
-          properties: {
-            company: {
-              type: 'string',
-              description: 'Company name',
-              example: 'Green Roofs Inc.'
-            },
-            email: {
-              type: 'string',
-              description: 'Contact email',
-              example: 'contact@greenroofs.com'
-            },
-            purpose: {
-              type: 'string',
-              description: 'Purpose of API access',
-              example: 'Integration with building management system'
-            },
-            company_id: {
-              type: 'string',
-              description: 'Company ID or registration number',
-              example: 'DK12345678'
-            },
-            address: {
-              type: 'string',
-              description: 'Company address',
-              example: '123 Green Street, Copenhagen'
-            }
-          }
-        },
-        User: {
-          type: 'object',
-          required: ['username', 'password', 'role'],
-          properties: {
-            username: {
-              type: 'string',
-              example: 'newuser'
-            },
-            password: {
-              type: 'string',
-              example: 'securepassword123'
-            },
-            role: {
-              type: 'string',
-              enum: ['admin', 'user'],
-              example: 'user'
-            }
-          }
-        }
-      },
+      schemas,
       responses: {
         UnauthorizedError: {
           description: 'Authentication information is missing or invalid',
@@ -306,6 +122,14 @@ const swaggerOptions = {
         name: 'Social Impact',
         description: 'Endpoints for social and environmental impact calculations'
       },
+      {
+        name: 'Portfolio',
+        description: 'Saved portfolios and portfolio-level analysis across buildings'
+      },
+      {
+        name: 'Water',
+        description: 'Stormwater retention, runoff and rainwater harvesting'
+      },
       {
         name: 'Authentication',
         description: 'Authentication and token management'
@@ -328,10 +152,11 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  * @param {string} message - Human-readable message about the response
  * @param {object} data - The actual response data
  * @param {string|null} error - Error message if success is false
+ * @param {Array|null} errors - Field-level validation errors, included only when provided
  * @returns {object} Standardized response object
  */
-function createResponse(success, message, data = null, error = null) {
-  return {
+function createResponse(success, message, data = null, error = null, errors = null) {
+  const response = {
     meta: {
       success,
       message,
@@ -341,6 +166,12 @@ function createResponse(success, message, data = null, error = null) {
     data,
     error
   };
+
+  if (errors) {
+    response.errors = errors;
+  }
+
+  return response;
 }
 
 // Make createResponse available globally
@@ -370,6 +201,8 @@ app.use('/auth', authRoutes);
 app.use('/', calculationRoutes);
 app.use('/admin', adminRoutes);
 app.use('/social', socialRoutes);
+app.use('/portfolio', portfolioRoutes);
+app.use('/water', waterRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -381,6 +214,15 @@ app.listen(PORT, () => {
   logger.info(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
   console.log(`CO2 Calculation API running on port ${PORT}`);
   console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Pick up batch jobs that were queued or running before the last shutdown
+  resumeJobs()
+    .then(count => {
+      if (count > 0) {
+        logger.info(`Resumed ${count} unfinished batch job(s)`);
+      }
+    })
+    .catch(err => logger.error(`Failed to resume batch jobs: ${err.message}`));
 });
 
 module.exports = app;
\ No newline at end of file
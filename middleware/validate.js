@@ -0,0 +1,105 @@
+/**
+ * Request validation middleware
+ * Validates request bodies against the OpenAPI component schemas
+ */
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schemas = require('../utils/schemas');
+const { ValidationError } = require('../utils/errors');
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+// OpenAPI keywords: `example` annotates fields, `components` holds the shared schemas
+ajv.addVocabulary(['example', 'components']);
+// Registered as one document so `#/components/schemas/...` references resolve as they do in Swagger
+ajv.addSchema({ $id: 'api', components: { schemas } });
+
+const validators = {};
+
+/**
+ * Get the compiled validator for a component schema
+ * @param {string} schemaName - Name of the schema in components.schemas
+ * @returns {Function} Compiled validator
+ */
+function getValidator(schemaName) {
+  if (!schemas[schemaName]) {
+    throw new Error(`Unknown schema: ${schemaName}`);
+  }
+  if (!validators[schemaName]) {
+    validators[schemaName] = ajv.getSchema(`api#/components/schemas/${schemaName}`);
+  }
+  return validators[schemaName];
+}
+
+/**
+ * Convert Ajv errors into field-level errors
+ * @param {Array} ajvErrors - Errors reported by Ajv
+ * @returns {Array<{field: string, message: string, keyword: string}>} Field-level errors
+ */
+function formatErrors(ajvErrors) {
+  return ajvErrors.map(error => {
+    const path = error.instancePath
+      .split('/')
+      .slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    if (error.keyword === 'required') {
+      path.push(error.params.missingProperty);
+    }
+
+    return {
+      field: path.join('.') || '(body)',
+      message: error.message,
+      keyword: error.keyword
+    };
+  });
+}
+
+/**
+ * Validate data against a component schema, e.g. a single item of a batch
+ * @param {string} schemaName - Name of the schema in components.schemas
+ * @param {*} data - Data to validate
+ * @throws {ValidationError} If the data does not match the schema
+ */
+function validateData(schemaName, data) {
+  const validate = getValidator(schemaName);
+
+  if (!validate(data)) {
+    const errors = formatErrors(validate.errors);
+    throw new ValidationError(summarizeErrors(errors), errors);
+  }
+}
+
+/**
+ * Join field-level errors into a single message
+ * @param {Array} errors - Field-level errors
+ * @returns {string} Summary message
+ */
+function summarizeErrors(errors) {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+/**
+ * Validate the request body against a component schema
+ * @param {string} schemaName - Name of the schema in components.schemas
+ * @param {string} failureMessage - Response message when validation fails
+ * @returns {Function} Express middleware
+ */
+function validateBody(schemaName, failureMessage = 'Validation failed') {
+  const validate = getValidator(schemaName);
+
+  return (req, res, next) => {
+    if (validate(req.body || {})) {
+      return next();
+    }
+
+    const errors = formatErrors(validate.errors);
+    res.status(400).json(global.createResponse(false, failureMessage, null, summarizeErrors(errors), errors));
+  };
+}
+
+module.exports = {
+  validateBody,
+  validateData,
+  formatErrors
+};
@@ -0,0 +1,242 @@
+/**
+ * Batch job model
+ * Handles the persistent queue of asynchronous batch calculations
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Convert a batch job row (with item counts) into an object
+ * @param {object} row - Database row from batch_jobs joined with item counts
+ * @returns {object} Batch job object
+ */
+function parseJob(row) {
+  const succeeded = row.succeeded || 0;
+  const failed = row.failed || 0;
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    commonParameters: JSON.parse(row.common_parameters),
+    error: row.error,
+    progress: {
+      total: row.total_items,
+      processed: succeeded + failed,
+      succeeded,
+      failed,
+      percent: row.total_items > 0 ? Math.round(((succeeded + failed) / row.total_items) * 100) : 100
+    },
+    createdAt: new Date(row.created_at),
+    startedAt: row.started_at ? new Date(row.started_at) : null,
+    completedAt: row.completed_at ? new Date(row.completed_at) : null
+  };
+}
+
+/**
+ * Convert a batch job item row into an object
+ * @param {object} row - Database row from batch_job_items
+ * @returns {object} Batch job item object
+ */
+function parseItem(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    index: row.item_index,
+    buildingId: row.building_id,
+    parameters: JSON.parse(row.parameters),
+    status: row.status,
+    calculationId: row.calculation_id,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    processedAt: row.processed_at ? new Date(row.processed_at) : null
+  };
+}
+
+const JOB_QUERY = `
+  SELECT j.*,
+    SUM(CASE WHEN i.status = 'completed' THEN 1 ELSE 0 END) AS succeeded,
+    SUM(CASE WHEN i.status = 'failed' THEN 1 ELSE 0 END) AS failed
+  FROM batch_jobs j
+  LEFT JOIN batch_job_items i ON i.job_id = j.id
+`;
+
+const BatchJob = {
+  /**
+   * Create a queued batch job with one item per building
+   * @param {object} jobData - Buildings and common parameters
+   * @param {string} userId - ID of the user submitting the job
+   * @returns {Promise<object>} Created batch job object
+   */
+  create: (jobData, userId) => {
+    return new Promise((resolve, reject) => {
+      const { buildings, common_parameters = {} } = jobData;
+      const id = uuidv4();
+
+      db.run(
+        'INSERT INTO batch_jobs (id, user_id, status, common_parameters, total_items) VALUES (?, ?, ?, ?, ?)',
+        [id, userId, 'queued', JSON.stringify(common_parameters), buildings.length],
+        function(err) {
+          if (err) {
+            return reject(err);
+          }
+
+          const statement = db.prepare(
+            `INSERT INTO batch_job_items (
+              id, job_id, item_index, building_id, parameters
+            ) VALUES (?, ?, ?, ?, ?)`
+          );
+          let insertError = null;
+
+          buildings.forEach((building, index) => {
+            statement.run(
+              [uuidv4(), id, index, building.building_id || null, JSON.stringify(building)],
+              (err) => {
+                insertError = insertError || err;
+              }
+            );
+          });
+
+          statement.finalize((err) => {
+            if (err || insertError) {
+              reject(err || insertError);
+            } else {
+              BatchJob.findById(id, userId).then(resolve, reject);
+            }
+          });
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a batch job by ID, with its progress
+   * @param {string} id - Job ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<object|null>} Batch job object or null if not found
+   */
+  findById: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `${JOB_QUERY} WHERE j.id = ? AND j.user_id = ? GROUP BY j.id`,
+        [id, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            try {
+              resolve(parseJob(row));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get the items of a batch job in submission order
+   * @param {string} jobId - Job ID
+   * @param {string} status - Only return items with this status (optional)
+   * @returns {Promise<Array>} Array of batch job item objects
+   */
+  getItems: (jobId, status = null) => {
+    return new Promise((resolve, reject) => {
+      const query = status
+        ? 'SELECT * FROM batch_job_items WHERE job_id = ? AND status = ? ORDER BY item_index'
+        : 'SELECT * FROM batch_job_items WHERE job_id = ? ORDER BY item_index';
+      const params = status ? [jobId, status] : [jobId];
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          try {
+            resolve((rows || []).map(parseItem));
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Get the jobs that are queued or were interrupted while running
+   * @returns {Promise<Array>} Array of batch job objects, oldest first
+   */
+  getUnfinished: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `${JOB_QUERY} WHERE j.status IN ('queued', 'running') GROUP BY j.id ORDER BY j.created_at`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            try {
+              resolve((rows || []).map(parseJob));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update the status of a batch job
+   * @param {string} id - Job ID
+   * @param {string} status - New status (running, completed or failed)
+   * @param {string} error - Job-level error message (optional)
+   * @returns {Promise<boolean>} Success status
+   */
+  updateStatus: (id, status, error = null) => {
+    return new Promise((resolve, reject) => {
+      const query = status === 'running'
+        ? 'UPDATE batch_jobs SET status = ?, error = ?, started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE id = ?'
+        : 'UPDATE batch_jobs SET status = ?, error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      db.run(query, [status, error, id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  },
+
+  /**
+   * Record the outcome of a batch job item
+   * @param {string} itemId - Item ID
+   * @param {object} outcome - Either { calculationId, result } or { error }
+   * @returns {Promise<boolean>} Success status
+   */
+  recordItem: (itemId, outcome) => {
+    return new Promise((resolve, reject) => {
+      const { calculationId = null, result = null, error = null } = outcome;
+
+      db.run(
+        `UPDATE batch_job_items
+         SET status = ?, calculation_id = ?, result = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [error ? 'failed' : 'completed', calculationId, result ? JSON.stringify(result) : null, error, itemId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+};
+
+module.exports = {
+  BatchJob
+};
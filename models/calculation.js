@@ -4,41 +4,87 @@
  */
 const db = require('../database/db');
 const { v4: uuidv4 } = require('uuid');
+const { encodeTimeline, decodeTimeline } = require('../utils/timeline');
+
+/**
+ * Split the full timeline series off calculation results for binary storage
+ * @param {object} results - Calculation results
+ * @returns {object} Results with only the compact parts of the timeline, and the series to pack (null if there are none)
+ */
+function splitTimeline(results) {
+  const timeline = results && results.timeline;
+  if (!timeline || !Array.isArray(timeline.years)) {
+    return { storedResults: results, series: null };
+  }
+
+  const { years, co2_with_improvements, co2_natural_decline, ...compact } = timeline;
+  return {
+    storedResults: { ...results, timeline: { ...compact, points: years.length, storage: 'binary' } },
+    series: { years, co2_with_improvements, co2_natural_decline }
+  };
+}
 
 const Calculation = {
   /**
-   * Save a calculation
-   * @param {object} calculationData - Calculation data
+   * Save a calculation. A full timeline is stored packed in calculation_timelines
+   * rather than in the results JSON; fetch it with findTimeline. The resolved
+   * inputs, if given, are stored in calculation_inputs so the calculation can be
+   * re-run on exactly the same values; fetch them with findInputs.
+   * @param {object} calculationData - Calculation data (userId, type, parameters as requested,
+   *   inputs as resolved for the engine, results)
+   * @param {object} connection - Database connection to use, e.g. inside a transaction (optional)
    * @returns {Promise<object>} Saved calculation object
    */
-  save: (calculationData) => {
+  save: (calculationData, connection = db) => {
     return new Promise((resolve, reject) => {
       const {
         userId,
         type = 'standard',
         parameters,
+        inputs = null,
         results
       } = calculationData;
 
       const id = uuidv4();
+      const { storedResults, series } = splitTimeline(results);
       const parametersJson = JSON.stringify(parameters);
-      const resultsJson = JSON.stringify(results);
+      const resultsJson = JSON.stringify(storedResults);
+
+      const saved = () => resolve({
+        id,
+        userId,
+        type,
+        parameters,
+        results,
+        createdAt: new Date()
+      });
+
+      const saveInputs = () => {
+        if (!inputs) {
+          saved();
+        } else {
+          connection.run(
+            'INSERT INTO calculation_inputs (calculation_id, inputs) VALUES (?, ?)',
+            [id, JSON.stringify(inputs)],
+            (err) => (err ? reject(err) : saved())
+          );
+        }
+      };
 
-      db.run(
+      connection.run(
         'INSERT INTO calculations (id, user_id, type, parameters, results) VALUES (?, ?, ?, ?, ?)',
         [id, userId, type, parametersJson, resultsJson],
         function(err) {
           if (err) {
             reject(err);
+          } else if (!series) {
+            saveInputs();
           } else {
-            resolve({
-              id,
-              userId,
-              type,
-              parameters,
-              results,
-              createdAt: new Date()
-            });
+            connection.run(
+              'INSERT INTO calculation_timelines (calculation_id, points, data) VALUES (?, ?, ?)',
+              [id, series.years.length, encodeTimeline(series)],
+              (err) => (err ? reject(err) : saveInputs())
+            );
           }
         }
       );
@@ -81,6 +127,74 @@ const Calculation = {
     });
   },
 
+  /**
+   * Find the full timeline of a calculation
+   * @param {string} id - Calculation ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<object|null>} Timeline with all series, or null if the calculation is not found or has no timeline
+   */
+  findTimeline: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT c.results, t.data FROM calculations c
+         LEFT JOIN calculation_timelines t ON t.calculation_id = c.id
+         WHERE c.id = ? AND c.user_id = ?`,
+        [id, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            try {
+              const { timeline } = JSON.parse(row.results);
+              if (!timeline) {
+                resolve(null);
+              } else if (row.data) {
+                resolve({ integration: timeline.integration, ...decodeTimeline(row.data), yearly: timeline.yearly });
+              } else {
+                // Saved before timelines were stored separately
+                resolve(Array.isArray(timeline.years) ? timeline : null);
+              }
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find the resolved inputs a calculation was run with
+   * @param {string} id - Calculation ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<object|null>} Resolved inputs, or null if the calculation is not found or was saved without them
+   */
+  findInputs: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT i.inputs FROM calculations c
+         JOIN calculation_inputs i ON i.calculation_id = c.id
+         WHERE c.id = ? AND c.user_id = ?`,
+        [id, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            try {
+              resolve(JSON.parse(row.inputs));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
   /**
    * Get all calculations for a user
    * @param {string} userId - User ID
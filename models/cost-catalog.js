@@ -0,0 +1,269 @@
+/**
+ * Cost catalog model
+ * Handles versioned cost-factor catalogs used for cost estimation
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { ConflictError, isUniqueViolation } = require('../utils/errors');
+
+/**
+ * Convert a catalog version row into an object
+ * @param {object} row - Database row from cost_catalog_versions
+ * @returns {object} Catalog version object
+ */
+function parseVersion(row) {
+  return {
+    id: row.id,
+    catalogId: row.catalog_id,
+    version: row.version,
+    costFactors: JSON.parse(row.cost_factors),
+    notes: row.notes,
+    createdAt: new Date(row.created_at),
+    createdBy: row.created_by
+  };
+}
+
+const CostCatalog = {
+  /**
+   * Create a new cost catalog with its first version
+   * @param {object} catalogData - Catalog data including cost factors
+   * @param {string} createdBy - ID of the user creating the catalog
+   * @returns {Promise<object>} Created catalog object
+   */
+  create: (catalogData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        country = null,
+        supplier = null,
+        year = null,
+        description = null,
+        cost_factors,
+        notes = null
+      } = catalogData;
+
+      const id = uuidv4();
+      const versionId = uuidv4();
+
+      db.run(
+        `INSERT INTO cost_catalogs (
+          id, name, country, supplier, year, description, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, country, supplier, year, description, createdBy],
+        function(err) {
+          if (err) {
+            return reject(isUniqueViolation(err) ? new ConflictError(`A cost catalog named "${name}" already exists`) : err);
+          }
+
+          db.run(
+            `INSERT INTO cost_catalog_versions (
+              id, catalog_id, version, cost_factors, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [versionId, id, 1, JSON.stringify(cost_factors), notes, createdBy],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve({
+                  id,
+                  name,
+                  country,
+                  supplier,
+                  year,
+                  description,
+                  latestVersion: {
+                    id: versionId,
+                    catalogId: id,
+                    version: 1,
+                    costFactors: cost_factors,
+                    notes,
+                    createdAt: new Date(),
+                    createdBy
+                  }
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Add a new version to an existing catalog
+   * @param {string} catalogId - Catalog ID
+   * @param {object} versionData - Version data including cost factors
+   * @param {string} createdBy - ID of the user creating the version
+   * @returns {Promise<object>} Created version object
+   */
+  addVersion: (catalogId, versionData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const { cost_factors, notes = null } = versionData;
+
+      db.get(
+        'SELECT MAX(version) AS latest FROM cost_catalog_versions WHERE catalog_id = ?',
+        [catalogId],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+
+          const id = uuidv4();
+          const version = (row && row.latest ? row.latest : 0) + 1;
+
+          db.run(
+            `INSERT INTO cost_catalog_versions (
+              id, catalog_id, version, cost_factors, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?)`,
+            [id, catalogId, version, JSON.stringify(cost_factors), notes, createdBy],
+            function(err) {
+              if (err) {
+                // Another version was published at the same time
+                reject(isUniqueViolation(err) ? new ConflictError(`Version ${version} of cost catalog ${catalogId} already exists; retry`) : err);
+              } else {
+                resolve({
+                  id,
+                  catalogId,
+                  version,
+                  costFactors: cost_factors,
+                  notes,
+                  createdAt: new Date(),
+                  createdBy
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a catalog by ID, including all of its versions
+   * @param {string} id - Catalog ID
+   * @returns {Promise<object|null>} Catalog object or null if not found
+   */
+  findById: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM cost_catalogs WHERE id = ?', [id], (err, catalog) => {
+        if (err) {
+          return reject(err);
+        }
+        if (!catalog) {
+          return resolve(null);
+        }
+
+        db.all(
+          'SELECT * FROM cost_catalog_versions WHERE catalog_id = ? ORDER BY version DESC',
+          [id],
+          (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              try {
+                resolve({
+                  ...catalog,
+                  versions: rows.map(parseVersion)
+                });
+              } catch (parseError) {
+                reject(parseError);
+              }
+            }
+          }
+        );
+      });
+    });
+  },
+
+  /**
+   * Get all catalogs with their latest version number
+   * @returns {Promise<Array>} Array of catalog objects
+   */
+  getAll: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT c.*, MAX(v.version) AS latest_version
+         FROM cost_catalogs c
+         LEFT JOIN cost_catalog_versions v ON v.catalog_id = c.id
+         GROUP BY c.id
+         ORDER BY c.name`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a specific version of a catalog (the latest if no version is given)
+   * @param {string} catalogId - Catalog ID
+   * @param {number} version - Version number (optional)
+   * @returns {Promise<object|null>} Catalog version joined with catalog details, or null if not found
+   */
+  getVersion: (catalogId, version = null) => {
+    return new Promise((resolve, reject) => {
+      const query = version
+        ? `SELECT v.*, c.name FROM cost_catalog_versions v
+           JOIN cost_catalogs c ON c.id = v.catalog_id
+           WHERE v.catalog_id = ? AND v.version = ?`
+        : `SELECT v.*, c.name FROM cost_catalog_versions v
+           JOIN cost_catalogs c ON c.id = v.catalog_id
+           WHERE v.catalog_id = ? ORDER BY v.version DESC LIMIT 1`;
+      const params = version ? [catalogId, version] : [catalogId];
+
+      db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (!row) {
+          resolve(null);
+        } else {
+          try {
+            resolve({ ...parseVersion(row), name: row.name });
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Apply the cost catalog referenced by `cost_catalog_id` (and optionally
+   * `cost_catalog_version`) to a set of calculation parameters
+   * @param {object} params - Calculation parameters
+   * @returns {Promise<object>} Parameters with cost_factors and cost_catalog set, or unchanged if no catalog is referenced
+   */
+  applyToParameters: async (params) => {
+    const { cost_catalog_id, cost_catalog_version } = params;
+
+    if (!cost_catalog_id) {
+      return params;
+    }
+
+    const catalogVersion = await CostCatalog.getVersion(cost_catalog_id, cost_catalog_version);
+    if (!catalogVersion) {
+      throw new Error(cost_catalog_version
+        ? `Cost catalog ${cost_catalog_id} has no version ${cost_catalog_version}`
+        : `Cost catalog ${cost_catalog_id} not found`);
+    }
+
+    return {
+      ...params,
+      cost_factors: catalogVersion.costFactors,
+      cost_catalog: {
+        id: cost_catalog_id,
+        name: catalogVersion.name,
+        version: catalogVersion.version,
+        version_id: catalogVersion.id
+      }
+    };
+  }
+};
+
+module.exports = {
+  CostCatalog
+};
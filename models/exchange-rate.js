@@ -0,0 +1,140 @@
+/**
+ * Exchange rate model
+ * Handles the admin-maintained exchange-rate table used to convert economic results
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { BASE_CURRENCY } = require('../utils/calculations');
+const { ConflictError, isUniqueViolation } = require('../utils/errors');
+
+const ExchangeRate = {
+  /**
+   * Create a new exchange rate
+   * @param {object} rateData - Rate data (currency, rate per 1 unit of base currency, effective date)
+   * @param {string} createdBy - ID of the user creating the rate
+   * @returns {Promise<object>} Created exchange rate object
+   */
+  create: (rateData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const {
+        currency,
+        rate,
+        effective_date,
+        source = null
+      } = rateData;
+
+      const id = uuidv4();
+      const code = currency.toUpperCase();
+
+      db.run(
+        `INSERT INTO exchange_rates (
+          id, currency, rate, effective_date, source, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, code, rate, effective_date, source, createdBy],
+        function(err) {
+          if (err) {
+            reject(isUniqueViolation(err) ? new ConflictError(`A ${code} rate effective on ${effective_date} already exists`) : err);
+          } else {
+            resolve({
+              id,
+              base_currency: BASE_CURRENCY,
+              currency: code,
+              rate,
+              effective_date,
+              source,
+              createdAt: new Date()
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get all exchange rates, optionally for a single currency
+   * @param {string} currency - ISO currency code (optional)
+   * @returns {Promise<Array>} Array of exchange rate objects, newest first
+   */
+  getAll: (currency = null) => {
+    return new Promise((resolve, reject) => {
+      const query = currency
+        ? 'SELECT * FROM exchange_rates WHERE currency = ? ORDER BY currency, effective_date DESC'
+        : 'SELECT * FROM exchange_rates ORDER BY currency, effective_date DESC';
+      const params = currency ? [currency.toUpperCase()] : [];
+
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  },
+
+  /**
+   * Find the rate in effect for a currency on a given date
+   * @param {string} currency - ISO currency code
+   * @param {string} date - ISO date (YYYY-MM-DD)
+   * @returns {Promise<object|null>} Exchange rate row or null if none is in effect
+   */
+  findEffective: (currency, date) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM exchange_rates
+         WHERE currency = ? AND effective_date <= ?
+         ORDER BY effective_date DESC LIMIT 1`,
+        [currency.toUpperCase(), date],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Resolve the exchange rate for the `currency` (and optionally `rate_date`)
+   * of a set of calculation parameters
+   * @param {object} params - Calculation parameters
+   * @returns {Promise<object>} Parameters with exchange_rate set, or unchanged if the base currency is requested
+   */
+  applyToParameters: async (params) => {
+    const { currency, rate_date } = params;
+
+    if (!currency) {
+      return params;
+    }
+
+    if (typeof currency !== 'string' || !/^[A-Za-z]{3}$/.test(currency)) {
+      throw new Error('Currency must be a three-letter ISO 4217 code');
+    }
+
+    if (currency.toUpperCase() === BASE_CURRENCY) {
+      return params;
+    }
+
+    const date = rate_date || new Date().toISOString().slice(0, 10);
+    const rate = await ExchangeRate.findEffective(currency, date);
+    if (!rate) {
+      throw new Error(`No exchange rate for ${currency.toUpperCase()} is in effect on ${date}`);
+    }
+
+    return {
+      ...params,
+      exchange_rate: {
+        base_currency: BASE_CURRENCY,
+        currency: rate.currency,
+        rate: rate.rate,
+        effective_date: rate.effective_date
+      }
+    };
+  }
+};
+
+module.exports = {
+  ExchangeRate
+};
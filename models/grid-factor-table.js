@@ -0,0 +1,283 @@
+/**
+ * Grid factor table model
+ * Handles versioned tables of grid emission factors by country and year
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('../utils/errors');
+
+// Table used when a calculation gives a country but no table
+const DEFAULT_TABLE_ID = 'default';
+
+/**
+ * Convert a table version row into an object
+ * @param {object} row - Database row from grid_factor_table_versions
+ * @returns {object} Table version object
+ */
+function parseVersion(row) {
+  return {
+    id: row.id,
+    tableId: row.table_id,
+    version: row.version,
+    factors: JSON.parse(row.factors),
+    projectedFrom: row.projected_from,
+    notes: row.notes,
+    createdAt: new Date(row.created_at),
+    createdBy: row.created_by
+  };
+}
+
+const GridFactorTable = {
+  /**
+   * Create a new grid factor table with its first version
+   * @param {object} tableData - Table data including factors by country and year
+   * @param {string} createdBy - ID of the user creating the table
+   * @returns {Promise<object>} Created table object
+   */
+  create: (tableData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        description = null,
+        source = null,
+        factors,
+        projected_from = null,
+        notes = null
+      } = tableData;
+
+      const id = uuidv4();
+      const versionId = uuidv4();
+
+      db.run(
+        `INSERT INTO grid_factor_tables (
+          id, name, description, source, created_by
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [id, name, description, source, createdBy],
+        function(err) {
+          if (err) {
+            return reject(err);
+          }
+
+          db.run(
+            `INSERT INTO grid_factor_table_versions (
+              id, table_id, version, factors, projected_from, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [versionId, id, 1, JSON.stringify(factors), projected_from, notes, createdBy],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve({
+                  id,
+                  name,
+                  description,
+                  source,
+                  latestVersion: {
+                    id: versionId,
+                    tableId: id,
+                    version: 1,
+                    factors,
+                    projectedFrom: projected_from,
+                    notes,
+                    createdAt: new Date(),
+                    createdBy
+                  }
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Add a new version to an existing table
+   * @param {string} tableId - Table ID
+   * @param {object} versionData - Version data including factors by country and year
+   * @param {string} createdBy - ID of the user creating the version
+   * @returns {Promise<object>} Created version object
+   */
+  addVersion: (tableId, versionData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const { factors, projected_from = null, notes = null } = versionData;
+
+      db.get(
+        'SELECT MAX(version) AS latest FROM grid_factor_table_versions WHERE table_id = ?',
+        [tableId],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+
+          const id = uuidv4();
+          const version = (row && row.latest ? row.latest : 0) + 1;
+
+          db.run(
+            `INSERT INTO grid_factor_table_versions (
+              id, table_id, version, factors, projected_from, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, tableId, version, JSON.stringify(factors), projected_from, notes, createdBy],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve({
+                  id,
+                  tableId,
+                  version,
+                  factors,
+                  projectedFrom: projected_from,
+                  notes,
+                  createdAt: new Date(),
+                  createdBy
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a table by ID, including all of its versions
+   * @param {string} id - Table ID
+   * @returns {Promise<object|null>} Table object or null if not found
+   */
+  findById: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM grid_factor_tables WHERE id = ?', [id], (err, table) => {
+        if (err) {
+          return reject(err);
+        }
+        if (!table) {
+          return resolve(null);
+        }
+
+        db.all(
+          'SELECT * FROM grid_factor_table_versions WHERE table_id = ? ORDER BY version DESC',
+          [id],
+          (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              try {
+                resolve({
+                  ...table,
+                  versions: rows.map(parseVersion)
+                });
+              } catch (parseError) {
+                reject(parseError);
+              }
+            }
+          }
+        );
+      });
+    });
+  },
+
+  /**
+   * Get all tables with their latest version number
+   * @returns {Promise<Array>} Array of table objects
+   */
+  getAll: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT t.*, MAX(v.version) AS latest_version
+         FROM grid_factor_tables t
+         LEFT JOIN grid_factor_table_versions v ON v.table_id = t.id
+         GROUP BY t.id
+         ORDER BY t.name`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a specific version of a table (the latest if no version is given)
+   * @param {string} tableId - Table ID
+   * @param {number} version - Version number (optional)
+   * @returns {Promise<object|null>} Table version joined with table details, or null if not found
+   */
+  getVersion: (tableId, version = null) => {
+    return new Promise((resolve, reject) => {
+      const query = version
+        ? `SELECT v.*, t.name, t.source FROM grid_factor_table_versions v
+           JOIN grid_factor_tables t ON t.id = v.table_id
+           WHERE v.table_id = ? AND v.version = ?`
+        : `SELECT v.*, t.name, t.source FROM grid_factor_table_versions v
+           JOIN grid_factor_tables t ON t.id = v.table_id
+           WHERE v.table_id = ? ORDER BY v.version DESC LIMIT 1`;
+      const params = version ? [tableId, version] : [tableId];
+
+      db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (!row) {
+          resolve(null);
+        } else {
+          try {
+            resolve({ ...parseVersion(row), name: row.name, source: row.source });
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Resolve the grid factors for the `country` of a set of calculation
+   * parameters from `grid_factor_table_id` (default table if not given) and
+   * optionally `grid_factor_table_version`
+   * @param {object} params - Calculation parameters
+   * @returns {Promise<object>} Parameters with grid_intensity set, or unchanged if no country is given
+   */
+  applyToParameters: async (params) => {
+    const { country, grid_factor_table_id = DEFAULT_TABLE_ID, grid_factor_table_version } = params;
+
+    if (!country) {
+      return params;
+    }
+
+    const tableVersion = await GridFactorTable.getVersion(grid_factor_table_id, grid_factor_table_version);
+    if (!tableVersion) {
+      throw ValidationError.forField('grid_factor_table_id', grid_factor_table_version
+        ? `Grid factor table ${grid_factor_table_id} has no version ${grid_factor_table_version}`
+        : `Grid factor table ${grid_factor_table_id} not found`);
+    }
+
+    const code = country.toUpperCase();
+    const factors = tableVersion.factors[code];
+    if (!factors) {
+      throw ValidationError.forField('country', `Grid factor table ${grid_factor_table_id} has no factors for ${code}. Available: ${Object.keys(tableVersion.factors).join(', ')}`);
+    }
+
+    return {
+      ...params,
+      grid_intensity: {
+        country: code,
+        factors,
+        projected_from: tableVersion.projectedFrom,
+        table: {
+          id: grid_factor_table_id,
+          name: tableVersion.name,
+          version: tableVersion.version,
+          version_id: tableVersion.id,
+          source: tableVersion.source
+        }
+      }
+    };
+  }
+};
+
+module.exports = {
+  GridFactorTable
+};
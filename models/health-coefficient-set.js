@@ -0,0 +1,270 @@
+/**
+ * Health coefficient set model
+ * Handles versioned sets of health impact coefficients with their citations
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('../utils/errors');
+const { resolveHealthCoefficients } = require('../utils/health');
+
+// Set used when a request names no coefficient set
+const DEFAULT_SET_ID = 'default';
+
+/**
+ * Convert a set version row into an object
+ * @param {object} row - Database row from health_coefficient_set_versions
+ * @returns {object} Set version object
+ */
+function parseVersion(row) {
+  return {
+    id: row.id,
+    setId: row.set_id,
+    version: row.version,
+    coefficients: JSON.parse(row.coefficients),
+    countries: JSON.parse(row.countries),
+    notes: row.notes,
+    createdAt: new Date(row.created_at),
+    createdBy: row.created_by
+  };
+}
+
+const HealthCoefficientSet = {
+  /**
+   * Create a new coefficient set with its first version
+   * @param {object} setData - Set data including coefficients and country values
+   * @param {string} createdBy - ID of the user creating the set
+   * @returns {Promise<object>} Created set object
+   */
+  create: (setData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        description = null,
+        source = null,
+        coefficients,
+        countries = {},
+        notes = null
+      } = setData;
+
+      const id = uuidv4();
+      const versionId = uuidv4();
+
+      db.run(
+        `INSERT INTO health_coefficient_sets (
+          id, name, description, source, created_by
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [id, name, description, source, createdBy],
+        function(err) {
+          if (err) {
+            return reject(err);
+          }
+
+          db.run(
+            `INSERT INTO health_coefficient_set_versions (
+              id, set_id, version, coefficients, countries, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [versionId, id, 1, JSON.stringify(coefficients), JSON.stringify(countries), notes, createdBy],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve({
+                  id,
+                  name,
+                  description,
+                  source,
+                  latestVersion: {
+                    id: versionId,
+                    setId: id,
+                    version: 1,
+                    coefficients,
+                    countries,
+                    notes,
+                    createdAt: new Date(),
+                    createdBy
+                  }
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Add a new version to an existing set
+   * @param {string} setId - Set ID
+   * @param {object} versionData - Version data including coefficients and country values
+   * @param {string} createdBy - ID of the user creating the version
+   * @returns {Promise<object>} Created version object
+   */
+  addVersion: (setId, versionData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const { coefficients, countries = {}, notes = null } = versionData;
+
+      db.get(
+        'SELECT MAX(version) AS latest FROM health_coefficient_set_versions WHERE set_id = ?',
+        [setId],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+
+          const id = uuidv4();
+          const version = (row && row.latest ? row.latest : 0) + 1;
+
+          db.run(
+            `INSERT INTO health_coefficient_set_versions (
+              id, set_id, version, coefficients, countries, notes, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, setId, version, JSON.stringify(coefficients), JSON.stringify(countries), notes, createdBy],
+            function(err) {
+              if (err) {
+                reject(err);
+              } else {
+                resolve({
+                  id,
+                  setId,
+                  version,
+                  coefficients,
+                  countries,
+                  notes,
+                  createdAt: new Date(),
+                  createdBy
+                });
+              }
+            }
+          );
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a set by ID, including all of its versions
+   * @param {string} id - Set ID
+   * @returns {Promise<object|null>} Set object or null if not found
+   */
+  findById: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM health_coefficient_sets WHERE id = ?', [id], (err, set) => {
+        if (err) {
+          return reject(err);
+        }
+        if (!set) {
+          return resolve(null);
+        }
+
+        db.all(
+          'SELECT * FROM health_coefficient_set_versions WHERE set_id = ? ORDER BY version DESC',
+          [id],
+          (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              try {
+                resolve({
+                  ...set,
+                  versions: rows.map(parseVersion)
+                });
+              } catch (parseError) {
+                reject(parseError);
+              }
+            }
+          }
+        );
+      });
+    });
+  },
+
+  /**
+   * Get all sets with their latest version number
+   * @returns {Promise<Array>} Array of set objects
+   */
+  getAll: () => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT s.*, MAX(v.version) AS latest_version
+         FROM health_coefficient_sets s
+         LEFT JOIN health_coefficient_set_versions v ON v.set_id = s.id
+         GROUP BY s.id
+         ORDER BY s.name`,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a specific version of a set (the latest if no version is given)
+   * @param {string} setId - Set ID
+   * @param {number} version - Version number (optional)
+   * @returns {Promise<object|null>} Set version joined with set details, or null if not found
+   */
+  getVersion: (setId, version = null) => {
+    return new Promise((resolve, reject) => {
+      const query = version
+        ? `SELECT v.*, s.name, s.source FROM health_coefficient_set_versions v
+           JOIN health_coefficient_sets s ON s.id = v.set_id
+           WHERE v.set_id = ? AND v.version = ?`
+        : `SELECT v.*, s.name, s.source FROM health_coefficient_set_versions v
+           JOIN health_coefficient_sets s ON s.id = v.set_id
+           WHERE v.set_id = ? ORDER BY v.version DESC LIMIT 1`;
+      const params = version ? [setId, version] : [setId];
+
+      db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (!row) {
+          resolve(null);
+        } else {
+          try {
+            resolve({ ...parseVersion(row), name: row.name, source: row.source });
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Resolve the health coefficients of a set of health impact parameters from
+   * `health_coefficient_set_id` (default set if not given) and optionally
+   * `health_coefficient_set_version`, with the values of the set for `country`
+   * and the request's `health_overrides`. Apply after the exchange rate is resolved.
+   * @param {object} params - Health impact parameters
+   * @returns {Promise<object>} Parameters with health_coefficients set
+   */
+  applyToParameters: async (params) => {
+    const {
+      health_coefficient_set_id = DEFAULT_SET_ID,
+      health_coefficient_set_version,
+      country = null,
+      health_overrides = {},
+      exchange_rate
+    } = params;
+
+    const setVersion = await HealthCoefficientSet.getVersion(health_coefficient_set_id, health_coefficient_set_version);
+    if (!setVersion) {
+      throw ValidationError.forField('health_coefficient_set_id', health_coefficient_set_version
+        ? `Health coefficient set ${health_coefficient_set_id} has no version ${health_coefficient_set_version}`
+        : `Health coefficient set ${health_coefficient_set_id} not found`);
+    }
+
+    return {
+      ...params,
+      health_coefficients: resolveHealthCoefficients(setVersion, country, health_overrides, exchange_rate)
+    };
+  }
+};
+
+module.exports = {
+  HealthCoefficientSet
+};
@@ -0,0 +1,200 @@
+/**
+ * Improvement type model
+ * Handles the registry of roof improvement types used by the calculations
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { ConflictError, isUniqueViolation } = require('../utils/errors');
+
+/**
+ * Convert an improvement type row into an object
+ * @param {object} row - Database row from improvement_types
+ * @returns {object} Improvement type object
+ */
+function parseImprovementType(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    savings_per_m2: row.savings_per_m2,
+    cost_per_m2: row.cost_per_m2,
+    start_year: row.start_year,
+    degradation: row.degradation,
+    sdgs: JSON.parse(row.sdgs || '[]'),
+    createdAt: new Date(row.created_at),
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null
+  };
+}
+
+const ImprovementType = {
+  /**
+   * Create a new improvement type
+   * @param {object} typeData - Improvement type data
+   * @param {string} createdBy - ID of the user creating the type
+   * @returns {Promise<object>} Created improvement type object
+   */
+  create: (typeData, createdBy = null) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        description = null,
+        savings_per_m2,
+        cost_per_m2,
+        start_year = 0,
+        degradation = 0.005,
+        sdgs = []
+      } = typeData;
+
+      const id = uuidv4();
+
+      db.run(
+        `INSERT INTO improvement_types (
+          id, name, description, savings_per_m2, cost_per_m2, start_year, degradation, sdgs, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, name, description, savings_per_m2, cost_per_m2, start_year, degradation, JSON.stringify(sdgs), createdBy],
+        function(err) {
+          if (err) {
+            reject(isUniqueViolation(err) ? new ConflictError(`An improvement type named "${name}" already exists`) : err);
+          } else {
+            resolve({
+              id,
+              name,
+              description,
+              savings_per_m2,
+              cost_per_m2,
+              start_year,
+              degradation,
+              sdgs,
+              createdAt: new Date(),
+              updatedAt: null
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update an improvement type
+   * @param {string} id - Improvement type ID
+   * @param {object} typeData - Fields to update (the name cannot be changed)
+   * @returns {Promise<boolean>} True if the type was updated
+   */
+  update: (id, typeData) => {
+    return new Promise((resolve, reject) => {
+      const columns = ['description', 'savings_per_m2', 'cost_per_m2', 'start_year', 'degradation', 'sdgs'];
+      const updates = [];
+      const values = [];
+
+      for (const column of columns) {
+        if (typeData[column] !== undefined) {
+          updates.push(`${column} = ?`);
+          values.push(column === 'sdgs' ? JSON.stringify(typeData[column]) : typeData[column]);
+        }
+      }
+
+      if (updates.length === 0) {
+        return resolve(false);
+      }
+
+      db.run(
+        `UPDATE improvement_types SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find an improvement type by ID
+   * @param {string} id - Improvement type ID
+   * @returns {Promise<object|null>} Improvement type object or null if not found
+   */
+  findById: (id) => {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM improvement_types WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          try {
+            resolve(row ? parseImprovementType(row) : null);
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Find an improvement type by name
+   * @param {string} name - Improvement type name
+   * @returns {Promise<object|null>} Improvement type object or null if not found
+   */
+  findByName: (name) => {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM improvement_types WHERE name = ?', [name], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          try {
+            resolve(row ? parseImprovementType(row) : null);
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Get all improvement types
+   * @returns {Promise<Array>} Array of improvement type objects
+   */
+  getAll: () => {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM improvement_types ORDER BY created_at, name', (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          try {
+            resolve((rows || []).map(parseImprovementType));
+          } catch (parseError) {
+            reject(parseError);
+          }
+        }
+      });
+    });
+  },
+
+  /**
+   * Get the registry in the form the calculation functions expect
+   * @returns {Promise<object>} Improvement types keyed by name
+   */
+  getRegistry: async () => {
+    const types = await ImprovementType.getAll();
+    const registry = {};
+
+    for (const type of types) {
+      registry[type.name] = {
+        savings_per_m2: type.savings_per_m2,
+        cost_per_m2: type.cost_per_m2,
+        start_year: type.start_year,
+        degradation: type.degradation,
+        sdgs: type.sdgs
+      };
+    }
+
+    return registry;
+  }
+};
+
+module.exports = {
+  ImprovementType
+};
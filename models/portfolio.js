@@ -0,0 +1,194 @@
+/**
+ * Portfolio model
+ * Handles saved portfolios of buildings for portfolio analysis
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Convert a portfolio row into an object
+ * @param {object} row - Database row from portfolios
+ * @returns {object} Portfolio object
+ */
+function parsePortfolio(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    description: row.description,
+    buildings: JSON.parse(row.buildings),
+    commonParameters: JSON.parse(row.common_parameters),
+    createdAt: new Date(row.created_at),
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null
+  };
+}
+
+const Portfolio = {
+  /**
+   * Create a new portfolio
+   * @param {object} portfolioData - Portfolio data including buildings
+   * @param {string} userId - ID of the owning user
+   * @returns {Promise<object>} Created portfolio object
+   */
+  create: (portfolioData, userId) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        description = null,
+        buildings,
+        common_parameters = {}
+      } = portfolioData;
+
+      const id = uuidv4();
+
+      db.run(
+        `INSERT INTO portfolios (
+          id, user_id, name, description, buildings, common_parameters
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, userId, name, description, JSON.stringify(buildings), JSON.stringify(common_parameters)],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({
+              id,
+              userId,
+              name,
+              description,
+              buildings,
+              commonParameters: common_parameters,
+              createdAt: new Date(),
+              updatedAt: null
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update a portfolio
+   * @param {string} id - Portfolio ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {object} portfolioData - Fields to update
+   * @returns {Promise<object|null>} Updated portfolio object or null if not found
+   */
+  update: (id, userId, portfolioData) => {
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const values = [];
+
+      if (portfolioData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(portfolioData.name);
+      }
+      if (portfolioData.description !== undefined) {
+        fields.push('description = ?');
+        values.push(portfolioData.description);
+      }
+      if (portfolioData.buildings !== undefined) {
+        fields.push('buildings = ?');
+        values.push(JSON.stringify(portfolioData.buildings));
+      }
+      if (portfolioData.common_parameters !== undefined) {
+        fields.push('common_parameters = ?');
+        values.push(JSON.stringify(portfolioData.common_parameters));
+      }
+
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+
+      db.run(
+        `UPDATE portfolios SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+        [...values, id, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else if (this.changes === 0) {
+            resolve(null);
+          } else {
+            Portfolio.findById(id, userId).then(resolve, reject);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a portfolio by ID
+   * @param {string} id - Portfolio ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<object|null>} Portfolio object or null if not found
+   */
+  findById: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM portfolios WHERE id = ? AND user_id = ?',
+        [id, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            try {
+              resolve(parsePortfolio(row));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get all portfolios for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of portfolio objects
+   */
+  getAllForUser: (userId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM portfolios WHERE user_id = ? ORDER BY created_at DESC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            try {
+              resolve((rows || []).map(parsePortfolio));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a portfolio
+   * @param {string} id - Portfolio ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<boolean>} True if a portfolio was deleted
+   */
+  delete: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM portfolios WHERE id = ? AND user_id = ?',
+        [id, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+};
+
+module.exports = {
+  Portfolio
+};
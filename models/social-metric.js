@@ -0,0 +1,130 @@
+/**
+ * Social metric model
+ * Handles the custom social metrics users register alongside the built-in ones
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_SOCIAL_METRICS } = require('../utils/social');
+
+/**
+ * Convert a social metric row into an object
+ * @param {object} row - Database row from social_metrics
+ * @returns {object} Social metric object
+ */
+function parseSocialMetric(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    unit: row.unit,
+    scale: { min: row.scale_min, max: row.scale_max },
+    default_weight: row.default_weight,
+    createdAt: new Date(row.created_at)
+  };
+}
+
+const SocialMetric = {
+  /**
+   * Register a custom social metric
+   * @param {object} metricData - Metric data including unit and scale
+   * @param {string} userId - ID of the owning user
+   * @returns {Promise<object>} Created social metric object
+   */
+  create: (metricData, userId) => {
+    return new Promise((resolve, reject) => {
+      const {
+        name,
+        description = null,
+        unit,
+        scale,
+        default_weight = 0
+      } = metricData;
+
+      const id = uuidv4();
+
+      db.run(
+        `INSERT INTO social_metrics (
+          id, user_id, name, description, unit, scale_min, scale_max, default_weight
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, userId, name, description, unit, scale.min, scale.max, default_weight],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({
+              id,
+              name,
+              description,
+              unit,
+              scale,
+              default_weight,
+              createdAt: new Date()
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a user's custom social metric by name
+   * @param {string} name - Metric name
+   * @param {string} userId - User ID
+   * @returns {Promise<object|null>} Social metric object or null if not found
+   */
+  findByName: (name, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM social_metrics WHERE name = ? AND user_id = ?',
+        [name, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseSocialMetric(row) : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get all custom social metrics of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of social metric objects
+   */
+  getAllForUser: (userId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM social_metrics WHERE user_id = ? ORDER BY name',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(parseSocialMetric));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get the social metrics available to a user as a registry keyed by name,
+   * the built-in metrics first
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Metric definitions keyed by name (unit, scale, default_weight, description)
+   */
+  getRegistry: async (userId) => {
+    const metrics = await SocialMetric.getAllForUser(userId);
+    const registry = { ...DEFAULT_SOCIAL_METRICS };
+    for (const { name, description, unit, scale, default_weight } of metrics) {
+      registry[name] = { unit, scale, default_weight, description };
+    }
+    return registry;
+  }
+};
+
+module.exports = {
+  SocialMetric
+};
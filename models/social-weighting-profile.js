@@ -0,0 +1,226 @@
+/**
+ * Social weighting profile model
+ * Handles the weighting profiles users score social impact with
+ */
+const db = require('../database/db');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_SOCIAL_METRICS } = require('../utils/social');
+const { SocialMetric } = require('./social-metric');
+
+/**
+ * Convert a weighting profile row into an object
+ * @param {object} row - Database row from social_weighting_profiles
+ * @returns {object} Weighting profile object
+ */
+function parseProfile(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    description: row.description,
+    weights: JSON.parse(row.weights),
+    createdAt: new Date(row.created_at),
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null
+  };
+}
+
+const SocialWeightingProfile = {
+  /**
+   * Create a new weighting profile
+   * @param {object} profileData - Profile data including weights by metric
+   * @param {string} userId - ID of the owning user
+   * @returns {Promise<object>} Created weighting profile object
+   */
+  create: (profileData, userId) => {
+    return new Promise((resolve, reject) => {
+      const { name, description = null, weights } = profileData;
+
+      const id = uuidv4();
+
+      db.run(
+        `INSERT INTO social_weighting_profiles (
+          id, user_id, name, description, weights
+        ) VALUES (?, ?, ?, ?, ?)`,
+        [id, userId, name, description, JSON.stringify(weights)],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({
+              id,
+              userId,
+              name,
+              description,
+              weights,
+              createdAt: new Date(),
+              updatedAt: null
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update a weighting profile
+   * @param {string} id - Profile ID
+   * @param {string} userId - User ID (for authorization)
+   * @param {object} profileData - Fields to update
+   * @returns {Promise<object|null>} Updated profile object or null if not found
+   */
+  update: (id, userId, profileData) => {
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const values = [];
+
+      if (profileData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(profileData.name);
+      }
+      if (profileData.description !== undefined) {
+        fields.push('description = ?');
+        values.push(profileData.description);
+      }
+      if (profileData.weights !== undefined) {
+        fields.push('weights = ?');
+        values.push(JSON.stringify(profileData.weights));
+      }
+
+      fields.push('updated_at = CURRENT_TIMESTAMP');
+
+      db.run(
+        `UPDATE social_weighting_profiles SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
+        [...values, id, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else if (this.changes === 0) {
+            resolve(null);
+          } else {
+            SocialWeightingProfile.findById(id, userId).then(resolve, reject);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find a weighting profile by ID
+   * @param {string} id - Profile ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<object|null>} Profile object or null if not found
+   */
+  findById: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM social_weighting_profiles WHERE id = ? AND user_id = ?',
+        [id, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            try {
+              resolve(parseProfile(row));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get all weighting profiles of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of profile objects
+   */
+  getAllForUser: (userId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM social_weighting_profiles WHERE user_id = ? ORDER BY name',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            try {
+              resolve((rows || []).map(parseProfile));
+            } catch (parseError) {
+              reject(parseError);
+            }
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a weighting profile
+   * @param {string} id - Profile ID
+   * @param {string} userId - User ID (for authorization)
+   * @returns {Promise<boolean>} True if a profile was deleted
+   */
+  delete: (id, userId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM social_weighting_profiles WHERE id = ? AND user_id = ?',
+        [id, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Resolve the social metric definitions and the weighting profile
+   * (`social_weighting_profile_id`) of a set of enhanced calculation
+   * parameters. Parameters that use only built-in metrics and no profile are
+   * returned unchanged.
+   * @param {object} params - Enhanced calculation parameters
+   * @param {string} userId - User whose metrics and profiles are used
+   * @returns {Promise<object>} Parameters with social_metric_definitions and social_weighting_profile set
+   * @throws {ValidationError} If the profile does not exist for the user
+   */
+  applyToParameters: async (params, userId) => {
+    const { social_metrics, social_weighting_profile_id } = params;
+    const metricNames = social_metrics ? Object.keys(social_metrics) : Object.keys(DEFAULT_SOCIAL_METRICS);
+    const custom = metricNames.filter(metric => !DEFAULT_SOCIAL_METRICS[metric]);
+
+    if (!social_weighting_profile_id && custom.length === 0) {
+      return params;
+    }
+
+    let profile = null;
+    if (social_weighting_profile_id) {
+      profile = await SocialWeightingProfile.findById(social_weighting_profile_id, userId);
+      if (!profile) {
+        throw ValidationError.forField('social_weighting_profile_id', `Social weighting profile ${social_weighting_profile_id} not found`);
+      }
+    }
+
+    // Only the metrics used, so that registering other metrics does not change the inputs
+    const registry = await SocialMetric.getRegistry(userId);
+    const social_metric_definitions = Object.fromEntries(
+      metricNames.filter(metric => registry[metric]).map(metric => [metric, registry[metric]])
+    );
+
+    return {
+      ...params,
+      social_metric_definitions,
+      social_weighting_profile: profile && { id: profile.id, name: profile.name, weights: profile.weights }
+    };
+  }
+};
+
+module.exports = {
+  SocialWeightingProfile
+};
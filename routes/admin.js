@@ -1,6 +1,14 @@
 const express = require('express');
 const { User } = require('../models/user');
+const { CostCatalog } = require('../models/cost-catalog');
+const { ExchangeRate } = require('../models/exchange-rate');
+const { GridFactorTable } = require('../models/grid-factor-table');
+const { HealthCoefficientSet } = require('../models/health-coefficient-set');
+const { ImprovementType } = require('../models/improvement-type');
+const { BASE_CURRENCY } = require('../utils/calculations');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -56,18 +64,10 @@ router.get('/users', authenticate, requireAdmin, async (req, res) => {
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.post('/users', authenticate, requireAdmin, async (req, res) => {
+router.post('/users', authenticate, requireAdmin, validateBody('User', 'User creation failed'), async (req, res) => {
   try {
     const { username, password, role } = req.body;
     
-    if (!username || !password || !role) {
-      return res.status(400).json(global.createResponse(false, 'User creation failed', null, 'Username, password, and role are required'));
-    }
-    
-    if (!['admin', 'user'].includes(role)) {
-      return res.status(400).json(global.createResponse(false, 'User creation failed', null, 'Role must be either "admin" or "user"'));
-    }
-    
     const existingUser = await User.findByUsername(username);
     if (existingUser) {
       return res.status(400).json(global.createResponse(false, 'User creation failed', null, 'Username already exists'));
@@ -90,4 +90,641 @@ router.post('/users', authenticate, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /admin/cost-catalogs:
+ *   get:
+ *     summary: List cost catalogs
+ *     description: Returns all cost catalogs with their latest version number (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of cost catalogs
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/cost-catalogs', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const catalogs = await CostCatalog.getAll();
+    res.status(200).json(global.createResponse(true, 'Cost catalogs retrieved successfully', { catalogs }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve cost catalogs', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/cost-catalogs:
+ *   post:
+ *     summary: Create cost catalog
+ *     description: Creates a named cost catalog with its first version of cost factors, in EUR (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostCatalog'
+ *     responses:
+ *       201:
+ *         description: Cost catalog created
+ *       400:
+ *         description: Invalid request data
+ *       409:
+ *         description: A cost catalog with this name already exists
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/cost-catalogs', authenticate, requireAdmin, validateBody('CostCatalog', 'Cost catalog creation failed'), async (req, res) => {
+  try {
+    const catalog = await CostCatalog.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Cost catalog created successfully', { catalog }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Cost catalog creation failed', null, error.message);
+    res.status(error.status || 500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/cost-catalogs/{id}:
+ *   get:
+ *     summary: Get cost catalog
+ *     description: Returns a cost catalog with all of its versions (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cost catalog ID
+ *     responses:
+ *       200:
+ *         description: Cost catalog retrieved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Cost catalog not found
+ */
+router.get('/cost-catalogs/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const catalog = await CostCatalog.findById(req.params.id);
+
+    if (!catalog) {
+      return res.status(404).json(global.createResponse(false, 'Cost catalog not found', null, 'No cost catalog found with the provided ID'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Cost catalog retrieved successfully', { catalog }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve cost catalog', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/cost-catalogs/{id}/versions:
+ *   post:
+ *     summary: Add cost catalog version
+ *     description: Publishes a new version of a cost catalog, with cost factors in EUR. Earlier versions are kept so old quotes can be reproduced (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Cost catalog ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CostCatalogVersion'
+ *     responses:
+ *       201:
+ *         description: Cost catalog version created
+ *       400:
+ *         description: Invalid request data
+ *       409:
+ *         description: A version was published at the same time; retry
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Cost catalog not found
+ */
+router.post('/cost-catalogs/:id/versions', authenticate, requireAdmin, validateBody('CostCatalogVersion', 'Cost catalog version creation failed'), async (req, res) => {
+  try {
+    const catalog = await CostCatalog.findById(req.params.id);
+
+    if (!catalog) {
+      return res.status(404).json(global.createResponse(false, 'Cost catalog version creation failed', null, 'No cost catalog found with the provided ID'));
+    }
+
+    const version = await CostCatalog.addVersion(req.params.id, req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Cost catalog version created successfully', { version }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Cost catalog version creation failed', null, error.message);
+    res.status(error.status || 500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/exchange-rates:
+ *   get:
+ *     summary: List exchange rates
+ *     description: Returns the stored exchange rates against the base currency (EUR), newest first (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Only return rates for this ISO currency code
+ *     responses:
+ *       200:
+ *         description: List of exchange rates
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/exchange-rates', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.getAll(req.query.currency);
+    res.status(200).json(global.createResponse(true, 'Exchange rates retrieved successfully', { rates }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve exchange rates', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/exchange-rates:
+ *   post:
+ *     summary: Add exchange rate
+ *     description: Adds an exchange rate that takes effect on the given date (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExchangeRate'
+ *     responses:
+ *       201:
+ *         description: Exchange rate created
+ *       400:
+ *         description: Invalid request data
+ *       409:
+ *         description: A rate for this currency already takes effect on this date
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/exchange-rates', authenticate, requireAdmin, validateBody('ExchangeRate', 'Exchange rate creation failed'), async (req, res) => {
+  try {
+    if (req.body.currency.toUpperCase() === BASE_CURRENCY) {
+      throw ValidationError.forField('currency', `${BASE_CURRENCY} is the base currency and always has a rate of 1`);
+    }
+
+    const exchangeRate = await ExchangeRate.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Exchange rate created successfully', { rate: exchangeRate }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Exchange rate creation failed', null, error.message, error.errors);
+    res.status(error.status || 500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/grid-factors:
+ *   get:
+ *     summary: List grid factor tables
+ *     description: Returns all grid emission factor tables with their latest version number (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of grid factor tables
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/grid-factors', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const tables = await GridFactorTable.getAll();
+    res.status(200).json(global.createResponse(true, 'Grid factor tables retrieved successfully', { tables }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve grid factor tables', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/grid-factors:
+ *   post:
+ *     summary: Create grid factor table
+ *     description: Creates a named table of grid emission factors by country and year with its first version (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GridFactorTable'
+ *     responses:
+ *       201:
+ *         description: Grid factor table created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/grid-factors', authenticate, requireAdmin, validateBody('GridFactorTable', 'Grid factor table creation failed'), async (req, res) => {
+  try {
+    const table = await GridFactorTable.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Grid factor table created successfully', { table }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Grid factor table creation failed', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/grid-factors/{id}:
+ *   get:
+ *     summary: Get grid factor table
+ *     description: Returns a grid factor table with all of its versions (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grid factor table ID
+ *     responses:
+ *       200:
+ *         description: Grid factor table retrieved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Grid factor table not found
+ */
+router.get('/grid-factors/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const table = await GridFactorTable.findById(req.params.id);
+
+    if (!table) {
+      return res.status(404).json(global.createResponse(false, 'Grid factor table not found', null, 'No grid factor table found with the provided ID'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Grid factor table retrieved successfully', { table }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve grid factor table', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/grid-factors/{id}/versions:
+ *   post:
+ *     summary: Add grid factor table version
+ *     description: Publishes a new version of a grid factor table, e.g. when reported values replace projections. Earlier versions are kept so old calculations can be reproduced (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Grid factor table ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GridFactorTableVersion'
+ *     responses:
+ *       201:
+ *         description: Grid factor table version created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Grid factor table not found
+ */
+router.post('/grid-factors/:id/versions', authenticate, requireAdmin, validateBody('GridFactorTableVersion', 'Grid factor table version creation failed'), async (req, res) => {
+  try {
+    const table = await GridFactorTable.findById(req.params.id);
+
+    if (!table) {
+      return res.status(404).json(global.createResponse(false, 'Grid factor table version creation failed', null, 'No grid factor table found with the provided ID'));
+    }
+
+    const version = await GridFactorTable.addVersion(req.params.id, req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Grid factor table version created successfully', { version }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Grid factor table version creation failed', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/health-coefficients:
+ *   get:
+ *     summary: List health coefficient sets
+ *     description: Returns all health coefficient sets with their latest version number (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of health coefficient sets
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/health-coefficients', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const sets = await HealthCoefficientSet.getAll();
+    res.status(200).json(global.createResponse(true, 'Health coefficient sets retrieved successfully', { sets }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve health coefficient sets', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/health-coefficients:
+ *   post:
+ *     summary: Create health coefficient set
+ *     description: Creates a named set of health impact coefficients with citations, optionally with salary and sick-day cost by country, and its first version (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HealthCoefficientSet'
+ *     responses:
+ *       201:
+ *         description: Health coefficient set created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/health-coefficients', authenticate, requireAdmin, validateBody('HealthCoefficientSet', 'Health coefficient set creation failed'), async (req, res) => {
+  try {
+    const set = await HealthCoefficientSet.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Health coefficient set created successfully', { set }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Health coefficient set creation failed', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/health-coefficients/{id}:
+ *   get:
+ *     summary: Get health coefficient set
+ *     description: Returns a health coefficient set with all of its versions (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Health coefficient set ID
+ *     responses:
+ *       200:
+ *         description: Health coefficient set retrieved
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Health coefficient set not found
+ */
+router.get('/health-coefficients/:id', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const set = await HealthCoefficientSet.findById(req.params.id);
+
+    if (!set) {
+      return res.status(404).json(global.createResponse(false, 'Health coefficient set not found', null, 'No health coefficient set found with the provided ID'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Health coefficient set retrieved successfully', { set }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve health coefficient set', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/health-coefficients/{id}/versions:
+ *   post:
+ *     summary: Add health coefficient set version
+ *     description: Publishes a new version of a health coefficient set, e.g. when a newer study replaces a coefficient. Earlier versions are kept so old reports can be reproduced (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Health coefficient set ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/HealthCoefficientSetVersion'
+ *     responses:
+ *       201:
+ *         description: Health coefficient set version created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Health coefficient set not found
+ */
+router.post('/health-coefficients/:id/versions', authenticate, requireAdmin, validateBody('HealthCoefficientSetVersion', 'Health coefficient set version creation failed'), async (req, res) => {
+  try {
+    const set = await HealthCoefficientSet.findById(req.params.id);
+
+    if (!set) {
+      return res.status(404).json(global.createResponse(false, 'Health coefficient set version creation failed', null, 'No health coefficient set found with the provided ID'));
+    }
+
+    const version = await HealthCoefficientSet.addVersion(req.params.id, req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Health coefficient set version created successfully', { version }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Health coefficient set version creation failed', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/improvement-types:
+ *   post:
+ *     summary: Create improvement type
+ *     description: Registers a new roof improvement type that can be used in roof_division (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImprovementType'
+ *     responses:
+ *       201:
+ *         description: Improvement type created
+ *       400:
+ *         description: Invalid request data
+ *       409:
+ *         description: An improvement type with this name already exists
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/improvement-types', authenticate, requireAdmin, validateBody('ImprovementType', 'Improvement type creation failed'), async (req, res) => {
+  try {
+    const improvementType = await ImprovementType.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Improvement type created successfully', { improvement_type: improvementType }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Improvement type creation failed', null, error.message);
+    res.status(error.status || 500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /admin/improvement-types/{id}:
+ *   put:
+ *     summary: Update improvement type
+ *     description: Updates the savings, cost, start-year lag, degradation or SDG mapping of an improvement type (admin only)
+ *     tags: [Administration]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Improvement type ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ImprovementTypeUpdate'
+ *     responses:
+ *       200:
+ *         description: Improvement type updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Improvement type not found
+ */
+router.put('/improvement-types/:id', authenticate, requireAdmin, validateBody('ImprovementTypeUpdate', 'Improvement type update failed'), async (req, res) => {
+  try {
+    const existingType = await ImprovementType.findById(req.params.id);
+    if (!existingType) {
+      return res.status(404).json(global.createResponse(false, 'Improvement type update failed', null, 'No improvement type found with the provided ID'));
+    }
+
+    if (req.body.name !== undefined && req.body.name !== existingType.name) {
+      return res.status(400).json(global.createResponse(false, 'Improvement type update failed', null, 'Improvement type names cannot be changed'));
+    }
+
+    await ImprovementType.update(req.params.id, req.body);
+    const improvementType = await ImprovementType.findById(req.params.id);
+
+    res.status(200).json(global.createResponse(true, 'Improvement type updated successfully', { improvement_type: improvementType }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Improvement type update failed', null, error.message);
+    res.status(error.status || 500).json(response);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 const { User } = require('../models/user');
 const { Token, TokenRequest } = require('../models/token');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
 
 const router = express.Router();
 
@@ -100,14 +101,10 @@ router.post('/login', async (req, res) => {
  *       400:
  *         description: Invalid request data
  */
-router.post('/token/request', async (req, res) => {
+router.post('/token/request', validateBody('TokenRequest', 'Token request failed'), async (req, res) => {
   try {
     const { company, email, purpose, company_id, address } = req.body;
     
-    if (!company || !email || !purpose) {
-      return res.status(400).json(global.createResponse(false, 'Token request failed', null, 'Company, email, and purpose are required'));
-    }
-    
     const request = await TokenRequest.create({
       company,
       email,
@@ -1,8 +1,21 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { authenticate } = require('../middleware/auth');
+const { validateBody, validateData } = require('../middleware/validate');
 const { Calculation } = require('../models/calculation');
-const { performCalculations } = require('../utils/calculations');
+const { BatchJob } = require('../models/batch-job');
+const { ImprovementType } = require('../models/improvement-type');
+const { performCalculations, formatCurrency, BASE_CURRENCY } = require('../utils/calculations');
+const { resolveCalculationParameters } = require('../utils/calculation-parameters');
+const { optimizeRoofDivision } = require('../utils/optimizer');
+const { analyzeUncertainty } = require('../utils/uncertainty');
+const { listWeatherFiles, loadWeatherFile } = require('../utils/solar');
+const { loadMaterialsDatabase, DEFAULT_TRANSPORT_KM } = require('../utils/lca');
+const { parseTimelineResolution, resampleTimeline, formatTimeline } = require('../utils/timeline');
+const { ValidationError } = require('../utils/errors');
+const { listEngines, recalculate } = require('../utils/engines');
+const { enqueueJob } = require('../utils/job-queue');
+const { prepareBuilding, formatBuildingResult, runBatch, formatItemError } = require('../utils/batch');
 const crypto = require('crypto');
 
 const router = express.Router();
@@ -21,24 +34,7 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - roof_area
- *               - roof_division
- *             properties:
- *               roof_area:
- *                 type: number
- *                 description: Roof area in square meters
- *                 example: 2000
- *               roof_division:
- *                 type: object
- *                 description: Percentage allocation of roof improvements
- *                 example: {
- *                   "Green Areas": 25,
- *                   "Solar Power": 25,
- *                   "Water Management": 25,
- *                   "Social Impact": 25
- *                 }
+ *             $ref: '#/components/schemas/SimpleCalculationParameters'
  *     responses:
  *       200:
  *         description: Calculation completed successfully
@@ -47,33 +43,19 @@ const router = express.Router();
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/simple-calculate', authenticate, async (req, res) => {
+router.post('/simple-calculate', authenticate, validateBody('SimpleCalculationParameters', 'Calculation failed'), async (req, res) => {
   try {
-    const { roof_area, roof_division } = req.body;
-
-    // Input validation
-    if (!roof_area || !roof_division) {
-      return res.status(400).json(global.createResponse(false, 'Calculation failed', null, 'Roof area and roof division are required'));
-    }
-
-    if (roof_area <= 0) {
-      return res.status(400).json(global.createResponse(false, 'Calculation failed', null, 'Roof area must be positive'));
-    }
-
-    // Validate roof division percentages sum to 100%
-    const totalPercentage = Object.values(roof_division).reduce((sum, val) => sum + val, 0);
-    if (Math.abs(totalPercentage - 100) > 0.01) {
-      return res.status(400).json(global.createResponse(false, 'Calculation failed', null, 'Roof division percentages must sum to 100%'));
-    }
+    const { roof_area, roof_division, currency } = req.body;
 
     // Add default values for simplified calculation
-    const calculationParams = {
+    const calculationParams = await resolveCalculationParameters({
       roof_area,
       roof_division,
+      currency,
       GWP_roof: 3.0, // Default value
       climate_zone: 'temperate', // Default value
       efficiency_degradation: 0.005 // Default value
-    };
+    });
 
     const results = performCalculations(calculationParams);
 
@@ -88,7 +70,8 @@ router.post('/simple-calculate', authenticate, async (req, res) => {
       type: 'simple',
       parameters: {
         roof_area,
-        roof_division
+        roof_division,
+        currency
       },
       results: {
         neutrality: results.neutrality,
@@ -105,6 +88,7 @@ router.post('/simple-calculate', authenticate, async (req, res) => {
         annual_savings: results.savings.annual,
         ten_year_savings: results.savings.ten_year,
         estimated_cost: results.economics.estimated_cost,
+        currency: results.economics.currency,
         simple_payback_years: results.economics.simple_payback_years,
         roi_10yr: results.economics.roi_10yr
       }
@@ -112,7 +96,7 @@ router.post('/simple-calculate', authenticate, async (req, res) => {
 
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Calculation failed', null, error.message);
+    const response = global.createResponse(false, 'Calculation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
@@ -140,26 +124,32 @@ router.post('/simple-calculate', authenticate, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/calculate', authenticate, async (req, res) => {
+router.post('/calculate', authenticate, validateBody('CalculationParameters', 'Calculation failed'), async (req, res) => {
   try {
-    const results = performCalculations(req.body);
+    const timelineResolution = parseTimelineResolution(req.body.timeline_resolution || 'full');
+    const calculationParams = await resolveCalculationParameters(req.body);
+    const results = performCalculations(calculationParams);
     
-    // Save calculation to database
+    // Save calculation to database, always with the full timeline
     const calculation = await Calculation.save({
       userId: req.user.id,
       type: 'standard',
       parameters: req.body,
+      inputs: calculationParams,
       results
     });
     
     const response = global.createResponse(true, 'Calculation completed successfully', {
       id: calculation.id,
-      results
+      results: {
+        ...results,
+        timeline: formatTimeline(results.timeline, timelineResolution)
+      }
     });
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Calculation failed', null, error.message);
+    const response = global.createResponse(false, 'Calculation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
@@ -196,9 +186,10 @@ router.post('/calculate', authenticate, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/sales', authenticate, async (req, res) => {
+router.post('/sales', authenticate, validateBody('CalculationParameters', 'Sales summary generation failed'), async (req, res) => {
   try {
-    const fullResults = performCalculations(req.body);
+    const calculationParams = await resolveCalculationParameters(req.body);
+    const fullResults = performCalculations(calculationParams);
     
     // Extract only the key information needed for sales
     const salesResults = {
@@ -221,8 +212,17 @@ router.post('/sales', authenticate, async (req, res) => {
       },
       economics: {
         estimated_cost: Math.round(fullResults.economics.estimated_cost),
+        currency: fullResults.economics.currency,
         payback_years: parseFloat(fullResults.economics.simple_payback_years.toFixed(1)),
-        roi_10yr: parseFloat(fullResults.economics.roi_10yr.toFixed(1))
+        roi_10yr: parseFloat(fullResults.economics.roi_10yr.toFixed(1)),
+        npv: Math.round(fullResults.economics.npv),
+        irr: fullResults.economics.irr !== null
+          ? parseFloat((fullResults.economics.irr * 100).toFixed(1))
+          : null,
+        discounted_payback_years: fullResults.economics.discounted_payback_years !== null
+          ? parseFloat(fullResults.economics.discounted_payback_years.toFixed(1))
+          : null,
+        cost_catalog: fullResults.economics.cost_catalog
       },
       summary: {
         neutrality: fullResults.neutrality.with_improvements 
@@ -231,7 +231,7 @@ router.post('/sales', authenticate, async (req, res) => {
         improvement: fullResults.neutrality.natural_decline && fullResults.neutrality.with_improvements
           ? `Improvements accelerate neutrality by ${(fullResults.neutrality.natural_decline - fullResults.neutrality.with_improvements).toFixed(1)} years`
           : "Improvement impact cannot be fully quantified within the timeframe",
-        economic: `Investment of ${Math.round(fullResults.economics.estimated_cost).toLocaleString()} with payback in ${fullResults.economics.simple_payback_years.toFixed(1)} years`
+        economic: `Investment of ${formatCurrency(fullResults.economics.estimated_cost, fullResults.economics.currency)} with payback in ${fullResults.economics.simple_payback_years.toFixed(1)} years`
       }
     };
     
@@ -250,7 +250,7 @@ router.post('/sales', authenticate, async (req, res) => {
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Sales summary generation failed', null, error.message);
+    const response = global.createResponse(false, 'Sales summary generation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
@@ -260,7 +260,10 @@ router.post('/sales', authenticate, async (req, res) => {
  * /batch:
  *   post:
  *     summary: Batch calculation
- *     description: Performs calculations for multiple buildings in a single request
+ *     description: |
+ *       Performs calculations for multiple buildings in a single request.
+ *       With `async: true` the batch is queued instead and a job id is returned;
+ *       poll `/jobs/{id}` for progress and fetch `/jobs/{id}/results` when it has finished.
  *     tags: [Calculations]
  *     security:
  *       - bearerAuth: []
@@ -269,110 +272,186 @@ router.post('/sales', authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - buildings
- *             properties:
- *               buildings:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - building_id
- *                   properties:
- *                     building_id:
- *                       type: string
- *                       example: "building-123"
- *                     roof_area:
- *                       type: number
- *                       example: 2500
- *                     GWP_roof:
- *                       type: number
- *                       example: 3.5
- *                     roof_division:
- *                       type: object
- *                       example: {
- *                         "Green Areas": 25,
- *                         "Solar Power": 25,
- *                         "Water Management": 25,
- *                         "Social Impact": 25
- *                       }
- *               common_parameters:
- *                 type: object
- *                 properties:
- *                   climate_zone:
- *                     type: string
- *                     enum: ['temperate', 'tropical', 'arid', 'continental', 'polar']
- *                     example: 'temperate'
- *                   efficiency_degradation:
- *                     type: number
- *                     example: 0.005
+ *             $ref: '#/components/schemas/BatchCalculationRequest'
  *     responses:
  *       200:
  *         description: Batch calculation completed successfully
+ *       202:
+ *         description: Batch job queued
  *       400:
  *         description: Invalid input parameters
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/batch', authenticate, async (req, res) => {
+router.post('/batch', authenticate, validateBody('BatchCalculationRequest', 'Batch calculation failed'), async (req, res) => {
   try {
     const { buildings, common_parameters = {} } = req.body;
     
-    if (!buildings || !Array.isArray(buildings) || buildings.length === 0) {
-      return res.status(400).json(global.createResponse(false, 'Batch calculation failed', null, 'Buildings array is required and must not be empty'));
-    }
-    
-    const results = [];
-    const calculationIds = [];
-    
-    for (const building of buildings) {
-      if (!building.building_id) {
-        return res.status(400).json(global.createResponse(false, 'Batch calculation failed', null, 'Each building must have a building_id'));
+    // Large portfolios are queued and processed in the background
+    if (req.body.async) {
+      if (req.body.all_or_nothing) {
+        return res.status(400).json(global.createResponse(false, 'Batch calculation failed', null, 'all_or_nothing is not supported for asynchronous batches'));
       }
       
-      // Merge common parameters with building-specific parameters
-      const calculationParams = {
-        ...common_parameters,
-        ...building
-      };
-      
-      const calculationResult = performCalculations(calculationParams);
+      const job = await BatchJob.create({ buildings, common_parameters }, req.user.id);
+      enqueueJob(job);
       
-      // Save calculation to database
-      const calculation = await Calculation.save({
-        userId: req.user.id,
-        type: 'batch',
-        parameters: calculationParams,
-        results: calculationResult
-      });
-      
-      calculationIds.push(calculation.id);
-      
-      results.push({
-        building_id: building.building_id,
-        calculation_id: calculation.id,
-        results: {
-          neutrality: calculationResult.neutrality,
-          savings: calculationResult.savings,
-          economics: calculationResult.economics
-        }
-      });
+      return res.status(202).json(global.createResponse(true, 'Batch job queued', formatJob(job)));
     }
     
-    const response = global.createResponse(true, 'Batch calculation completed successfully', {
-      batch_size: buildings.length,
-      calculation_ids: calculationIds,
-      results
+    const { outcomes, summary } = await runBatch(buildings, {
+      allOrNothing: req.body.all_or_nothing === true,
+      prepare: (building) => prepareBuilding(building, common_parameters),
+      save: async (prepared, building, connection) => {
+        const calculation = await Calculation.save({
+          userId: req.user.id,
+          type: 'batch',
+          parameters: prepared.parameters,
+          inputs: prepared.inputs,
+          results: prepared.results
+        }, connection);
+        return calculation.id;
+      }
     });
     
-    res.status(200).json(response);
+    const results = outcomes.map(outcome => ({
+      index: outcome.index,
+      success: !outcome.error,
+      ...(outcome.error
+        ? { building_id: outcome.item.building_id || null, ...formatItemError(outcome.error) }
+        : formatBuildingResult(outcome.item.building_id, outcome.calculationId, outcome.prepared.results))
+    }));
+    
+    const response = global.createResponse(
+      summary.saved > 0,
+      getBatchMessage('Batch calculation', summary),
+      {
+        batch_size: buildings.length,
+        item_summary: summary,
+        calculation_ids: outcomes.filter(outcome => outcome.calculationId).map(outcome => outcome.calculationId),
+        results
+      },
+      summary.saved > 0 ? null : getBatchError(summary, 'buildings')
+    );
+    
+    res.status(summary.saved > 0 ? 200 : 400).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Batch calculation failed', null, error.message);
+    const response = global.createResponse(false, 'Batch calculation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
 
+/**
+ * @swagger
+ * /jobs/{id}:
+ *   get:
+ *     summary: Get batch job status
+ *     description: Returns the status and progress of an asynchronous batch job, including per-building errors
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job status retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:id', authenticate, async (req, res) => {
+  try {
+    const job = await BatchJob.findById(req.params.id, req.user.id);
+    
+    if (!job) {
+      return res.status(404).json(global.createResponse(false, 'Job not found', null, 'The requested job does not exist or you do not have access to it'));
+    }
+    
+    const failedItems = await BatchJob.getItems(job.id, 'failed');
+    
+    const response = global.createResponse(true, 'Job status retrieved successfully', {
+      ...formatJob(job),
+      errors: failedItems.map(item => ({
+        index: item.index,
+        building_id: item.buildingId,
+        error: item.error
+      }))
+    });
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve job', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /jobs/{id}/results:
+ *   get:
+ *     summary: Get batch job results
+ *     description: Returns the per-building results of a finished asynchronous batch job
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job results retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has not finished yet
+ */
+router.get('/jobs/:id/results', authenticate, async (req, res) => {
+  try {
+    const job = await BatchJob.findById(req.params.id, req.user.id);
+    
+    if (!job) {
+      return res.status(404).json(global.createResponse(false, 'Job not found', null, 'The requested job does not exist or you do not have access to it'));
+    }
+    
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json(global.createResponse(false, 'Job not finished', formatJob(job), `Job is ${job.status}; ${job.progress.processed} of ${job.progress.total} buildings processed`));
+    }
+    
+    const items = await BatchJob.getItems(job.id);
+    const completedItems = items.filter(item => item.status === 'completed');
+    
+    const response = global.createResponse(true, 'Job results retrieved successfully', {
+      ...formatJob(job),
+      calculation_ids: completedItems.map(item => item.calculationId),
+      results: completedItems.map(item => item.result),
+      errors: items
+        .filter(item => item.status === 'failed')
+        .map(item => ({
+          index: item.index,
+          building_id: item.buildingId,
+          error: item.error
+        }))
+    });
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve job results', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
 /**
  * @swagger
  * /compare:
@@ -387,23 +466,7 @@ router.post('/batch', authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - scenarios
- *             properties:
- *               scenarios:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - name
- *                     - parameters
- *                   properties:
- *                     name:
- *                       type: string
- *                       example: "Base Scenario"
- *                     parameters:
- *                       $ref: '#/components/schemas/CalculationParameters'
+ *             $ref: '#/components/schemas/ComparisonRequest'
  *     responses:
  *       200:
  *         description: Comparison completed successfully
@@ -412,47 +475,65 @@ router.post('/batch', authenticate, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/compare', authenticate, async (req, res) => {
+router.post('/compare', authenticate, validateBody('ComparisonRequest', 'Comparison failed'), async (req, res) => {
   try {
-    const { scenarios } = req.body;
+    const { scenarios, currency, rate_date } = req.body;
     
-    if (!scenarios || !Array.isArray(scenarios) || scenarios.length < 2) {
-      return res.status(400).json(global.createResponse(false, 'Comparison failed', null, 'At least two scenarios are required for comparison'));
-    }
+    const { outcomes, summary } = await runBatch(scenarios, {
+      allOrNothing: req.body.all_or_nothing === true,
+      prepare: async (scenario) => {
+        validateData('ComparisonScenario', scenario);
+        
+        // A top-level currency applies to all scenarios so their costs stay comparable
+        const calculationParams = await resolveCalculationParameters(
+          currency ? { ...scenario.parameters, currency, rate_date } : scenario.parameters
+        );
+        return { inputs: calculationParams, results: performCalculations(calculationParams) };
+      },
+      save: async (prepared, scenario, connection) => {
+        const calculation = await Calculation.save({
+          userId: req.user.id,
+          type: 'comparison',
+          parameters: {
+            scenario_name: scenario.name,
+            ...scenario.parameters
+          },
+          inputs: prepared.inputs,
+          results: prepared.results
+        }, connection);
+        return calculation.id;
+      }
+    });
     
-    const results = [];
-    const calculationIds = [];
+    const results = outcomes
+      .filter(outcome => !outcome.error)
+      .map(outcome => ({
+        scenario_name: outcome.item.name,
+        calculation_id: outcome.calculationId,
+        neutrality_years: outcome.prepared.results.neutrality.with_improvements,
+        annual_savings: outcome.prepared.results.savings.annual,
+        ten_year_savings: outcome.prepared.results.savings.ten_year,
+        estimated_cost: outcome.prepared.results.economics.estimated_cost,
+        currency: outcome.prepared.results.economics.currency,
+        payback_years: outcome.prepared.results.economics.simple_payback_years,
+        roi_10yr: outcome.prepared.results.economics.roi_10yr
+      }));
     
-    for (const scenario of scenarios) {
-      if (!scenario.name || !scenario.parameters) {
-        return res.status(400).json(global.createResponse(false, 'Comparison failed', null, 'Each scenario must have a name and parameters'));
-      }
-      
-      const calculationResult = performCalculations(scenario.parameters);
-      
-      // Save calculation to database
-      const calculation = await Calculation.save({
-        userId: req.user.id,
-        type: 'comparison',
-        parameters: {
-          scenario_name: scenario.name,
-          ...scenario.parameters
-        },
-        results: calculationResult
-      });
-      
-      calculationIds.push(calculation.id);
-      
-      results.push({
-        scenario_name: scenario.name,
-        calculation_id: calculation.id,
-        neutrality_years: calculationResult.neutrality.with_improvements,
-        annual_savings: calculationResult.savings.annual,
-        ten_year_savings: calculationResult.savings.ten_year,
-        estimated_cost: calculationResult.economics.estimated_cost,
-        payback_years: calculationResult.economics.simple_payback_years,
-        roi_10yr: calculationResult.economics.roi_10yr
-      });
+    const errors = outcomes
+      .filter(outcome => outcome.error)
+      .map(outcome => ({
+        index: outcome.index,
+        scenario_name: (outcome.item && outcome.item.name) || null,
+        ...formatItemError(outcome.error)
+      }));
+    
+    if (summary.saved === 0) {
+      return res.status(400).json(global.createResponse(
+        false,
+        getBatchMessage('Comparison', summary),
+        { item_summary: summary, scenarios: results, errors },
+        getBatchError(summary, 'scenarios')
+      ));
     }
     
     // Find the best scenario for each metric
@@ -465,21 +546,270 @@ router.post('/compare', authenticate, async (req, res) => {
       roi: findBestScenario(results, 'roi_10yr', 'max')
     };
     
-    const response = global.createResponse(true, 'Comparison completed successfully', {
+    const response = global.createResponse(true, getBatchMessage('Comparison', summary), {
       comparison_id: uuidv4(),
-      calculation_ids: calculationIds,
+      item_summary: summary,
+      calculation_ids: results.map(result => result.calculation_id),
       scenarios: results,
+      errors,
       best_scenarios: bestScenarios,
       summary: generateComparisonSummary(results, bestScenarios)
     });
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Comparison failed', null, error.message);
+    const response = global.createResponse(false, 'Comparison failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /optimize:
+ *   post:
+ *     summary: Optimize roof division
+ *     description: |
+ *       Evaluates every roof_division allocation on a percentage grid with the full calculation,
+ *       drops allocations that break the constraints and returns the best allocation for the goal
+ *       together with the Pareto front over neutrality, ten-year savings, NPV, CO2 per euro and cost.
+ *       Any roof_division in the request is ignored.
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OptimizationRequest'
+ *     responses:
+ *       200:
+ *         description: Optimization completed successfully
+ *       400:
+ *         description: Invalid input parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/optimize', authenticate, validateBody('OptimizationRequest', 'Optimization failed'), async (req, res) => {
+  try {
+    const { goal, candidate_types, step, constraints, ...parameters } = req.body;
+    
+    // The optimizer chooses the roof division itself
+    delete parameters.roof_division;
+    
+    const calculationParams = await resolveCalculationParameters(parameters);
+    const optimization = optimizeRoofDivision(calculationParams, { goal, candidate_types, step, constraints });
+    
+    // Save optimization to database
+    const calculation = await Calculation.save({
+      userId: req.user.id,
+      type: 'optimization',
+      parameters: req.body,
+      results: optimization
+    });
+    
+    const response = global.createResponse(
+      true,
+      optimization.best ? 'Optimization completed successfully' : 'No allocation satisfies the constraints',
+      {
+        id: calculation.id,
+        ...optimization
+      }
+    );
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Optimization failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
 
+/**
+ * @swagger
+ * /uncertainty:
+ *   post:
+ *     summary: Uncertainty analysis
+ *     description: |
+ *       Runs a seeded Monte Carlo simulation over the given parameter distributions and returns
+ *       P10/P50/P90 bands for the CO2 timeline, the neutrality year, ten-year savings and NPV.
+ *       Also returns a tornado table: each parameter is moved to its P10 and P90 while the
+ *       others stay at their central value.
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UncertaintyRequest'
+ *     responses:
+ *       200:
+ *         description: Uncertainty analysis completed successfully
+ *       400:
+ *         description: Invalid input parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/uncertainty', authenticate, validateBody('UncertaintyRequest', 'Uncertainty analysis failed'), async (req, res) => {
+  try {
+    const { distributions, iterations, seed, tornado_metric, ...parameters } = req.body;
+
+    const calculationParams = await resolveCalculationParameters(parameters);
+    const analysis = analyzeUncertainty(calculationParams, { distributions, iterations, seed, tornado_metric });
+
+    // Save analysis to database
+    const calculation = await Calculation.save({
+      userId: req.user.id,
+      type: 'uncertainty',
+      parameters: req.body,
+      results: analysis
+    });
+
+    const response = global.createResponse(true, 'Uncertainty analysis completed successfully', {
+      id: calculation.id,
+      ...analysis
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Uncertainty analysis failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /improvement-types:
+ *   get:
+ *     summary: List improvement types
+ *     description: Returns the improvement types that can be used as roof_division keys
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Improvement types retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/improvement-types', authenticate, async (req, res) => {
+  try {
+    const improvementTypes = await ImprovementType.getAll();
+    
+    const response = global.createResponse(true, 'Improvement types retrieved successfully', {
+      count: improvementTypes.length,
+      improvement_types: improvementTypes
+    });
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve improvement types', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /weather-files:
+ *   get:
+ *     summary: List weather files
+ *     description: Returns the bundled typical meteorological year files the solar yield model can use
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weather files retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/weather-files', authenticate, async (req, res) => {
+  try {
+    const weatherFiles = listWeatherFiles().map(name => {
+      const { location, latitude, longitude, source, records } = loadWeatherFile(name);
+      return { name, location, latitude, longitude, source, records: records.length };
+    });
+
+    const response = global.createResponse(true, 'Weather files retrieved successfully', {
+      count: weatherFiles.length,
+      weather_files: weatherFiles
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve weather files', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /lca-materials:
+ *   get:
+ *     summary: List LCA materials
+ *     description: Returns the bundled materials database and the default assembly of each improvement type used by the embodied-carbon assessment
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Materials database retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/lca-materials', authenticate, async (req, res) => {
+  try {
+    const { name, version, source, transport_emission_factor, materials, assemblies } = loadMaterialsDatabase();
+
+    const response = global.createResponse(true, 'Materials database retrieved successfully', {
+      name,
+      version,
+      source,
+      transport_emission_factor,
+      default_transport_km: DEFAULT_TRANSPORT_KM,
+      materials,
+      assemblies
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve materials database', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /engines:
+ *   get:
+ *     summary: List engine versions
+ *     description: Returns the calculation engine versions stored calculations can be re-run on
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Engine versions retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/engines', authenticate, async (req, res) => {
+  try {
+    const engines = listEngines();
+
+    const response = global.createResponse(true, 'Engine versions retrieved successfully', {
+      current: engines.find(engine => engine.current).version,
+      engines
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve engine versions', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
 /**
  * @swagger
  * /history:
@@ -573,6 +903,139 @@ router.get('/history/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /history/{id}/timeline:
+ *   get:
+ *     summary: Get the timeline of a calculation
+ *     description: Returns the CO2 timeline of a saved calculation for a year range, resampled to the requested resolution
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Calculation ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: number
+ *         description: First year to include (default the start of the timeline)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: number
+ *         description: Last year to include (default the end of the timeline)
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           default: full
+ *         description: full (the calculated points), yearly, quarterly, or a number of evenly spaced points
+ *     responses:
+ *       200:
+ *         description: Timeline retrieved successfully
+ *       400:
+ *         description: Invalid range or resolution
+ *       404:
+ *         description: Calculation not found or without a timeline
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/history/:id/timeline', authenticate, async (req, res) => {
+  let query;
+  try {
+    query = parseTimelineQuery(req.query);
+  } catch (error) {
+    return res.status(400).json(global.createResponse(false, 'Failed to retrieve timeline', null, error.message, error.errors));
+  }
+
+  try {
+    const timeline = await Calculation.findTimeline(req.params.id, req.user.id);
+    
+    if (!timeline) {
+      return res.status(404).json(global.createResponse(false, 'Timeline not found', null, 'No calculation with a timeline found with the provided ID'));
+    }
+    
+    const response = global.createResponse(true, 'Timeline retrieved successfully', {
+      id: req.params.id,
+      integration: timeline.integration,
+      resolution: query.resolution,
+      from: query.from,
+      to: query.to,
+      ...resampleTimeline(timeline, query.resolution, query)
+    });
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve timeline', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /history/{id}/recalculate:
+ *   post:
+ *     summary: Recalculate a saved calculation
+ *     description: Re-runs a saved standard, batch, comparison or enhanced calculation on the current or a specified engine version and returns the differences from the stored results. The recalculation is not saved.
+ *     tags: [Calculations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Calculation ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecalculationRequest'
+ *     responses:
+ *       200:
+ *         description: Calculation recalculated successfully
+ *       400:
+ *         description: Unknown engine version, or the calculation type cannot be recalculated
+ *       404:
+ *         description: Calculation not found
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/history/:id/recalculate', authenticate, validateBody('RecalculationRequest', 'Recalculation failed'), async (req, res) => {
+  let calculation;
+  try {
+    calculation = await Calculation.findById(req.params.id, req.user.id);
+  } catch (error) {
+    return res.status(500).json(global.createResponse(false, 'Recalculation failed', null, error.message));
+  }
+
+  if (!calculation) {
+    return res.status(404).json(global.createResponse(false, 'Calculation not found', null, 'No calculation found with the provided ID'));
+  }
+
+  try {
+    const recalculation = await recalculate(calculation, req.body.engine_version);
+
+    const response = global.createResponse(true, 'Calculation recalculated successfully', {
+      id: calculation.id,
+      type: calculation.type,
+      created_at: calculation.createdAt,
+      ...recalculation
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Recalculation failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
 /**
  * @swagger
  * /export/{id}:
@@ -616,10 +1079,13 @@ router.get('/export/:id', authenticate, async (req, res) => {
     }
     
     if (format === 'json') {
-      // For JSON, we can just return the calculation data
+      // For JSON, we can just return the calculation data, with the full timeline from its packed storage
+      const timeline = await Calculation.findTimeline(calculationId, req.user.id);
       res.setHeader('Content-Disposition', `attachment; filename="calculation-${calculationId}.json"`);
       res.setHeader('Content-Type', 'application/json');
-      return res.status(200).json(calculation);
+      return res.status(200).json(timeline
+        ? { ...calculation, results: { ...calculation.results, timeline } }
+        : calculation);
     } else if (format === 'csv') {
       // For CSV, we need to flatten the data structure
       let csvContent = 'Parameter,Value\n';
@@ -657,9 +1123,18 @@ router.get('/export/:id', authenticate, async (req, res) => {
         }
         
         if (calculation.results.economics) {
-          csvContent += `Estimated Cost,${calculation.results.economics.estimated_cost || 'N/A'}\n`;
+          const currency = calculation.results.economics.currency || BASE_CURRENCY;
+          csvContent += `Currency,${currency}\n`;
+          csvContent += `Estimated Cost (${currency}),${calculation.results.economics.estimated_cost || 'N/A'}\n`;
           csvContent += `Simple Payback Years,${calculation.results.economics.simple_payback_years || 'N/A'}\n`;
           csvContent += `10-Year ROI,${calculation.results.economics.roi_10yr || 'N/A'}%\n`;
+          
+          if (calculation.results.economics.npv !== undefined) {
+            csvContent += `Net Present Value (${currency}),${calculation.results.economics.npv}\n`;
+            csvContent += `Internal Rate of Return,${calculation.results.economics.irr !== null ? `${calculation.results.economics.irr * 100}%` : 'N/A'}\n`;
+            csvContent += `Discounted Payback Years,${calculation.results.economics.discounted_payback_years || 'N/A'}\n`;
+            csvContent += `Levelized Cost per Tonne CO2 (${currency}),${calculation.results.economics.levelized_cost_per_tonne_co2 || 'N/A'}\n`;
+          }
         }
       }
       
@@ -675,6 +1150,32 @@ router.get('/export/:id', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * Helper function to parse the query of a timeline request
+ * @param {object} query - Request query with optional from, to and resolution
+ * @returns {object} Year range (null where open) and resolution
+ * @throws {ValidationError} If a year is not a number, the range is reversed or the resolution is unknown
+ */
+function parseTimelineQuery(query) {
+  const range = {};
+  for (const key of ['from', 'to']) {
+    range[key] = query[key] !== undefined ? Number(query[key]) : null;
+    if (range[key] !== null && !Number.isFinite(range[key])) {
+      throw ValidationError.forField(key, `${key} must be a year number`);
+    }
+  }
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    throw ValidationError.forField('to', "to must not be before from");
+  }
+
+  const resolution = parseTimelineResolution(query.resolution || 'full', 'resolution');
+  if (resolution === 'none') {
+    throw ValidationError.forField('resolution', "Resolution none has no series to return");
+  }
+
+  return { ...range, resolution };
+}
+
 /**
  * Helper function to find the best scenario for a specific metric
  * @param {Array} scenarios - Array of scenarios
@@ -726,4 +1227,55 @@ function generateComparisonSummary(scenarios, bestScenarios) {
   };
 }
 
+/**
+ * Helper function to build the response message for a batch of items
+ * @param {string} operation - Name of the operation, e.g. "Batch calculation"
+ * @param {object} summary - Batch summary from runBatch
+ * @returns {string} Response message
+ */
+function getBatchMessage(operation, summary) {
+  if (summary.saved === 0) {
+    return `${operation} failed`;
+  }
+  if (summary.failed > 0) {
+    return `${operation} completed with ${summary.failed} of ${summary.total} items failed`;
+  }
+  return `${operation} completed successfully`;
+}
+
+/**
+ * Helper function to describe why nothing in a batch was saved
+ * @param {object} summary - Batch summary from runBatch
+ * @param {string} itemName - Plural name of the items, e.g. "buildings"
+ * @returns {string} Error message
+ */
+function getBatchError(summary, itemName) {
+  if (summary.all_or_nothing && summary.failed > 0 && summary.failed < summary.total) {
+    return `${summary.failed} of ${summary.total} ${itemName} failed; nothing was saved (all_or_nothing)`;
+  }
+  if (summary.failed === 0) {
+    return `The ${itemName} could not be saved; nothing was saved`;
+  }
+  return `All ${summary.total} ${itemName} failed`;
+}
+
+/**
+ * Helper function to format a batch job for API responses
+ * @param {object} job - Batch job object
+ * @returns {object} Job summary with status URLs
+ */
+function formatJob(job) {
+  return {
+    job_id: job.id,
+    status: job.status,
+    progress: job.progress,
+    error: job.error,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    completed_at: job.completedAt,
+    status_url: `/jobs/${job.id}`,
+    results_url: `/jobs/${job.id}/results`
+  };
+}
+
 module.exports = router;
\ No newline at end of file
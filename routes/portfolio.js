@@ -0,0 +1,394 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validateBody, validateData } = require('../middleware/validate');
+const { Calculation } = require('../models/calculation');
+const { Portfolio } = require('../models/portfolio');
+const { prepareBuilding, formatItemError } = require('../utils/batch');
+const { aggregatePortfolio } = require('../utils/portfolio');
+const { ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /portfolio/analyze:
+ *   post:
+ *     summary: Analyze a portfolio
+ *     description: |
+ *       Calculates every building of a saved or inline portfolio and aggregates initial CO2,
+ *       annual savings, cost, NPV, the discounted payback of the combined cash flows and a combined yearly timeline.
+ *       Buildings must share one currency and one discount rate; `currency` and `discount_rate` set them for all.
+ *       Buildings are ranked by CO2 reduction per euro. Buildings that fail are reported in `errors`
+ *       and left out of the aggregation.
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PortfolioAnalysisRequest'
+ *     responses:
+ *       200:
+ *         description: Portfolio analyzed successfully
+ *       400:
+ *         description: Invalid input parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Portfolio not found
+ */
+router.post('/analyze', authenticate, validateBody('PortfolioAnalysisRequest', 'Portfolio analysis failed'), async (req, res) => {
+  try {
+    const { portfolio_id, currency, rate_date, discount_rate } = req.body;
+    let portfolio = null;
+
+    if (portfolio_id) {
+      portfolio = await Portfolio.findById(portfolio_id, req.user.id);
+      if (!portfolio) {
+        return res.status(404).json(global.createResponse(false, 'Portfolio not found', null, 'The requested portfolio does not exist or you do not have access to it'));
+      }
+    }
+
+    const buildings = req.body.buildings || portfolio.buildings;
+
+    // A portfolio currency and discount rate apply to every building so their
+    // costs and NPVs can be added up
+    const portfolio_parameters = {
+      ...(currency ? { currency, rate_date } : {}),
+      ...(discount_rate !== undefined ? { discount_rate } : {})
+    };
+    const common_parameters = {
+      ...(portfolio ? portfolio.commonParameters : {}),
+      ...(req.body.common_parameters || {}),
+      ...portfolio_parameters
+    };
+
+    const calculated = [];
+    const errors = [];
+
+    for (const [index, building] of buildings.entries()) {
+      try {
+        const { results } = await prepareBuilding({ ...building, ...portfolio_parameters }, common_parameters);
+        calculated.push({ building_id: building.building_id, results });
+      } catch (error) {
+        errors.push({
+          index,
+          building_id: (building && building.building_id) || null,
+          ...formatItemError(error)
+        });
+      }
+    }
+
+    if (calculated.length === 0) {
+      return res.status(400).json(global.createResponse(false, 'Portfolio analysis failed', { errors }, `All ${buildings.length} buildings failed`));
+    }
+
+    const analysis = {
+      portfolio_id: portfolio ? portfolio.id : null,
+      portfolio_name: portfolio ? portfolio.name : null,
+      ...aggregatePortfolio(calculated),
+      buildings: calculated.map(formatPortfolioBuilding),
+      item_summary: {
+        total: buildings.length,
+        succeeded: calculated.length,
+        failed: errors.length
+      },
+      errors
+    };
+
+    // Save analysis to database
+    const calculation = await Calculation.save({
+      userId: req.user.id,
+      type: 'portfolio',
+      parameters: {
+        portfolio_id: analysis.portfolio_id,
+        buildings,
+        common_parameters
+      },
+      results: analysis
+    });
+
+    const response = global.createResponse(true, 'Portfolio analyzed successfully', {
+      id: calculation.id,
+      ...analysis
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Portfolio analysis failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio:
+ *   get:
+ *     summary: List portfolios
+ *     description: Returns the saved portfolios of the current user
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Portfolios retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const portfolios = await Portfolio.getAllForUser(req.user.id);
+
+    const response = global.createResponse(true, 'Portfolios retrieved successfully', {
+      count: portfolios.length,
+      portfolios: portfolios.map(portfolio => ({
+        id: portfolio.id,
+        name: portfolio.name,
+        description: portfolio.description,
+        building_count: portfolio.buildings.length,
+        created_at: portfolio.createdAt,
+        updated_at: portfolio.updatedAt
+      }))
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve portfolios', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio:
+ *   post:
+ *     summary: Create portfolio
+ *     description: Saves a named portfolio of buildings for later analysis
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Portfolio'
+ *     responses:
+ *       201:
+ *         description: Portfolio created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/', authenticate, validateBody('Portfolio', 'Portfolio creation failed'), async (req, res) => {
+  try {
+    validateBuildings(req.body.buildings);
+
+    const portfolio = await Portfolio.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Portfolio created successfully', formatPortfolio(portfolio)));
+  } catch (error) {
+    const status = error.status || 500;
+    const response = global.createResponse(false, 'Portfolio creation failed', null, error.message, error.errors);
+    res.status(status).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{id}:
+ *   get:
+ *     summary: Get portfolio
+ *     description: Returns a saved portfolio with its buildings
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Portfolio ID
+ *     responses:
+ *       200:
+ *         description: Portfolio retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Portfolio not found
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const portfolio = await Portfolio.findById(req.params.id, req.user.id);
+
+    if (!portfolio) {
+      return res.status(404).json(global.createResponse(false, 'Portfolio not found', null, 'The requested portfolio does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Portfolio retrieved successfully', formatPortfolio(portfolio)));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve portfolio', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{id}:
+ *   put:
+ *     summary: Update portfolio
+ *     description: Updates the name, description, buildings or common parameters of a saved portfolio
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Portfolio ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PortfolioUpdate'
+ *     responses:
+ *       200:
+ *         description: Portfolio updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Portfolio not found
+ */
+router.put('/:id', authenticate, validateBody('PortfolioUpdate', 'Portfolio update failed'), async (req, res) => {
+  try {
+    if (req.body.buildings) {
+      validateBuildings(req.body.buildings);
+    }
+
+    const portfolio = await Portfolio.update(req.params.id, req.user.id, req.body);
+
+    if (!portfolio) {
+      return res.status(404).json(global.createResponse(false, 'Portfolio not found', null, 'The requested portfolio does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Portfolio updated successfully', formatPortfolio(portfolio)));
+  } catch (error) {
+    const status = error.status || 500;
+    const response = global.createResponse(false, 'Portfolio update failed', null, error.message, error.errors);
+    res.status(status).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /portfolio/{id}:
+ *   delete:
+ *     summary: Delete portfolio
+ *     description: Deletes a saved portfolio. Earlier analyses remain in the calculation history.
+ *     tags: [Portfolio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Portfolio ID
+ *     responses:
+ *       200:
+ *         description: Portfolio deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Portfolio not found
+ */
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await Portfolio.delete(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json(global.createResponse(false, 'Portfolio not found', null, 'The requested portfolio does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Portfolio deleted successfully', { id: req.params.id }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to delete portfolio', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * Helper function to validate the buildings of a saved portfolio
+ * @param {Array} buildings - Buildings to validate
+ * @throws {ValidationError} If any building is invalid, with fields prefixed by its position
+ */
+function validateBuildings(buildings) {
+  const errors = [];
+
+  buildings.forEach((building, index) => {
+    try {
+      validateData('BatchBuilding', building);
+    } catch (error) {
+      errors.push(...error.errors.map(fieldError => ({
+        ...fieldError,
+        field: `buildings.${index}.${fieldError.field}`
+      })));
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(error => `${error.field} ${error.message}`).join('; '), errors);
+  }
+}
+
+/**
+ * Helper function to format a portfolio for API responses
+ * @param {object} portfolio - Portfolio object
+ * @returns {object} Formatted portfolio
+ */
+function formatPortfolio(portfolio) {
+  return {
+    id: portfolio.id,
+    name: portfolio.name,
+    description: portfolio.description,
+    buildings: portfolio.buildings,
+    common_parameters: portfolio.commonParameters,
+    created_at: portfolio.createdAt,
+    updated_at: portfolio.updatedAt
+  };
+}
+
+/**
+ * Helper function to summarize a calculated building within a portfolio analysis
+ * @param {object} building - Building ID with calculation results
+ * @returns {object} Building summary
+ */
+function formatPortfolioBuilding(building) {
+  const { configuration, neutrality, savings, economics, intensity } = building.results;
+
+  return {
+    building_id: building.building_id,
+    roof_area: configuration.roof_area,
+    initial_co2: configuration.initial_co2,
+    years_to_neutrality: neutrality.with_improvements,
+    annual_savings: savings.annual,
+    ten_year_savings: savings.ten_year,
+    estimated_cost: economics.estimated_cost,
+    simple_payback_years: economics.simple_payback_years,
+    npv: economics.npv,
+    discounted_payback_years: economics.discounted_payback_years,
+    reduction_per_euro: intensity.reduction_per_euro
+  };
+}
+
+module.exports = router;
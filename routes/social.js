@@ -1,8 +1,20 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { authenticate } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
 const { Calculation } = require('../models/calculation');
-const { performEnhancedCalculations } = require('../utils/calculations');
+const { HealthCoefficientSet } = require('../models/health-coefficient-set');
+const { SocialMetric } = require('../models/social-metric');
+const { SocialWeightingProfile } = require('../models/social-weighting-profile');
+const { performEnhancedCalculations, formatCurrency, BASE_EXCHANGE_RATE } = require('../utils/calculations');
+const { resolveCalculationParameters } = require('../utils/calculation-parameters');
+const { estimateRoofThermal } = require('../utils/thermal');
+const { estimateOccupantExposure } = require('../utils/occupancy');
+const { DEFAULT_SOCIAL_METRICS } = require('../utils/social');
+const { scoreBiodiversity } = require('../utils/biodiversity');
+const { loadSdgCatalogue, assessSdgAlignment, checkSdgFocus } = require('../utils/sdg');
+const { recommendSdgChanges } = require('../utils/sdg-recommendations');
+const { ValidationError } = require('../utils/errors');
 
 const router = express.Router();
 
@@ -11,7 +23,11 @@ const router = express.Router();
  * /social/enhanced-calculate:
  *   post:
  *     summary: Enhanced CO2 calculation with social metrics
- *     description: Performs detailed CO2 calculations with social and environmental metrics
+ *     description: |
+ *       Performs detailed CO2 calculations with social and environmental metrics.
+ *       The social impact score is the weighted mean of the social metrics, each normalised to 0-100
+ *       on its scale, with the weights of social_weighting_profile_id where it gives one and the
+ *       default weight of the metric otherwise. The weighting used is returned in social_impact.weighting.
  *     tags: [Social Impact]
  *     security:
  *       - bearerAuth: []
@@ -29,15 +45,20 @@ const router = express.Router();
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/enhanced-calculate', authenticate, async (req, res) => {
+router.post('/enhanced-calculate', authenticate, validateBody('EnhancedCalculationParameters', 'Enhanced calculation failed'), async (req, res) => {
   try {
-    const results = performEnhancedCalculations(req.body);
+    const calculationParams = await SocialWeightingProfile.applyToParameters(
+      await resolveCalculationParameters(req.body),
+      req.user.id
+    );
+    const results = performEnhancedCalculations(calculationParams);
     
     // Save calculation to database
     const calculation = await Calculation.save({
       userId: req.user.id,
       type: 'enhanced',
       parameters: req.body,
+      inputs: calculationParams,
       results
     });
     
@@ -48,17 +69,335 @@ router.post('/enhanced-calculate', authenticate, async (req, res) => {
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Enhanced calculation failed', null, error.message);
+    const response = global.createResponse(false, 'Enhanced calculation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
 
+/**
+ * @swagger
+ * /social/metrics:
+ *   get:
+ *     summary: List social metrics
+ *     description: Returns the built-in social metrics and the custom metrics registered by the current user
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Social metrics retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/metrics', authenticate, async (req, res) => {
+  try {
+    const metrics = await SocialMetric.getAllForUser(req.user.id);
+
+    const response = global.createResponse(true, 'Social metrics retrieved successfully', {
+      built_in: Object.entries(DEFAULT_SOCIAL_METRICS).map(([name, definition]) => ({ name, ...definition })),
+      custom: metrics.map(formatSocialMetric)
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve social metrics', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/metrics:
+ *   post:
+ *     summary: Register social metric
+ *     description: |
+ *       Registers a custom social metric with its unit and scale, for use in social_metrics and
+ *       weighting profiles. Values are checked against the scale and normalised to 0-100 on it.
+ *       Metrics belong to the registering user account, which is the tenant.
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SocialMetric'
+ *     responses:
+ *       201:
+ *         description: Social metric registered
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/metrics', authenticate, validateBody('SocialMetric', 'Social metric registration failed'), async (req, res) => {
+  try {
+    const { name, scale } = req.body;
+
+    if (!(scale.min < scale.max)) {
+      throw ValidationError.forField('scale.max', 'Scale maximum must be greater than the minimum');
+    }
+    if (DEFAULT_SOCIAL_METRICS[name] || await SocialMetric.findByName(name, req.user.id)) {
+      throw ValidationError.forField('name', `A social metric named "${name}" already exists`);
+    }
+
+    const metric = await SocialMetric.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Social metric registered successfully', formatSocialMetric(metric)));
+  } catch (error) {
+    const status = error.status || 500;
+    const response = global.createResponse(false, 'Social metric registration failed', null, error.message, error.errors);
+    res.status(status).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/weighting-profiles:
+ *   get:
+ *     summary: List social weighting profiles
+ *     description: Returns the social weighting profiles of the current user
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Weighting profiles retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/weighting-profiles', authenticate, async (req, res) => {
+  try {
+    const profiles = await SocialWeightingProfile.getAllForUser(req.user.id);
+
+    const response = global.createResponse(true, 'Weighting profiles retrieved successfully', {
+      count: profiles.length,
+      profiles: profiles.map(formatWeightingProfile)
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve weighting profiles', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/weighting-profiles:
+ *   post:
+ *     summary: Create social weighting profile
+ *     description: |
+ *       Saves the weights a client gives the social metrics, built-in or custom. Pass its ID as
+ *       social_weighting_profile_id to the enhanced calculation to score social impact with it.
+ *       Profiles belong to the creating user account, which is the tenant.
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SocialWeightingProfile'
+ *     responses:
+ *       201:
+ *         description: Weighting profile created
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/weighting-profiles', authenticate, validateBody('SocialWeightingProfile', 'Weighting profile creation failed'), async (req, res) => {
+  try {
+    await validateProfileWeights(req.body.weights, req.user.id);
+
+    const profile = await SocialWeightingProfile.create(req.body, req.user.id);
+
+    res.status(201).json(global.createResponse(true, 'Weighting profile created successfully', formatWeightingProfile(profile)));
+  } catch (error) {
+    const status = error.status || 500;
+    const response = global.createResponse(false, 'Weighting profile creation failed', null, error.message, error.errors);
+    res.status(status).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/weighting-profiles/{id}:
+ *   get:
+ *     summary: Get social weighting profile
+ *     description: Returns a social weighting profile with its weights
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Weighting profile ID
+ *     responses:
+ *       200:
+ *         description: Weighting profile retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Weighting profile not found
+ */
+router.get('/weighting-profiles/:id', authenticate, async (req, res) => {
+  try {
+    const profile = await SocialWeightingProfile.findById(req.params.id, req.user.id);
+
+    if (!profile) {
+      return res.status(404).json(global.createResponse(false, 'Weighting profile not found', null, 'The requested weighting profile does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Weighting profile retrieved successfully', formatWeightingProfile(profile)));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve weighting profile', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/weighting-profiles/{id}:
+ *   put:
+ *     summary: Update social weighting profile
+ *     description: Updates the name, description or weights of a social weighting profile. Earlier calculations keep the weights they were scored with.
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Weighting profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SocialWeightingProfileUpdate'
+ *     responses:
+ *       200:
+ *         description: Weighting profile updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Weighting profile not found
+ */
+router.put('/weighting-profiles/:id', authenticate, validateBody('SocialWeightingProfileUpdate', 'Weighting profile update failed'), async (req, res) => {
+  try {
+    if (req.body.weights) {
+      await validateProfileWeights(req.body.weights, req.user.id);
+    }
+
+    const profile = await SocialWeightingProfile.update(req.params.id, req.user.id, req.body);
+
+    if (!profile) {
+      return res.status(404).json(global.createResponse(false, 'Weighting profile not found', null, 'The requested weighting profile does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Weighting profile updated successfully', formatWeightingProfile(profile)));
+  } catch (error) {
+    const status = error.status || 500;
+    const response = global.createResponse(false, 'Weighting profile update failed', null, error.message, error.errors);
+    res.status(status).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/weighting-profiles/{id}:
+ *   delete:
+ *     summary: Delete social weighting profile
+ *     description: Deletes a social weighting profile. Earlier calculations keep the weights they were scored with.
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Weighting profile ID
+ *     responses:
+ *       200:
+ *         description: Weighting profile deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Weighting profile not found
+ */
+router.delete('/weighting-profiles/:id', authenticate, async (req, res) => {
+  try {
+    const deleted = await SocialWeightingProfile.delete(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json(global.createResponse(false, 'Weighting profile not found', null, 'The requested weighting profile does not exist or you do not have access to it'));
+    }
+
+    res.status(200).json(global.createResponse(true, 'Weighting profile deleted successfully', { id: req.params.id }));
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to delete weighting profile', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/sdg-catalogue:
+ *   get:
+ *     summary: List the SDG catalogue
+ *     description: Returns the 17 UN Sustainable Development Goals with their targets and the targets each built-in improvement type contributes to
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: SDG catalogue retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/sdg-catalogue', authenticate, async (req, res) => {
+  try {
+    const { name, version, source, goals, improvements } = loadSdgCatalogue();
+
+    const response = global.createResponse(true, 'SDG catalogue retrieved successfully', {
+      name,
+      version,
+      source,
+      goals,
+      improvements
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Failed to retrieve SDG catalogue', null, error.message);
+    res.status(500).json(response);
+  }
+});
+
 /**
  * @swagger
  * /social/sdg-report:
  *   post:
  *     summary: Generate SDG alignment report
- *     description: Generates a report on how the roof improvements align with UN Sustainable Development Goals
+ *     description: |
+ *       Generates a report on how the roof improvements align with the UN Sustainable Development Goals.
+ *       Each improvement in the roof division contributes to the SDG targets it is mapped to, in proportion
+ *       to its roof share; goals named in sdg_focus are checked against these contributions but do not
+ *       change the score. Recommendations are shifts of roof share between improvement types, each
+ *       scored on SDG score, CO2 savings and cost by re-running the calculation.
  *     tags: [Social Impact]
  *     security:
  *       - bearerAuth: []
@@ -67,32 +406,7 @@ router.post('/enhanced-calculate', authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - roof_division
- *               - sdg_focus
- *             properties:
- *               roof_division:
- *                 type: object
- *                 description: Percentage allocation of roof improvements
- *                 example: {
- *                   "Green Areas": 25,
- *                   "Solar Power": 25,
- *                   "Water Management": 25,
- *                   "Social Impact": 25
- *                 }
- *               sdg_focus:
- *                 type: array
- *                 description: UN Sustainable Development Goals addressed
- *                 example: ["Zero Hunger", "Good Health and Well-being", "Clean Water and Sanitation", "Affordable and Clean Energy"]
- *               company_name:
- *                 type: string
- *                 description: Company name for the report
- *                 example: "Green Building Co."
- *               project_name:
- *                 type: string
- *                 description: Project name for the report
- *                 example: "Headquarters Roof Renovation"
+ *             $ref: '#/components/schemas/SdgReportRequest'
  *     responses:
  *       200:
  *         description: SDG report generated successfully
@@ -101,58 +415,39 @@ router.post('/enhanced-calculate', authenticate, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/sdg-report', authenticate, async (req, res) => {
+router.post('/sdg-report', authenticate, validateBody('SdgReportRequest', 'SDG report generation failed'), async (req, res) => {
   try {
     const { 
-      roof_division, 
       sdg_focus, 
       company_name = "Your Company", 
-      project_name = "Roof Improvement Project" 
+      project_name = "Roof Improvement Project",
+      biodiversity = {},
+      shift_step,
+      max_recommendations,
+      ...parameters
     } = req.body;
+    const { roof_division } = parameters;
     
-    if (!roof_division || !sdg_focus || !Array.isArray(sdg_focus)) {
-      return res.status(400).json(global.createResponse(false, 'SDG report generation failed', null, 'Roof division and SDG focus array are required'));
-    }
+    // Validates roof_division against the improvement type registry
+    const calculationParams = await resolveCalculationParameters(parameters);
+    const { improvement_types } = calculationParams;
     
-    // Map of SDGs to their descriptions and how roof improvements contribute
-    const sdgDescriptions = {
-      "Zero Hunger": {
-        description: "End hunger, achieve food security and improved nutrition and promote sustainable agriculture.",
-        contribution: "Urban farming on rooftops supports vulnerable members of society by providing access to food in urban spaces, addressing social issues. Surplus food can be utilized to ensure no one in the local community goes hungry."
-      },
-      "Good Health and Well-being": {
-        description: "Ensure healthy lives and promote well-being for all at all ages.",
-        contribution: "Green areas on rooftops contribute to the prevention of health issues and reduction of stress. The greenery absorbs particulate pollution, reducing overall air pollution locally and lowering exposure to pollutants that can lead to cardiovascular diseases, cancer, and allergies."
-      },
-      "Clean Water and Sanitation": {
-        description: "Ensure availability and sustainable management of water and sanitation for all.",
-        contribution: "Green areas on rooftops retain and purify water, while rainwater collection systems allow for water reuse in applications like toilet flushing. This reduces the CO2e footprint and increases water usage efficiency, as the water doesn't need to pass through a treatment facility first."
-      },
-      "Affordable and Clean Energy": {
-        description: "Ensure access to affordable, reliable, sustainable and modern energy for all.",
-        contribution: "Solar panels on the rooftop reduce consumption of external energy and heating supply, along with decreasing air pollution. This leads to improved energy efficiency and reduces the CO2e footprint by approximately 19% in a worst-case scenario."
-      },
-      "Decent Work and Economic Growth": {
-        description: "Promote sustained, inclusive and sustainable economic growth, full and productive employment and decent work for all.",
-        contribution: "Creating a social area on the rooftop with access to green spaces positively impacts employees through disease prevention, reduced stress, increased creativity, and improved productivity. This enhances economic potential per employee and attracts a more diverse workforce."
-      },
-      "Climate Action": {
-        description: "Take urgent action to combat climate change and its impacts.",
-        contribution: "The integrated design of green spaces, solar panels, water collection, and social areas creates a space that actively reduces the environmental impact of both the building's users and the building itself. The presence of greenery helps lower the prevalence of several serious diseases."
-      },
-      "Life on Land": {
-        description: "Protect, restore and promote sustainable use of terrestrial ecosystems, sustainably manage forests, combat desertification, and halt and reverse land degradation and halt biodiversity loss.",
-        contribution: "Transforming the rooftop into green spaces reintegrates it into the ecosystem, supporting biodiversity and reconnecting the city with nature. Combined with solar panels, this reduces air pollution and the extraction of fossil fuels, preserving nature and supporting existing habitats."
-      },
-      "Partnerships for the Goals": {
-        description: "Strengthen the means of implementation and revitalize the global partnership for sustainable development.",
-        contribution: "Creating a sustainable rooftop environment fosters collaboration among companies residing in the building as they work together on this shared environment. This encourages knowledge exchange, supports the advancement of the Sustainable Development Goals, and enhances economic growth potential."
+    // Contribution of each improvement to the SDG targets it is mapped to
+    const alignment = assessSdgAlignment(roof_division, improvement_types);
+    const focus = sdg_focus ? checkSdgFocus(alignment, sdg_focus) : null;
+    
+    // Quantified evidence for the goals a model covers, by goal number
+    const biodiversityAssessment = scoreBiodiversity(biodiversity, roof_division);
+    const sdgEvidence = {
+      15: {
+        biotope_area_factor: biodiversityAssessment.biotope_area_factor,
+        baf_target: biodiversityAssessment.baf_target,
+        meets_target: biodiversityAssessment.meets_target,
+        biodiversity_score: biodiversityAssessment.biodiversity_score,
+        rating: biodiversityAssessment.rating
       }
     };
     
-    // Calculate SDG alignment score
-    const sdgAlignmentScore = Math.min(100, (sdg_focus.length / 17) * 100);
-    
     // Generate SDG report
     const sdgReport = {
       report_id: uuidv4(),
@@ -161,15 +456,22 @@ router.post('/sdg-report', authenticate, async (req, res) => {
       generated_at: new Date().toISOString(),
       roof_division,
       sdg_alignment: {
-        sdgs_addressed: sdg_focus.map(sdg => ({
-          name: sdg,
-          description: sdgDescriptions[sdg]?.description || "No description available",
-          contribution: sdgDescriptions[sdg]?.contribution || "No contribution details available"
-        })),
-        sdg_alignment_score: sdgAlignmentScore,
-        alignment_rating: getSdgAlignmentRating(sdgAlignmentScore)
+        catalogue: alignment.catalogue,
+        sdgs_addressed: alignment.goals
+          .filter(goal => goal.contribution > 0)
+          .map(goal => ({
+            ...goal,
+            ...(sdgEvidence[goal.number] ? { evidence: sdgEvidence[goal.number] } : {})
+          })),
+        sdgs_not_addressed: alignment.goals
+          .filter(goal => goal.contribution === 0)
+          .map(({ number, name }) => ({ number, name })),
+        sdg_alignment_score: alignment.sdg_alignment_score,
+        alignment_rating: getSdgAlignmentRating(alignment.sdg_alignment_score),
+        focus
       },
-      recommendations: generateSdgRecommendations(sdg_focus, Object.keys(sdgDescriptions))
+      // Each candidate change is scored by re-running the calculation
+      recommendations: recommendSdgChanges(calculationParams, { step: shift_step, max_recommendations })
     };
     
     // Save report to database
@@ -187,7 +489,65 @@ router.post('/sdg-report', authenticate, async (req, res) => {
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'SDG report generation failed', null, error.message);
+    const response = global.createResponse(false, 'SDG report generation failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
+/**
+ * @swagger
+ * /social/biodiversity:
+ *   post:
+ *     summary: Score biodiversity
+ *     description: |
+ *       Scores the biodiversity value of a roof design with a biotope-area-factor (BAF) style method.
+ *       Each surface is weighted by its ecological value; the Green Areas weight follows the vegetation
+ *       layers. Native species share, habitat features and connectivity adjust the 0-100 score.
+ *     tags: [Social Impact]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BiodiversityRequest'
+ *     responses:
+ *       200:
+ *         description: Biodiversity scored successfully
+ *       400:
+ *         description: Invalid input parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/biodiversity', authenticate, validateBody('BiodiversityRequest', 'Biodiversity scoring failed'), async (req, res) => {
+  try {
+    const { roof_area = null, roof_division, biodiversity = {} } = req.body;
+    
+    // Validates roof_division against the improvement type registry
+    await resolveCalculationParameters({ roof_division });
+    
+    const assessment = scoreBiodiversity(biodiversity, roof_division, roof_area);
+    assessment.summary = `The roof reaches a biotope area factor of ${assessment.biotope_area_factor.toFixed(2)} ` +
+      `(${assessment.meets_target ? 'meeting' : 'below'} the target of ${assessment.baf_target}) and a biodiversity score of ` +
+      `${assessment.biodiversity_score.toFixed(1)}/100, rated "${assessment.rating}".`;
+    
+    // Save assessment to database
+    const calculation = await Calculation.save({
+      userId: req.user.id,
+      type: 'biodiversity',
+      parameters: req.body,
+      results: assessment
+    });
+    
+    const response = global.createResponse(true, 'Biodiversity scored successfully', {
+      id: calculation.id,
+      ...assessment
+    });
+    
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Biodiversity scoring failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
@@ -197,7 +557,13 @@ router.post('/sdg-report', authenticate, async (req, res) => {
  * /social/health-impact:
  *   post:
  *     summary: Calculate health impact
- *     description: Calculates the health impact of roof improvements
+ *     description: |
+ *       Calculates the health impact of roof improvements from a versioned health coefficient set
+ *       (the built-in set unless health_coefficient_set_id is given). Salary and sick-day cost come from
+ *       the set's values for the country, if any, or from health_overrides. The report lists the set
+ *       version, every coefficient with its origin and citation, and the sources used.
+ *       With a building description, the share of occupants and employees who see or use the green roof
+ *       is derived from the floors, window orientation and roof access policy instead of green_view_percentage.
  *     tags: [Social Impact]
  *     security:
  *       - bearerAuth: []
@@ -206,36 +572,7 @@ router.post('/sdg-report', authenticate, async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - roof_area
- *               - roof_division
- *             properties:
- *               roof_area:
- *                 type: number
- *                 description: Roof area in square meters
- *                 example: 2776
- *               roof_division:
- *                 type: object
- *                 description: Percentage allocation of roof improvements
- *                 example: {
- *                   "Green Areas": 25,
- *                   "Solar Power": 25,
- *                   "Water Management": 25,
- *                   "Social Impact": 25
- *                 }
- *               employees:
- *                 type: number
- *                 description: Number of employees in the building
- *                 example: 50
- *               building_occupants:
- *                 type: number
- *                 description: Total number of building occupants
- *                 example: 100
- *               green_view_percentage:
- *                 type: number
- *                 description: Percentage of occupants with view of green areas
- *                 example: 60
+ *             $ref: '#/components/schemas/HealthImpactRequest'
  *     responses:
  *       200:
  *         description: Health impact calculated successfully
@@ -244,33 +581,74 @@ router.post('/sdg-report', authenticate, async (req, res) => {
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/health-impact', authenticate, async (req, res) => {
+router.post('/health-impact', authenticate, validateBody('HealthImpactRequest', 'Health impact calculation failed'), async (req, res) => {
   try {
     const { 
       roof_area, 
       roof_division, 
-      employees = 50, 
-      building_occupants = 100,
-      green_view_percentage = 60
+      employees: requested_employees,
+      building_occupants: requested_occupants,
+      green_view_percentage: requested_view,
+      building = null,
+      thermal = {},
+      climate_zone = 'temperate',
+      country,
+      ...parameters
     } = req.body;
     
-    if (!roof_area || !roof_division) {
-      return res.status(400).json(global.createResponse(false, 'Health impact calculation failed', null, 'Roof area and roof division are required'));
+    if (roof_area <= 0) {
+      throw ValidationError.forField('roof_area', 'Roof area must be positive');
     }
     
+    // A building description replaces the client's occupancy and green view estimates
+    let exposure = null;
+    if (building) {
+      for (const [field, value] of Object.entries({ building_occupants: requested_occupants, green_view_percentage: requested_view })) {
+        if (value !== undefined) {
+          throw ValidationError.forField(field, `${field} is derived from building; give one or the other`);
+        }
+      }
+      exposure = estimateOccupantExposure(building, requested_employees === undefined ? null : requested_employees);
+    }
+    const employees = exposure ? exposure.employees : (requested_employees === undefined ? 50 : requested_employees);
+    // Without a building the occupant count feeds no formula; it is reported and checked only if given
+    const building_occupants = exposure ? exposure.building_occupants : (requested_occupants === undefined ? null : requested_occupants);
+    const green_view_percentage = exposure ? exposure.exposure_percentage : (requested_view === undefined ? 60 : requested_view);
+    const employee_exposure_percentage = exposure ? exposure.employee_exposure_percentage : green_view_percentage;
+    
+    // Employees are part of the occupants the exposure applies to, as with a building description
+    if (building_occupants !== null && employees > building_occupants) {
+      throw ValidationError.forField('employees', `Employees (${employees}) cannot exceed the building's occupants (${building_occupants})`);
+    }
+    
+    // The country selects health coefficients here, not grid factors
+    const { exchange_rate = BASE_EXCHANGE_RATE } = await resolveCalculationParameters({ roof_division, ...parameters });
+    const { health_coefficients } = await HealthCoefficientSet.applyToParameters({ ...parameters, country, exchange_rate });
+    const {
+      stress_reduction,
+      hypertension_reduction: hypertension_coefficient,
+      productivity_increase: productivity_coefficient,
+      sick_days_reduction: sick_days_coefficient,
+      avg_salary,
+      avg_sick_day_cost,
+      green_roof_cost_per_sqm
+    } = health_coefficients.values; // Monetary values are in the report currency
+    
     // Calculate green roof area
     const green_roof_area = roof_area * (roof_division["Green Areas"] || 0) / 100;
     
-    // Calculate health impacts based on research data
-    const stress_reduction_percentage = 39.4 * (green_roof_area / roof_area) * (green_view_percentage / 100);
-    const hypertension_reduction = 6.77 * (green_roof_area / roof_area) * (green_view_percentage / 100);
-    const mortality_reduction = 15 * (green_roof_area / roof_area);
-    const productivity_increase = 22.6 * (green_roof_area / roof_area) * (green_view_percentage / 100);
-    const sick_days_reduction = 12.3 * (green_roof_area / roof_area) * (green_view_percentage / 100);
+    // Calculate health impacts from the coefficient set; workplace effects follow the employees' exposure
+    const green_exposure = (green_roof_area / roof_area) * (green_view_percentage / 100);
+    const employee_green_exposure = (green_roof_area / roof_area) * (employee_exposure_percentage / 100);
+    const stress_reduction_percentage = stress_reduction * green_exposure;
+    const hypertension_reduction = hypertension_coefficient * green_exposure;
+    // Heat-related mortality follows the cooler top floor and surroundings from the thermal model
+    const roof_thermal = estimateRoofThermal(thermal, roof_area, roof_division, climate_zone);
+    const mortality_reduction = roof_thermal.heat_mortality_reduction;
+    const productivity_increase = productivity_coefficient * employee_green_exposure;
+    const sick_days_reduction = sick_days_coefficient * employee_green_exposure;
     
     // Calculate economic impact
-    const avg_salary = 50000; // Example average salary
-    const avg_sick_day_cost = 200; // Example cost per sick day
     const productivity_value = avg_salary * (productivity_increase / 100);
     const sick_day_savings = avg_sick_day_cost * (sick_days_reduction / 100) * employees;
     const total_economic_benefit = (productivity_value * employees) + sick_day_savings;
@@ -291,7 +669,8 @@ router.post('/health-impact', authenticate, async (req, res) => {
       building_occupancy: {
         employees,
         building_occupants,
-        percentage_with_green_view: green_view_percentage
+        percentage_with_green_view: green_view_percentage,
+        exposure
       },
       health_impacts: {
         stress_reduction_percentage,
@@ -302,16 +681,34 @@ router.post('/health-impact', authenticate, async (req, res) => {
         health_impact_score,
         health_impact_rating: getHealthImpactRating(health_impact_score)
       },
+      heat_resilience: {
+        climate_zone: roof_thermal.climate_zone,
+        vegetation_type: roof_thermal.vegetation_type,
+        heat_wave_temperature: roof_thermal.heat_wave_temperature,
+        surface_temperature: roof_thermal.surface_temperature,
+        u_value: roof_thermal.u_value,
+        top_floor_temperature_reduction: roof_thermal.top_floor_temperature_reduction,
+        air_temperature_reduction: roof_thermal.air_temperature_reduction
+      },
       economic_benefits: {
         productivity_value_per_employee: productivity_value,
         sick_day_savings,
         total_economic_benefit,
-        roi_percentage: (total_economic_benefit / (green_roof_area * 120)) * 100 // Assuming cost of 120 per sqm for green roof
+        currency: exchange_rate.currency,
+        exchange_rate,
+        roi_percentage: (total_economic_benefit / (green_roof_area * green_roof_cost_per_sqm)) * 100
       },
+      coefficients: health_coefficients,
       summary: {
         health: `The green roof improvements will reduce stress by ${stress_reduction_percentage.toFixed(1)}%, hypertension risk by ${hypertension_reduction.toFixed(1)}%, and heat-related mortality by ${mortality_reduction.toFixed(1)}%.`,
         productivity: `Employee productivity is expected to increase by ${productivity_increase.toFixed(1)}%, with sick days reduced by ${sick_days_reduction.toFixed(1)}%.`,
-        economic: `The total annual economic benefit is estimated at ${total_economic_benefit.toLocaleString()} through productivity gains and reduced sick days.`
+        ...(exposure && {
+          exposure: `${Math.round(exposure.exposed_occupants)} of ${exposure.building_occupants} occupants see or use the green roof (${exposure.exposure_percentage.toFixed(1)}%), including ${Math.round(exposure.exposed_employees)} of ${exposure.employees} employees.`
+        }),
+        economic: `The total annual economic benefit is estimated at ${formatCurrency(total_economic_benefit, exchange_rate.currency)} through productivity gains and reduced sick days.`,
+        coefficients: `Coefficients from health coefficient set "${health_coefficients.set.name}" version ${health_coefficients.set.version}` +
+          (health_coefficients.country ? ` for ${health_coefficients.country}` : '') +
+          `, citing ${health_coefficients.sources.length} source${health_coefficients.sources.length === 1 ? '' : 's'}.`
       }
     };
     
@@ -330,11 +727,64 @@ router.post('/health-impact', authenticate, async (req, res) => {
     
     res.status(200).json(response);
   } catch (error) {
-    const response = global.createResponse(false, 'Health impact calculation failed', null, error.message);
+    const response = global.createResponse(false, 'Health impact calculation failed', null, error.message, error.errors);
     res.status(400).json(response);
   }
 });
 
+/**
+ * Helper function to check the weights of a weighting profile against the user's social metrics
+ * @param {object} weights - Weight by metric name
+ * @param {string} userId - User whose custom metrics may be weighted
+ * @throws {ValidationError} If a weight names an unknown metric, with fields prefixed by "weights."
+ */
+async function validateProfileWeights(weights, userId) {
+  const registry = await SocialMetric.getRegistry(userId);
+  const errors = Object.keys(weights)
+    .filter(metric => !registry[metric])
+    .map(metric => ({
+      field: `weights.${metric}`,
+      message: `Unknown social metric "${metric}". Register it with POST /social/metrics first`
+    }));
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors.map(error => `${error.field} ${error.message}`).join('; '), errors);
+  }
+}
+
+/**
+ * Helper function to format a custom social metric for API responses
+ * @param {object} metric - Social metric object
+ * @returns {object} Formatted social metric
+ */
+function formatSocialMetric(metric) {
+  return {
+    id: metric.id,
+    name: metric.name,
+    description: metric.description,
+    unit: metric.unit,
+    scale: metric.scale,
+    default_weight: metric.default_weight,
+    created_at: metric.createdAt
+  };
+}
+
+/**
+ * Helper function to format a weighting profile for API responses
+ * @param {object} profile - Weighting profile object
+ * @returns {object} Formatted weighting profile
+ */
+function formatWeightingProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    description: profile.description,
+    weights: profile.weights,
+    created_at: profile.createdAt,
+    updated_at: profile.updatedAt
+  };
+}
+
 /**
  * Helper function to get SDG alignment rating based on score
  * @param {number} score - SDG alignment score
@@ -361,36 +811,4 @@ function getHealthImpactRating(score) {
   return "Minimal";
 }
 
-/**
- * Helper function to generate SDG recommendations
- * @param {Array} addressed - SDGs already addressed
- * @param {Array} all - All available SDGs
- * @returns {object} Recommendations
- */
-function generateSdgRecommendations(addressed, all) {
-  // Find SDGs not yet addressed
-  const notAddressed = all.filter(sdg => !addressed.includes(sdg));
-  
-  // Generate recommendations
-  const recommendations = {
-    current_alignment: `The project currently addresses ${addressed.length} out of 17 SDGs (${Math.round((addressed.length / 17) * 100)}% alignment).`,
-    suggestions: []
-  };
-  
-  // Add suggestions for top 3 not addressed SDGs (if any)
-  if (notAddressed.length > 0) {
-    recommendations.suggestions = notAddressed.slice(0, 3).map(sdg => ({
-      sdg,
-      suggestion: `Consider incorporating elements that address ${sdg} to improve SDG alignment.`
-    }));
-  } else {
-    recommendations.suggestions.push({
-      sdg: "All SDGs",
-      suggestion: "Excellent work! Your project already addresses all the key SDGs relevant to roof improvements."
-    });
-  }
-  
-  return recommendations;
-}
-
 module.exports = router;
\ No newline at end of file
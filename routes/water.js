@@ -0,0 +1,77 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { Calculation } = require('../models/calculation');
+const { summarizeStormwater, formatCurrency, BASE_EXCHANGE_RATE } = require('../utils/calculations');
+const { resolveCalculationParameters } = require('../utils/calculation-parameters');
+const { estimateStormwater } = require('../utils/stormwater');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /water/analyze:
+ *   post:
+ *     summary: Analyze stormwater
+ *     description: |
+ *       Runs a daily water balance of the roof from annual rainfall or a local daily rainfall series.
+ *       Green Areas and Water Management are modelled as vegetated substrate and the runoff of the
+ *       whole roof feeds the rainwater tank. Returns the retention ratio, peak runoff reduction,
+ *       harvested volume and the resulting drinking water and CO2 savings.
+ *     tags: [Water]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WaterAnalysisRequest'
+ *     responses:
+ *       200:
+ *         description: Stormwater analyzed successfully
+ *       400:
+ *         description: Invalid input parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/analyze', authenticate, validateBody('WaterAnalysisRequest', 'Stormwater analysis failed'), async (req, res) => {
+  try {
+    const { roof_area, roof_division, water = {} } = req.body;
+
+    // Validates roof_division and resolves the currency for the water cost savings
+    const { exchange_rate = BASE_EXCHANGE_RATE } = await resolveCalculationParameters(req.body);
+
+    const stormwater = summarizeStormwater(estimateStormwater(water, roof_area, roof_division), exchange_rate);
+    const analysis = {
+      ...stormwater,
+      currency: exchange_rate.currency,
+      exchange_rate,
+      summary: {
+        retention: `The roof retains ${(stormwater.retention_ratio * 100).toFixed(1)}% of ${stormwater.annual_rainfall_mm.toFixed(0)} mm annual rainfall (a conventional roof retains ${(stormwater.baseline_retention_ratio * 100).toFixed(1)}%) and reduces peak runoff by ${(stormwater.peak_runoff_reduction * 100).toFixed(1)}%.`,
+        harvesting: `The tank supplies ${stormwater.harvested_m3.toFixed(1)} m³ of water per year, saving ${formatCurrency(stormwater.water_cost_savings, exchange_rate.currency)} in drinking water.`,
+        co2: `Water savings avoid ${stormwater.co2_savings.total.toFixed(1)} kg CO2e per year.`
+      }
+    };
+
+    // Save analysis to database
+    const calculation = await Calculation.save({
+      userId: req.user.id,
+      type: 'water',
+      parameters: req.body,
+      results: analysis
+    });
+
+    const response = global.createResponse(true, 'Stormwater analyzed successfully', {
+      id: calculation.id,
+      ...analysis
+    });
+
+    res.status(200).json(response);
+  } catch (error) {
+    const response = global.createResponse(false, 'Stormwater analysis failed', null, error.message, error.errors);
+    res.status(400).json(response);
+  }
+});
+
+module.exports = router;
@@ -85,10 +85,10 @@ describe('API Endpoints', () => {
           roof_area: 2000,
           GWP_roof: 3.0,
           roof_division: {
-            "Plants": 25,
-            "Solar Panels": 25,
+            "Green Areas": 25,
+            "Solar Power": 25,
             "Water Management": 25,
-            "Energy Savings": 25
+            "Social Impact": 25
           }
         });
       
@@ -100,32 +100,1130 @@ describe('API Endpoints', () => {
       expect(res.body.data.results.savings).toBeDefined();
     });
     
+    it('should return a discounted cash-flow model', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: 1000,
+          GWP_roof: 3.0,
+          years_to_calculate: 20,
+          discount_rate: 0.04
+        });
+      
+      expect(res.statusCode).toEqual(200);
+      const economics = res.body.data.results.economics;
+      expect(economics.cash_flows).toHaveLength(21);
+      expect(economics.cash_flows[0].net).toBeCloseTo(-economics.estimated_cost);
+      
+      const expectedNpv = economics.cash_flows
+        .reduce((sum, flow) => sum + flow.net / Math.pow(1.04, flow.year), 0);
+      expect(economics.npv).toBeCloseTo(expectedNpv);
+      expect(economics).toHaveProperty('irr');
+      expect(economics).toHaveProperty('discounted_payback_years');
+      expect(economics.levelized_cost_per_tonne_co2).toBeGreaterThan(0);
+    });
+
+    it('should report no IRR for a project that never turns profitable', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      // The default roof never pays back; inverter replacements make its
+      // cash flows change sign several times
+      for (const years_to_calculate of [50, 100]) {
+        const res = await request(app)
+          .post('/sales')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ years_to_calculate });
+
+        expect(res.statusCode).toEqual(200);
+        const { economics } = res.body.data.results;
+        expect(economics.npv).toBeLessThan(0);
+        expect(economics.discounted_payback_years).toBeNull();
+        expect(economics.irr).toBeNull();
+      }
+    });
+    
     it('should reject calculation with invalid parameters', async () => {
       if (!adminToken) {
         console.warn('Admin token not available, skipping test');
         return;
       }
-      
+      
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: -100, // Invalid negative value
+          GWP_roof: 3.0,
+          roof_division: {
+            "Green Areas": 25,
+            "Solar Power": 25,
+            "Water Management": 25,
+            "Social Impact": 25
+          }
+        });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.meta.success).toBe(false);
+    });
+
+    it('should return field-level errors for invalid roof division values', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: 2000,
+          roof_division: {
+            "Green Areas": "50",
+            "Solar Power": -25,
+            "Water Management": 75
+          }
+        });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.meta.success).toBe(false);
+
+      const fields = res.body.errors.map(error => error.field);
+      expect(fields).toContain('roof_division.Green Areas');
+      expect(fields).toContain('roof_division.Solar Power');
+    });
+
+    it('should derive solar savings from the hourly yield model', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (solar) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 100, grid_emission_factor: 0.3, solar });
+
+      const south = await calculate({ latitude: 55.68, longitude: 12.57, tilt: 35, azimuth: 180 });
+      const north = await calculate({ latitude: 55.68, longitude: 12.57, tilt: 35, azimuth: 0, shading: 0.1 });
+
+      expect(south.statusCode).toEqual(200);
+      const solar = south.body.data.results.configuration.solar;
+      expect(solar.weather_file).toEqual('copenhagen');
+      expect(solar.solar_area).toEqual(250);
+      expect(solar.co2_avoided).toBeCloseTo(solar.annual_kwh * 0.3);
+      expect(south.body.data.results.configuration.annual_savings['Solar Power']).toBeCloseTo(solar.co2_avoided);
+      expect(north.body.data.results.configuration.solar.annual_kwh).toBeLessThan(solar.annual_kwh);
+
+      const berlin = await calculate({ latitude: 52.5, longitude: 13.4 });
+      expect(berlin.body.data.results.configuration.solar.weather_file).toEqual('berlin');
+      expect(berlin.body.data.results.configuration.solar.weather_file_distance_km).toBeLessThan(10);
+
+      // Far from every bundled file the weather file must be chosen explicitly
+      const sydney = await calculate({ latitude: -33.87, longitude: 151.21 });
+      expect(sydney.statusCode).toEqual(400);
+      expect(sydney.body.errors[0].field).toEqual('solar.weather_file');
+
+      const chosen = await calculate({ latitude: -33.87, longitude: 151.21, weather_file: 'copenhagen' });
+      expect(chosen.statusCode).toEqual(200);
+      expect(chosen.body.data.results.configuration.solar.weather_file_out_of_range).toBe(true);
+      expect(chosen.body.data.results.configuration.solar.weather_file_distance_km).toBeGreaterThan(15000);
+    });
+
+    it('should add green roof cooling savings to Green Areas', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (thermal) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 100, climate_zone: 'arid', thermal });
+
+      const plain = await calculate(undefined);
+      const green = await calculate({ vegetation_type: 'sedum' });
+
+      expect(green.statusCode).toEqual(200);
+      const { thermal, annual_savings } = green.body.data.results.configuration;
+      expect(thermal.cooling_energy_savings_kwh).toBeGreaterThan(0);
+      expect(annual_savings['Green Areas'])
+        .toBeCloseTo(plain.body.data.results.configuration.annual_savings['Green Areas'] + thermal.cooling_co2_savings);
+      // The cooling electricity is valued like other grid energy
+      expect(green.body.data.results.economics.cash_flows[1].energy_benefit)
+        .toBeGreaterThan(plain.body.data.results.economics.cash_flows[1].energy_benefit);
+    });
+
+    it('should not depend on the number of points or the horizon', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (body) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, GWP_roof: 30, ...body });
+
+      const coarse = (await calculate({ points: 50, years_to_calculate: 30 })).body.data.results;
+      const fine = (await calculate({ points: 2000, years_to_calculate: 60 })).body.data.results;
+
+      expect(coarse.neutrality.with_improvements).not.toBeNull();
+      expect(fine.neutrality.with_improvements).toBeCloseTo(coarse.neutrality.with_improvements, 6);
+      expect(fine.savings.ten_year).toBeCloseTo(coarse.savings.ten_year, 6);
+      expect(coarse.timeline.yearly.years).toHaveLength(31);
+      coarse.timeline.yearly.co2_with_improvements.forEach((value, year) => {
+        expect(fine.timeline.yearly.co2_with_improvements[year]).toBeCloseTo(value, 6);
+      });
+
+      // Numerical integration converges to the closed form as the step shrinks
+      const errors = [];
+      for (const points of [30, 300, 3000]) {
+        const ode = (await calculate({ points, years_to_calculate: 30, integration: 'ode' })).body.data.results;
+        expect(ode.timeline.integration).toEqual('ode');
+        errors.push(Math.abs(ode.neutrality.with_improvements - coarse.neutrality.with_improvements));
+      }
+      expect(errors[1]).toBeLessThan(errors[0]);
+      expect(errors[2]).toBeLessThan(errors[1]);
+      expect(errors[2]).toBeLessThan(0.01);
+    });
+
+    it('should downsample the timeline and serve the stored series', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, GWP_roof: 30, points: 400, years_to_calculate: 20, timeline_resolution: 'yearly' });
+
+      expect(res.statusCode).toEqual(200);
+      const { id, results } = res.body.data;
+      expect(results.timeline.resolution).toEqual('yearly');
+      expect(results.timeline.years).toHaveLength(21);
+      expect(results.timeline.co2_with_improvements).toEqual(results.timeline.yearly.co2_with_improvements);
+
+      // The saved results keep only the compact parts; the full series is stored separately
+      const saved = await request(app)
+        .get(`/history/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(saved.body.data.results.timeline.storage).toEqual('binary');
+      expect(saved.body.data.results.timeline.points).toEqual(400);
+      expect(saved.body.data.results.timeline.years).toBeUndefined();
+
+      const getTimeline = (query) => request(app)
+        .get(`/history/${id}/timeline`)
+        .query(query)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const full = await getTimeline({});
+      expect(full.statusCode).toEqual(200);
+      expect(full.body.data.years).toHaveLength(400);
+
+      const quarterly = await getTimeline({ from: 2, to: 5, resolution: 'quarterly' });
+      expect(quarterly.body.data.years).toEqual([2, 2.25, 2.5, 2.75, 3, 3.25, 3.5, 3.75, 4, 4.25, 4.5, 4.75, 5]);
+      expect(quarterly.body.data.co2_with_improvements[4]).toBeCloseTo(results.timeline.yearly.co2_with_improvements[3]);
+
+      const points = await getTimeline({ resolution: 5 });
+      expect(points.body.data.years).toEqual([0, 5, 10, 15, 20]);
+
+      const invalid = await getTimeline({ resolution: 'hourly' });
+      expect(invalid.statusCode).toEqual(400);
+      expect(invalid.body.errors[0].field).toEqual('resolution');
+    });
+
+    it('should phase installation and capex over the schedule', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (improvement_phases) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 100, improvement_years: { "Solar Power": 1 }, improvement_phases });
+
+      const atOnce = await calculate(undefined);
+      const phased = await calculate({ "Solar Power": [{ share: 0.4, start_year: 1 }, { share: 0.6, start_year: 3 }] });
+
+      expect(phased.statusCode).toEqual(200);
+      const { economics, configuration } = phased.body.data.results;
+      const solarCapex = 1000 * 0.25 * configuration.cost_factors['Solar Power'];
+      expect(configuration.improvement_phases['Solar Power']).toHaveLength(2);
+      expect(economics.cash_flows[1].capex).toBeCloseTo(solarCapex * 0.4);
+      expect(economics.cash_flows[3].capex).toBeCloseTo(solarCapex * 0.6);
+      expect(economics.cash_flows.reduce((sum, flow) => sum + flow.capex, 0)).toBeCloseTo(economics.estimated_cost);
+      // Only 40% of the solar saves CO2 until the second phase is installed
+      const solarSavings = configuration.annual_savings['Solar Power'];
+      expect(atOnce.body.data.results.economics.cash_flows[3].co2_avoided - economics.cash_flows[3].co2_avoided)
+        .toBeCloseTo(solarSavings * 0.6 * (1 - configuration.degradation_rates['Solar Power']));
+
+      const invalid = await calculate({ "Solar Power": [{ share: 0.4, start_year: 1 }] });
+      expect(invalid.statusCode).toEqual(400);
+      expect(invalid.body.errors[0].field).toEqual('improvement_phases.Solar Power');
+    });
+
+    it('should assess embodied carbon and the carbon payback year', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (body) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 100, years_to_calculate: 30, ...body });
+
+      const nearby = await calculate({ lca: { transport_km: 50 } });
+      const distant = await calculate({ lca: { transport_km: 1000 }, full_savings: { "Green Areas": 200000 } });
+
+      expect(nearby.statusCode).toEqual(200);
+      const { lifecycle } = nearby.body.data.results;
+      const { A1_A3, A4_A5, B, C } = lifecycle.stages;
+      expect(lifecycle.standard).toEqual('EN 15978');
+      expect(A1_A3 + A4_A5 + B + C).toBeCloseTo(lifecycle.total);
+      expect(lifecycle.improvements['Solar Power'].stages.B).toBeGreaterThan(0); // Inverters are replaced
+      expect(lifecycle.balance.embodied_carbon).toBeCloseTo(lifecycle.total);
+
+      const distantLifecycle = distant.body.data.results.lifecycle;
+      expect(distantLifecycle.stages.A4_A5).toBeGreaterThan(A4_A5);
+      expect(distantLifecycle.stages.A1_A3).toBeCloseTo(A1_A3);
+      // The payback year is the first in which cumulative savings cover the materials
+      const payback = distantLifecycle.balance.carbon_payback_year;
+      expect(payback).not.toBeNull();
+      expect(distantLifecycle.balance.cumulative_net[payback]).toBeGreaterThanOrEqual(0);
+      expect(distantLifecycle.balance.cumulative_net[payback - 1]).toBeLessThan(0);
+
+      const unknown = await calculate({ lca: { assemblies: { "Green Areas": [{ material: 'unobtainium', quantity_per_m2: 1 }] } } });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('lca.assemblies.Green Areas');
+    });
+  });
+
+  // Test grid emission factor tables
+  describe('Grid Emission Factors', () => {
+    it('should reduce avoided emissions as the grid decarbonises', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const tableRes = await request(app)
+        .post('/admin/grid-factors')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: `Test grid ${Date.now()}`,
+          factors: { DK: { 2025: 0.2, 2035: 0.1 } },
+          projected_from: 2026
+        });
+
+      expect(tableRes.statusCode).toEqual(201);
+      const tableId = tableRes.body.data.table.id;
+
+      const calculate = (extra) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        // A high roof GWP keeps the roof short of neutrality, so that ten-year savings reflect the grid
+        .send({ roof_area: 1000, GWP_roof: 100, points: 100, installation_year: 2025, ...extra });
+
+      const constant = await calculate({ grid_emission_factor: 0.2 });
+      const declining = await calculate({ country: 'dk', grid_factor_table_id: tableId });
+
+      expect(declining.statusCode).toEqual(200);
+      const grid = declining.body.data.results.configuration.grid;
+      expect(grid.country).toEqual('DK');
+      expect(grid.table.version).toEqual(1);
+      expect(grid.emission_factor).toBeCloseTo(0.2);
+      expect(grid.yearly_factors[5]).toEqual({ year: 2030, factor: expect.closeTo(0.15), projected: true });
+
+      const avoided = (res, year) => res.body.data.results.economics.cash_flows[year].co2_avoided;
+      expect(avoided(declining, 2)).toBeLessThan(avoided(constant, 2));
+      expect(declining.body.data.results.savings.ten_year).toBeLessThan(constant.body.data.results.savings.ten_year);
+
+      const unknown = await calculate({ country: 'SE', grid_factor_table_id: tableId });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('country');
+    });
+  });
+
+  // Test engine versioning and recalculation
+  describe('Engine Versions', () => {
+    it('should stamp results and recalculate them with a diff', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const calculate = (body) => request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      const res = await calculate({ roof_area: 1000, GWP_roof: 30, points: 200, years_to_calculate: 20 });
+      expect(res.statusCode).toEqual(200);
+      const { id, results } = res.body.data;
+      expect(results.engine.input_hash).toMatch(/^[0-9a-f]{64}$/);
+
+      // Presentation options do not change the inputs
+      const resampled = await calculate({ roof_area: 1000, GWP_roof: 30, points: 200, years_to_calculate: 20, timeline_resolution: 'none' });
+      expect(resampled.body.data.results.engine).toEqual(results.engine);
+
+      const engines = await request(app)
+        .get('/engines')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(engines.statusCode).toEqual(200);
+      expect(engines.body.data.current).toEqual(results.engine.version);
+
+      const recalculate = (body) => request(app)
+        .post(`/history/${id}/recalculate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      const same = await recalculate({ engine_version: results.engine.version });
+      expect(same.statusCode).toEqual(200);
+      expect(same.body.data.engine.before).toEqual(results.engine);
+      expect(same.body.data.inputs_changed).toBe(false);
+      expect(same.body.data.identical).toBe(true);
+      expect(same.body.data.diff).toEqual([]);
+
+      const unknown = await recalculate({ engine_version: '0.0.1' });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('engine_version');
+
+      const missing = await request(app)
+        .post('/history/00000000-0000-0000-0000-000000000000/recalculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+      expect(missing.statusCode).toEqual(404);
+    });
+
+    it('should reproduce the known results of every registered engine version', () => {
+      const { listEngines, getEngine } = require('../utils/engines');
+
+      const params = {
+        roof_area: 1000,
+        GWP_roof: 30,
+        installation_year: 2026,
+        years_to_calculate: 30,
+        points: 200,
+        water: { annual_rainfall_mm: 613 },
+        solar: { latitude: 55.68, longitude: 12.57 }
+      };
+
+      // Results of each released version for the parameters above; they must
+      // never change once the version is released
+      const known = {
+        '1.3.0': {
+          standard: {
+            'neutrality.with_improvements': 3.8887763193030214,
+            'savings.ten_year': 22224.546620451536,
+            'economics.npv': -42318.52019579128,
+            'configuration.water.runoff_m3': 394.15500000000054,
+            'configuration.solar.annual_kwh': 37064.56346943838,
+            'economics.irr': 0.030025823038158705
+          },
+          enhanced: {
+            'environmental_impact.years_to_neutrality': 22.255589120281073,
+            'environmental_impact.water_reduction_percentage': 3.7793537338991814,
+            'sustainability.sustainability_score': 16.182183547843138
+          }
+        },
+        '1.2.0': {
+          standard: {
+            'neutrality.with_improvements': 3.88904232287527,
+            'savings.ten_year': 22224.546620451536,
+            'economics.npv': -42319.441368077896,
+            'configuration.water.runoff_m3': 407.3000000000003,
+            'configuration.solar.annual_kwh': 37064.56346943838,
+            'economics.irr': 0.030025822958850763
+          },
+          enhanced: {
+            'environmental_impact.years_to_neutrality': 22.255589120281073,
+            'environmental_impact.water_reduction_percentage': 3.758356746391498,
+            'sustainability.sustainability_score': 16.18199178067647
+          }
+        }
+      };
+
+      expect(listEngines().map(engine => engine.version).sort()).toEqual(Object.keys(known).sort());
+
+      const valueAt = (results, path) => path.split('.').reduce((value, key) => value[key], results);
+      for (const [version, types] of Object.entries(known)) {
+        const engine = getEngine(version);
+        for (const [type, values] of Object.entries(types)) {
+          const results = engine[type](params);
+          expect(results.engine.version).toEqual(version);
+          for (const [path, value] of Object.entries(values)) {
+            expect({ version, type, path, value: valueAt(results, path) })
+              .toEqual({ version, type, path, value: expect.closeTo(value, 6) });
+          }
+        }
+      }
+    });
+  });
+
+  // Test improvement type registry
+  describe('Improvement Types', () => {
+    it('should reject roof divisions with unknown improvement types', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: 2000,
+          roof_division: {
+            "Plants": 50,
+            "Solar Power": 50
+          }
+        });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatch(/Plants/);
+    });
+    
+    it('should calculate with an admin-registered improvement type', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const name = `Blue Roof ${Date.now()}`;
+      const createRes = await request(app)
+        .post('/admin/improvement-types')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name,
+          savings_per_m2: 0.6,
+          cost_per_m2: 95,
+          start_year: 1,
+          sdgs: ['Clean Water and Sanitation', 'Climate Action']
+        });
+      
+      expect(createRes.statusCode).toEqual(201);
+
+      // Names are unique and fields are validated against the schema
+      const duplicate = await request(app)
+        .post('/admin/improvement-types')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name, savings_per_m2: 0.6, cost_per_m2: 95 });
+      expect(duplicate.statusCode).toEqual(409);
+
+      const invalidUpdate = await request(app)
+        .put(`/admin/improvement-types/${createRes.body.data.improvement_type.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ degradation: 1 });
+      expect(invalidUpdate.statusCode).toEqual(400);
+      expect(invalidUpdate.body.errors[0].field).toEqual('degradation');
+      
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: 1000,
+          roof_division: {
+            [name]: 50,
+            "Solar Power": 50
+          }
+        });
+      
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.results.configuration.annual_savings[name]).toBeCloseTo(300);
+      expect(res.body.data.results.economics.estimated_cost).toBeCloseTo(500 * 95 + 500 * 350);
+      expect(res.body.data.results.neutrality.with_improvements).not.toBeNaN();
+    });
+  });
+  
+  // Test cost catalogs
+  describe('Cost Catalogs', () => {
+    it('should price calculations with the requested catalog version', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const createRes = await request(app)
+        .post('/admin/cost-catalogs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: `Test Catalog ${Date.now()}`,
+          country: 'DK',
+          cost_factors: {
+            "Green Areas": 100,
+            "Solar Power": 100,
+            "Water Management": 100,
+            "Social Impact": 100
+          }
+        });
+      
+      expect(createRes.statusCode).toEqual(201);
+      const catalogId = createRes.body.data.catalog.id;
+
+      // Names are unique and cost factors are validated against the schema
+      const duplicate = await request(app)
+        .post('/admin/cost-catalogs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: createRes.body.data.catalog.name, cost_factors: { "Green Areas": 100 } });
+      expect(duplicate.statusCode).toEqual(409);
+
+      const negative = await request(app)
+        .post(`/admin/cost-catalogs/${catalogId}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ cost_factors: { "Green Areas": -1 } });
+      expect(negative.statusCode).toEqual(400);
+      expect(negative.body.errors[0].field).toEqual('cost_factors.Green Areas');
+      
+      const versionRes = await request(app)
+        .post(`/admin/cost-catalogs/${catalogId}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          cost_factors: {
+            "Green Areas": 200,
+            "Solar Power": 200,
+            "Water Management": 200,
+            "Social Impact": 200
+          }
+        });
+      
+      expect(versionRes.statusCode).toEqual(201);
+      expect(versionRes.body.data.version.version).toEqual(2);
+      
+      const params = {
+        roof_area: 1000,
+        GWP_roof: 3.0,
+        roof_division: {
+          "Green Areas": 25,
+          "Solar Power": 25,
+          "Water Management": 25,
+          "Social Impact": 25
+        },
+        cost_catalog_id: catalogId
+      };
+      
+      const latestRes = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(params);
+      
+      expect(latestRes.statusCode).toEqual(200);
+      expect(latestRes.body.data.results.economics.estimated_cost).toBeCloseTo(200000);
+      expect(latestRes.body.data.results.economics.cost_catalog.version).toEqual(2);
+      
+      const pinnedRes = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...params, cost_catalog_version: 1 });
+      
+      expect(pinnedRes.statusCode).toEqual(200);
+      expect(pinnedRes.body.data.results.economics.estimated_cost).toBeCloseTo(100000);
+
+      // A later catalog version does not change a recalculation
+      await request(app)
+        .post(`/admin/cost-catalogs/${catalogId}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ cost_factors: { "Green Areas": 300, "Solar Power": 300, "Water Management": 300, "Social Impact": 300 } });
+
+      const recalculated = await request(app)
+        .post(`/history/${latestRes.body.data.id}/recalculate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+      expect(recalculated.statusCode).toEqual(200);
+      expect(recalculated.body.data.inputs_changed).toBe(false);
+      expect(recalculated.body.data.identical).toBe(true);
+    });
+    
+    it('should reject an unknown cost catalog', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          roof_area: 1000,
+          cost_catalog_id: 'does-not-exist'
+        });
+      
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.meta.success).toBe(false);
+    });
+  });
+  
+  // Test currency conversion
+  describe('Currencies', () => {
+    it('should convert economic results with the effective exchange rate', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+      
+      const rateRes = await request(app)
+        .post('/admin/exchange-rates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currency: 'XTS', rate: 10, effective_date: '2020-01-01' });
+      
+      expect(rateRes.statusCode).toEqual(201);
+
+      // One rate per currency and date, validated against the schema
+      const duplicateRate = await request(app)
+        .post('/admin/exchange-rates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currency: 'xts', rate: 11, effective_date: '2020-01-01' });
+      expect(duplicateRate.statusCode).toEqual(409);
+
+      const invalidDate = await request(app)
+        .post('/admin/exchange-rates')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ currency: 'XTS', rate: 11, effective_date: '2020-02-30' });
+      expect(invalidDate.statusCode).toEqual(400);
+      expect(invalidDate.body.errors[0].field).toEqual('effective_date');
+      
+      const params = {
+        roof_area: 1000,
+        GWP_roof: 3.0,
+        roof_division: {
+          "Green Areas": 25,
+          "Solar Power": 25,
+          "Water Management": 25,
+          "Social Impact": 25
+        }
+      };
+      
+      const baseRes = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(params);
+      const convertedRes = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...params, currency: 'XTS' });
+      
+      expect(convertedRes.statusCode).toEqual(200);
+      expect(baseRes.body.data.results.economics.currency).toEqual('EUR');
+      expect(convertedRes.body.data.results.economics.currency).toEqual('XTS');
+      expect(convertedRes.body.data.results.economics.estimated_cost)
+        .toBeCloseTo(baseRes.body.data.results.economics.estimated_cost * 10);
+      expect(convertedRes.body.data.results.economics.simple_payback_years)
+        .toBeCloseTo(baseRes.body.data.results.economics.simple_payback_years);
+      
+      const earlyRes = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...params, currency: 'XTS', rate_date: '2019-12-31' });
+      
+      expect(earlyRes.statusCode).toEqual(400);
+    });
+  });
+  
+  // Test social impact endpoints
+  // Test per-item failures in batch calculations
+  describe('POST /batch', () => {
+    const buildings = [
+      { building_id: 'partial-building-1', roof_area: 1500 },
+      { roof_area: 2000 },
+      { building_id: 'partial-building-3', roof_area: 2500 }
+    ];
+
+    it('should report failed buildings without aborting the batch', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/batch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ buildings, common_parameters: { points: 100 } });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.item_summary).toMatchObject({ total: 3, succeeded: 2, failed: 1, saved: 2 });
+      expect(res.body.data.calculation_ids).toHaveLength(2);
+      expect(res.body.data.results[1].success).toBe(false);
+      expect(res.body.data.results[1].errors[0].field).toEqual('building_id');
+    });
+
+    it('should save nothing when all_or_nothing is set and a building fails', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const before = await request(app)
+        .get('/history')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const res = await request(app)
+        .post('/batch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ buildings, common_parameters: { points: 100 }, all_or_nothing: true });
+
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.data.item_summary).toMatchObject({ failed: 1, saved: 0 });
+      expect(res.body.data.calculation_ids).toHaveLength(0);
+
+      const after = await request(app)
+        .get('/history')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(after.body.data.count).toEqual(before.body.data.count);
+    });
+
+    it('should save every building in one transaction with all_or_nothing', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/batch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          buildings: [buildings[0], buildings[2]],
+          common_parameters: { points: 100 },
+          all_or_nothing: true
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.item_summary).toMatchObject({ succeeded: 2, failed: 0, saved: 2 });
+    });
+  });
+
+  describe('POST /compare', () => {
+    it('should compare the scenarios that succeed and report the ones that fail', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/compare')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          scenarios: [
+            { name: 'Solar', parameters: { roof_division: { "Solar Power": 100 }, points: 100 } },
+            { name: 'Green', parameters: { roof_division: { "Green Areas": 100 }, points: 100 } },
+            { name: 'Broken', parameters: { roof_division: { "Green Areas": 30 }, points: 100 } }
+          ]
+        });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.data.item_summary).toMatchObject({ total: 3, failed: 1, saved: 2 });
+      expect(res.body.data.scenarios).toHaveLength(2);
+      expect(res.body.data.errors[0].scenario_name).toEqual('Broken');
+    });
+  });
+
+  // Test roof division optimizer
+  describe('POST /optimize', () => {
+    it('should return the best allocation within the constraints and a Pareto front', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
       const res = await request(app)
-        .post('/calculate')
+        .post('/optimize')
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
-          roof_area: -100, // Invalid negative value
+          roof_area: 2000,
           GWP_roof: 3.0,
-          roof_division: {
-            "Plants": 25,
-            "Solar Panels": 25,
-            "Water Management": 25,
-            "Energy Savings": 25
+          points: 200,
+          goal: 'ten_year_savings',
+          step: 25,
+          constraints: {
+            max_budget: 400000,
+            min_green_share: 25,
+            usable_solar_area: 500
           }
         });
-      
-      expect(res.statusCode).toEqual(400);
-      expect(res.body.meta.success).toBe(false);
+
+      expect(res.statusCode).toEqual(200);
+      const { best, pareto_front } = res.body.data;
+      expect(best.estimated_cost).toBeLessThanOrEqual(400000);
+      expect(best.roof_division['Green Areas']).toBeGreaterThanOrEqual(25);
+      expect(best.roof_division['Solar Power'] || 0).toBeLessThanOrEqual(25);
+      for (const candidate of pareto_front) {
+        expect(candidate.ten_year_savings).toBeLessThanOrEqual(best.ten_year_savings);
+      }
+
+      // The npv goal optimises the financial return, not CO2 per euro
+      const npvRes = await request(app)
+        .post('/optimize')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 2000, points: 200, goal: 'npv', step: 25 });
+
+      expect(npvRes.statusCode).toEqual(200);
+      for (const candidate of npvRes.body.data.pareto_front) {
+        expect(candidate.npv).toBeLessThanOrEqual(npvRes.body.data.best.npv);
+      }
+
+      // The deprecated roi goal still optimises CO2 per euro
+      const optimize = (goal) => request(app)
+        .post('/optimize')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 2000, points: 200, goal, step: 25 });
+      const [roiRes, co2PerEuroRes] = await Promise.all([optimize('roi'), optimize('co2_per_euro')]);
+      expect(roiRes.statusCode).toEqual(200);
+      expect(roiRes.body.data.best).toEqual(co2PerEuroRes.body.data.best);
+
+      // Allocations × points is bounded so that the search stays short
+      const tooLarge = await request(app)
+        .post('/optimize')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 2000, points: 5000, step: 5 });
+
+      expect(tooLarge.statusCode).toEqual(400);
+      expect(tooLarge.body.errors[0].field).toEqual('step');
     });
   });
-  
-  // Test social impact endpoints
+
+  // Test uncertainty analysis
+  describe('POST /uncertainty', () => {
+    it('should return reproducible percentile bands and a tornado table', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const body = {
+        points: 100,
+        iterations: 50,
+        seed: 7,
+        distributions: {
+          GWP_roof: { distribution: 'normal', mean: 3.33, sd: 0.3, min: 0 },
+          decline_rate: { distribution: 'triangular', min: 0.03, mode: 0.04, max: 0.06 },
+          'full_savings.Solar Power': { distribution: 'uniform', min: 1000, max: 2000 }
+        }
+      };
+
+      const res = await request(app)
+        .post('/uncertainty')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(res.statusCode).toEqual(200);
+      const { monte_carlo, sensitivity } = res.body.data;
+      expect(monte_carlo.neutrality.p10).toBeLessThanOrEqual(monte_carlo.neutrality.p50);
+      expect(monte_carlo.timeline.p50).toHaveLength(monte_carlo.timeline.years.length);
+      expect(sensitivity.rows).toHaveLength(3);
+      expect(sensitivity.rows[0].swing).toBeGreaterThanOrEqual(sensitivity.rows[2].swing);
+
+      const again = await request(app)
+        .post('/uncertainty')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      expect(again.body.data.monte_carlo).toEqual(monte_carlo);
+
+      // Samples × timeline points are bounded
+      const tooMany = await request(app)
+        .post('/uncertainty')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...body, points: 1000, iterations: 1000 });
+      expect(tooMany.statusCode).toEqual(400);
+      expect(tooMany.body.errors[0].field).toEqual('iterations');
+
+      const tooLong = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 1000000 });
+      expect(tooLong.statusCode).toEqual(400);
+    });
+  });
+
+  // Test the stormwater model
+  describe('POST /water/analyze', () => {
+    it('should model retention, harvesting and water savings', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const roof_division = { "Green Areas": 25, "Solar Power": 25, "Water Management": 25, "Social Impact": 25 };
+      const analyze = (water) => request(app)
+        .post('/water/analyze')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, water });
+
+      const thin = await analyze({ annual_rainfall_mm: 600, substrate_depth_mm: 50, tank_volume_m3: 0 });
+      const deep = await analyze({ annual_rainfall_mm: 600, substrate_depth_mm: 200, tank_volume_m3: 10 });
+
+      expect(thin.statusCode).toEqual(200);
+      expect(thin.body.data.rainfall_m3).toBeCloseTo(600);
+      expect(thin.body.data.harvested_m3).toEqual(0);
+      expect(deep.body.data.retention_ratio).toBeGreaterThan(thin.body.data.retention_ratio);
+      expect(deep.body.data.peak_runoff_reduction).toBeGreaterThan(thin.body.data.peak_runoff_reduction);
+      expect(deep.body.data.harvested_m3).toBeGreaterThan(0);
+      expect(deep.body.data.co2_savings.total).toBeGreaterThan(thin.body.data.co2_savings.total);
+
+      // Without substrate the roof drains like a conventional roof, never worse
+      const bare = await analyze({ annual_rainfall_mm: 600, substrate_depth_mm: 0, tank_volume_m3: 0 });
+      expect(bare.statusCode).toEqual(200);
+      expect(bare.body.data.runoff_m3).toBeCloseTo(bare.body.data.baseline_runoff_m3);
+      expect(bare.body.data.sewer_discharge_reduction_m3).toBeCloseTo(0);
+      expect(bare.body.data.co2_savings.wastewater).toBeCloseTo(0);
+      expect(thin.body.data.runoff_m3).toBeLessThan(bare.body.data.runoff_m3);
+
+      // A daily series with one storm a week
+      const daily_rainfall_mm = Array.from({ length: 365 }, (_, day) => (day % 7 === 0 ? 12 : 0));
+      const series = await analyze({ daily_rainfall_mm });
+      expect(series.body.data.rainfall_source).toEqual('daily_series');
+      expect(series.body.data.annual_rainfall_mm).toBeCloseTo(53 * 12);
+
+      const tooShort = await analyze({ daily_rainfall_mm: [1, 2, 3] });
+      expect(tooShort.statusCode).toEqual(400);
+    });
+
+    it('should replace the Water Management savings in a calculation', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, points: 100, water: { annual_rainfall_mm: 600 } });
+
+      expect(res.statusCode).toEqual(200);
+      const { water, annual_savings } = res.body.data.results.configuration;
+      expect(water.retention_area).toEqual(500);
+      expect(annual_savings['Water Management']).toBeCloseTo(water.co2_savings.total);
+      expect(water.water_cost_savings).toBeCloseTo(water.drinking_water_savings_m3 * 2.5);
+    });
+  });
+
+  // Test portfolio aggregation
+  describe('Portfolio', () => {
+    it('should save a portfolio and aggregate its buildings', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const createRes = await request(app)
+        .post('/portfolio')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: 'Test portfolio',
+          common_parameters: { GWP_roof: 3.0, points: 200 },
+          buildings: [
+            { building_id: 'portfolio-solar', roof_area: 1000, roof_division: { "Solar Power": 100 } },
+            { building_id: 'portfolio-green', roof_area: 2000, roof_division: { "Green Areas": 100 } }
+          ]
+        });
+
+      expect(createRes.statusCode).toEqual(201);
+
+      const res = await request(app)
+        .post('/portfolio/analyze')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ portfolio_id: createRes.body.data.id });
+
+      expect(res.statusCode).toEqual(200);
+      const { totals, timeline, ranking, buildings } = res.body.data;
+      expect(totals.building_count).toEqual(2);
+      expect(totals.initial_co2).toBeCloseTo(9000);
+      expect(totals.estimated_cost).toBeCloseTo(buildings[0].estimated_cost + buildings[1].estimated_cost);
+      expect(timeline.co2_with_improvements[0]).toBeCloseTo(9000);
+      expect(ranking[0].reduction_per_euro).toBeGreaterThanOrEqual(ranking[1].reduction_per_euro);
+      expect(ranking[1].cumulative_cost).toBeCloseTo(totals.estimated_cost);
+
+      // The payback comes from the combined discounted cash flows
+      const { cash_flows } = res.body.data;
+      expect(totals.discount_rate).toEqual(0.05);
+      expect(totals.npv).toBeCloseTo(buildings[0].npv + buildings[1].npv);
+      expect(cash_flows[cash_flows.length - 1].cumulative_discounted).toBeCloseTo(totals.npv);
+      if (totals.discounted_payback_years !== null) {
+        const year = Math.floor(totals.discounted_payback_years);
+        expect(cash_flows[year].cumulative_discounted).toBeLessThan(0);
+        expect(cash_flows[year + 1].cumulative_discounted).toBeGreaterThanOrEqual(0);
+      }
+
+      // NPVs at different discount rates are not added up
+      const analyze = (body) => request(app)
+        .post('/portfolio/analyze')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          buildings: [
+            { building_id: 'portfolio-low-rate', roof_area: 1000, points: 200, discount_rate: 0.03 },
+            { building_id: 'portfolio-high-rate', roof_area: 1000, points: 200, discount_rate: 0.08 }
+          ],
+          ...body
+        });
+
+      const mixed = await analyze({});
+      expect(mixed.statusCode).toEqual(400);
+
+      const shared = await analyze({ discount_rate: 0.04 });
+      expect(shared.statusCode).toEqual(200);
+      expect(shared.body.data.totals.discount_rate).toEqual(0.04);
+    });
+  });
+
+  // Test asynchronous batch jobs
+  describe('Batch Jobs', () => {
+    it('should queue a batch and report progress, errors and results', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const submit = await request(app)
+        .post('/batch')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          async: true,
+          common_parameters: { GWP_roof: 3.0, points: 100 },
+          buildings: [
+            { building_id: 'job-building-1', roof_area: 1500 },
+            { building_id: 'job-building-2', roof_area: 2500, roof_division: { "Green Areas": 50, "Solar Power": 60 } }
+          ]
+        });
+
+      expect(submit.statusCode).toEqual(202);
+      const jobId = submit.body.data.job_id;
+      expect(submit.body.data.progress.total).toEqual(2);
+
+      let status;
+      for (let attempt = 0; attempt < 50; attempt++) {
+        status = await request(app)
+          .get(`/jobs/${jobId}`)
+          .set('Authorization', `Bearer ${adminToken}`);
+        if (status.body.data.status === 'completed') {
+          break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      expect(status.body.data.status).toEqual('completed');
+      expect(status.body.data.progress).toMatchObject({ processed: 2, succeeded: 1, failed: 1 });
+      expect(status.body.data.errors[0].building_id).toEqual('job-building-2');
+
+      const results = await request(app)
+        .get(`/jobs/${jobId}/results`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(results.statusCode).toEqual(200);
+      expect(results.body.data.results).toHaveLength(1);
+      expect(results.body.data.results[0].building_id).toEqual('job-building-1');
+    });
+  });
+
   describe('Social Impact Endpoints', () => {
     it('should calculate enhanced metrics', async () => {
       if (!adminToken) {
@@ -140,10 +1238,10 @@ describe('API Endpoints', () => {
           roof_area: 2776,
           GWP_roof: 3.33,
           roof_division: {
-            "Plants": 25,
-            "Solar Panels": 25,
+            "Green Areas": 25,
+            "Solar Power": 25,
             "Water Management": 25,
-            "Social": 25
+            "Social Impact": 25
           },
           plant_absorption: 1347.976,
           energy_emission: 64095.68,
@@ -161,6 +1259,333 @@ describe('API Endpoints', () => {
       expect(res.body.data.results.environmental_impact).toBeDefined();
       expect(res.body.data.results.sustainability).toBeDefined();
     });
+
+    it('should weight social impact with a weighting profile and custom metrics', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const metricName = `community_events_${Date.now()}`;
+      const metric = await request(app)
+        .post('/social/metrics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: metricName, unit: 'events/month', scale: { min: 1, max: 5 } });
+      expect(metric.statusCode).toEqual(201);
+
+      const clash = await request(app)
+        .post('/social/metrics')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'trust', unit: '%', scale: { min: 0, max: 100 } });
+      expect(clash.statusCode).toEqual(400);
+      expect(clash.body.errors[0].field).toEqual('name');
+
+      const profile = await request(app)
+        .post('/social/weighting-profiles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Equity first', weights: { social_equity: 1, [metricName]: 1 } });
+      expect(profile.statusCode).toEqual(201);
+
+      const unweighted = await request(app)
+        .post('/social/weighting-profiles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Typo', weights: { social_equality: 1 } });
+      expect(unweighted.statusCode).toEqual(400);
+      expect(unweighted.body.errors[0].field).toEqual('weights.social_equality');
+
+      const calculate = (body) => request(app)
+        .post('/social/enhanced-calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, ...body });
+
+      const social_metrics = { social_equity: 40, happiness: 10, [metricName]: 4 };
+      const defaults = await calculate({ social_metrics: { social_equity: 40, happiness: 10 } });
+      expect(defaults.statusCode).toEqual(200);
+      expect(defaults.body.data.results.social_impact.social_impact_score).toBeCloseTo(25);
+      expect(defaults.body.data.results.social_impact.weighting.profile).toBeNull();
+
+      const weighted = await calculate({ social_metrics, social_weighting_profile_id: profile.body.data.id });
+      expect(weighted.statusCode).toEqual(200);
+      const { social_impact, engine } = weighted.body.data.results;
+      expect(engine.version).toEqual('1.3.0');
+      expect(social_impact.weighting.profile).toEqual({ id: profile.body.data.id, name: 'Equity first' });
+      expect(social_impact.weighting.metrics[metricName].normalized).toBeCloseTo(75);
+      expect(social_impact.weighting.metrics.happiness.weight_source).toEqual('default');
+      // (40 * 1 + 10 * 0.15 + 75 * 1) / 2.15
+      expect(social_impact.social_impact_score).toBeCloseTo(116.5 / 2.15);
+
+      const unknown = await calculate({ social_metrics: { social_equity: 40, social_equality: 10 } });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('social_metrics.social_equality');
+
+      const outOfScale = await calculate({ social_metrics: { [metricName]: 7 } });
+      expect(outOfScale.statusCode).toEqual(400);
+      expect(outOfScale.body.errors[0].field).toEqual(`social_metrics.${metricName}`);
+
+      // Recalculation runs on the weights the calculation was scored with
+      const same = await request(app)
+        .post(`/history/${weighted.body.data.id}/recalculate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+      expect(same.statusCode).toEqual(200);
+      expect(same.body.data.inputs_changed).toBe(false);
+      expect(same.body.data.identical).toBe(true);
+
+      const deleted = await request(app)
+        .delete(`/social/weighting-profiles/${profile.body.data.id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(deleted.statusCode).toEqual(200);
+
+      const missing = await calculate({ social_metrics, social_weighting_profile_id: profile.body.data.id });
+      expect(missing.statusCode).toEqual(400);
+      expect(missing.body.errors[0].field).toEqual('social_weighting_profile_id');
+
+      const afterDelete = await request(app)
+        .post(`/history/${weighted.body.data.id}/recalculate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+      expect(afterDelete.statusCode).toEqual(200);
+      expect(afterDelete.body.data.identical).toBe(true);
+    });
+
+    it('should score biodiversity from habitat inputs', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const roof_division = { "Green Areas": 50, "Solar Power": 30, "Water Management": 20 };
+      const score = (biodiversity) => request(app)
+        .post('/social/biodiversity')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, biodiversity });
+
+      const sedum = await score({ vegetation_layers: ['moss_sedum'], connectivity: 'isolated' });
+      const rich = await score({
+        vegetation_layers: ['grasses_herbs', 'perennials', 'shrubs'],
+        native_species_share: 0.9,
+        habitat_features: ['insect_hotel', 'deadwood'],
+        connectivity: 'corridor',
+        biosolar: true
+      });
+
+      expect(sedum.statusCode).toEqual(200);
+      // 0.5 × 0.3 + 0.3 × 0 + 0.2 × 0.2
+      expect(sedum.body.data.biotope_area_factor).toBeCloseTo(0.19);
+      expect(sedum.body.data.meets_target).toBe(false);
+      expect(sedum.body.data.ecologically_effective_area).toBeCloseTo(190);
+      // 0.5 × (0.7 + 2 × 0.1) + 0.3 × 0.3 + 0.2 × 0.2
+      expect(rich.body.data.biotope_area_factor).toBeCloseTo(0.58);
+      expect(rich.body.data.biodiversity_score).toBeGreaterThan(sedum.body.data.biodiversity_score);
+
+      const unknown = await score({ habitat_features: ['helipad'] });
+      expect(unknown.statusCode).toEqual(400);
+
+      const enhanced = await request(app)
+        .post('/social/enhanced-calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, biodiversity: { vegetation_layers: ['moss_sedum'], connectivity: 'isolated' } });
+      expect(enhanced.body.data.results.biodiversity.biodiversity_score).toBeCloseTo(sedum.body.data.biodiversity_score);
+
+      const sdg = await request(app)
+        .post('/social/sdg-report')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_division, sdg_focus: ['Life on Land', 'Climate Action'] });
+      const lifeOnLand = sdg.body.data.report.sdg_alignment.sdgs_addressed.find(goal => goal.name === 'Life on Land');
+      expect(lifeOnLand.evidence.biotope_area_factor).toBeCloseTo(0.19);
+    });
+
+    it('should credit green roof cooling and heat resilience', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const roof_division = { "Green Areas": 50, "Solar Power": 50 };
+      const enhanced = (thermal) => request(app)
+        .post('/social/enhanced-calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, climate_zone: 'continental', thermal });
+
+      const plain = await enhanced(undefined);
+      const green = await enhanced({ vegetation_type: 'grass', substrate_depth_mm: 150 });
+
+      expect(green.statusCode).toEqual(200);
+      const thermal = green.body.data.results.configuration.thermal;
+      expect(thermal.green_area).toEqual(500);
+      expect(thermal.u_value.green).toBeLessThan(thermal.u_value.conventional);
+      expect(thermal.surface_temperature.reduction).toBeGreaterThan(0);
+      expect(thermal.cooling_co2_savings).toBeCloseTo(thermal.cooling_energy_savings_kwh * 0.25);
+      expect(green.body.data.results.environmental_impact.total_annual_co2_reduction)
+        .toBeCloseTo(plain.body.data.results.environmental_impact.total_annual_co2_reduction + thermal.cooling_co2_savings);
+      expect(green.body.data.results.economics.annual_economic_benefit)
+        .toBeGreaterThan(plain.body.data.results.economics.annual_economic_benefit);
+      expect(green.body.data.results.health_impact.metrics.mortality_reduction).toBeCloseTo(thermal.heat_mortality_reduction);
+
+      const health = (thermal) => request(app)
+        .post('/social/health-impact')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, thermal });
+
+      // Without a building, employees are still checked against the occupants
+      const overstaffed = await request(app)
+        .post('/social/health-impact')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, employees: 120, building_occupants: 100 });
+      expect(overstaffed.statusCode).toEqual(400);
+      expect(overstaffed.body.errors[0].field).toEqual('employees');
+
+      // ...but only when the client gives the occupants
+      const staffed = await request(app)
+        .post('/social/health-impact')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division, employees: 150 });
+      expect(staffed.statusCode).toEqual(200);
+      expect(staffed.body.data.report.building_occupancy).toMatchObject({ employees: 150, building_occupants: null });
+
+      const sedum = await health({ vegetation_type: 'sedum', substrate_depth_mm: 40 });
+      const shrubs = await health({ vegetation_type: 'shrubs', substrate_depth_mm: 300 });
+
+      expect(shrubs.statusCode).toEqual(200);
+      expect(shrubs.body.data.report.heat_resilience.top_floor_temperature_reduction)
+        .toBeGreaterThan(sedum.body.data.report.heat_resilience.top_floor_temperature_reduction);
+      expect(shrubs.body.data.report.health_impacts.mortality_reduction)
+        .toBeGreaterThan(sedum.body.data.report.health_impacts.mortality_reduction);
+    });
+
+    it('should derive green roof exposure from the building description', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const health = (extra) => request(app)
+        .post('/social/health-impact')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division: { "Green Areas": 100 }, ...extra });
+      const podium = { floors: 6, occupants_per_floor: 20, roof_level: 2, window_orientation: 'toward_roof' };
+
+      // The four floors above a podium roof overlook it
+      const viewOnly = await health({ building: podium });
+      expect(viewOnly.statusCode).toEqual(200);
+      const { exposure } = viewOnly.body.data.report.building_occupancy;
+      expect(exposure.building_occupants).toEqual(120);
+      expect(exposure.occupants_with_view).toEqual(80);
+      expect(exposure.exposure_percentage).toBeCloseTo(200 / 3);
+      expect(viewOnly.body.data.report.building_occupancy.employees).toEqual(120);
+
+      // Employees allowed on the roof are all exposed; other occupants only through windows
+      const staffRoof = await health({ building: { ...podium, roof_access: 'employees' }, employees: 60 });
+      const staffExposure = staffRoof.body.data.report.building_occupancy.exposure;
+      expect(staffExposure.exposed_occupants).toBeCloseTo(100);
+      expect(staffExposure.employee_exposure_percentage).toBeCloseTo(100);
+
+      // Nobody sees a roof over the top floor, so without access there is no benefit
+      const topRoof = await health({ building: { floors: 6, occupants_per_floor: 20 } });
+      const openRoof = await health({ building: { floors: 6, occupants_per_floor: 20, roof_access: 'all_occupants' } });
+      expect(topRoof.body.data.report.economic_benefits.total_economic_benefit).toEqual(0);
+      expect(openRoof.body.data.report.economic_benefits.total_economic_benefit)
+        .toBeGreaterThan(viewOnly.body.data.report.economic_benefits.total_economic_benefit);
+
+      const both = await health({ building: podium, green_view_percentage: 60 });
+      expect(both.statusCode).toEqual(400);
+      expect(both.body.errors[0].field).toEqual('green_view_percentage');
+
+      const tooHigh = await health({ building: { ...podium, roof_level: 7 } });
+      expect(tooHigh.statusCode).toEqual(400);
+      expect(tooHigh.body.errors[0].field).toEqual('building.roof_level');
+    });
+
+    it('should take health coefficients from a versioned set with country values', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const coefficient = (value, unit = '%') => ({
+        value,
+        unit,
+        citation: { authors: 'Test, A.', title: 'Test study', year: 2024 }
+      });
+      const coefficients = {
+        stress_reduction: coefficient(20),
+        hypertension_reduction: coefficient(5),
+        productivity_increase: coefficient(22.6),
+        sick_days_reduction: coefficient(10),
+        avg_salary: coefficient(50000, 'per employee per year'),
+        avg_sick_day_cost: coefficient(200, 'per sick day'),
+        green_roof_cost_per_sqm: coefficient(120, 'per m²')
+      };
+
+      const setRes = await request(app)
+        .post('/admin/health-coefficients')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          name: `Test health coefficients ${Date.now()}`,
+          coefficients,
+          countries: { DK: { avg_salary: { value: 60000, citation: { publication: 'Test statistics', year: 2024 } } } }
+        });
+      expect(setRes.statusCode).toEqual(201);
+      const setId = setRes.body.data.set.id;
+
+      // A fully green roof seen by everyone gets the full coefficients
+      const health = (extra) => request(app)
+        .post('/social/health-impact')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division: { "Green Areas": 100 }, green_view_percentage: 100, ...extra });
+
+      const builtIn = await health({});
+      expect(builtIn.statusCode).toEqual(200);
+      expect(builtIn.body.data.report.coefficients.set.id).toEqual('default');
+      expect(builtIn.body.data.report.coefficients.set.version).toEqual(1);
+      expect(builtIn.body.data.report.health_impacts.stress_reduction_percentage).toBeCloseTo(39.4);
+      expect(builtIn.body.data.report.health_impacts.sick_days_reduction).toBeCloseTo(12.3);
+
+      // Values from published studies are a separate set until reviewed
+      const proposed = await health({ health_coefficient_set_id: 'published-studies' });
+      expect(proposed.statusCode).toEqual(200);
+      expect(proposed.body.data.report.health_impacts.stress_reduction_percentage).toBeCloseTo(12.4);
+      expect(proposed.body.data.report.coefficients.coefficients.stress_reduction.citation.doi).toEqual('10.1007/s12199-009-0086-9');
+      expect(proposed.body.data.report.health_impacts.sick_days_reduction).toBeCloseTo(12.3);
+
+      const danish = await health({ health_coefficient_set_id: setId, country: 'dk' });
+      expect(danish.statusCode).toEqual(200);
+      const { coefficients: used, health_impacts, economic_benefits } = danish.body.data.report;
+      expect(used.set.version).toEqual(1);
+      expect(used.country).toEqual('DK');
+      expect(used.coefficients.avg_salary.origin).toEqual('country:DK');
+      expect(used.coefficients.avg_sick_day_cost.origin).toEqual('set');
+      expect(used.sources).toHaveLength(2);
+      expect(health_impacts.stress_reduction_percentage).toBeCloseTo(20);
+      expect(economic_benefits.productivity_value_per_employee).toBeCloseTo(60000 * 0.226);
+
+      const overridden = await health({ health_coefficient_set_id: setId, country: 'DK', health_overrides: { avg_salary: 100000 } });
+      expect(overridden.body.data.report.coefficients.coefficients.avg_salary.origin).toEqual('request');
+      expect(overridden.body.data.report.economic_benefits.productivity_value_per_employee).toBeCloseTo(22600);
+
+      // Earlier versions stay available after a new one is published
+      const versionRes = await request(app)
+        .post(`/admin/health-coefficients/${setId}/versions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ coefficients: { ...coefficients, stress_reduction: coefficient(10) } });
+      expect(versionRes.statusCode).toEqual(201);
+
+      const latest = await health({ health_coefficient_set_id: setId });
+      const first = await health({ health_coefficient_set_id: setId, health_coefficient_set_version: 1 });
+      expect(latest.body.data.report.coefficients.set.version).toEqual(2);
+      expect(latest.body.data.report.health_impacts.stress_reduction_percentage).toBeCloseTo(10);
+      expect(first.body.data.report.health_impacts.stress_reduction_percentage).toBeCloseTo(20);
+
+      const incomplete = await request(app)
+        .post('/admin/health-coefficients')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Incomplete', coefficients: { stress_reduction: coefficient(20) } });
+      expect(incomplete.statusCode).toEqual(400);
+
+      const unknown = await health({ health_coefficient_set_id: 'missing' });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('health_coefficient_set_id');
+    });
     
     it('should generate SDG report', async () => {
       if (!adminToken) {
@@ -173,10 +1598,10 @@ describe('API Endpoints', () => {
         .set('Authorization', `Bearer ${adminToken}`)
         .send({
           roof_division: {
-            "Plants": 25,
-            "Solar Panels": 25,
+            "Green Areas": 25,
+            "Solar Power": 25,
             "Water Management": 25,
-            "Social": 25
+            "Social Impact": 25
           },
           sdg_focus: [
             "Zero Hunger",
@@ -193,5 +1618,82 @@ describe('API Endpoints', () => {
       expect(res.body.data.report.sdg_alignment).toBeDefined();
       expect(res.body.data.report.recommendations).toBeDefined();
     });
+
+    it('should score SDG alignment from what the roof contributes', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const report = (body) => request(app)
+        .post('/social/sdg-report')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(body);
+
+      // Claiming every goal does not change the score of a solar-only roof
+      const allGoals = Array.from({ length: 17 }, (_, index) => index + 1);
+      const solar = await report({ roof_division: { "Solar Power": 100 }, sdg_focus: allGoals });
+      const solarUnclaimed = await report({ roof_division: { "Solar Power": 100 } });
+      expect(solar.statusCode).toEqual(200);
+      const alignment = solar.body.data.report.sdg_alignment;
+      expect(alignment.sdg_alignment_score).toBeCloseTo(solarUnclaimed.body.data.report.sdg_alignment.sdg_alignment_score);
+      expect(alignment.sdg_alignment_score).toBeLessThan(30);
+      expect(alignment.focus.filter(goal => goal.supported).map(goal => goal.number)).toEqual([7, 9, 11, 13]);
+
+      const energy = alignment.sdgs_addressed.find(goal => goal.number === 7);
+      expect(energy.targets[0].id).toEqual('7.2');
+      expect(energy.targets[0].improvements[0].improvement).toEqual('Solar Power');
+
+      // A mixed roof reaches more goals
+      const mixed = await report({ roof_division: { "Solar Power": 50, "Water Management": 50 } });
+      expect(mixed.body.data.report.sdg_alignment.sdg_alignment_score).toBeGreaterThan(alignment.sdg_alignment_score);
+
+      const unknown = await report({ roof_division: { "Solar Power": 100 }, sdg_focus: ['Clean Air'] });
+      expect(unknown.statusCode).toEqual(400);
+      expect(unknown.body.errors[0].field).toEqual('sdg_focus.0');
+
+      // The goals named by the client do not change the score
+      const enhanced = await request(app)
+        .post('/social/enhanced-calculate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division: { "Solar Power": 100 }, sdg_focus: allGoals });
+      expect(enhanced.body.data.results.sdg_alignment.sdg_alignment_score).toBeCloseTo(alignment.sdg_alignment_score);
+    });
+
+    it('should recommend roof changes scored on SDG score, CO2 and cost', async () => {
+      if (!adminToken) {
+        console.warn('Admin token not available, skipping test');
+        return;
+      }
+
+      const res = await request(app)
+        .post('/social/sdg-report')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_area: 1000, roof_division: { "Solar Power": 70, "Green Areas": 30 } });
+
+      expect(res.statusCode).toEqual(200);
+      const { recommendations, sdg_alignment } = res.body.data.report;
+      expect(recommendations.baseline.sdg_alignment_score).toBeCloseTo(sdg_alignment.sdg_alignment_score);
+      expect(recommendations.evaluated_changes).toBeGreaterThanOrEqual(6);
+      expect(recommendations.suggestions.length).toEqual(3);
+
+      const [best] = recommendations.suggestions;
+      expect(best.change).toEqual({ from: "Solar Power", to: "Social Impact", percentage: 10 });
+      expect(best.roof_division).toEqual({ "Solar Power": 60, "Green Areas": 30, "Social Impact": 10 });
+      expect(best.goals.map(goal => goal.number)).toContain(2);
+      expect(best.effect.sdg_alignment_score).toBeGreaterThan(0);
+      expect(best.effect.annual_co2_savings).toBeLessThan(0);
+      expect(best.suggestion).toMatch(/^Shift 10% of the roof from Solar Power to Social Impact for .*SDG 2 \(target 2\.4\)/);
+
+      // Suggestions are ranked by their gain in SDG score
+      const gains = recommendations.suggestions.map(suggestion => suggestion.effect.sdg_alignment_score);
+      expect(gains).toEqual([...gains].sort((a, b) => b - a));
+
+      const invalid = await request(app)
+        .post('/social/sdg-report')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ roof_division: { "Solar Power": 100 }, shift_step: 100 });
+      expect(invalid.statusCode).toEqual(400);
+    });
   });
 });
\ No newline at end of file
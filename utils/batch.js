@@ -0,0 +1,160 @@
+/**
+ * Batch calculation helpers
+ * Run a list of calculations with per-item error reporting, either saving each
+ * successful item or saving all items in one transaction (all or nothing)
+ */
+const db = require('../database/db');
+const { runInTransaction } = require('../database/transaction');
+const { Calculation } = require('../models/calculation');
+const { validateData } = require('../middleware/validate');
+const { performCalculations } = require('./calculations');
+const { resolveCalculationParameters } = require('./calculation-parameters');
+
+/**
+ * Validate and calculate a single building of a batch without saving it
+ * @param {object} building - Building-specific parameters, including building_id
+ * @param {object} commonParameters - Parameters shared by all buildings of the batch
+ * @returns {Promise<object>} Merged parameters as requested, the resolved inputs and calculation results
+ */
+async function prepareBuilding(building, commonParameters) {
+  validateData('BatchBuilding', building);
+
+  // Merge common parameters with building-specific parameters
+  const parameters = {
+    ...commonParameters,
+    ...building
+  };
+  const inputs = await resolveCalculationParameters(parameters);
+
+  return {
+    parameters,
+    inputs,
+    results: performCalculations(inputs)
+  };
+}
+
+/**
+ * Format a calculated building as a batch result entry
+ * @param {string} buildingId - Building ID
+ * @param {string} calculationId - ID of the saved calculation
+ * @param {object} results - Calculation results
+ * @returns {object} Batch result entry
+ */
+function formatBuildingResult(buildingId, calculationId, results) {
+  return {
+    building_id: buildingId,
+    calculation_id: calculationId,
+    results: {
+      neutrality: results.neutrality,
+      savings: results.savings,
+      economics: results.economics
+    }
+  };
+}
+
+/**
+ * Calculate and save a single building of a batch
+ * @param {object} building - Building-specific parameters, including building_id
+ * @param {object} commonParameters - Parameters shared by all buildings of the batch
+ * @param {string} userId - ID of the user the calculation belongs to
+ * @returns {Promise<object>} Batch result entry for the building
+ */
+async function calculateBuilding(building, commonParameters, userId) {
+  const { parameters, inputs, results } = await prepareBuilding(building, commonParameters);
+
+  const calculation = await Calculation.save({
+    userId,
+    type: 'batch',
+    parameters,
+    inputs,
+    results
+  });
+
+  return formatBuildingResult(building.building_id, calculation.id, results);
+}
+
+/**
+ * Run a batch of items. Every item is prepared (validated and calculated)
+ * and saved; a failing item is reported on its outcome instead of aborting
+ * the batch. With allOrNothing, nothing is saved unless every item prepares
+ * successfully, and the saves run in a single transaction.
+ * @param {Array} items - Items to process
+ * @param {object} options - Batch options
+ * @param {Function} options.prepare - Async function (item, index) returning the prepared item
+ * @param {Function} options.save - Async function (prepared, item, connection) returning the saved calculation ID
+ * @param {boolean} options.allOrNothing - Save all items or none
+ * @returns {Promise<object>} Per-item outcomes and a summary
+ */
+async function runBatch(items, { prepare, save, allOrNothing = false }) {
+  const outcomes = items.map((item, index) => ({
+    index,
+    item,
+    prepared: null,
+    calculationId: null,
+    error: null
+  }));
+
+  for (const outcome of outcomes) {
+    try {
+      outcome.prepared = await prepare(outcome.item, outcome.index);
+      if (!allOrNothing) {
+        outcome.calculationId = await save(outcome.prepared, outcome.item, db);
+      }
+    } catch (error) {
+      outcome.error = error;
+    }
+  }
+
+  if (allOrNothing && outcomes.every(outcome => !outcome.error)) {
+    try {
+      await runInTransaction(async (connection) => {
+        for (const outcome of outcomes) {
+          try {
+            outcome.calculationId = await save(outcome.prepared, outcome.item, connection);
+          } catch (error) {
+            outcome.error = error;
+            throw error;
+          }
+        }
+      });
+    } catch (error) {
+      // Rolled back: none of the calculations were kept
+      outcomes.forEach(outcome => {
+        outcome.calculationId = null;
+      });
+    }
+  }
+
+  const failed = outcomes.filter(outcome => outcome.error).length;
+
+  return {
+    outcomes,
+    summary: {
+      total: outcomes.length,
+      succeeded: outcomes.length - failed,
+      failed,
+      saved: outcomes.filter(outcome => outcome.calculationId).length,
+      all_or_nothing: allOrNothing
+    }
+  };
+}
+
+/**
+ * Format the error of a failed batch item
+ * @param {Error} error - Error raised while processing the item
+ * @returns {object} Error message with field-level errors when available
+ */
+function formatItemError(error) {
+  return {
+    error: error.message,
+    errors: error.errors || null
+  };
+}
+
+module.exports = {
+  prepareBuilding,
+  formatBuildingResult,
+  calculateBuilding,
+  runBatch,
+  formatItemError
+};
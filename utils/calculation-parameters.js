@@ -0,0 +1,33 @@
+/**
+ * Calculation parameter resolution
+ * Expands database references in request parameters (improvement types, cost
+ * catalogs, currencies, grid factors) into the values the calculation functions expect
+ */
+const { CostCatalog } = require('../models/cost-catalog');
+const { ExchangeRate } = require('../models/exchange-rate');
+const { GridFactorTable } = require('../models/grid-factor-table');
+const { ImprovementType } = require('../models/improvement-type');
+const { validateRoofDivision } = require('./calculations');
+
+/**
+ * Resolve all database-backed references in a set of calculation parameters
+ * @param {object} params - Calculation parameters from the request
+ * @returns {Promise<object>} Parameters ready to pass to the calculation functions
+ * @throws {Error} If a reference cannot be resolved or roof_division uses unknown improvement types
+ */
+async function resolveCalculationParameters(params) {
+  const improvement_types = await ImprovementType.getRegistry();
+  if (params.roof_division) {
+    validateRoofDivision(params.roof_division, improvement_types);
+  }
+
+  let resolved = { ...params, improvement_types };
+  resolved = await CostCatalog.applyToParameters(resolved);
+  resolved = await ExchangeRate.applyToParameters(resolved);
+  resolved = await GridFactorTable.applyToParameters(resolved);
+  return resolved;
+}
+
+module.exports = {
+  resolveCalculationParameters
+};
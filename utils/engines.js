@@ -0,0 +1,216 @@
+/**
+ * Calculation engine versions
+ * Registry of the engine versions stored calculations can be re-run on, and
+ * re-running a stored calculation with a diff against its stored results.
+ *
+ * To release a new engine version, freeze the previous one by copying the
+ * engine modules as they are to utils/engines/v<old version>/ and register the
+ * copy here, then change the model and bump ENGINE_VERSION in
+ * utils/calculations.js. A frozen engine never calls the current modules, so
+ * later model changes leave its results as they were.
+ */
+const {
+  ENGINE_VERSION,
+  performCalculations,
+  performEnhancedCalculations
+} = require('./calculations');
+const v1_2_0 = require('./engines/v1.2.0');
+const { resolveCalculationParameters } = require('./calculation-parameters');
+const { Calculation } = require('../models/calculation');
+const { SocialWeightingProfile } = require('../models/social-weighting-profile');
+const { ValidationError } = require('./errors');
+
+// Engine versions by version string; each runs the calculation types in ENGINE_CALCULATION_TYPES
+const ENGINES = {
+  [ENGINE_VERSION]: {
+    released: '2026-10-19',
+    description: 'Runoff coefficient applied to rain the green roof substrate does not hold, weather files for more sites, and no IRR for cash flows that change sign more than once',
+    standard: performCalculations,
+    enhanced: performEnhancedCalculations
+  },
+  [v1_2_0.VERSION]: {
+    released: '2026-10-19',
+    description: 'Social impact weighted by the weighting profile of the client, with registered social metrics',
+    standard: v1_2_0.performCalculations,
+    enhanced: v1_2_0.performEnhancedCalculations
+  }
+};
+
+// Engine function each saved calculation type was produced by
+const ENGINE_CALCULATION_TYPES = {
+  standard: 'standard',
+  batch: 'standard',
+  comparison: 'standard',
+  enhanced: 'enhanced'
+};
+
+// Result parts left out of a recalculation diff: the engine stamp is compared
+// separately and the full timeline series are stored apart from the results
+// (timeline.yearly is compared instead)
+const DIFF_EXCLUDED_PATHS = [
+  'engine',
+  'timeline.years',
+  'timeline.co2_with_improvements',
+  'timeline.co2_natural_decline',
+  'timeline.points',
+  'timeline.storage'
+];
+
+// Relative difference below which two numbers count as equal
+const DIFF_TOLERANCE = 1e-9;
+
+/**
+ * List the registered engine versions
+ * @returns {Array<object>} Engine versions with release date and description, current version first, then newest first
+ */
+function listEngines() {
+  return Object.entries(ENGINES)
+    .map(([version, { released, description }]) => ({
+      version,
+      released,
+      description,
+      current: version === ENGINE_VERSION
+    }))
+    .sort((a, b) => (b.current - a.current) || b.version.localeCompare(a.version, undefined, { numeric: true }));
+}
+
+/**
+ * Look up an engine version
+ * @param {string} version - Engine version (defaults to the current version)
+ * @returns {object} Registered engine
+ * @throws {ValidationError} If the version is not registered
+ */
+function getEngine(version = ENGINE_VERSION) {
+  const engine = ENGINES[version];
+  if (!engine) {
+    throw ValidationError.forField('engine_version', `Unknown engine version "${version}". Available versions: ${Object.keys(ENGINES).join(', ')}`);
+  }
+  return { version, ...engine };
+}
+
+/**
+ * Compare two result values leaf by leaf
+ * @param {*} before - Stored value
+ * @param {*} after - Recalculated value
+ * @param {string} path - Path of the values, e.g. "economics.npv"
+ * @param {Array<object>} diff - Differences found so far; added to in place
+ * @returns {Array<object>} Differences as { path, before, after }
+ */
+function diffResults(before, after, path = '', diff = []) {
+  if (DIFF_EXCLUDED_PATHS.includes(path)) {
+    return diff;
+  }
+
+  const isContainer = value => value !== null && typeof value === 'object';
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    for (const key of keys) {
+      const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+      diffResults(before[key], after[key], childPath, diff);
+    }
+    return diff;
+  }
+
+  const equal = typeof before === 'number' && typeof after === 'number'
+    ? Math.abs(before - after) <= DIFF_TOLERANCE * Math.max(1, Math.abs(before), Math.abs(after))
+    : JSON.stringify(before) === JSON.stringify(after);
+  if (!equal) {
+    diff.push({
+      path,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after
+    });
+  }
+  return diff;
+}
+
+/**
+ * Parameters to re-run a stored calculation with: the resolved inputs it was
+ * run with, so the same engine gives the same results whatever changed in the
+ * registry, catalogs, rates, grid tables or weighting profiles since. Defaults
+ * that depend on the current date are pinned to the date the calculation was
+ * made.
+ * @param {object} calculation - Stored calculation
+ * @returns {Promise<object>} Resolved calculation parameters
+ */
+async function recalculationParameters(calculation) {
+  const createdAt = calculation.createdAt;
+  const pinYear = (parameters) => ({
+    ...parameters,
+    installation_year: parameters.installation_year !== undefined ? parameters.installation_year : createdAt.getFullYear()
+  });
+
+  const inputs = await Calculation.findInputs(calculation.id, calculation.userId);
+  if (inputs) {
+    return pinYear(inputs);
+  }
+
+  // Saved before the resolved inputs were stored: resolve again, pinned to the
+  // cost catalog and grid table versions and the exchange rate the results record
+  const { scenario_name, ...parameters } = calculation.parameters;
+  const { economics = {}, configuration = {} } = calculation.results;
+  const costCatalog = economics.cost_catalog;
+  const gridTable = configuration.grid && configuration.grid.table;
+
+  const resolved = await resolveCalculationParameters({
+    ...pinYear(parameters),
+    ...(costCatalog ? { cost_catalog_version: costCatalog.version } : {}),
+    ...(gridTable ? { grid_factor_table_version: gridTable.version } : {}),
+    rate_date: parameters.rate_date || createdAt.toISOString().slice(0, 10)
+  });
+
+  // The pins select the values; the hash covers the parameters as requested
+  const pinned = {
+    ...resolved,
+    cost_catalog_version: parameters.cost_catalog_version,
+    grid_factor_table_version: parameters.grid_factor_table_version,
+    ...(resolved.exchange_rate && economics.exchange_rate ? { exchange_rate: economics.exchange_rate } : {})
+  };
+
+  // Social metrics and weighting profiles belong to the user who made the calculation
+  return ENGINE_CALCULATION_TYPES[calculation.type] === 'enhanced'
+    ? SocialWeightingProfile.applyToParameters(pinned, calculation.userId)
+    : pinned;
+}
+
+/**
+ * Re-run a stored calculation and compare it with its stored results
+ * @param {object} calculation - Stored calculation (from Calculation.findById)
+ * @param {string} version - Engine version to run (defaults to the current version)
+ * @returns {Promise<object>} Engine versions, whether the inputs changed, and the differences from the stored results
+ * @throws {ValidationError} If the calculation type cannot be recalculated or the engine version is unknown
+ */
+async function recalculate(calculation, version = ENGINE_VERSION) {
+  const engineType = ENGINE_CALCULATION_TYPES[calculation.type];
+  if (!engineType) {
+    throw new ValidationError(`Calculations of type "${calculation.type}" cannot be recalculated. Supported types: ${Object.keys(ENGINE_CALCULATION_TYPES).join(', ')}`);
+  }
+
+  const engine = getEngine(version);
+  const parameters = await recalculationParameters(calculation);
+  const results = engine[engineType](parameters);
+
+  const before = calculation.results.engine || null;
+  const after = results.engine;
+  // Compare with the results as they would be stored (non-finite numbers become null)
+  const diff = diffResults(calculation.results, JSON.parse(JSON.stringify(results)));
+
+  return {
+    engine: { before, after },
+    // Unknown for calculations made before results were stamped
+    inputs_changed: before ? before.input_hash !== after.input_hash : null,
+    identical: diff.length === 0,
+    changes: diff.length,
+    diff
+  };
+}
+
+module.exports = {
+  ENGINE_CALCULATION_TYPES,
+  listEngines,
+  getEngine,
+  diffResults,
+  recalculate
+};
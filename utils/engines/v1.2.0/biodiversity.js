@@ -0,0 +1,150 @@
+/**
+ * Biodiversity scoring
+ * Biotope-area-factor (BAF) style score for a roof design from its surfaces,
+ * vegetation layers, native species share, habitat features and connectivity
+ */
+const { ValidationError } = require('../../errors');
+
+// Defaults for the roof habitat
+const DEFAULT_BIODIVERSITY = {
+  vegetation_layers: ['moss_sedum'], // Layers planted on the Green Areas, see VEGETATION_LAYERS
+  native_species_share: 0.5, // Share of planted species native to the region (0-1)
+  habitat_features: [], // See HABITAT_FEATURES
+  connectivity: 'stepping_stone', // See CONNECTIVITY
+  biosolar: false, // Vegetation under and between the solar panels
+  baf_target: 0.3 // Target biotope area factor (Berlin target for commercial sites)
+};
+
+// Ecological weighting of the Green Areas by their richest vegetation layer,
+// following the Berlin BAF weights for green roofs and vegetated surfaces
+const VEGETATION_LAYERS = {
+  moss_sedum: 0.3,
+  grasses_herbs: 0.5,
+  perennials: 0.6,
+  shrubs: 0.7,
+  trees: 0.8
+};
+
+// Added to the Green Areas weighting per layer beyond the first (structural diversity)
+const ADDITIONAL_LAYER_WEIGHT = 0.1;
+
+// Ecological weighting of the other roof surfaces by improvement type; types not
+// listed count as sealed (0)
+const SURFACE_WEIGHTS = {
+  "Solar Power": 0,
+  "Water Management": 0.2, // Rainwater retention, as for rainwater infiltration in the Berlin BAF
+  "Social Impact": 0.3 // Roof garden, partly planted
+};
+
+// Weighting of the solar area with vegetation under and between the panels
+const BIOSOLAR_WEIGHT = 0.3;
+
+// Score added per habitat feature
+const HABITAT_FEATURES = {
+  insect_hotel: 0.02,
+  bird_boxes: 0.02,
+  bat_boxes: 0.02,
+  deadwood: 0.03,
+  stone_piles: 0.02,
+  bare_ground: 0.02,
+  water_feature: 0.04
+};
+
+// Multiplier for the roof's place in the surrounding green network
+const CONNECTIVITY = {
+  isolated: 0.8, // No other green space within 500 m
+  stepping_stone: 1.0, // Other green space within 500 m
+  corridor: 1.2 // Part of a mapped green corridor
+};
+
+/**
+ * Score the biodiversity value of a roof design
+ * @param {object} biodiversity - Habitat parameters (see DEFAULT_BIODIVERSITY)
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {number|null} roof_area - Roof area in square meters, to report the ecologically effective area
+ * @returns {object} Biotope area factor, its breakdown by surface and a 0-100 biodiversity score
+ * @throws {ValidationError} If a layer, feature or connectivity class is unknown
+ */
+function scoreBiodiversity(biodiversity, roof_division, roof_area = null) {
+  const options = { ...DEFAULT_BIODIVERSITY, ...biodiversity };
+  const { vegetation_layers, native_species_share, habitat_features, connectivity, biosolar, baf_target } = options;
+
+  const unknownLayers = vegetation_layers.filter(layer => VEGETATION_LAYERS[layer] === undefined);
+  if (unknownLayers.length > 0) {
+    throw ValidationError.forField('biodiversity.vegetation_layers', `Unknown vegetation layer(s): ${unknownLayers.join(', ')}. Known layers: ${Object.keys(VEGETATION_LAYERS).join(', ')}`);
+  }
+  const unknownFeatures = habitat_features.filter(feature => HABITAT_FEATURES[feature] === undefined);
+  if (unknownFeatures.length > 0) {
+    throw ValidationError.forField('biodiversity.habitat_features', `Unknown habitat feature(s): ${unknownFeatures.join(', ')}. Known features: ${Object.keys(HABITAT_FEATURES).join(', ')}`);
+  }
+  if (CONNECTIVITY[connectivity] === undefined) {
+    throw ValidationError.forField('biodiversity.connectivity', `Unknown connectivity "${connectivity}". Known values: ${Object.keys(CONNECTIVITY).join(', ')}`);
+  }
+  if (!(native_species_share >= 0 && native_species_share <= 1)) {
+    throw ValidationError.forField('biodiversity.native_species_share', "Native species share must be between 0 and 1");
+  }
+
+  const layers = [...new Set(vegetation_layers)];
+  const green_weight = layers.length > 0
+    ? Math.min(1, Math.max(...layers.map(layer => VEGETATION_LAYERS[layer])) + ADDITIONAL_LAYER_WEIGHT * (layers.length - 1))
+    : 0;
+
+  // Weighted share of each surface; the BAF is their sum
+  const surfaces = {};
+  for (const [improvement, percentage] of Object.entries(roof_division)) {
+    let weight = SURFACE_WEIGHTS[improvement] || 0;
+    if (improvement === "Green Areas") weight = green_weight;
+    if (improvement === "Solar Power" && biosolar) weight = BIOSOLAR_WEIGHT;
+    surfaces[improvement] = {
+      share: percentage / 100,
+      weight,
+      contribution: (percentage / 100) * weight
+    };
+  }
+  const biotope_area_factor = Object.values(surfaces).reduce((sum, surface) => sum + surface.contribution, 0);
+
+  // Native planting raises the value of the planted surfaces; non-native planting halves it
+  const species_factor = 0.5 + 0.5 * native_species_share;
+  const features_bonus = [...new Set(habitat_features)].reduce((sum, feature) => sum + HABITAT_FEATURES[feature], 0);
+  const connectivity_factor = CONNECTIVITY[connectivity];
+
+  const biodiversity_score = Math.min(100, 100 * (biotope_area_factor * species_factor + features_bonus) * connectivity_factor);
+
+  return {
+    biotope_area_factor,
+    baf_target,
+    meets_target: biotope_area_factor >= baf_target,
+    ecologically_effective_area: roof_area !== null ? biotope_area_factor * roof_area : null,
+    surfaces,
+    vegetation_layers: layers,
+    native_species_share,
+    species_factor,
+    habitat_features: [...new Set(habitat_features)],
+    features_bonus,
+    connectivity,
+    connectivity_factor,
+    biodiversity_score,
+    rating: getBiodiversityRating(biodiversity_score)
+  };
+}
+
+/**
+ * Rating for a biodiversity score
+ * @param {number} score - Biodiversity score (0-100)
+ * @returns {string} Biodiversity rating
+ */
+function getBiodiversityRating(score) {
+  if (score >= 60) return "Very High";
+  if (score >= 40) return "High";
+  if (score >= 25) return "Moderate";
+  if (score >= 10) return "Low";
+  return "Very Low";
+}
+
+module.exports = {
+  DEFAULT_BIODIVERSITY,
+  VEGETATION_LAYERS,
+  HABITAT_FEATURES,
+  CONNECTIVITY,
+  scoreBiodiversity
+};
@@ -0,0 +1,997 @@
+/**
+ * Utility functions for CO2 calculations
+ */
+const {
+  DEFAULT_COMPONENT_REPLACEMENTS,
+  buildCashFlows,
+  npv,
+  irr,
+  discountedPayback,
+  levelizedCostPerTonne
+} = require('./financials');
+const { ValidationError } = require('../../errors');
+const { estimateSolarYield } = require('./solar');
+const { estimateStormwater } = require('./stormwater');
+const { estimateRoofThermal } = require('./thermal');
+const { scoreBiodiversity } = require('./biodiversity');
+const { assessLifecycle, carbonBalance } = require('./lca');
+const { simulateTimeline } = require('./timeline');
+const { hashInputs } = require('../../input-hash');
+const { assessSdgAlignment, checkSdgFocus } = require('./sdg');
+const { DEFAULT_SOCIAL_METRICS, scoreSocialImpact } = require('./social');
+const {
+  DEFAULT_GRID_EMISSION_FACTOR,
+  GRID_DEPENDENT_IMPROVEMENTS,
+  buildGridTrajectory,
+  gridFactorSeries
+} = require('./grid-factors');
+
+// Version of the calculation engine stamped on every result. Bump it whenever
+// a change alters results for the same inputs, and freeze the previous engine
+// in utils/engines.js so stored calculations can be re-run on it.
+const ENGINE_VERSION = '1.2.0';
+
+// Currency all cost factors and economic constants are expressed in
+const BASE_CURRENCY = 'EUR';
+
+// Identity rate used when results are requested in the base currency
+const BASE_EXCHANGE_RATE = {
+  base_currency: BASE_CURRENCY,
+  currency: BASE_CURRENCY,
+  rate: 1,
+  effective_date: null
+};
+
+// Economic conversion factors in BASE_CURRENCY (these should be calibrated with real data)
+const ECONOMIC_FACTORS = {
+  co2_price_per_kg: 0.05, // Price per kg CO2e
+  electricity_price_per_kwh: 0.25, // Price per kWh
+  water_price_per_m3: 2.5, // Price per m3 of water
+  productivity_value: 50, // Value of 1% productivity increase per employee
+  health_cost_savings: 100 // Value of 1% health improvement
+};
+
+// Roof area the original full-roof savings figures were measured on
+const REFERENCE_ROOF_AREA = 2776;
+
+// Built-in improvement types, used when no registry is passed in. Savings are
+// kg CO2e per m² per year, costs are per m² in BASE_CURRENCY, start_year is the
+// lag before an improvement takes effect and degradation its annual efficiency loss.
+const DEFAULT_IMPROVEMENT_TYPES = {
+  "Green Areas": {
+    savings_per_m2: 1347.98 / REFERENCE_ROOF_AREA,
+    cost_per_m2: 120,
+    start_year: 0,
+    degradation: 0.005,
+    sdgs: ["Good Health and Well-being", "Clean Water and Sanitation", "Climate Action", "Life on Land"]
+  },
+  "Solar Power": {
+    savings_per_m2: 12142.5 / REFERENCE_ROOF_AREA,
+    cost_per_m2: 350,
+    start_year: 1,
+    degradation: 0.005,
+    sdgs: ["Affordable and Clean Energy", "Climate Action"]
+  },
+  "Water Management": {
+    savings_per_m2: 1441.25 / REFERENCE_ROOF_AREA,
+    cost_per_m2: 80,
+    start_year: 2,
+    degradation: 0.005,
+    sdgs: ["Clean Water and Sanitation", "Climate Action"]
+  },
+  "Social Impact": {
+    savings_per_m2: 4180.0 / REFERENCE_ROOF_AREA,
+    cost_per_m2: 150,
+    start_year: 3,
+    degradation: 0.005,
+    sdgs: ["Zero Hunger", "Good Health and Well-being", "Decent Work and Economic Growth", "Partnerships for the Goals"]
+  }
+};
+
+// Default cost factors per square meter (in BASE_CURRENCY), used when no cost catalog is selected
+const DEFAULT_COST_FACTORS = pickFromImprovementTypes(DEFAULT_IMPROVEMENT_TYPES, type => type.cost_per_m2);
+
+/**
+ * Performs CO2 calculations based on provided parameters with improved mathematical model
+ * @param {object} params - Calculation parameters
+ * @returns {object} Calculation results
+ */
+function performCalculations(params) {
+  const {
+    roof_area = 2776,
+    GWP_roof = 3.33,
+    decline_rate = 0.03,
+    roof_division = {
+      "Green Areas": 25,
+      "Solar Power": 25,
+      "Water Management": 25,
+      "Social Impact": 25
+    },
+    improvement_types = DEFAULT_IMPROVEMENT_TYPES, // Registry of known improvement types
+    full_savings = {}, // Overrides registry savings (kg CO2e per year for the whole roof)
+    improvement_years = {}, // Overrides registry start years
+    improvement_phases = {}, // Installation in phases by improvement type as [{ share, start_year }], replacing the single start year
+    cost_factors = {}, // Overrides registry costs per m², e.g. from a cost catalog
+    solar = null, // Solar yield model inputs (location, orientation, modules); replaces the registry Solar Power savings
+    water = null, // Stormwater model inputs (rainfall, substrate, tank); replaces the registry Water Management savings
+    thermal = null, // Green roof thermal model inputs (vegetation, substrate, roof U-value); adds cooling savings to Green Areas
+    lca = {}, // Embodied carbon inputs (transport distance, assemblies, materials) replacing the materials database defaults
+    grid_emission_factor = DEFAULT_GRID_EMISSION_FACTOR, // kg CO2e per kWh of grid electricity, used when no country is given
+    grid_intensity = null, // Country grid factors by year, resolved from a grid factor table
+    installation_year = new Date().getFullYear(), // Calendar year of project year 0
+    cost_catalog = null, // Catalog version the cost factors were taken from, if any
+    exchange_rate = BASE_EXCHANGE_RATE, // Rate used to convert monetary results from BASE_CURRENCY
+    // Cash-flow model parameters
+    discount_rate = 0.05, // Annual discount rate
+    energy_price_escalation = 0.02, // Annual energy price escalation
+    maintenance_cost_rate = 0.01, // Annual maintenance cost as a share of installation cost
+    component_replacements = DEFAULT_COMPONENT_REPLACEMENTS,
+    years_to_calculate = 50,
+    points = 1000,
+    integration = 'analytic', // How the timeline is solved: 'analytic' (closed form) or 'ode' (Runge-Kutta on the points)
+    // New parameters for improved model
+    efficiency_degradation = null, // Annual degradation of improvement efficiency (overrides the registry for all types)
+    climate_zone = 'temperate' // Climate zone
+  } = params;
+
+  // Climate factor based on climate zone
+  const climateFactors = {
+    'temperate': 1.0,
+    'tropical': 1.2,
+    'arid': 0.9,
+    'continental': 1.1,
+    'polar': 0.8
+  };
+  
+  const climate_factor = climateFactors[climate_zone] || 1.0;
+
+  // Input validation
+  if (roof_area <= 0) throw ValidationError.forField('roof_area', "Roof area must be positive");
+  if (GWP_roof <= 0) throw ValidationError.forField('GWP_roof', "GWP_roof must be positive");
+  if (decline_rate < 0 || decline_rate >= 1) throw ValidationError.forField('decline_rate', "Decline rate must be between 0 and 1");
+  if (years_to_calculate <= 0) throw ValidationError.forField('years_to_calculate', "Years to calculate must be positive");
+  if (points <= 0) throw ValidationError.forField('points', "Points must be positive");
+  if (discount_rate <= -1) throw ValidationError.forField('discount_rate', "Discount rate must be greater than -1");
+  if (maintenance_cost_rate < 0) throw ValidationError.forField('maintenance_cost_rate', "Maintenance cost rate must not be negative");
+  if (!Array.isArray(component_replacements)) throw ValidationError.forField('component_replacements', "Component replacements must be an array");
+  for (const replacement of component_replacements) {
+    if (!(replacement.interval_years > 0) || !(replacement.cost_share >= 0)) {
+      throw ValidationError.forField('component_replacements', "Component replacements need a positive interval_years and a non-negative cost_share");
+    }
+  }
+  
+  if (!(grid_emission_factor > 0)) throw ValidationError.forField('grid_emission_factor', "Grid emission factor must be positive");
+  
+  validateRoofDivision(roof_division, improvement_types);
+
+  // Solar yield per m² from the hourly model, if a location is given
+  const solar_yield = solar ? estimateSolarYield(solar) : null;
+
+  // Grid carbon intensity at installation, and how it falls as the grid decarbonises
+  const grid = buildGridTrajectory(grid_intensity, installation_year, grid_emission_factor);
+
+  // Yearly water balance of the roof as divided, if rainfall inputs are given
+  const stormwater = water ? estimateStormwater(water, roof_area, roof_division) : null;
+  const water_share = (roof_division["Water Management"] || 0) / 100;
+
+  // Cooling energy saved under the green part of the roof, if vegetation inputs are given
+  const roof_thermal = thermal ? estimateRoofThermal(thermal, roof_area, roof_division, climate_zone) : null;
+  const green_share = (roof_division["Green Areas"] || 0) / 100;
+  const cooling_co2 = roof_thermal ? roof_thermal.cooling_energy_savings_kwh * grid.emission_factor : 0;
+
+  // Initial CO2 impact
+  const initial_co2 = GWP_roof * roof_area;
+
+  // Registry values, with any explicit overrides from the request on top
+  const effective_full_savings = {
+    ...pickFromImprovementTypes(improvement_types, type => type.savings_per_m2 * roof_area),
+    ...(solar_yield ? { "Solar Power": solar_yield.yield_kwh_per_m2 * roof_area * grid.emission_factor } : {}),
+    // Stated for the whole roof, so that scaling by the Water Management share gives the modelled savings
+    ...(stormwater && water_share > 0 ? { "Water Management": stormwater.co2_savings.total / water_share } : {}),
+    ...full_savings
+  };
+  // Cooling savings come on top of plant absorption, again stated for the whole roof
+  if (cooling_co2 > 0) {
+    effective_full_savings["Green Areas"] += cooling_co2 / green_share;
+  }
+
+  // Share of each improvement's savings that is displaced grid energy
+  const grid_shares = {};
+  for (const improvement of GRID_DEPENDENT_IMPROVEMENTS) {
+    grid_shares[improvement] = 1;
+  }
+  if (cooling_co2 > 0) {
+    grid_shares["Green Areas"] = (cooling_co2 / green_share) / effective_full_savings["Green Areas"];
+  }
+  const effective_improvement_years = {
+    ...pickFromImprovementTypes(improvement_types, type => type.start_year || 0),
+    ...improvement_years
+  };
+  const effective_cost_factors = {
+    ...pickFromImprovementTypes(improvement_types, type => type.cost_per_m2),
+    ...cost_factors
+  };
+  const degradation_rates = pickFromImprovementTypes(improvement_types, type =>
+    efficiency_degradation !== null ? efficiency_degradation : (type.degradation || 0)
+  );
+  const effective_improvement_phases = resolveImprovementPhases(improvement_phases, roof_division, effective_improvement_years);
+
+  // Adjust savings based on percentage division of the roof
+  const annual_savings = {};
+  for (const key in roof_division) {
+    annual_savings[key] = effective_full_savings[key] * (roof_division[key] / 100);
+  }
+
+  // Generate timeline with more points for a smooth curve
+  const years_smooth = linspace(0, years_to_calculate, points);
+
+  // IMPROVED MODEL: Natural CO2 decline without improvements
+  // Using a more realistic exponential decay model
+  const co2_natural_decline = years_smooth.map(year => 
+    initial_co2 * Math.exp(-decline_rate * year * climate_factor)
+  );
+
+  // IMPROVED MODEL: CO2 decline with improvements, dC/dt = -k·C - S(t) in annual terms,
+  // so the result does not depend on the number of points
+  // Savings per year at time t, with efficiency degradation, each installation phase on its own schedule
+  const savings_rate = (year) => {
+    let rate = 0;
+    for (const improvement in annual_savings) {
+      for (const phase of effective_improvement_phases[improvement]) {
+        if (year >= phase.start_year) {
+          // Apply efficiency degradation since the phase was installed
+          const efficiency = Math.max(0, 1 - (degradation_rates[improvement] * (year - phase.start_year)));
+          // Energy savings avoid less CO2 as the grid gets cleaner
+          const grid_factor = 1 + (grid_shares[improvement] || 0) * (grid.relativeFactor(year) - 1);
+          rate += annual_savings[improvement] * phase.share * efficiency * grid_factor * climate_factor;
+        }
+      }
+    }
+    return rate;
+  };
+  // Savings change form where a phase is installed or its efficiency runs out
+  const breakpoints = [];
+  for (const improvement in annual_savings) {
+    for (const phase of effective_improvement_phases[improvement]) {
+      breakpoints.push(phase.start_year);
+      if (degradation_rates[improvement] > 0) breakpoints.push(phase.start_year + 1 / degradation_rates[improvement]);
+    }
+  }
+
+  // Solve once for the smooth curve and the whole years together
+  const years_yearly = Array.from({ length: Math.floor(years_to_calculate) + 1 }, (_, i) => i);
+  const ten_year = Math.min(10, years_to_calculate);
+  const times = [...new Set([...years_smooth, ...years_yearly, ten_year])].sort((a, b) => a - b);
+  const solution = simulateTimeline({
+    initial_co2,
+    decline_rate: decline_rate * climate_factor,
+    savings_rate,
+    breakpoints,
+    years: years_to_calculate,
+    times,
+    method: integration,
+    max_step: years_to_calculate / Math.max(1, points - 1)
+  });
+  const co2_at = new Map(times.map((time, i) => [time, solution.values[i]]));
+  const co2_with_improvements = years_smooth.map(year => co2_at.get(year));
+
+  // Find neutrality years
+  let neutral_index_natural = -1;
+  for (let i = 0; i < co2_natural_decline.length; i++) {
+    if (co2_natural_decline[i] <= 0) {
+      neutral_index_natural = i;
+      break;
+    }
+  }
+
+  const years_to_neutrality_improved = solution.neutrality_year;
+  const years_to_neutrality_natural = neutral_index_natural > 0 ? years_smooth[neutral_index_natural] : null;
+
+  // Calculate total CO2 savings over 10 years
+  const co2_without_improvements_10yr = initial_co2 * Math.exp(-decline_rate * ten_year * climate_factor);
+  const co2_with_improvements_10yr = co2_at.get(ten_year);
+  const co2_savings_10yr = co2_without_improvements_10yr - co2_with_improvements_10yr;
+
+  // Calculate total annual savings
+  const total_annual_savings = Object.values(annual_savings).reduce((sum, val) => sum + val, 0);
+
+  // Calculate ROI metrics
+  const estimated_cost = calculateEstimatedCost(roof_area, roof_division, effective_cost_factors);
+  const simple_payback_years = estimated_cost / total_annual_savings;
+  const roi_10yr = (co2_savings_10yr / estimated_cost) * 100;
+
+  // Discounted cash-flow model, with monetary inputs converted to the requested currency
+  const improvement_capex = {};
+  for (const improvement in roof_division) {
+    improvement_capex[improvement] = calculateEstimatedCost(roof_area, { [improvement]: roof_division[improvement] }, effective_cost_factors) * exchange_rate.rate;
+  }
+  const cash_flows = buildCashFlows({
+    years: Math.floor(years_to_calculate),
+    capex: estimated_cost * exchange_rate.rate,
+    improvement_capex,
+    annual_savings,
+    improvement_phases: effective_improvement_phases,
+    degradation_rates,
+    climate_factor,
+    grid_shares,
+    relative_grid_factor: grid.relativeFactor,
+    co2_price_per_kg: ECONOMIC_FACTORS.co2_price_per_kg * exchange_rate.rate,
+    energy_value_per_kg: ECONOMIC_FACTORS.electricity_price_per_kwh / grid.emission_factor * exchange_rate.rate,
+    discount_rate,
+    energy_price_escalation,
+    maintenance_cost_rate,
+    component_replacements
+  });
+  const net_present_value = npv(cash_flows.map(flow => flow.net), discount_rate);
+  const internal_rate_of_return = irr(cash_flows.map(flow => flow.net));
+  const discounted_payback_years = discountedPayback(cash_flows);
+  const levelized_cost_per_tonne_co2 = levelizedCostPerTonne(cash_flows, discount_rate);
+
+  // Embodied carbon of the installed materials against the CO2 the improvements avoid each year
+  const lifecycle = assessLifecycle({ roof_area, roof_division, years: years_to_calculate, lca });
+  const carbon_balance = carbonBalance(lifecycle, cash_flows.map(flow => flow.co2_avoided));
+
+  // Calculate carbon intensity metrics
+  const carbon_intensity_per_sqm = initial_co2 / roof_area;
+  const carbon_reduction_per_euro = co2_savings_10yr / estimated_cost;
+
+  return {
+    configuration: {
+      roof_area,
+      GWP_roof,
+      initial_co2,
+      decline_rate,
+      roof_division,
+      improvement_types: pickImprovementTypes(improvement_types, Object.keys(roof_division)),
+      full_savings: effective_full_savings,
+      improvement_years: effective_improvement_years,
+      improvement_phases: effective_improvement_phases,
+      annual_savings,
+      cost_factors: effective_cost_factors,
+      efficiency_degradation,
+      degradation_rates,
+      climate_zone,
+      climate_factor,
+      solar: solar_yield ? summarizeSolarYield(solar_yield, roof_area, roof_division, grid.emission_factor) : null,
+      water: stormwater ? summarizeStormwater(stormwater, exchange_rate) : null,
+      thermal: roof_thermal ? summarizeRoofThermal(roof_thermal, grid.emission_factor, exchange_rate) : null,
+      grid: summarizeGrid(grid, grid_intensity, installation_year, years_to_calculate)
+    },
+    timeline: {
+      integration,
+      years: years_smooth,
+      co2_with_improvements,
+      co2_natural_decline,
+      yearly: {
+        years: years_yearly,
+        co2_with_improvements: years_yearly.map(year => co2_at.get(year)),
+        co2_natural_decline: years_yearly.map(year => initial_co2 * Math.exp(-decline_rate * year * climate_factor))
+      }
+    },
+    neutrality: {
+      with_improvements: years_to_neutrality_improved,
+      natural_decline: years_to_neutrality_natural
+    },
+    savings: {
+      annual: total_annual_savings,
+      ten_year: co2_savings_10yr
+    },
+    economics: {
+      estimated_cost: estimated_cost * exchange_rate.rate,
+      currency: exchange_rate.currency,
+      exchange_rate,
+      simple_payback_years,
+      roi_10yr,
+      npv: net_present_value,
+      irr: internal_rate_of_return,
+      discounted_payback_years,
+      levelized_cost_per_tonne_co2,
+      cash_flow_assumptions: {
+        discount_rate,
+        energy_price_escalation,
+        maintenance_cost_rate,
+        component_replacements
+      },
+      cash_flows,
+      cost_catalog
+    },
+    intensity: {
+      carbon_per_sqm: carbon_intensity_per_sqm,
+      reduction_per_euro: carbon_reduction_per_euro
+    },
+    lifecycle: {
+      ...lifecycle,
+      balance: carbon_balance
+    },
+    summary: {
+      neutrality_improved: years_to_neutrality_improved 
+        ? `CO2 neutrality with improvements is achieved in ${years_to_neutrality_improved.toFixed(1)} years.`
+        : "CO2 neutrality with improvements is not achieved within the timeframe.",
+      neutrality_natural: years_to_neutrality_natural
+        ? `CO2 neutrality without improvements (natural decline) is achieved in ${years_to_neutrality_natural.toFixed(1)} years.`
+        : "CO2 neutrality without improvements (natural decline) is not achieved within the timeframe.",
+      economic_summary: `Estimated payback period is ${simple_payback_years.toFixed(1)} years with a 10-year ROI of ${roi_10yr.toFixed(1)}%.`,
+      cash_flow_summary: `Net present value at a ${(discount_rate * 100).toFixed(1)}% discount rate is ${formatCurrency(net_present_value, exchange_rate.currency)}` +
+        (discounted_payback_years !== null
+          ? `, with a discounted payback of ${discounted_payback_years.toFixed(1)} years.`
+          : `; the investment is not paid back within ${years_to_calculate} years.`),
+      lifecycle: summarizeCarbonBalance(lifecycle, carbon_balance)
+    },
+    engine: stampEngine(params, installation_year)
+  };
+}
+
+/**
+ * Performs enhanced CO2 calculations with social and environmental metrics
+ * @param {object} params - Enhanced calculation parameters
+ * @returns {object} Enhanced calculation results
+ */
+function performEnhancedCalculations(params) {
+  const {
+    roof_area = 2776,
+    GWP_roof = 3.33,
+    roof_division = {
+      "Green Areas": 25,
+      "Solar Power": 25,
+      "Water Management": 25,
+      "Social Impact": 25
+    },
+    plant_absorption = 1347.976,
+    energy_emission = 64095.68,
+    solar_emission = null, // Embodied carbon (A1-A3) of the solar installation in kg CO2e; replaces the materials database figure
+    solar_reduction = 12142.5,
+    heating_original = 16720,
+    heating_reduced = 12540,
+    water_emission = 6849.81,
+    water_mitigated = 1441.254,
+    water_collected = 427,
+    water = null, // Stormwater model inputs; replaces water_mitigated and water_collected
+    thermal = null, // Green roof thermal model inputs; adds cooling savings and replaces health_metrics.mortality_reduction
+    climate_zone = 'temperate', // Climate zone for the thermal model
+    biodiversity = {}, // Habitat inputs for the biodiversity score (vegetation layers, native species, features, connectivity)
+    lca = {}, // Embodied carbon inputs (transport distance, assemblies, materials) replacing the materials database defaults
+    social_metrics = {
+      social_network: 11.08,
+      trust: 11.08,
+      reciprocity: 11.08,
+      safety_wellbeing: 9.86,
+      social_equity: 9.83,
+      happiness: 22.6,
+      stress_reduction: 39.4,
+      quality_of_life: 35.3
+    },
+    social_metric_definitions = DEFAULT_SOCIAL_METRICS, // Built-in and registered social metrics keyed by name
+    social_weighting_profile = null, // Weighting profile of the client; metrics it gives no weight use their default weight
+    health_metrics = {
+      hypertension_reduction: 6.77,
+      heat_wave_temperature: 28,
+      mortality_reduction: 15
+    },
+    improvement_types = DEFAULT_IMPROVEMENT_TYPES, // Registry of known improvement types
+    cost_factors = {}, // Overrides registry costs per m², e.g. from a cost catalog
+    cost_catalog = null, // Catalog version the cost factors were taken from, if any
+    exchange_rate = BASE_EXCHANGE_RATE, // Rate used to convert monetary results from BASE_CURRENCY
+    grid_emission_factor = DEFAULT_GRID_EMISSION_FACTOR, // kg CO2e per kWh of grid electricity, used when no country is given
+    grid_intensity = null, // Country grid factors by year, resolved from a grid factor table
+    installation_year = new Date().getFullYear(), // Calendar year of project year 0
+    sdg_focus = null, // Goals the client aims for, checked against what the roof contributes; not used for the score
+    years_to_calculate = 50
+  } = params;
+
+  // Input validation
+  if (roof_area <= 0) throw ValidationError.forField('roof_area', "Roof area must be positive");
+  if (GWP_roof <= 0) throw ValidationError.forField('GWP_roof', "GWP_roof must be positive");
+  if (!(grid_emission_factor > 0)) throw ValidationError.forField('grid_emission_factor', "Grid emission factor must be positive");
+  validateRoofDivision(roof_division, improvement_types);
+
+  // Solar and heating savings are energy savings, valued at the grid factor of the installation year
+  const grid = buildGridTrajectory(grid_intensity, installation_year, grid_emission_factor);
+
+  // Water savings from the stormwater model if rainfall inputs are given, otherwise as stated
+  const stormwater = water ? estimateStormwater(water, roof_area, roof_division) : null;
+  const annual_water_mitigated = stormwater ? stormwater.co2_savings.total : water_mitigated;
+  const annual_water_collected = stormwater ? stormwater.harvested_m3 : water_collected;
+
+  // Cooling energy and heat exposure under the green part of the roof, if vegetation inputs are given
+  const roof_thermal = thermal
+    ? estimateRoofThermal({ heat_wave_temperature: health_metrics.heat_wave_temperature, ...thermal }, roof_area, roof_division, climate_zone)
+    : null;
+  const cooling_co2 = roof_thermal ? roof_thermal.cooling_energy_savings_kwh * grid.emission_factor : 0;
+  const mortality_reduction = roof_thermal ? roof_thermal.heat_mortality_reduction : health_metrics.mortality_reduction;
+  const effective_health_metrics = { ...health_metrics, mortality_reduction };
+
+  // Biotope area factor and biodiversity score of the roof design
+  const biodiversity_assessment = scoreBiodiversity(biodiversity, roof_division, roof_area);
+  
+  const effective_cost_factors = {
+    ...pickFromImprovementTypes(improvement_types, type => type.cost_per_m2),
+    ...cost_factors
+  };
+
+  // Initial CO2 impact
+  const initial_co2 = GWP_roof * roof_area;
+
+  // Calculate CO2 neutrality based on plant absorption
+  const years_to_neutrality = initial_co2 / plant_absorption;
+
+  // Calculate energy savings from solar panels
+  const solar_energy_savings_percentage = (solar_reduction / energy_emission) * 100;
+  
+  // Calculate heating reduction percentage
+  const heating_reduction_percentage = ((heating_original - heating_reduced) / heating_original) * 100;
+  
+  // Calculate water reduction percentage
+  const water_reduction_percentage = (annual_water_mitigated / water_emission) * 100;
+  
+  // Calculate total environmental impact
+  const energy_co2_reduction = solar_reduction + (heating_original - heating_reduced) + cooling_co2;
+  const total_annual_co2_reduction = plant_absorption + energy_co2_reduction + annual_water_mitigated;
+  
+  // Calculate social impact score (weighted average of social metrics, weighted by the profile)
+  const { social_impact_score, weighting: social_weighting } = scoreSocialImpact(social_metrics, social_metric_definitions, social_weighting_profile);
+  
+  // Calculate health impact score
+  const health_impact_score = (health_metrics.hypertension_reduction + mortality_reduction) / 2;
+  
+  // SDG alignment from the targets the improvements in the roof division contribute to
+  const sdg_alignment = assessSdgAlignment(roof_division, improvement_types);
+  const sdg_alignment_score = sdg_alignment.sdg_alignment_score;
+  
+  // Calculate combined sustainability score
+  const sustainability_score = (
+    (total_annual_co2_reduction / (initial_co2 * 0.1)) * 0.4 + // Environmental component (40%)
+    social_impact_score * 0.3 + // Social component (30%)
+    health_impact_score * 0.2 + // Health component (20%)
+    sdg_alignment_score * 0.1   // SDG alignment component (10%)
+  );
+  
+  // Calculate economic benefits
+  const estimated_cost = calculateEnhancedEstimatedCost(roof_area, roof_division, effective_cost_factors);
+  const annual_economic_benefit = calculateAnnualEconomicBenefit(
+    solar_reduction + cooling_co2,
+    heating_original - heating_reduced, 
+    annual_water_collected,
+    social_impact_score,
+    health_impact_score,
+    grid.emission_factor
+  );
+  const simple_payback_years = estimated_cost / annual_economic_benefit;
+  
+  // Calculate long-term projections
+  const years = Array.from({length: years_to_calculate + 1}, (_, i) => i);
+  // Energy savings avoid less CO2 each year as the grid gets cleaner
+  const annual_co2_reduction = years.map(year => year === 0
+    ? 0
+    : plant_absorption + annual_water_mitigated + energy_co2_reduction * grid.relativeFactor(year));
+  let cumulative = 0;
+  const cumulative_co2_reduction = annual_co2_reduction.map(reduction => (cumulative += reduction));
+  const cumulative_economic_benefit = years.map(year => annual_economic_benefit * exchange_rate.rate * year);
+
+  // Embodied carbon of the installed materials against the projected reductions
+  const lifecycle = assessLifecycle({
+    roof_area,
+    roof_division,
+    years: years_to_calculate,
+    lca,
+    product_stage_overrides: solar_emission !== null ? { "Solar Power": solar_emission } : {}
+  });
+  const carbon_balance = carbonBalance(lifecycle, annual_co2_reduction);
+  
+  return {
+    configuration: {
+      roof_area,
+      GWP_roof,
+      initial_co2,
+      roof_division,
+      improvement_types: pickImprovementTypes(improvement_types, Object.keys(roof_division)),
+      cost_factors: effective_cost_factors,
+      water: stormwater ? summarizeStormwater(stormwater, exchange_rate) : null,
+      thermal: roof_thermal ? summarizeRoofThermal(roof_thermal, grid.emission_factor, exchange_rate) : null,
+      grid: summarizeGrid(grid, grid_intensity, installation_year, years_to_calculate)
+    },
+    environmental_impact: {
+      plant_absorption,
+      years_to_neutrality,
+      solar_energy_savings_percentage,
+      heating_reduction_percentage,
+      water_reduction_percentage,
+      total_annual_co2_reduction
+    },
+    social_impact: {
+      metrics: social_metrics,
+      social_impact_score,
+      weighting: social_weighting
+    },
+    health_impact: {
+      metrics: effective_health_metrics,
+      health_impact_score,
+      heat_wave_resilience: (roof_thermal ? mortality_reduction > 0 : health_metrics.heat_wave_temperature > 25) ? "Improved" : "Standard"
+    },
+    biodiversity: biodiversity_assessment,
+    lifecycle: {
+      ...lifecycle,
+      balance: carbon_balance
+    },
+    sdg_alignment: {
+      ...sdg_alignment,
+      focus: sdg_focus ? checkSdgFocus(sdg_alignment, sdg_focus) : null
+    },
+    sustainability: {
+      sustainability_score,
+      rating: getSustainabilityRating(sustainability_score)
+    },
+    economics: {
+      estimated_cost: estimated_cost * exchange_rate.rate,
+      annual_economic_benefit: annual_economic_benefit * exchange_rate.rate,
+      currency: exchange_rate.currency,
+      exchange_rate,
+      simple_payback_years,
+      roi_10yr: (annual_economic_benefit * 10 / estimated_cost) * 100,
+      cost_catalog
+    },
+    projections: {
+      years,
+      annual_co2_reduction,
+      cumulative_co2_reduction,
+      cumulative_economic_benefit
+    },
+    summary: {
+      environmental: `The roof improvements will absorb ${plant_absorption.toFixed(2)} kg CO2e annually, achieving CO2 neutrality in ${years_to_neutrality.toFixed(1)} years. Energy consumption is reduced by ${solar_energy_savings_percentage.toFixed(1)}% through solar power, heating by ${heating_reduction_percentage.toFixed(1)}%, and water impact by ${water_reduction_percentage.toFixed(1)}%.`,
+      social: `Social benefits include ${social_impact_score.toFixed(1)}% improvement in social metrics, with notable improvements in stress reduction (${social_metrics.stress_reduction}%) and quality of life (${social_metrics.quality_of_life}%).`,
+      health: `Health benefits include ${health_metrics.hypertension_reduction}% reduction in hypertension risk and ${roof_thermal ? mortality_reduction.toFixed(1) : mortality_reduction}% reduction in heat-related mortality.`,
+      biodiversity: `The roof reaches a biotope area factor of ${biodiversity_assessment.biotope_area_factor.toFixed(2)} (target ${biodiversity_assessment.baf_target}) and a biodiversity score of ${biodiversity_assessment.biodiversity_score.toFixed(1)}/100, rated "${biodiversity_assessment.rating}".`,
+      lifecycle: summarizeCarbonBalance(lifecycle, carbon_balance),
+      sdg: `The roof contributes to ${sdg_alignment.sdgs_addressed.length} of the 17 SDGs, with an alignment score of ${sdg_alignment_score.toFixed(1)}/100.`,
+      economic: `With an estimated investment of ${formatCurrency(estimated_cost * exchange_rate.rate, exchange_rate.currency)} and annual benefits of ${formatCurrency(annual_economic_benefit * exchange_rate.rate, exchange_rate.currency)}, the payback period is ${simple_payback_years.toFixed(1)} years.`,
+      sustainability: `Overall sustainability score is ${sustainability_score.toFixed(1)}/100, rated as "${getSustainabilityRating(sustainability_score)}".`
+    },
+    engine: stampEngine(params, installation_year)
+  };
+}
+
+/**
+ * Validates that a roof division only uses registered improvement types and sums to 100%
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {object} improvement_types - Registry of improvement types keyed by name
+ * @throws {ValidationError} If an improvement type is unknown, a share is not a non-negative number, or the percentages do not sum to 100%
+ */
+function validateRoofDivision(roof_division, improvement_types = DEFAULT_IMPROVEMENT_TYPES) {
+  if (!roof_division || typeof roof_division !== 'object' || Array.isArray(roof_division)) {
+    throw ValidationError.forField('roof_division', "Roof division must be an object of percentages");
+  }
+
+  const unknown = Object.keys(roof_division).filter(key => !improvement_types[key]);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown improvement type(s) in roof division: ${unknown.join(', ')}. Known types: ${Object.keys(improvement_types).join(', ')}`,
+      unknown.map(key => ({ field: `roof_division.${key}`, message: 'Unknown improvement type' }))
+    );
+  }
+
+  const invalid = Object.keys(roof_division).filter(key =>
+    typeof roof_division[key] !== 'number' || !Number.isFinite(roof_division[key]) || roof_division[key] < 0
+  );
+  if (invalid.length > 0) {
+    throw new ValidationError(
+      `Roof division percentages must be non-negative numbers: ${invalid.join(', ')}`,
+      invalid.map(key => ({ field: `roof_division.${key}`, message: 'Must be a non-negative number' }))
+    );
+  }
+
+  // Validate roof division percentages sum to 100%
+  const totalPercentage = Object.values(roof_division).reduce((sum, val) => sum + val, 0);
+  if (Math.abs(totalPercentage - 100) > 0.01) {
+    throw ValidationError.forField('roof_division', "Roof division percentages must sum to 100%");
+  }
+}
+
+/**
+ * Resolves the installation phases of each improvement in a roof division
+ * @param {object} improvement_phases - Phases by improvement type as [{ share, start_year }]
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {object} improvement_years - Start year by improvement type, for improvements installed at once
+ * @returns {object} Phases by improvement type as [{ share, start_year, capex_year }]; phased installations are paid for in their start year, others up front
+ * @throws {ValidationError} If a schedule is malformed or its shares do not sum to 1
+ */
+function resolveImprovementPhases(improvement_phases, roof_division, improvement_years) {
+  const errors = [];
+
+  for (const [improvement, phases] of Object.entries(improvement_phases)) {
+    const field = `improvement_phases.${improvement}`;
+    if (roof_division[improvement] === undefined) {
+      errors.push({ field, message: `"${improvement}" is not part of the roof division` });
+    } else if (!Array.isArray(phases) || phases.length === 0) {
+      errors.push({ field, message: "Phases must be a non-empty array of { share, start_year }" });
+    } else if (phases.some(phase => !(phase.share > 0 && phase.share <= 1) || !(phase.start_year >= 0))) {
+      errors.push({ field, message: "Each phase needs a share between 0 and 1 and a non-negative start_year" });
+    } else {
+      const total = phases.reduce((sum, phase) => sum + phase.share, 0);
+      if (Math.abs(total - 1) > 0.001) {
+        errors.push({ field, message: `Phase shares must sum to 1 (currently ${total})` });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid installation phases: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`, errors);
+  }
+
+  const resolved = {};
+  for (const improvement in roof_division) {
+    resolved[improvement] = improvement_phases[improvement]
+      ? improvement_phases[improvement]
+        .map(({ share, start_year }) => ({ share, start_year, capex_year: start_year }))
+        .sort((a, b) => a.start_year - b.start_year)
+      : [{ share: 1, start_year: improvement_years[improvement] || 0, capex_year: 0 }];
+  }
+  return resolved;
+}
+
+/**
+ * Helper function to map every improvement type in a registry to a single value
+ * @param {object} improvement_types - Registry of improvement types keyed by name
+ * @param {Function} pick - Returns the value for one improvement type
+ * @returns {object} Values keyed by improvement type name
+ */
+function pickFromImprovementTypes(improvement_types, pick) {
+  const values = {};
+  for (const [name, type] of Object.entries(improvement_types)) {
+    values[name] = pick(type);
+  }
+  return values;
+}
+
+/**
+ * Helper function to select a subset of a registry
+ * @param {object} improvement_types - Registry of improvement types keyed by name
+ * @param {Array<string>} names - Improvement type names to keep
+ * @returns {object} Registry entries for the given names
+ */
+function pickImprovementTypes(improvement_types, names) {
+  const selected = {};
+  for (const name of names) {
+    selected[name] = improvement_types[name];
+  }
+  return selected;
+}
+
+/**
+ * Helper function to scale a per-m² solar yield to the installed solar area
+ * @param {object} solar_yield - Result of estimateSolarYield
+ * @param {number} roof_area - Roof area in square meters
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {number} grid_emission_factor - kg CO2e per kWh
+ * @returns {object} Yield model details with installed capacity, kWh per year and CO2 avoided
+ */
+function summarizeSolarYield(solar_yield, roof_area, roof_division, grid_emission_factor) {
+  const { yield_kwh_per_m2, capacity_kwp_per_m2, ...details } = solar_yield;
+  const solar_area = roof_area * ((roof_division["Solar Power"] || 0) / 100);
+  const annual_kwh = yield_kwh_per_m2 * solar_area;
+
+  return {
+    ...details,
+    grid_emission_factor,
+    solar_area,
+    installed_capacity_kwp: capacity_kwp_per_m2 * solar_area,
+    annual_kwh,
+    co2_avoided: annual_kwh * grid_emission_factor
+  };
+}
+
+/**
+ * Helper function to add the value of the drinking water saved to a stormwater result
+ * @param {object} stormwater - Result of estimateStormwater
+ * @param {object} exchange_rate - Rate used to convert from BASE_CURRENCY
+ * @returns {object} Stormwater result with the yearly water cost savings
+ */
+function summarizeStormwater(stormwater, exchange_rate) {
+  return {
+    ...stormwater,
+    water_cost_savings: stormwater.drinking_water_savings_m3 * ECONOMIC_FACTORS.water_price_per_m3 * exchange_rate.rate
+  };
+}
+
+/**
+ * Helper function to add the CO2 and value of the cooling energy saved to a thermal result
+ * @param {object} roof_thermal - Result of estimateRoofThermal
+ * @param {number} grid_emission_factor - kg CO2e per kWh at installation
+ * @param {object} exchange_rate - Rate used to convert from BASE_CURRENCY
+ * @returns {object} Thermal result with the yearly cooling CO2 and cost savings
+ */
+function summarizeRoofThermal(roof_thermal, grid_emission_factor, exchange_rate) {
+  return {
+    ...roof_thermal,
+    cooling_co2_savings: roof_thermal.cooling_energy_savings_kwh * grid_emission_factor,
+    cooling_cost_savings: roof_thermal.cooling_energy_savings_kwh * ECONOMIC_FACTORS.electricity_price_per_kwh * exchange_rate.rate
+  };
+}
+
+/**
+ * Helper function to describe the grid emission factors used by a calculation
+ * @param {object} grid - Result of buildGridTrajectory
+ * @param {object|null} grid_intensity - Country factors resolved from a grid factor table, or null
+ * @param {number} installation_year - Calendar year of project year 0
+ * @param {number} years_to_calculate - Number of project years
+ * @returns {object} Country, table, factor at installation and yearly factors
+ */
+function summarizeGrid(grid, grid_intensity, installation_year, years_to_calculate) {
+  if (!grid_intensity) {
+    return {
+      country: null,
+      table: null,
+      installation_year: null,
+      emission_factor: grid.emission_factor,
+      yearly_factors: null
+    };
+  }
+
+  return {
+    country: grid_intensity.country,
+    table: grid_intensity.table,
+    installation_year,
+    emission_factor: grid.emission_factor,
+    yearly_factors: gridFactorSeries(grid_intensity, installation_year, years_to_calculate)
+  };
+}
+
+/**
+ * Helper function to describe the carbon balance of a design
+ * @param {object} lifecycle - Result of assessLifecycle
+ * @param {object} carbon_balance - Result of carbonBalance
+ * @returns {string} Summary sentence
+ */
+function summarizeCarbonBalance(lifecycle, carbon_balance) {
+  const embodied = `The installed materials embody ${(lifecycle.total / 1000).toFixed(1)} t CO2e over ${lifecycle.study_period} years (${(lifecycle.upfront / 1000).toFixed(1)} t upfront)`;
+  return carbon_balance.carbon_payback_year !== null
+    ? `${embodied}, paid back by avoided emissions in year ${carbon_balance.carbon_payback_year}; the net balance is ${(carbon_balance.net_balance / 1000).toFixed(1)} t CO2e.`
+    : `${embodied}, which the avoided emissions do not pay back within the study period; the net balance is ${(carbon_balance.net_balance / 1000).toFixed(1)} t CO2e.`;
+}
+
+/**
+ * Helper function to stamp results with the engine version and a hash of the inputs
+ * @param {object} params - Calculation parameters as passed to the engine
+ * @param {number} installation_year - Effective installation year (defaults to the current year)
+ * @param {string} version - Engine version that produced the results
+ * @returns {object} Engine version and input hash
+ */
+function stampEngine(params, installation_year, version = ENGINE_VERSION) {
+  return {
+    version,
+    input_hash: hashInputs({ ...params, installation_year })
+  };
+}
+
+/**
+ * Helper function to estimate costs based on roof area and division
+ * @param {number} roof_area - Roof area in square meters
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {object} cost_factors - Cost per square meter by improvement (defaults to DEFAULT_COST_FACTORS)
+ * @returns {number} Estimated cost in BASE_CURRENCY
+ */
+function calculateEstimatedCost(roof_area, roof_division, cost_factors = DEFAULT_COST_FACTORS) {
+  let total_cost = 0;
+  for (const improvement in roof_division) {
+    const area_for_improvement = roof_area * (roof_division[improvement] / 100);
+    const cost_for_improvement = area_for_improvement * (cost_factors[improvement] || 100);
+    total_cost += cost_for_improvement;
+  }
+  
+  return total_cost;
+}
+
+/**
+ * Helper function to estimate enhanced costs based on roof area and division
+ * @param {number} roof_area - Roof area in square meters
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {object} cost_factors - Cost per square meter by improvement (defaults to DEFAULT_COST_FACTORS)
+ * @returns {number} Estimated cost in BASE_CURRENCY
+ */
+function calculateEnhancedEstimatedCost(roof_area, roof_division, cost_factors = DEFAULT_COST_FACTORS) {
+  let total_cost = 0;
+  for (const improvement in roof_division) {
+    const area_for_improvement = roof_area * (roof_division[improvement] / 100);
+    const cost_for_improvement = area_for_improvement * (cost_factors[improvement] || 100);
+    total_cost += cost_for_improvement;
+  }
+  
+  return total_cost;
+}
+
+/**
+ * Helper function to calculate annual economic benefit
+ * @param {number} solar_reduction - CO2 reduction from grid electricity saved (solar panels and cooling)
+ * @param {number} heating_reduction - Heating reduction
+ * @param {number} water_collected - Water collected in m3
+ * @param {number} social_impact_score - Social impact score
+ * @param {number} health_impact_score - Health impact score
+ * @param {number} grid_emission_factor - kg CO2e per kWh of grid electricity
+ * @returns {number} Annual economic benefit in BASE_CURRENCY
+ */
+function calculateAnnualEconomicBenefit(solar_reduction, heating_reduction, water_collected, social_impact_score, health_impact_score, grid_emission_factor = DEFAULT_GRID_EMISSION_FACTOR) {
+  const {
+    co2_price_per_kg,
+    electricity_price_per_kwh,
+    water_price_per_m3,
+    productivity_value,
+    health_cost_savings
+  } = ECONOMIC_FACTORS;
+  
+  // Electricity behind the CO2 reduction at the grid emission factor
+  const electricity_savings = solar_reduction / grid_emission_factor;
+  
+  // Calculate economic benefits
+  const carbon_benefit = (solar_reduction + heating_reduction) * co2_price_per_kg;
+  const electricity_benefit = electricity_savings * electricity_price_per_kwh;
+  const water_benefit = water_collected * water_price_per_m3;
+  
+  // Assume 50 employees for productivity calculation
+  const employees = 50;
+  const productivity_benefit = social_impact_score * productivity_value * employees / 100;
+  
+  // Health benefit calculation
+  const health_benefit = health_impact_score * health_cost_savings * employees / 100;
+  
+  return carbon_benefit + electricity_benefit + water_benefit + productivity_benefit + health_benefit;
+}
+
+/**
+ * Helper function to get sustainability rating based on score
+ * @param {number} score - Sustainability score
+ * @returns {string} Sustainability rating
+ */
+function getSustainabilityRating(score) {
+  if (score >= 90) return "Outstanding";
+  if (score >= 80) return "Excellent";
+  if (score >= 70) return "Very Good";
+  if (score >= 60) return "Good";
+  if (score >= 50) return "Satisfactory";
+  if (score >= 40) return "Acceptable";
+  return "Needs Improvement";
+}
+
+/**
+ * Helper function to format a monetary amount with its ISO currency code
+ * @param {number} amount - Amount to format
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} Formatted amount, e.g. "EUR 175,000"
+ */
+function formatCurrency(amount, currency = BASE_CURRENCY) {
+  return `${currency} ${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+/**
+ * Helper function to create a linear space array (like numpy's linspace)
+ * @param {number} start - Start value
+ * @param {number} end - End value
+ * @param {number} n - Number of points
+ * @returns {Array} Array of evenly spaced points
+ */
+function linspace(start, end, n) {
+  const result = new Array(n);
+  const step = (end - start) / (n - 1);
+  for (let i = 0; i < n; i++) {
+    result[i] = start + (step * i);
+  }
+  return result;
+}
+
+module.exports = {
+  ENGINE_VERSION,
+  BASE_CURRENCY,
+  BASE_EXCHANGE_RATE,
+  ECONOMIC_FACTORS,
+  REFERENCE_ROOF_AREA,
+  DEFAULT_IMPROVEMENT_TYPES,
+  DEFAULT_COST_FACTORS,
+  performCalculations,
+  performEnhancedCalculations,
+  validateRoofDivision,
+  calculateEstimatedCost,
+  calculateEnhancedEstimatedCost,
+  calculateAnnualEconomicBenefit,
+  summarizeStormwater,
+  stampEngine,
+  getSustainabilityRating,
+  formatCurrency,
+  linspace
+};
\ No newline at end of file
@@ -0,0 +1,101 @@
+/**
+ * Grid emission factors
+ * Carbon intensity of grid electricity by country and year, and the yearly
+ * trajectory used to let avoided emissions shrink as the grid decarbonises
+ */
+const { ValidationError } = require('../../errors');
+
+// Grid emission factor (kg CO2e per kWh) used when no country is given
+const DEFAULT_GRID_EMISSION_FACTOR = 0.25;
+
+// Improvement types whose savings come from displaced grid energy
+const GRID_DEPENDENT_IMPROVEMENTS = ['Solar Power'];
+
+// First year of the built-in table that is a projection rather than a reported value
+const DEFAULT_PROJECTED_FROM = 2025;
+
+// Built-in grid carbon intensities in kg CO2e per kWh, keyed by ISO 3166 country code
+// (EU = EU-27 average) and year. Reported values are rounded from published national
+// statistics up to 2024; later years follow national decarbonisation targets.
+// Years in between are interpolated and the last year is held constant.
+const DEFAULT_GRID_FACTORS = {
+  DK: { 2020: 0.135, 2022: 0.150, 2024: 0.110, 2030: 0.040, 2040: 0.015, 2050: 0.005 },
+  SE: { 2020: 0.012, 2022: 0.011, 2024: 0.010, 2030: 0.008, 2040: 0.006, 2050: 0.004 },
+  NO: { 2020: 0.010, 2022: 0.009, 2024: 0.008, 2030: 0.006, 2040: 0.004, 2050: 0.003 },
+  FI: { 2020: 0.090, 2022: 0.080, 2024: 0.060, 2030: 0.030, 2040: 0.015, 2050: 0.008 },
+  DE: { 2020: 0.370, 2022: 0.430, 2024: 0.360, 2030: 0.190, 2040: 0.060, 2050: 0.020 },
+  NL: { 2020: 0.390, 2022: 0.340, 2024: 0.270, 2030: 0.120, 2040: 0.040, 2050: 0.010 },
+  FR: { 2020: 0.055, 2022: 0.060, 2024: 0.030, 2030: 0.025, 2040: 0.015, 2050: 0.010 },
+  GB: { 2020: 0.230, 2022: 0.200, 2024: 0.150, 2030: 0.050, 2040: 0.020, 2050: 0.010 },
+  PL: { 2020: 0.710, 2022: 0.690, 2024: 0.620, 2030: 0.420, 2040: 0.200, 2050: 0.050 },
+  EU: { 2020: 0.280, 2022: 0.280, 2024: 0.230, 2030: 0.120, 2040: 0.050, 2050: 0.015 }
+};
+
+/**
+ * Grid emission factor for a calendar year
+ * @param {object} factors - Factors keyed by year
+ * @param {number} year - Calendar year
+ * @returns {number} kg CO2e per kWh, linearly interpolated between the given years
+ */
+function gridFactorAt(factors, year) {
+  const years = Object.keys(factors).map(Number).sort((a, b) => a - b);
+  if (year <= years[0]) return factors[years[0]];
+  if (year >= years[years.length - 1]) return factors[years[years.length - 1]];
+
+  let high = 1;
+  while (years[high] < year) high++;
+  const low = years[high - 1];
+  const fraction = (year - low) / (years[high] - low);
+  return factors[low] + (factors[years[high]] - factors[low]) * fraction;
+}
+
+/**
+ * Build the grid trajectory for a calculation
+ * @param {object|null} grid_intensity - Country factors resolved from a grid factor table, or null
+ * @param {number} installation_year - Calendar year of project year 0
+ * @param {number} grid_emission_factor - Constant factor used when no country is given
+ * @returns {object} Factor at installation and a function giving the factor relative to installation for a project year
+ */
+function buildGridTrajectory(grid_intensity, installation_year, grid_emission_factor) {
+  if (!grid_intensity) {
+    return {
+      emission_factor: grid_emission_factor,
+      relativeFactor: () => 1
+    };
+  }
+
+  const emission_factor = gridFactorAt(grid_intensity.factors, installation_year);
+  if (!(emission_factor > 0)) {
+    throw ValidationError.forField('country', `Grid emission factor for ${grid_intensity.country} in ${installation_year} must be positive`);
+  }
+
+  return {
+    emission_factor,
+    relativeFactor: (year) => gridFactorAt(grid_intensity.factors, installation_year + year) / emission_factor
+  };
+}
+
+/**
+ * Yearly grid factors over a project horizon, for reporting
+ * @param {object} grid_intensity - Country factors resolved from a grid factor table
+ * @param {number} installation_year - Calendar year of project year 0
+ * @param {number} years - Number of project years
+ * @returns {Array<object>} Calendar year, factor and whether it is a projection
+ */
+function gridFactorSeries(grid_intensity, installation_year, years) {
+  return Array.from({ length: Math.floor(years) + 1 }, (_, year) => ({
+    year: installation_year + year,
+    factor: gridFactorAt(grid_intensity.factors, installation_year + year),
+    projected: grid_intensity.projected_from !== null && installation_year + year >= grid_intensity.projected_from
+  }));
+}
+
+module.exports = {
+  DEFAULT_GRID_EMISSION_FACTOR,
+  GRID_DEPENDENT_IMPROVEMENTS,
+  DEFAULT_GRID_FACTORS,
+  DEFAULT_PROJECTED_FROM,
+  gridFactorAt,
+  buildGridTrajectory,
+  gridFactorSeries
+};
@@ -0,0 +1,16 @@
+/**
+ * Engine 1.2.0
+ * The engine modules and the data files they read, as released in version
+ * 1.2.0. Only module paths were changed; do not change the models.
+ */
+const {
+  ENGINE_VERSION,
+  performCalculations,
+  performEnhancedCalculations
+} = require('./calculations');
+
+module.exports = {
+  VERSION: ENGINE_VERSION,
+  performCalculations,
+  performEnhancedCalculations
+};
@@ -0,0 +1,206 @@
+/**
+ * Embodied-carbon lifecycle assessment
+ * EN 15978 stages A1-A3 (product), A4-A5 (construction), B (replacements
+ * during use) and C (end of life) for the materials each improvement type
+ * installs, from the bundled materials database, and the carbon balance
+ * against the savings the improvements achieve
+ */
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('../../errors');
+
+// Bundled materials database
+const MATERIALS_FILE = path.join(__dirname, 'data', 'lca', 'materials.json');
+
+// Distance materials are trucked to site when none is given, in km
+const DEFAULT_TRANSPORT_KM = 300;
+
+let materialsDatabase = null;
+
+/**
+ * Load the bundled materials database
+ * @returns {object} Materials keyed by ID, default assemblies by improvement type and database details
+ */
+function loadMaterialsDatabase() {
+  if (!materialsDatabase) {
+    materialsDatabase = JSON.parse(fs.readFileSync(MATERIALS_FILE, 'utf8'));
+  }
+  return materialsDatabase;
+}
+
+/**
+ * Embodied carbon of one material over a study period
+ * @param {object} material - Material from the database
+ * @param {number} quantity - Quantity in the material's unit
+ * @param {number} transport_km - Transport distance to site
+ * @param {number} transport_emission_factor - kg CO2e per kg per km
+ * @param {number} years - Study period in years
+ * @param {number} scale - Factor applied to the product stage
+ * @returns {object} kg CO2e by stage and the years in which the material is replaced
+ */
+function materialStages(material, quantity, transport_km, transport_emission_factor, years, scale = 1) {
+  const A1_A3 = quantity * material.a1_a3 * scale;
+  const A4 = quantity * material.mass_kg * transport_km * transport_emission_factor;
+  // Installation losses have to be produced, transported and disposed of as well
+  const A5 = (A1_A3 + A4 + quantity * material.end_of_life) * (material.installation_waste || 0);
+  const C = quantity * material.end_of_life;
+
+  // B4: a replacement repeats production, construction and disposal of the material
+  const replacement_years = [];
+  for (let year = material.service_life_years; year < years; year += material.service_life_years) {
+    replacement_years.push(year);
+  }
+  const per_replacement = A1_A3 + A4 + A5 + C;
+
+  return {
+    A1_A3,
+    A4_A5: A4 + A5,
+    B: per_replacement * replacement_years.length,
+    C,
+    per_replacement,
+    replacement_years
+  };
+}
+
+/**
+ * Assess the embodied carbon of a roof design
+ * @param {object} options - Assessment inputs
+ * @param {number} options.roof_area - Roof area in square meters
+ * @param {object} options.roof_division - Percentage allocation of roof improvements
+ * @param {number} options.years - Study period in years
+ * @param {object} options.lca - Request options: transport_km, and assemblies or materials replacing database entries
+ * @param {object} options.product_stage_overrides - Total A1-A3 in kg CO2e by improvement type, replacing the database figure
+ * @returns {object} Embodied carbon by improvement, material and stage, and kg CO2e released in each year
+ * @throws {ValidationError} If an assembly uses an unknown material
+ */
+function assessLifecycle({ roof_area, roof_division, years, lca = {}, product_stage_overrides = {} }) {
+  const database = loadMaterialsDatabase();
+  const materials = { ...database.materials };
+  for (const [id, overrides] of Object.entries(lca.materials || {})) {
+    materials[id] = { installation_waste: 0, end_of_life: 0, mass_kg: 0, ...materials[id], ...overrides };
+  }
+  const assemblies = { ...database.assemblies, ...(lca.assemblies || {}) };
+  const transport_km = lca.transport_km !== undefined ? lca.transport_km : DEFAULT_TRANSPORT_KM;
+  const horizon = Math.floor(years);
+
+  const stages = { A1_A3: 0, A4_A5: 0, B: 0, C: 0 };
+  const yearly_embodied = new Array(horizon + 1).fill(0);
+  const improvements = {};
+  const unassessed = [];
+
+  for (const [improvement, percentage] of Object.entries(roof_division)) {
+    const area = roof_area * (percentage / 100);
+    if (!assemblies[improvement]) {
+      if (area > 0) unassessed.push(improvement);
+      continue;
+    }
+
+    const components = assemblies[improvement].map(({ material: id, quantity_per_m2 }) => {
+      const material = materials[id];
+      if (!material || !(material.a1_a3 >= 0) || !(material.service_life_years > 0)) {
+        throw ValidationError.forField(`lca.assemblies.${improvement}`, `Unknown or incomplete material "${id}". Known materials: ${Object.keys(materials).join(', ')}`);
+      }
+      return { id, material, quantity: quantity_per_m2 * area };
+    });
+
+    // A stated product stage total scales the product stage of every material of the improvement
+    const product_stage = components.reduce((sum, { material, quantity }) => sum + quantity * material.a1_a3, 0);
+    const override = product_stage_overrides[improvement];
+    const scale = override !== undefined && override !== null && product_stage > 0 ? override / product_stage : 1;
+
+    const totals = { A1_A3: 0, A4_A5: 0, B: 0, C: 0 };
+    const materialResults = components.map(({ id, material, quantity }) => {
+      const { A1_A3, A4_A5, B, C, per_replacement, replacement_years } =
+        materialStages(material, quantity, transport_km, database.transport_emission_factor, horizon, scale);
+
+      yearly_embodied[0] += A1_A3 + A4_A5;
+      for (const year of replacement_years) {
+        yearly_embodied[year] += per_replacement;
+      }
+      yearly_embodied[horizon] += C;
+
+      totals.A1_A3 += A1_A3;
+      totals.A4_A5 += A4_A5;
+      totals.B += B;
+      totals.C += C;
+
+      return {
+        material: id,
+        name: material.name,
+        unit: material.unit,
+        quantity,
+        A1_A3,
+        A4_A5,
+        B,
+        C,
+        replacements: replacement_years.length,
+        total: A1_A3 + A4_A5 + B + C
+      };
+    });
+
+    for (const stage in stages) {
+      stages[stage] += totals[stage];
+    }
+
+    improvements[improvement] = {
+      area,
+      materials: materialResults,
+      stages: totals,
+      total: totals.A1_A3 + totals.A4_A5 + totals.B + totals.C,
+      per_m2: area > 0 ? (totals.A1_A3 + totals.A4_A5 + totals.B + totals.C) / area : 0
+    };
+  }
+
+  return {
+    standard: 'EN 15978',
+    study_period: horizon,
+    materials_database: {
+      name: database.name,
+      version: database.version,
+      source: database.source
+    },
+    transport_km,
+    improvements,
+    stages,
+    upfront: stages.A1_A3 + stages.A4_A5,
+    total: stages.A1_A3 + stages.A4_A5 + stages.B + stages.C,
+    unassessed,
+    yearly_embodied
+  };
+}
+
+/**
+ * Net carbon balance of a design: savings against embodied carbon over time
+ * @param {object} lifecycle - Result of assessLifecycle
+ * @param {Array<number>} yearly_avoided - kg CO2e avoided in each year, starting with year 0
+ * @returns {object} Totals, the net balance and the first year cumulative savings exceed cumulative embodied carbon
+ */
+function carbonBalance(lifecycle, yearly_avoided) {
+  let cumulative_avoided = 0;
+  let cumulative_embodied = 0;
+  let carbon_payback_year = null;
+  const cumulative_net = lifecycle.yearly_embodied.map((embodied, year) => {
+    cumulative_avoided += yearly_avoided[year] || 0;
+    cumulative_embodied += embodied;
+    const net = cumulative_avoided - cumulative_embodied;
+    if (carbon_payback_year === null && year > 0 && net >= 0) {
+      carbon_payback_year = year;
+    }
+    return net;
+  });
+
+  return {
+    embodied_carbon: cumulative_embodied,
+    avoided_emissions: cumulative_avoided,
+    net_balance: cumulative_avoided - cumulative_embodied,
+    carbon_payback_year,
+    cumulative_net
+  };
+}
+
+module.exports = {
+  DEFAULT_TRANSPORT_KM,
+  loadMaterialsDatabase,
+  assessLifecycle,
+  carbonBalance
+};
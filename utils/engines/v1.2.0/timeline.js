@@ -0,0 +1,319 @@
+/**
+ * CO2 neutrality timeline
+ * Solves dC/dt = -k·C(t) - S(t) for the CO2 balance of a roof, where k is the
+ * annual natural decline rate and S(t) the CO2 saved per year by the
+ * improvements, either in closed form or by numerical integration. Also
+ * resamples timelines for responses and packs them into binary for storage.
+ */
+const { ValidationError } = require('../../errors');
+
+// Ways of solving the CO2 balance
+const INTEGRATION_METHODS = ['analytic', 'ode'];
+
+// Named timeline resolutions; a whole number of points (2 or more) is accepted as well
+const TIMELINE_RESOLUTIONS = ['full', 'yearly', 'quarterly', 'none'];
+
+// Series of a timeline, in the order they are packed
+const TIMELINE_SERIES = ['years', 'co2_with_improvements', 'co2_natural_decline'];
+
+// Below this value of k·h the exponential integrals are summed as a series,
+// where the closed form loses precision to cancellation
+const SERIES_THRESHOLD = 0.5;
+const SERIES_TERMS = 30;
+
+/**
+ * ∫₀ʰ e^(k·u) · (a + b·u + c·u²) du
+ * @param {number} k - Decline rate per year
+ * @param {number} h - Interval length in years
+ * @param {Array<number>} coefficients - Polynomial coefficients [a, b, c]
+ * @returns {number} Integral
+ */
+function exponentialPolynomialIntegral(k, h, [a, b, c]) {
+  if (Math.abs(k * h) < SERIES_THRESHOLD) {
+    // ∫₀ʰ uⁿ e^(k·u) du = Σ kᵐ h^(n+m+1) / (m! (n+m+1))
+    let sum = 0;
+    let term = 1; // (k·h)^m / m!
+    for (let m = 0; m < SERIES_TERMS; m++) {
+      sum += term * h * (a / (m + 1) + b * h / (m + 2) + c * h * h / (m + 3));
+      term *= k * h / (m + 1);
+    }
+    return sum;
+  }
+
+  const e = Math.exp(k * h);
+  const i0 = (e - 1) / k;
+  const i1 = e * (h / k - 1 / (k * k)) + 1 / (k * k);
+  const i2 = e * (h * h / k - 2 * h / (k * k) + 2 / (k * k * k)) - 2 / (k * k * k);
+  return a * i0 + b * i1 + c * i2;
+}
+
+/**
+ * Solve the CO2 balance in closed form. S(t) must be a polynomial of at most
+ * second degree between consecutive breakpoints; C(t) = e^(-kt)·(C₀ - ∫₀ᵗ e^(ks)·S(s) ds)
+ * @param {object} options - See simulateTimeline
+ * @returns {object} CO2 at each requested time and the neutrality year
+ */
+function solveAnalytic({ initial_co2, decline_rate: k, savings_rate, breakpoints, years, times }) {
+  const boundaries = [...new Set([
+    0,
+    years,
+    ...Array.from({ length: Math.ceil(years) }, (_, i) => i),
+    ...breakpoints.filter(t => t > 0 && t < years)
+  ])].sort((a, b) => a - b);
+
+  // Quadratic through three interior points of each segment, exact for S piecewise
+  // quadratic and unaffected by steps of S at the boundaries
+  const segments = [];
+  let cumulative = 0;
+  for (let j = 0; j < boundaries.length - 1; j++) {
+    const start = boundaries[j];
+    const h = boundaries[j + 1] - start;
+    const [y1, y2, y3] = [1 / 6, 1 / 2, 5 / 6].map(x => savings_rate(start + x * h));
+    // Newton form on u ∈ [0, h] through u = h/6, h/2, 5h/6
+    const d1 = (y2 - y1) / (h / 3);
+    const d2 = ((y3 - y2) / (h / 3) - d1) / (2 * h / 3);
+    const c = d2;
+    const b = d1 - d2 * (h / 6 + h / 2);
+    const a = y1 - d1 * (h / 6) + d2 * (h / 6) * (h / 2);
+    const coefficients = [a, b, c];
+    segments.push({ start, h, coefficients, cumulative });
+    cumulative += Math.exp(k * start) * exponentialPolynomialIntegral(k, h, coefficients);
+  }
+
+  // Discounted savings ∫₀ᵗ e^(ks)·S(s) ds
+  const savedBy = (t) => {
+    let j = segments.length - 1;
+    while (j > 0 && segments[j].start > t) j--;
+    const segment = segments[j];
+    return segment.cumulative + Math.exp(k * segment.start) * exponentialPolynomialIntegral(k, Math.min(t, years) - segment.start, segment.coefficients);
+  };
+
+  // Savings are never negative, so the balance reaches zero where the discounted savings reach C₀
+  let neutrality_year = null;
+  if (cumulative >= initial_co2) {
+    const j = segments.findIndex((segment, i) =>
+      (i + 1 < segments.length ? segments[i + 1].cumulative : cumulative) >= initial_co2);
+    let low = segments[j].start;
+    let high = segments[j].start + segments[j].h;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (savedBy(mid) >= initial_co2) high = mid;
+      else low = mid;
+    }
+    neutrality_year = high;
+  }
+
+  const values = times.map(t =>
+    neutrality_year !== null && t >= neutrality_year ? 0 : Math.max(0, Math.exp(-k * t) * (initial_co2 - savedBy(t))));
+
+  return { values, neutrality_year };
+}
+
+/**
+ * Solve the CO2 balance numerically with fourth-order Runge-Kutta steps
+ * @param {object} options - See simulateTimeline
+ * @returns {object} CO2 at each requested time and the neutrality year
+ */
+function solveOde({ initial_co2, decline_rate: k, savings_rate, times, max_step }) {
+  const derivative = (t, co2) => -k * co2 - savings_rate(t);
+
+  const values = [];
+  let t = 0;
+  let co2 = initial_co2;
+  let neutrality_year = null;
+
+  for (const target of times) {
+    while (neutrality_year === null && t < target) {
+      const h = Math.min(max_step, target - t);
+      const k1 = derivative(t, co2);
+      const k2 = derivative(t + h / 2, co2 + h / 2 * k1);
+      const k3 = derivative(t + h / 2, co2 + h / 2 * k2);
+      const k4 = derivative(t + h, co2 + h * k3);
+      const next = co2 + h / 6 * (k1 + 2 * k2 + 2 * k3 + k4);
+
+      if (next <= 0) {
+        // Linear interpolation within the step; the balance stays at zero afterwards
+        neutrality_year = t + h * co2 / (co2 - next);
+        co2 = 0;
+      } else {
+        co2 = next;
+      }
+      t += h;
+    }
+    values.push(neutrality_year !== null && target >= neutrality_year ? 0 : co2);
+  }
+
+  return { values, neutrality_year };
+}
+
+/**
+ * Simulate the CO2 balance of a roof over time
+ * @param {object} options - Simulation inputs
+ * @param {number} options.initial_co2 - CO2 balance at year 0 in kg CO2e
+ * @param {number} options.decline_rate - Natural decline rate per year (k)
+ * @param {Function} options.savings_rate - kg CO2e saved per year at time t (S(t))
+ * @param {Array<number>} options.breakpoints - Years at which S(t) changes form, e.g. when a phase is installed
+ * @param {number} options.years - Length of the simulation in years
+ * @param {Array<number>} options.times - Years at which to report the balance, ascending
+ * @param {string} options.method - 'analytic' or 'ode'
+ * @param {number} options.max_step - Largest integration step in years for the 'ode' method
+ * @returns {object} CO2 at each requested time, and the year it first reaches zero (null if not within the simulation)
+ * @throws {ValidationError} If the method is unknown
+ */
+function simulateTimeline(options) {
+  const { method = 'analytic' } = options;
+  if (!INTEGRATION_METHODS.includes(method)) {
+    throw ValidationError.forField('integration', `Unknown integration method "${method}". Known methods: ${INTEGRATION_METHODS.join(', ')}`);
+  }
+  return method === 'ode' ? solveOde(options) : solveAnalytic(options);
+}
+
+/**
+ * Check a timeline resolution
+ * @param {string|number} resolution - 'full', 'yearly', 'quarterly', 'none' or a number of points
+ * @param {string} field - Field name for the validation error
+ * @returns {string|number} The resolution, with a numeric string converted to a number
+ * @throws {ValidationError} If the resolution is not one of the above
+ */
+function parseTimelineResolution(resolution, field = 'timeline_resolution') {
+  if (TIMELINE_RESOLUTIONS.includes(resolution)) return resolution;
+  const points = Number(resolution);
+  if (Number.isInteger(points) && points >= 2) return points;
+  throw ValidationError.forField(field, `Timeline resolution must be one of ${TIMELINE_RESOLUTIONS.join(', ')} or a whole number of points (2 or more)`);
+}
+
+/**
+ * Linearly interpolate a series at a given year
+ * @param {Array<number>} years - Years of the series, ascending
+ * @param {Array<number>} values - Values of the series
+ * @param {number} year - Year to interpolate at
+ * @returns {number} Interpolated value
+ */
+function interpolate(years, values, year) {
+  if (year <= years[0]) return values[0];
+  if (year >= years[years.length - 1]) return values[values.length - 1];
+
+  let low = 0;
+  let high = years.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (years[mid] <= year) low = mid;
+    else high = mid;
+  }
+  const fraction = (year - years[low]) / (years[high] - years[low]);
+  return values[low] + (values[high] - values[low]) * fraction;
+}
+
+/**
+ * Resample a timeline to a resolution and year range
+ * @param {object} timeline - Timeline with years, co2_with_improvements and co2_natural_decline, and optionally the exact yearly series
+ * @param {string|number} resolution - 'full' (the calculated points), 'yearly', 'quarterly' or a number of evenly spaced points
+ * @param {object} range - First and last year to include (default: the whole timeline)
+ * @returns {object} Resampled years, co2_with_improvements and co2_natural_decline
+ */
+function resampleTimeline(timeline, resolution = 'full', { from = null, to = null } = {}) {
+  const first = from !== null ? Math.max(from, timeline.years[0]) : timeline.years[0];
+  const last = to !== null ? Math.min(to, timeline.years[timeline.years.length - 1]) : timeline.years[timeline.years.length - 1];
+  if (last < first) {
+    return { years: [], co2_with_improvements: [], co2_natural_decline: [] };
+  }
+
+  if (resolution === 'full') {
+    const indices = timeline.years.map((year, i) => i).filter(i => timeline.years[i] >= first && timeline.years[i] <= last);
+    return {
+      years: indices.map(i => timeline.years[i]),
+      co2_with_improvements: indices.map(i => timeline.co2_with_improvements[i]),
+      co2_natural_decline: indices.map(i => timeline.co2_natural_decline[i])
+    };
+  }
+
+  let years;
+  if (resolution === 'yearly' || resolution === 'quarterly') {
+    const step = resolution === 'yearly' ? 1 : 0.25;
+    years = [];
+    for (let i = Math.ceil(first / step - 1e-9); i * step <= last + 1e-9; i++) {
+      years.push(i * step);
+    }
+  } else {
+    years = Array.from({ length: resolution }, (_, i) => first + (last - first) * i / (resolution - 1));
+  }
+
+  // The exact whole-year values sharpen the interpolation between the calculated points
+  let source = timeline;
+  if (timeline.yearly) {
+    const merged = new Map();
+    for (const series of [timeline, timeline.yearly]) {
+      series.years.forEach((year, i) => merged.set(year, [series.co2_with_improvements[i], series.co2_natural_decline[i]]));
+    }
+    const mergedYears = [...merged.keys()].sort((a, b) => a - b);
+    source = {
+      years: mergedYears,
+      co2_with_improvements: mergedYears.map(year => merged.get(year)[0]),
+      co2_natural_decline: mergedYears.map(year => merged.get(year)[1])
+    };
+  }
+
+  return {
+    years,
+    co2_with_improvements: years.map(year => interpolate(source.years, source.co2_with_improvements, year)),
+    co2_natural_decline: years.map(year => interpolate(source.years, source.co2_natural_decline, year))
+  };
+}
+
+/**
+ * Shape the timeline of calculation results for a response
+ * @param {object} timeline - Full timeline from performCalculations
+ * @param {string|number} resolution - Timeline resolution; 'none' leaves out the series
+ * @returns {object} Timeline at the requested resolution
+ */
+function formatTimeline(timeline, resolution = 'full') {
+  const { integration, yearly } = timeline;
+  if (resolution === 'none') {
+    return { integration, resolution };
+  }
+  return {
+    integration,
+    resolution,
+    ...resampleTimeline(timeline, resolution),
+    yearly
+  };
+}
+
+/**
+ * Pack the series of a timeline into binary (little-endian float64, one series after the other)
+ * @param {object} timeline - Timeline with years, co2_with_improvements and co2_natural_decline
+ * @returns {Buffer} Packed series
+ */
+function encodeTimeline(timeline) {
+  const points = timeline.years.length;
+  const values = new Float64Array(points * TIMELINE_SERIES.length);
+  TIMELINE_SERIES.forEach((series, i) => values.set(timeline[series], i * points));
+  return Buffer.from(values.buffer);
+}
+
+/**
+ * Unpack the series of a timeline packed by encodeTimeline
+ * @param {Buffer} buffer - Packed series
+ * @returns {object} Years, co2_with_improvements and co2_natural_decline
+ */
+function decodeTimeline(buffer) {
+  // Copy into an aligned buffer before viewing it as float64
+  const values = new Float64Array(new Uint8Array(buffer).buffer);
+  const points = values.length / TIMELINE_SERIES.length;
+  const timeline = {};
+  TIMELINE_SERIES.forEach((series, i) => {
+    timeline[series] = Array.from(values.subarray(i * points, (i + 1) * points));
+  });
+  return timeline;
+}
+
+module.exports = {
+  INTEGRATION_METHODS,
+  TIMELINE_RESOLUTIONS,
+  simulateTimeline,
+  parseTimelineResolution,
+  resampleTimeline,
+  formatTimeline,
+  encodeTimeline,
+  decodeTimeline
+};
@@ -0,0 +1,59 @@
+/**
+ * Error types
+ * Errors that carry field-level details for API responses
+ */
+
+/**
+ * Validation error with a list of field-level errors
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array<{field: string, message: string}>} errors - Field-level errors
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+
+  /**
+   * Create a validation error for a single field
+   * @param {string} field - Path of the invalid field, e.g. "roof_division.Solar Power"
+   * @param {string} message - Error message
+   * @returns {ValidationError} Validation error
+   */
+  static forField(field, message) {
+    return new ValidationError(message, [{ field, message }]);
+  }
+}
+
+/**
+ * Conflict with data that already exists, e.g. a duplicate name
+ */
+class ConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+/**
+ * Check whether a database error is a UNIQUE constraint violation
+ * @param {Error} err - Error reported by sqlite3
+ * @returns {boolean} True if a UNIQUE constraint was violated
+ */
+function isUniqueViolation(err) {
+  return err.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(err.message);
+}
+
+module.exports = {
+  ValidationError,
+  ConflictError,
+  isUniqueViolation
+};
@@ -0,0 +1,248 @@
+/**
+ * Discounted cash-flow functions for roof improvement projects
+ */
+
+// Default component replacements during the project lifetime
+const DEFAULT_COMPONENT_REPLACEMENTS = [
+  {
+    name: 'Solar inverters',
+    improvement: 'Solar Power',
+    interval_years: 12,
+    cost_share: 0.1 // Share of the improvement's installation cost
+  }
+];
+
+// Annual rates an IRR is searched between; a root outside them says nothing
+// useful about a roof project and is not reported
+const IRR_BOUNDS = { min: -0.5, max: 10 };
+
+/**
+ * Builds yearly cash flows for a project
+ * @param {object} options - Cash-flow inputs
+ * @param {number} options.years - Number of years to model
+ * @param {number} options.capex - Total installation cost (paid in year 0 unless a phase is paid later)
+ * @param {object} options.improvement_capex - Installation cost by improvement type
+ * @param {object} options.annual_savings - Full annual CO2 savings (kg) by improvement type
+ * @param {object} options.improvement_phases - Installation phases by improvement type as [{ share, start_year, capex_year }]
+ * @param {object} options.degradation_rates - Annual degradation of efficiency by improvement type
+ * @param {number} options.climate_factor - Climate adjustment applied to savings
+ * @param {object} options.grid_shares - Share of each improvement type's savings that comes from displaced grid energy
+ * @param {Function} options.relative_grid_factor - Grid emission factor in a year relative to installation
+ * @param {number} options.co2_price_per_kg - Value of one kg of avoided CO2e
+ * @param {number} options.energy_value_per_kg - Value of the energy behind one kg of grid energy CO2 savings at the installation grid factor (year 1 prices)
+ * @param {number} options.discount_rate - Annual discount rate
+ * @param {number} options.energy_price_escalation - Annual energy price escalation
+ * @param {number} options.maintenance_cost_rate - Annual maintenance cost as a share of capex
+ * @param {Array} options.component_replacements - Replacements as { name, improvement, interval_years, cost_share }
+ * @returns {Array} Cash flow per year, starting with year 0
+ */
+function buildCashFlows(options) {
+  const {
+    years,
+    capex,
+    improvement_capex,
+    annual_savings,
+    improvement_phases,
+    degradation_rates,
+    climate_factor,
+    grid_shares = {},
+    relative_grid_factor = () => 1,
+    co2_price_per_kg,
+    energy_value_per_kg,
+    discount_rate,
+    energy_price_escalation,
+    maintenance_cost_rate,
+    component_replacements
+  } = options;
+
+  // Installation cost of each phase falls in the year it is paid; the rest in year 0
+  const capex_by_year = new Array(years + 1).fill(0);
+  for (const improvement in improvement_phases) {
+    for (const phase of improvement_phases[improvement]) {
+      const capex_year = Math.floor(phase.capex_year || 0);
+      if (capex_year > 0 && capex_year <= years) {
+        capex_by_year[capex_year] += (improvement_capex[improvement] || 0) * phase.share;
+      }
+    }
+  }
+  capex_by_year[0] = capex - capex_by_year.reduce((sum, value) => sum + value, 0);
+
+  const cash_flows = [{
+    year: 0,
+    co2_avoided: 0,
+    carbon_benefit: 0,
+    energy_benefit: 0,
+    maintenance: 0,
+    replacements: 0,
+    capex: capex_by_year[0],
+    net: -capex_by_year[0],
+    discounted: -capex_by_year[0],
+    cumulative_discounted: -capex_by_year[0]
+  }];
+  let installed_capex = capex_by_year[0];
+
+  for (let year = 1; year <= years; year++) {
+    let co2_avoided = 0;
+    let energy_co2_avoided = 0;
+
+    for (const improvement in annual_savings) {
+      for (const phase of improvement_phases[improvement] || [{ share: 1, start_year: 0 }]) {
+        if (year <= phase.start_year) continue;
+
+        const efficiency = Math.max(0, 1 - ((degradation_rates[improvement] || 0) * (year - phase.start_year - 1)));
+        const saved = (annual_savings[improvement] || 0) * phase.share * efficiency * climate_factor;
+        // The energy saved stays the same while the CO2 it displaces falls with the grid factor
+        const grid_share = grid_shares[improvement] || 0;
+        co2_avoided += saved * (1 - grid_share) + saved * grid_share * relative_grid_factor(year);
+        energy_co2_avoided += saved * grid_share;
+      }
+    }
+
+    const carbon_benefit = co2_avoided * co2_price_per_kg;
+    const energy_benefit = energy_co2_avoided * energy_value_per_kg * Math.pow(1 + energy_price_escalation, year - 1);
+    // Maintenance starts the year after a phase is paid for
+    const maintenance = installed_capex * maintenance_cost_rate;
+
+    let replacements = 0;
+    for (const replacement of component_replacements) {
+      // Components are replaced at intervals from their installation; nothing is replaced in the final year, when the project ends
+      if (!(replacement.interval_years > 0) || year >= years) continue;
+      for (const phase of improvement_phases[replacement.improvement] || [{ share: 1, capex_year: 0 }]) {
+        const age = year - Math.floor(phase.capex_year || 0);
+        if (age > 0 && age % replacement.interval_years === 0) {
+          replacements += (improvement_capex[replacement.improvement] || 0) * phase.share * replacement.cost_share;
+        }
+      }
+    }
+
+    const year_capex = capex_by_year[year];
+    installed_capex += year_capex;
+
+    const net = carbon_benefit + energy_benefit - maintenance - replacements - year_capex;
+    const discounted = net / Math.pow(1 + discount_rate, year);
+
+    cash_flows.push({
+      year,
+      co2_avoided,
+      carbon_benefit,
+      energy_benefit,
+      maintenance,
+      replacements,
+      capex: year_capex,
+      net,
+      discounted,
+      cumulative_discounted: cash_flows[year - 1].cumulative_discounted + discounted
+    });
+  }
+
+  return cash_flows;
+}
+
+/**
+ * Calculates the net present value of a series of yearly cash flows
+ * @param {Array<number>} values - Net cash flow per year, starting with year 0
+ * @param {number} rate - Annual discount rate
+ * @returns {number} Net present value
+ */
+function npv(values, rate) {
+  return values.reduce((sum, value, year) => sum + value / Math.pow(1 + rate, year), 0);
+}
+
+/**
+ * Counts how often a series of cash flows changes sign, skipping zeros
+ * @param {Array<number>} values - Net cash flow per year
+ * @returns {number} Number of sign changes
+ */
+function countSignChanges(values) {
+  let changes = 0;
+  let previous = 0;
+  for (const value of values) {
+    if (value === 0) continue;
+    if (previous !== 0 && Math.sign(value) !== Math.sign(previous)) changes++;
+    previous = value;
+  }
+  return changes;
+}
+
+/**
+ * Calculates the internal rate of return by bisection. Cash flows that change
+ * sign more than once may have several IRRs, or none that means anything, so
+ * they get none.
+ * @param {Array<number>} values - Net cash flow per year, starting with year 0
+ * @returns {number|null} Internal rate of return, or null if the cash flows do not change sign exactly once or the rate lies outside IRR_BOUNDS
+ */
+function irr(values) {
+  if (countSignChanges(values) !== 1) return null;
+
+  let low = IRR_BOUNDS.min;
+  let high = IRR_BOUNDS.max;
+
+  let npv_low = npv(values, low);
+  if (npv_low * npv(values, high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npv_mid = npv(values, mid);
+
+    if (Math.abs(npv_mid) < 1e-9 || (high - low) / 2 < 1e-10) {
+      return mid;
+    }
+
+    if (npv_mid * npv_low > 0) {
+      low = mid;
+      npv_low = npv_mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Finds the year in which cumulative discounted cash flow turns positive
+ * @param {Array} cash_flows - Cash flows from buildCashFlows
+ * @returns {number|null} Discounted payback in years (interpolated), or null if not reached
+ */
+function discountedPayback(cash_flows) {
+  for (let i = 1; i < cash_flows.length; i++) {
+    const previous = cash_flows[i - 1].cumulative_discounted;
+    const current = cash_flows[i].cumulative_discounted;
+
+    if (previous < 0 && current >= 0) {
+      return cash_flows[i - 1].year + (-previous / (current - previous));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Calculates the levelized cost per tonne of CO2 avoided: the present value of
+ * all costs divided by the discounted tonnes avoided over the project lifetime
+ * @param {Array} cash_flows - Cash flows from buildCashFlows
+ * @param {number} rate - Annual discount rate
+ * @returns {number|null} Levelized cost per tonne, or null if no CO2 is avoided
+ */
+function levelizedCostPerTonne(cash_flows, rate) {
+  let discounted_costs = 0;
+  let discounted_tonnes = 0;
+
+  for (const flow of cash_flows) {
+    const discount = Math.pow(1 + rate, flow.year);
+    discounted_costs += (flow.capex + flow.maintenance + flow.replacements) / discount;
+    discounted_tonnes += (flow.co2_avoided / 1000) / discount;
+  }
+
+  return discounted_tonnes > 0 ? discounted_costs / discounted_tonnes : null;
+}
+
+module.exports = {
+  DEFAULT_COMPONENT_REPLACEMENTS,
+  IRR_BOUNDS,
+  buildCashFlows,
+  npv,
+  irr,
+  discountedPayback,
+  levelizedCostPerTonne
+};
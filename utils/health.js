@@ -0,0 +1,187 @@
+/**
+ * Health impact coefficients
+ * Research coefficients and economic values behind the health impact report,
+ * with the citation of each value, and their resolution for a country and
+ * request overrides
+ */
+const { BASE_EXCHANGE_RATE } = require('./calculations');
+
+// Monetary coefficients, in BASE_CURRENCY in a coefficient set
+const MONETARY_COEFFICIENTS = ['avg_salary', 'avg_sick_day_cost', 'green_roof_cost_per_sqm'];
+
+// Coefficients a coefficient set can give per country and a request can override
+const COUNTRY_COEFFICIENTS = ['avg_salary', 'avg_sick_day_cost'];
+
+// Monetary values of the built-in sets; they vary by country and are meant to
+// be overridden
+const ILLUSTRATIVE_MONETARY_COEFFICIENTS = {
+  avg_salary: {
+    value: 50000,
+    unit: 'per employee per year',
+    description: 'Average annual salary, valuing productivity gains',
+    citation: { note: 'Illustrative value; override per country.' }
+  },
+  avg_sick_day_cost: {
+    value: 200,
+    unit: 'per sick day',
+    description: 'Employer cost of a sick day',
+    citation: { note: 'Illustrative value; override per country.' }
+  },
+  green_roof_cost_per_sqm: {
+    value: 120,
+    unit: 'per m²',
+    description: 'Green roof cost, the investment the return on health benefits is measured against',
+    citation: { note: 'Illustrative value.' }
+  }
+};
+
+// Citation of the values of the original health impact model; the studies
+// behind them were not recorded with them
+const LEGACY_CITATION = {
+  note: 'Value of the original health impact model; the underlying study was not recorded. The "Published studies (proposed)" set holds cited values under review.'
+};
+
+// Built-in coefficients, the values of the original health impact model. The
+// health effects are in % for a fully green roof seen by every occupant and
+// scale with the green share and green view; heat-related mortality comes from
+// the thermal model instead
+const DEFAULT_HEALTH_COEFFICIENTS = {
+  stress_reduction: {
+    value: 39.4,
+    unit: '%',
+    description: 'Reduction in reported stress of occupants with a view of green areas',
+    citation: LEGACY_CITATION
+  },
+  hypertension_reduction: {
+    value: 6.77,
+    unit: '%',
+    description: 'Reduction in hypertension risk of occupants with a view of green areas',
+    citation: LEGACY_CITATION
+  },
+  productivity_increase: {
+    value: 22.6,
+    unit: '%',
+    description: 'Increase in employee productivity with a view of green areas',
+    citation: LEGACY_CITATION
+  },
+  sick_days_reduction: {
+    value: 12.3,
+    unit: '%',
+    description: 'Reduction in sick days with a view of green areas',
+    citation: LEGACY_CITATION
+  },
+  ...ILLUSTRATIVE_MONETARY_COEFFICIENTS
+};
+
+// Coefficients from published studies, proposed to replace the defaults once
+// reviewed. No study giving a reduction in sick days has been found, so that
+// coefficient keeps its default value
+const PROPOSED_HEALTH_COEFFICIENTS = {
+  ...DEFAULT_HEALTH_COEFFICIENTS,
+  stress_reduction: {
+    value: 12.4,
+    unit: '%',
+    description: 'Reduction in salivary cortisol, a stress hormone, in green rather than urban surroundings',
+    citation: {
+      authors: 'Park, B. J.; Tsunetsugu, Y.; Kasetani, T.; Kagawa, T.; Miyazaki, Y.',
+      title: 'The physiological effects of Shinrin-yoku (taking in the forest atmosphere or forest bathing): evidence from field experiments in 24 forests across Japan',
+      publication: 'Environmental Health and Preventive Medicine 15(1), 18-26',
+      year: 2010,
+      doi: '10.1007/s12199-009-0086-9',
+      note: 'Cortisol 12.4% lower when viewing forest than city settings'
+    }
+  },
+  hypertension_reduction: {
+    value: 9,
+    unit: '%',
+    description: 'Reduction in high blood pressure of people who spend time in green areas',
+    citation: {
+      authors: 'Shanahan, D. F.; Bush, R.; Gaston, K. J.; Lin, B. B.; Dean, J.; Barber, E.; Fuller, R. A.',
+      title: 'Health benefits from nature experiences depend on dose',
+      publication: 'Scientific Reports 6, 28551',
+      year: 2016,
+      doi: '10.1038/srep28551',
+      note: 'Up to 9% of high blood pressure cases avoided with weekly green space visits of 30 minutes or more'
+    }
+  },
+  productivity_increase: {
+    value: 15,
+    unit: '%',
+    description: 'Increase in employee productivity in green rather than lean office space',
+    citation: {
+      authors: 'Nieuwenhuis, M.; Knight, C.; Postmes, T.; Haslam, S. A.',
+      title: 'The relative benefits of green versus lean office space: Three field experiments',
+      publication: 'Journal of Experimental Psychology: Applied 20(3), 199-214',
+      year: 2014,
+      doi: '10.1037/xap0000024',
+      note: 'Productivity about 15% higher in offices with plants'
+    }
+  }
+};
+
+/**
+ * Resolve the coefficients a health impact report uses
+ * @param {object} coefficientSet - Coefficient set version (from HealthCoefficientSet.getVersion)
+ * @param {string|null} country - ISO 3166 country code whose values of the set are used, if the set has any
+ * @param {object} overrides - Request values of COUNTRY_COEFFICIENTS, in the report currency
+ * @param {object} exchange_rate - Rate used to convert the set's values from BASE_CURRENCY
+ * @returns {object} Set details, values by name in the report currency, each value with its origin and
+ *   citation, and the distinct sources cited
+ */
+function resolveHealthCoefficients(coefficientSet, country = null, overrides = {}, exchange_rate = BASE_EXCHANGE_RATE) {
+  const code = country ? country.toUpperCase() : null;
+  const countryValues = (code && coefficientSet.countries[code]) || {};
+
+  const coefficients = {};
+  for (const [name, coefficient] of Object.entries(coefficientSet.coefficients)) {
+    const monetary = MONETARY_COEFFICIENTS.includes(name);
+    const unit = monetary ? `${exchange_rate.currency} ${coefficient.unit}` : coefficient.unit;
+
+    if (COUNTRY_COEFFICIENTS.includes(name) && overrides[name] !== undefined) {
+      coefficients[name] = { value: overrides[name], unit, origin: 'request', citation: null };
+    } else if (countryValues[name]) {
+      coefficients[name] = {
+        value: countryValues[name].value * exchange_rate.rate,
+        unit,
+        origin: `country:${code}`,
+        citation: countryValues[name].citation || null
+      };
+    } else {
+      coefficients[name] = {
+        value: monetary ? coefficient.value * exchange_rate.rate : coefficient.value,
+        unit,
+        origin: 'set',
+        citation: coefficient.citation || null
+      };
+    }
+  }
+
+  const sources = [];
+  for (const { citation } of Object.values(coefficients)) {
+    if (citation && !sources.some(source => JSON.stringify(source) === JSON.stringify(citation))) {
+      sources.push(citation);
+    }
+  }
+
+  return {
+    set: {
+      id: coefficientSet.setId,
+      name: coefficientSet.name,
+      version: coefficientSet.version,
+      version_id: coefficientSet.id,
+      source: coefficientSet.source
+    },
+    country: code,
+    values: Object.fromEntries(Object.entries(coefficients).map(([name, { value }]) => [name, value])),
+    coefficients,
+    sources
+  };
+}
+
+module.exports = {
+  MONETARY_COEFFICIENTS,
+  COUNTRY_COEFFICIENTS,
+  DEFAULT_HEALTH_COEFFICIENTS,
+  PROPOSED_HEALTH_COEFFICIENTS,
+  resolveHealthCoefficients
+};
@@ -0,0 +1,47 @@
+/**
+ * Calculation input hashing
+ * Fingerprints the inputs a calculation engine was run with, so a stored
+ * calculation can be matched to the exact inputs that produced it
+ */
+const crypto = require('crypto');
+
+// Request options that only shape the response or label the calculation.
+// rate_date is covered by the exchange rate it resolves to.
+const NON_MODEL_PARAMETERS = ['timeline_resolution', 'scenario_name', 'building_id', 'rate_date'];
+
+/**
+ * Serialize a value as JSON with object keys in sorted order
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash calculation inputs
+ * @param {object} params - Parameters the calculation engine was run with, including defaults that vary between runs
+ * @returns {string} SHA-256 hex digest of the canonical inputs
+ */
+function hashInputs(params) {
+  const inputs = { ...params };
+  for (const key of NON_MODEL_PARAMETERS) {
+    delete inputs[key];
+  }
+  return crypto.createHash('sha256').update(canonicalJson(inputs)).digest('hex');
+}
+
+module.exports = {
+  canonicalJson,
+  hashInputs
+};
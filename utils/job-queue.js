@@ -0,0 +1,88 @@
+/**
+ * Batch job queue
+ * Runs queued batch calculations in the background, one building at a time.
+ * Jobs and their items live in SQLite, so unfinished jobs are picked up again after a restart.
+ */
+const { BatchJob } = require('../models/batch-job');
+const { calculateBuilding } = require('./batch');
+const logger = require('./logger');
+
+const queue = [];
+let processing = false;
+
+/**
+ * Add a job to the queue and start processing if idle
+ * @param {object} job - Batch job object
+ */
+function enqueueJob(job) {
+  if (queue.some(queued => queued.id === job.id)) {
+    return;
+  }
+
+  queue.push(job);
+  if (!processing) {
+    setImmediate(processQueue);
+  }
+}
+
+/**
+ * Process queued jobs one after another
+ */
+async function processQueue() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await runJob(job);
+    } catch (error) {
+      logger.error(`Batch job ${job.id} failed: ${error.message}`, { error: error.stack });
+      await BatchJob.updateStatus(job.id, 'failed', error.message).catch(() => {});
+    }
+  }
+
+  processing = false;
+}
+
+/**
+ * Run the pending items of a job and mark it completed.
+ * A failing building is recorded on its item and does not stop the job.
+ * @param {object} job - Batch job object
+ */
+async function runJob(job) {
+  await BatchJob.updateStatus(job.id, 'running');
+
+  const items = await BatchJob.getItems(job.id, 'pending');
+  for (const item of items) {
+    try {
+      const result = await calculateBuilding(item.parameters, job.commonParameters, job.userId);
+      await BatchJob.recordItem(item.id, { calculationId: result.calculation_id, result });
+    } catch (error) {
+      await BatchJob.recordItem(item.id, { error: error.message });
+    }
+
+    // Let pending requests run between buildings
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  await BatchJob.updateStatus(job.id, 'completed');
+  logger.info(`Batch job ${job.id} completed (${job.progress.total} buildings)`);
+}
+
+/**
+ * Re-queue jobs that were queued or running when the server stopped
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+async function resumeJobs() {
+  const jobs = await BatchJob.getUnfinished();
+  jobs.forEach(enqueueJob);
+  return jobs.length;
+}
+
+module.exports = {
+  enqueueJob,
+  resumeJobs
+};
@@ -0,0 +1,111 @@
+/**
+ * Occupancy and exposure model
+ * How many occupants of a building see or use its green roof, derived from
+ * the floors, the occupants per floor, the window orientation and the roof
+ * access policy
+ */
+const { ValidationError } = require('./errors');
+
+// Share of the occupants of a floor above the roof whose windows overlook it
+const WINDOW_ORIENTATIONS = {
+  toward_roof: 1, // e.g. a tower over a podium roof or a courtyard
+  mixed: 0.5,
+  away_from_roof: 0
+};
+
+// Who may use the roof
+const ROOF_ACCESS_POLICIES = ['none', 'employees', 'all_occupants'];
+
+// Defaults for the building description
+const DEFAULT_BUILDING = {
+  roof_level: null, // Floor the green roof is on top of (defaults to the top floor)
+  window_orientation: 'mixed', // See WINDOW_ORIENTATIONS
+  roof_access: 'none' // See ROOF_ACCESS_POLICIES
+};
+
+/**
+ * Estimate how many occupants see or use the green roof. Occupants on floors
+ * above the roof level see it through windows facing it; occupants with roof
+ * access use it. Floors are numbered from 1 (ground floor); a roof on top of
+ * the top floor is seen by no one inside the building.
+ * @param {object} building - Floors, occupants_per_floor (a number, or one per floor from the ground up),
+ *   roof_level, window_orientation and roof_access (see DEFAULT_BUILDING)
+ * @param {number|null} employees - Employees among the occupants (defaults to all occupants)
+ * @returns {object} Occupants by floor, occupants with a view, with access and exposed, and the exposed
+ *   share of all occupants and of employees
+ * @throws {ValidationError} If the description is inconsistent
+ */
+function estimateOccupantExposure(building, employees = null) {
+  const options = { ...DEFAULT_BUILDING, ...building };
+  const { floors, occupants_per_floor, window_orientation, roof_access } = options;
+  const roof_level = options.roof_level === null ? floors : options.roof_level;
+
+  const occupants = Array.isArray(occupants_per_floor)
+    ? occupants_per_floor
+    : Array.from({ length: floors }, () => occupants_per_floor);
+  if (occupants.length !== floors) {
+    throw ValidationError.forField('building.occupants_per_floor', `Give one occupant count per floor (${floors}), or a single count for every floor`);
+  }
+  if (roof_level > floors) {
+    throw ValidationError.forField('building.roof_level', `Roof level cannot be above the top floor (${floors})`);
+  }
+  const view_share = WINDOW_ORIENTATIONS[window_orientation];
+  if (view_share === undefined) {
+    throw ValidationError.forField('building.window_orientation', `Unknown window orientation "${window_orientation}". Use one of: ${Object.keys(WINDOW_ORIENTATIONS).join(', ')}`);
+  }
+  if (!ROOF_ACCESS_POLICIES.includes(roof_access)) {
+    throw ValidationError.forField('building.roof_access', `Unknown roof access policy "${roof_access}". Use one of: ${ROOF_ACCESS_POLICIES.join(', ')}`);
+  }
+
+  const building_occupants = occupants.reduce((sum, count) => sum + count, 0);
+  if (!(building_occupants > 0)) {
+    throw ValidationError.forField('building.occupants_per_floor', 'The building must have occupants');
+  }
+  const employee_count = employees === null ? building_occupants : employees;
+  if (employee_count > building_occupants) {
+    throw ValidationError.forField('employees', `Employees (${employee_count}) cannot exceed the building's occupants (${building_occupants})`);
+  }
+
+  // Share of the occupants allowed on the roof, and of the employees
+  const access_share = { none: 0, employees: employee_count / building_occupants, all_occupants: 1 }[roof_access];
+  const employee_access = roof_access === 'none' ? 0 : 1;
+
+  const by_floor = occupants.map((count, index) => {
+    const floor = index + 1;
+    const with_view = floor > roof_level ? count * view_share : 0;
+    return {
+      floor,
+      occupants: count,
+      with_view,
+      exposed: with_view + (count - with_view) * access_share
+    };
+  });
+
+  const occupants_with_view = by_floor.reduce((sum, { with_view }) => sum + with_view, 0);
+  const exposed_occupants = by_floor.reduce((sum, { exposed }) => sum + exposed, 0);
+  // Employees are spread over the floors like the other occupants
+  const view_fraction = occupants_with_view / building_occupants;
+  const employee_exposure = view_fraction + (1 - view_fraction) * employee_access;
+
+  return {
+    floors,
+    roof_level,
+    window_orientation,
+    roof_access,
+    building_occupants,
+    employees: employee_count,
+    occupants_with_view,
+    occupants_with_access: building_occupants * access_share,
+    exposed_occupants,
+    exposed_employees: employee_count * employee_exposure,
+    exposure_percentage: exposed_occupants / building_occupants * 100,
+    employee_exposure_percentage: employee_exposure * 100,
+    by_floor
+  };
+}
+
+module.exports = {
+  WINDOW_ORIENTATIONS,
+  ROOF_ACCESS_POLICIES,
+  estimateOccupantExposure
+};
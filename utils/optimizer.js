@@ -0,0 +1,246 @@
+/**
+ * Roof division optimizer
+ * Searches roof_division allocations on a percentage grid, using
+ * performCalculations as the objective, and returns the best allocation for a
+ * goal together with the Pareto front of all feasible allocations
+ */
+const { performCalculations, DEFAULT_IMPROVEMENT_TYPES, DEFAULT_POINTS } = require('./calculations');
+const { ValidationError } = require('./errors');
+
+// Every allocation runs synchronously in the request, at roughly 1 ms per
+// allocation at 1000 timeline points and 6 ms at 10000. Bounding both the
+// allocations and allocations × points keeps a request within a few seconds.
+const MAX_CANDIDATES = 2000;
+const MAX_TIMELINE_VALUES = 2000000;
+
+/**
+ * Optimization goals: the candidate metric to optimize and its direction.
+ * npv is the financial return; co2_per_euro is the 10-year CO2 reduction
+ * per euro invested (roi_10yr).
+ */
+const OPTIMIZATION_GOALS = {
+  fastest_neutrality: { metric: 'years_to_neutrality', direction: 'min' },
+  ten_year_savings: { metric: 'ten_year_savings', direction: 'max' },
+  npv: { metric: 'npv', direction: 'max' },
+  co2_per_euro: { metric: 'roi_10yr', direction: 'max' },
+  // Deprecated name of co2_per_euro, still accepted from existing clients
+  roi: { metric: 'roi_10yr', direction: 'max' }
+};
+
+// Metrics compared when deciding whether one allocation dominates another
+const PARETO_OBJECTIVES = [
+  { metric: 'years_to_neutrality', direction: 'min' },
+  { metric: 'ten_year_savings', direction: 'max' },
+  { metric: 'npv', direction: 'max' },
+  { metric: 'roi_10yr', direction: 'max' },
+  { metric: 'estimated_cost', direction: 'min' }
+];
+
+/**
+ * Number of ways to split 100% into `parts` shares on a grid of `step` percent
+ * @param {number} parts - Number of improvement types
+ * @param {number} step - Grid step in percent
+ * @returns {number} Number of allocations
+ */
+function countAllocations(parts, step) {
+  const units = Math.round(100 / step);
+  let count = 1;
+  for (let i = 1; i < parts; i++) {
+    count = count * (units + i) / i;
+  }
+  return Math.round(count);
+}
+
+/**
+ * Enumerate every allocation of 100% over the given types on a percentage grid
+ * @param {Array<string>} types - Improvement type names
+ * @param {number} step - Grid step in percent (must divide 100)
+ * @returns {Array<object>} Roof divisions; types with a zero share are left out
+ */
+function enumerateAllocations(types, step) {
+  const units = Math.round(100 / step);
+  const allocations = [];
+
+  const fill = (index, remaining, division) => {
+    if (index === types.length - 1) {
+      const result = { ...division };
+      if (remaining > 0) result[types[index]] = remaining * step;
+      allocations.push(result);
+      return;
+    }
+    for (let share = 0; share <= remaining; share++) {
+      const next = { ...division };
+      if (share > 0) next[types[index]] = share * step;
+      fill(index + 1, remaining - share, next);
+    }
+  };
+
+  fill(0, units, {});
+  return allocations;
+}
+
+/**
+ * Compare a metric so that lower is always better (null counts as worst)
+ * @param {number|null} value - Metric value
+ * @param {string} direction - 'min' or 'max'
+ * @returns {number} Cost value
+ */
+function toCost(value, direction) {
+  if (value === null || value === undefined || Number.isNaN(value)) return Infinity;
+  return direction === 'min' ? value : -value;
+}
+
+/**
+ * Check whether candidate a Pareto-dominates candidate b
+ * @param {object} a - Candidate
+ * @param {object} b - Candidate
+ * @param {Array<object>} objectives - Metrics and directions to compare (defaults to PARETO_OBJECTIVES)
+ * @returns {boolean} True if a is at least as good on every objective and better on one
+ */
+function dominates(a, b, objectives = PARETO_OBJECTIVES) {
+  let strictlyBetter = false;
+  for (const { metric, direction } of objectives) {
+    const costA = toCost(a[metric], direction);
+    const costB = toCost(b[metric], direction);
+    if (costA > costB) return false;
+    if (costA < costB) strictlyBetter = true;
+  }
+  return strictlyBetter;
+}
+
+/**
+ * Keep only the candidates no other candidate dominates
+ * @param {Array<object>} candidates - Candidates
+ * @param {Array<object>} objectives - Metrics and directions to compare (defaults to PARETO_OBJECTIVES)
+ * @returns {Array<object>} Pareto front
+ */
+function paretoFront(candidates, objectives = PARETO_OBJECTIVES) {
+  return candidates.filter(candidate =>
+    !candidates.some(other => other !== candidate && dominates(other, candidate, objectives))
+  );
+}
+
+/**
+ * Check an allocation against the share constraints
+ * @param {object} roof_division - Candidate allocation
+ * @param {object} minShares - Minimum percentage per type
+ * @param {object} maxShares - Maximum percentage per type
+ * @returns {boolean} True if all share constraints hold
+ */
+function meetsShareConstraints(roof_division, minShares, maxShares) {
+  for (const [type, min] of Object.entries(minShares)) {
+    if ((roof_division[type] || 0) < min) return false;
+  }
+  for (const [type, max] of Object.entries(maxShares)) {
+    if ((roof_division[type] || 0) > max) return false;
+  }
+  return true;
+}
+
+/**
+ * Find the best roof division for a goal under constraints
+ * @param {object} params - Resolved calculation parameters (roof_division is ignored)
+ * @param {object} options - Optimization options
+ * @param {string} options.goal - One of OPTIMIZATION_GOALS
+ * @param {Array<string>} options.candidate_types - Improvement types to allocate (defaults to all registered types)
+ * @param {number} options.step - Grid step in percent (default 10)
+ * @param {object} options.constraints - max_budget, min_green_share, usable_solar_area, min_shares, max_shares
+ * @returns {object} Best candidate, Pareto front and search statistics
+ */
+function optimizeRoofDivision(params, options = {}) {
+  const {
+    goal = 'fastest_neutrality',
+    step = 10,
+    constraints = {}
+  } = options;
+  const improvement_types = params.improvement_types || DEFAULT_IMPROVEMENT_TYPES;
+  const candidate_types = options.candidate_types || Object.keys(improvement_types);
+  const roof_area = params.roof_area || 2776;
+
+  if (!OPTIMIZATION_GOALS[goal]) {
+    throw ValidationError.forField('goal', `Unknown goal "${goal}". Use one of: ${Object.keys(OPTIMIZATION_GOALS).join(', ')}`);
+  }
+  if (!(step > 0) || 100 % step !== 0) {
+    throw ValidationError.forField('step', "Step must be a positive divisor of 100");
+  }
+  const unknown = candidate_types.filter(type => !improvement_types[type]);
+  if (unknown.length > 0) {
+    throw ValidationError.forField('candidate_types', `Unknown improvement type(s): ${unknown.join(', ')}`);
+  }
+  if (candidate_types.length === 0) {
+    throw ValidationError.forField('candidate_types', "At least one improvement type is required");
+  }
+  const candidateCount = countAllocations(candidate_types.length, step);
+  if (candidateCount > MAX_CANDIDATES) {
+    throw ValidationError.forField('step', `${candidateCount} allocations exceed the limit of ${MAX_CANDIDATES}; use a larger step or fewer candidate types`);
+  }
+  const points = params.points || DEFAULT_POINTS;
+  if (candidateCount * points > MAX_TIMELINE_VALUES) {
+    throw ValidationError.forField('step', `Allocations × points must not exceed ${MAX_TIMELINE_VALUES}; at ${points} points use at most ${Math.floor(MAX_TIMELINE_VALUES / points)} allocations (now ${candidateCount}), or fewer points`);
+  }
+
+  // Green and solar constraints are shorthands for per-type share limits
+  const minShares = { ...(constraints.min_shares || {}) };
+  const maxShares = { ...(constraints.max_shares || {}) };
+  if (constraints.min_green_share !== undefined) {
+    minShares['Green Areas'] = Math.max(minShares['Green Areas'] || 0, constraints.min_green_share);
+  }
+  if (constraints.usable_solar_area !== undefined) {
+    const solarCap = Math.min(100, (constraints.usable_solar_area / roof_area) * 100);
+    maxShares['Solar Power'] = Math.min(maxShares['Solar Power'] ?? 100, solarCap);
+  }
+
+  const candidates = [];
+  let evaluated = 0;
+
+  for (const roof_division of enumerateAllocations(candidate_types, step)) {
+    if (!meetsShareConstraints(roof_division, minShares, maxShares)) continue;
+
+    const results = performCalculations({ ...params, roof_division });
+    evaluated++;
+
+    if (constraints.max_budget !== undefined && results.economics.estimated_cost > constraints.max_budget) continue;
+
+    candidates.push({
+      roof_division,
+      years_to_neutrality: results.neutrality.with_improvements,
+      annual_savings: results.savings.annual,
+      ten_year_savings: results.savings.ten_year,
+      roi_10yr: results.economics.roi_10yr,
+      estimated_cost: results.economics.estimated_cost,
+      currency: results.economics.currency,
+      npv: results.economics.npv
+    });
+  }
+
+  const { metric, direction } = OPTIMIZATION_GOALS[goal];
+  const byGoal = (a, b) => toCost(a[metric], direction) - toCost(b[metric], direction) ||
+    a.estimated_cost - b.estimated_cost;
+  const front = paretoFront(candidates).sort(byGoal);
+
+  return {
+    goal,
+    objective: { metric, direction },
+    best: front.length > 0 ? front[0] : null,
+    pareto_front: front,
+    search: {
+      candidate_types,
+      step,
+      allocations: candidateCount,
+      evaluated,
+      feasible: candidates.length
+    },
+    constraints: {
+      ...constraints,
+      min_shares: minShares,
+      max_shares: maxShares
+    }
+  };
+}
+
+module.exports = {
+  OPTIMIZATION_GOALS,
+  optimizeRoofDivision,
+  enumerateAllocations,
+  paretoFront
+};
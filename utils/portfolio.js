@@ -0,0 +1,160 @@
+/**
+ * Portfolio aggregation
+ * Rolls up per-building calculation results into portfolio totals,
+ * a combined timeline and a ranking by CO2 reduction per euro
+ */
+const { discountedPayback } = require('./financials');
+const { interpolate } = require('./timeline');
+
+/**
+ * Combine building timelines on a common yearly grid
+ * @param {Array<object>} buildings - Buildings with performCalculations results
+ * @returns {object} Combined yearly timeline
+ */
+function combineTimelines(buildings) {
+  const horizon = Math.max(...buildings.map(building => {
+    const years = building.results.timeline.years;
+    return Math.floor(years[years.length - 1]);
+  }));
+  const years = Array.from({ length: horizon + 1 }, (_, year) => year);
+
+  const sumAt = (key) => years.map(year =>
+    buildings.reduce((sum, building) =>
+      sum + interpolate(building.results.timeline.years, building.results.timeline[key], year), 0)
+  );
+
+  return {
+    years,
+    co2_with_improvements: sumAt('co2_with_improvements'),
+    co2_natural_decline: sumAt('co2_natural_decline')
+  };
+}
+
+/**
+ * Combine building cash flows by year. The buildings share one discount rate,
+ * so their discounted values can be summed.
+ * @param {Array<object>} buildings - Buildings with performCalculations results
+ * @returns {Array<object>} Combined cash flow per year as { year, net, discounted, cumulative_discounted }
+ */
+function combineCashFlows(buildings) {
+  const horizon = Math.max(...buildings.map(building => building.results.economics.cash_flows.length));
+
+  let cumulative_discounted = 0;
+  return Array.from({ length: horizon }, (_, year) => {
+    let net = 0;
+    let discounted = 0;
+    for (const building of buildings) {
+      const flow = building.results.economics.cash_flows[year];
+      if (flow) {
+        net += flow.net;
+        discounted += flow.discounted;
+      }
+    }
+    cumulative_discounted += discounted;
+    return { year, net, discounted, cumulative_discounted };
+  });
+}
+
+/**
+ * Rank buildings by CO2 reduction per euro, best first, with the cumulative
+ * cost and reduction of funding them in that order (a marginal abatement curve)
+ * @param {Array<object>} buildings - Buildings with performCalculations results
+ * @returns {Array<object>} Ranked buildings
+ */
+function rankByReductionPerEuro(buildings) {
+  const ranked = [...buildings].sort((a, b) =>
+    b.results.intensity.reduction_per_euro - a.results.intensity.reduction_per_euro
+  );
+
+  let cumulative_cost = 0;
+  let cumulative_reduction = 0;
+
+  return ranked.map((building, index) => {
+    const { economics, savings, intensity } = building.results;
+    cumulative_cost += economics.estimated_cost;
+    cumulative_reduction += savings.ten_year;
+
+    return {
+      rank: index + 1,
+      building_id: building.building_id,
+      reduction_per_euro: intensity.reduction_per_euro,
+      ten_year_savings: savings.ten_year,
+      estimated_cost: economics.estimated_cost,
+      cumulative_cost,
+      cumulative_ten_year_savings: cumulative_reduction
+    };
+  });
+}
+
+/**
+ * Aggregate calculation results of several buildings into a portfolio view
+ * @param {Array<object>} buildings - Objects with building_id and performCalculations results
+ * @returns {object} Portfolio totals, combined timeline, neutrality and ranking
+ */
+function aggregatePortfolio(buildings) {
+  if (buildings.length === 0) {
+    throw new Error("A portfolio needs at least one successfully calculated building");
+  }
+
+  const currencies = [...new Set(buildings.map(building => building.results.economics.currency))];
+  if (currencies.length > 1) {
+    throw new Error(`Buildings use different currencies (${currencies.join(', ')}); set a portfolio currency`);
+  }
+
+  // NPVs and discounted cash flows only add up at a single discount rate
+  const discount_rates = [...new Set(buildings.map(building => building.results.economics.cash_flow_assumptions.discount_rate))];
+  if (discount_rates.length > 1) {
+    throw new Error(`Buildings use different discount rates (${discount_rates.join(', ')}); set a portfolio discount_rate`);
+  }
+
+  const total = (pick) => buildings.reduce((sum, building) => sum + pick(building.results), 0);
+
+  const initial_co2 = total(results => results.configuration.initial_co2);
+  const annual_savings = total(results => results.savings.annual);
+  const ten_year_savings = total(results => results.savings.ten_year);
+  const estimated_cost = total(results => results.economics.estimated_cost);
+  const roof_area = total(results => results.configuration.roof_area);
+
+  // Payback of the combined cash flows, so that large investments dominate it
+  const cash_flows = combineCashFlows(buildings);
+  const discounted_payback_years = discountedPayback(cash_flows);
+
+  const timeline = combineTimelines(buildings);
+  const neutral_index = timeline.co2_with_improvements.findIndex(value => value <= 0);
+  const years_to_neutrality = neutral_index > 0 ? timeline.years[neutral_index] : null;
+
+  const neutralities = buildings
+    .map(building => building.results.neutrality.with_improvements)
+    .filter(years => years !== null);
+
+  return {
+    totals: {
+      building_count: buildings.length,
+      roof_area,
+      initial_co2,
+      annual_savings,
+      ten_year_savings,
+      estimated_cost,
+      currency: currencies[0],
+      discount_rate: discount_rates[0],
+      npv: total(results => results.economics.npv),
+      discounted_payback_years,
+      roi_10yr: estimated_cost > 0 ? (ten_year_savings / estimated_cost) * 100 : null
+    },
+    neutrality: {
+      portfolio_years: years_to_neutrality,
+      buildings_reaching_neutrality: neutralities.length,
+      latest_building_years: neutralities.length === buildings.length ? Math.max(...neutralities) : null
+    },
+    timeline,
+    cash_flows,
+    ranking: rankByReductionPerEuro(buildings)
+  };
+}
+
+module.exports = {
+  aggregatePortfolio,
+  combineCashFlows,
+  combineTimelines,
+  rankByReductionPerEuro
+};
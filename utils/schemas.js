@@ -0,0 +1,1443 @@
+/**
+ * API schemas
+ * OpenAPI component schemas shared by the Swagger documentation and request validation
+ */
+const { MAX_YEARS_TO_CALCULATE, MAX_POINTS, DEFAULT_POINTS } = require('./calculations');
+const { OPTIMIZATION_GOALS } = require('./optimizer');
+const { MAX_ITERATIONS, MAX_TIMELINE_VALUES } = require('./uncertainty');
+
+// Percentage allocation of the roof; keys are checked against the improvement type registry separately
+const roofDivision = {
+  type: 'object',
+  description: 'Percentage allocation of roof improvements, keyed by registered improvement type (see GET /improvement-types)',
+  minProperties: 1,
+  additionalProperties: {
+    type: 'number',
+    minimum: 0,
+    maximum: 100
+  },
+  example: {
+    "Green Areas": 25,
+    "Solar Power": 25,
+    "Water Management": 25,
+    "Social Impact": 25
+  }
+};
+
+// Parameters that select cost catalogs and currencies, accepted by all calculation routes
+const pricingProperties = {
+  cost_catalog_id: {
+    type: 'string',
+    description: 'Cost catalog to take per-m² cost factors from (defaults to the built-in factors)',
+    example: 'default'
+  },
+  cost_catalog_version: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Cost catalog version to use (defaults to the latest version)',
+    example: 1
+  },
+  currency: {
+    type: 'string',
+    pattern: '^[A-Za-z]{3}$',
+    description: 'ISO 4217 currency code for economic results (defaults to EUR)',
+    example: 'DKK'
+  },
+  rate_date: {
+    type: 'string',
+    format: 'date',
+    description: 'Date whose stored exchange rate is used for conversion (defaults to today)',
+    example: '2025-03-01'
+  }
+};
+
+// Parameters that select grid emission factors, accepted by the standard and enhanced calculations
+const gridProperties = {
+  grid_emission_factor: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'kg CO2e per kWh of grid electricity, used when no country is given (default 0.25)',
+    example: 0.25
+  },
+  country: {
+    type: 'string',
+    pattern: '^[A-Za-z]{2}$',
+    description: 'ISO 3166 country code (or EU) whose grid emission factors by year are used; energy savings then avoid less CO2 as the grid decarbonises',
+    example: 'DK'
+  },
+  installation_year: {
+    type: 'integer',
+    minimum: 1990,
+    maximum: 2100,
+    description: 'Calendar year of project year 0 (defaults to the current year)',
+    example: 2025
+  },
+  grid_factor_table_id: {
+    type: 'string',
+    description: 'Grid factor table to take country factors from (defaults to the built-in table)',
+    example: 'default'
+  },
+  grid_factor_table_version: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Grid factor table version to use (defaults to the latest version)',
+    example: 1
+  }
+};
+
+// Climate zones known to the decline and thermal models
+const climateZone = {
+  type: 'string',
+  description: 'Climate zone for calculations',
+  enum: ['temperate', 'tropical', 'arid', 'continental', 'polar'],
+  example: 'temperate'
+};
+
+// Goals a client aims for; checked against what the roof contributes, never used for the score
+const sdgFocus = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string', minLength: 1 },
+      { type: 'integer', minimum: 1, maximum: 17 }
+    ]
+  },
+  description: 'UN Sustainable Development Goals the project aims for, by name or number (see GET /social/sdg-catalogue). Each is reported with what the roof actually contributes to it',
+  example: ['Clean Water and Sanitation', 'Affordable and Clean Energy', 11, 'Climate Action']
+};
+
+// Shared by the batch routes that save one calculation per item
+const allOrNothing = {
+  type: 'boolean',
+  description: 'Save either every item or none: if any item fails nothing is saved, otherwise all saves run in one transaction',
+  example: false
+};
+
+// Weights of a social weighting profile; keys are checked against the user's social metrics separately
+const socialWeights = {
+  type: 'object',
+  additionalProperties: { type: 'number', minimum: 0 },
+  description: 'Weight of each social metric by name, relative to the others; metrics left out keep their default weight',
+  example: { social_equity: 0.4, safety_wellbeing: 0.2, community_events: 0.1 }
+};
+
+// Fields of an improvement type, all optional on update
+const improvementTypeProperties = {
+  name: {
+    type: 'string',
+    minLength: 1,
+    description: 'Name used as key in roof_division',
+    example: 'Blue Roof'
+  },
+  description: {
+    type: 'string',
+    example: 'Detention roof that stores rainwater and releases it slowly'
+  },
+  savings_per_m2: {
+    type: 'number',
+    minimum: 0,
+    description: 'CO2 savings in kg CO2e per m² per year',
+    example: 0.6
+  },
+  cost_per_m2: {
+    type: 'number',
+    minimum: 0,
+    description: 'Default installation cost per m² (EUR)',
+    example: 95
+  },
+  start_year: {
+    type: 'number',
+    minimum: 0,
+    description: 'Years before the improvement takes effect',
+    example: 1
+  },
+  degradation: {
+    type: 'number',
+    minimum: 0,
+    exclusiveMaximum: 1,
+    description: 'Annual degradation of improvement efficiency',
+    example: 0.005
+  },
+  sdgs: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'UN Sustainable Development Goals the improvement contributes to',
+    example: ['Clean Water and Sanitation', 'Climate Action']
+  }
+};
+
+const schemas = {
+  CalculationParameters: {
+    type: 'object',
+    properties: {
+      roof_area: {
+        type: 'number',
+        minimum: 0,
+        description: 'Roof area in square meters',
+        example: 2776
+      },
+      GWP_roof: {
+        type: 'number',
+        minimum: 0,
+        description: 'Global Warming Potential of the roof',
+        example: 3.33
+      },
+      decline_rate: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'Natural CO2 decline rate',
+        example: 0.03
+      },
+      roof_division: roofDivision,
+      improvement_phases: {
+        type: 'object',
+        description: 'Installation in phases by improvement type, replacing its single start year; each phase is paid for in its start year and its shares must sum to 1',
+        additionalProperties: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['share', 'start_year'],
+            properties: {
+              share: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Share of the improvement installed in this phase' },
+              start_year: { type: 'number', minimum: 0, description: 'Project year the phase is installed' }
+            }
+          }
+        },
+        example: { "Solar Power": [{ share: 0.4, start_year: 1 }, { share: 0.6, start_year: 3 }] }
+      },
+      climate_zone: climateZone,
+      efficiency_degradation: {
+        type: 'number',
+        minimum: 0,
+        maximum: 1,
+        description: 'Annual degradation of improvement efficiency',
+        example: 0.005
+      },
+      years_to_calculate: {
+        type: 'number',
+        minimum: 1,
+        maximum: MAX_YEARS_TO_CALCULATE,
+        description: 'Number of years to model',
+        example: 50
+      },
+      points: {
+        type: 'integer',
+        minimum: 2,
+        maximum: MAX_POINTS,
+        description: `Number of points in the smooth timeline (default ${DEFAULT_POINTS})`,
+        example: DEFAULT_POINTS
+      },
+      timeline_resolution: {
+        anyOf: [
+          { type: 'string', enum: ['full', 'yearly', 'quarterly', 'none'] },
+          { type: 'integer', minimum: 2 }
+        ],
+        description: 'Resolution of the timeline in the response: full (points values), yearly, quarterly, a number of evenly spaced points, or none. The full timeline is always saved; see GET /history/{id}/timeline',
+        example: 'yearly'
+      },
+      integration: {
+        type: 'string',
+        enum: ['analytic', 'ode'],
+        description: 'How the CO2 timeline is solved: analytic (closed form, exact) or ode (Runge-Kutta with the point spacing as step)',
+        example: 'analytic'
+      },
+      discount_rate: {
+        type: 'number',
+        description: 'Annual discount rate for the cash-flow model',
+        example: 0.05
+      },
+      energy_price_escalation: {
+        type: 'number',
+        description: 'Annual energy price escalation for the cash-flow model',
+        example: 0.02
+      },
+      maintenance_cost_rate: {
+        type: 'number',
+        minimum: 0,
+        description: 'Annual maintenance cost as a share of the installation cost',
+        example: 0.01
+      },
+      component_replacements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['improvement', 'interval_years', 'cost_share'],
+          properties: {
+            name: { type: 'string' },
+            improvement: { type: 'string' },
+            interval_years: { type: 'number', minimum: 1 },
+            cost_share: { type: 'number', minimum: 0 }
+          }
+        },
+        description: 'Component replacements during the project lifetime, priced as a share of the improvement installation cost',
+        example: [
+          { name: 'Solar inverters', improvement: 'Solar Power', interval_years: 12, cost_share: 0.1 }
+        ]
+      },
+      solar: {
+        $ref: '#/components/schemas/SolarSystem'
+      },
+      water: {
+        $ref: '#/components/schemas/StormwaterSystem'
+      },
+      thermal: {
+        $ref: '#/components/schemas/RoofThermalSystem'
+      },
+      lca: {
+        $ref: '#/components/schemas/LifecycleParameters'
+      },
+      ...gridProperties,
+      ...pricingProperties
+    }
+  },
+  SolarSystem: {
+    type: 'object',
+    description: 'Location and PV system for the hourly solar yield model; replaces the registry Solar Power savings',
+    required: ['latitude', 'longitude'],
+    properties: {
+      latitude: { type: 'number', minimum: -90, maximum: 90, example: 55.68 },
+      longitude: { type: 'number', minimum: -180, maximum: 180, description: 'East positive', example: 12.57 },
+      tilt: { type: 'number', minimum: 0, maximum: 90, description: 'Module tilt in degrees from horizontal', example: 30 },
+      azimuth: { type: 'number', minimum: 0, maximum: 360, description: 'Module orientation in degrees clockwise from north (180 = south)', example: 180 },
+      shading: { type: 'number', minimum: 0, maximum: 1, description: 'Share of irradiance lost to shading', example: 0.05 },
+      module_rating_wp: { type: 'number', exclusiveMinimum: 0, description: 'Rated module power at STC in Wp', example: 400 },
+      module_area: { type: 'number', exclusiveMinimum: 0, description: 'Module area in m²', example: 1.95 },
+      packing_factor: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Share of the solar roof area covered by modules', example: 0.8 },
+      temperature_coefficient: { type: 'number', description: 'Relative power change per °C cell temperature above 25 °C', example: -0.004 },
+      noct: { type: 'number', description: 'Nominal operating cell temperature in °C', example: 45 },
+      system_losses: { type: 'number', minimum: 0, maximum: 1, description: 'Inverter, wiring, soiling and mismatch losses', example: 0.14 },
+      albedo: { type: 'number', minimum: 0, maximum: 1, description: 'Ground reflectance', example: 0.2 },
+      weather_file: { type: 'string', description: 'Bundled TMY file (see GET /weather-files); defaults to the nearest one, which must lie within 500 km of the site', example: 'copenhagen' }
+    }
+  },
+  StormwaterSystem: {
+    type: 'object',
+    description: 'Rainfall, substrate and tank for the stormwater model; Green Areas and Water Management are modelled as vegetated substrate',
+    properties: {
+      annual_rainfall_mm: { type: 'number', minimum: 0, description: 'Annual rainfall in mm, spread over typical rain days; used when no daily series is given', example: 613 },
+      daily_rainfall_mm: {
+        type: 'array',
+        minItems: 365,
+        maxItems: 36600,
+        items: { type: 'number', minimum: 0 },
+        description: 'Local daily rainfall in mm starting on 1 January, covering one or more years'
+      },
+      substrate_depth_mm: { type: 'number', minimum: 0, description: 'Substrate depth in mm', example: 100 },
+      water_holding_capacity: { type: 'number', minimum: 0, maximum: 1, description: 'Share of the substrate volume that holds plant-available water', example: 0.35 },
+      crop_factor: { type: 'number', minimum: 0, description: 'Evapotranspiration of the vegetation relative to reference evapotranspiration', example: 0.6 },
+      runoff_coefficient: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Share of rainfall that runs off a conventional roof', example: 0.9 },
+      tank_volume_m3: { type: 'number', minimum: 0, description: 'Rainwater harvesting tank volume in m³', example: 20 },
+      daily_demand_m3: { type: 'number', minimum: 0, description: 'Non-potable water demand supplied from the tank in m³ per day', example: 1.2 },
+      drinking_water_emission_factor: { type: 'number', minimum: 0, description: 'kg CO2e per m³ of drinking water supplied', example: 0.35 },
+      wastewater_emission_factor: { type: 'number', minimum: 0, description: 'kg CO2e per m³ of runoff treated in a combined sewer', example: 0.25 }
+    }
+  },
+  RoofThermalSystem: {
+    type: 'object',
+    description: 'Vegetation, substrate and existing roof for the green roof thermal model; applies to the Green Areas share',
+    properties: {
+      vegetation_type: { type: 'string', enum: ['sedum', 'grass', 'perennials', 'shrubs'], example: 'sedum' },
+      substrate_depth_mm: { type: 'number', minimum: 0, description: 'Substrate depth in mm', example: 100 },
+      substrate_conductivity: { type: 'number', exclusiveMinimum: 0, description: 'Thermal conductivity of moist substrate in W/mK', example: 0.4 },
+      roof_u_value: { type: 'number', exclusiveMinimum: 0, description: 'U-value of the existing roof in W/m²K', example: 0.35 },
+      cooling_cop: { type: 'number', exclusiveMinimum: 0, description: 'Coefficient of performance of the cooling system', example: 3 },
+      heat_wave_temperature: { type: 'number', description: 'Peak air temperature in °C during a heat wave (defaults to the climate zone value)', example: 28 }
+    }
+  },
+  BuildingOccupancy: {
+    type: 'object',
+    description: 'Building description from which the occupants who see or use the green roof are derived',
+    required: ['floors', 'occupants_per_floor'],
+    properties: {
+      floors: { type: 'integer', minimum: 1, description: 'Number of floors, counted from the ground floor', example: 6 },
+      occupants_per_floor: {
+        anyOf: [
+          { type: 'number', minimum: 0 },
+          { type: 'array', minItems: 1, items: { type: 'number', minimum: 0 } }
+        ],
+        description: 'Occupants on every floor, or one count per floor from the ground floor up',
+        example: [40, 40, 30, 30, 20, 20]
+      },
+      roof_level: { type: 'integer', minimum: 1, description: 'Floor the green roof is on top of (defaults to the top floor); occupants on higher floors can overlook it', example: 2 },
+      window_orientation: { type: 'string', enum: ['toward_roof', 'mixed', 'away_from_roof'], description: 'Whether the windows above the roof overlook it (all, about half, none)', example: 'mixed' },
+      roof_access: { type: 'string', enum: ['none', 'employees', 'all_occupants'], description: 'Who may use the roof', example: 'employees' }
+    }
+  },
+  BiodiversityParameters: {
+    type: 'object',
+    description: 'Habitat of the roof for the biotope-area-factor style biodiversity score',
+    properties: {
+      vegetation_layers: {
+        type: 'array',
+        items: { type: 'string', enum: ['moss_sedum', 'grasses_herbs', 'perennials', 'shrubs', 'trees'] },
+        description: 'Vegetation layers planted on the Green Areas',
+        example: ['grasses_herbs', 'perennials']
+      },
+      native_species_share: { type: 'number', minimum: 0, maximum: 1, description: 'Share of planted species native to the region', example: 0.7 },
+      habitat_features: {
+        type: 'array',
+        items: { type: 'string', enum: ['insect_hotel', 'bird_boxes', 'bat_boxes', 'deadwood', 'stone_piles', 'bare_ground', 'water_feature'] },
+        example: ['insect_hotel', 'deadwood']
+      },
+      connectivity: {
+        type: 'string',
+        enum: ['isolated', 'stepping_stone', 'corridor'],
+        description: 'isolated: no other green space within 500 m; stepping_stone: green space within 500 m; corridor: part of a mapped green corridor',
+        example: 'stepping_stone'
+      },
+      biosolar: { type: 'boolean', description: 'Vegetation under and between the solar panels', example: false },
+      baf_target: { type: 'number', minimum: 0, maximum: 1, description: 'Target biotope area factor', example: 0.3 }
+    }
+  },
+  LifecycleParameters: {
+    type: 'object',
+    description: 'Inputs for the EN 15978 embodied-carbon assessment; anything not given comes from the bundled materials database (see GET /lca-materials)',
+    properties: {
+      transport_km: { type: 'number', minimum: 0, description: 'Distance materials are trucked to site in km', example: 300 },
+      assemblies: {
+        type: 'object',
+        description: 'Materials installed per m² of each improvement type, replacing the database assembly for that type',
+        additionalProperties: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['material', 'quantity_per_m2'],
+            properties: {
+              material: { type: 'string', description: 'Material ID', example: 'substrate' },
+              quantity_per_m2: { type: 'number', minimum: 0, description: "Quantity in the material's unit per m²", example: 0.1 }
+            }
+          }
+        },
+        example: { "Green Areas": [{ material: 'root_barrier', quantity_per_m2: 1 }, { material: 'substrate', quantity_per_m2: 0.15 }] }
+      },
+      materials: {
+        type: 'object',
+        description: 'Materials added to or replacing database entries, keyed by material ID (e.g. from a product EPD)',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            unit: { type: 'string' },
+            a1_a3: { type: 'number', minimum: 0, description: 'Product stage kg CO2e per unit' },
+            mass_kg: { type: 'number', minimum: 0, description: 'Mass per unit in kg, for transport' },
+            installation_waste: { type: 'number', minimum: 0, maximum: 1, description: 'Share of material lost on site' },
+            service_life_years: { type: 'number', exclusiveMinimum: 0, description: 'Years before the material is replaced' },
+            end_of_life: { type: 'number', minimum: 0, description: 'End-of-life kg CO2e per unit' }
+          }
+        },
+        example: { substrate: { a1_a3: 80 } }
+      }
+    }
+  },
+  EnhancedCalculationParameters: {
+    type: 'object',
+    properties: {
+      roof_area: {
+        type: 'number',
+        minimum: 0,
+        description: 'Roof area in square meters',
+        example: 2776
+      },
+      GWP_roof: {
+        type: 'number',
+        minimum: 0,
+        description: 'Global Warming Potential of the roof',
+        example: 3.33
+      },
+      roof_division: roofDivision,
+      plant_absorption: {
+        type: 'number',
+        minimum: 0,
+        description: 'CO2 absorption rate for plants in kg CO2e per year',
+        example: 1347.976
+      },
+      energy_emission: {
+        type: 'number',
+        minimum: 0,
+        description: 'Energy emission in kg CO2e per year',
+        example: 64095.68
+      },
+      solar_emission: {
+        type: 'number',
+        minimum: 0,
+        description: 'Embodied carbon (A1-A3) of the solar installation in kg CO2e; replaces the materials database figure',
+        example: 1747.13
+      },
+      solar_reduction: {
+        type: 'number',
+        minimum: 0,
+        description: 'Solar panel reduction in kg CO2e per year',
+        example: 12142.5
+      },
+      heating_original: {
+        type: 'number',
+        minimum: 0,
+        description: 'Original heating emission in kg CO2e per year',
+        example: 16720
+      },
+      heating_reduced: {
+        type: 'number',
+        minimum: 0,
+        description: 'Reduced heating emission in kg CO2e per year',
+        example: 12540
+      },
+      water_emission: {
+        type: 'number',
+        minimum: 0,
+        description: 'Water emission in kg CO2e per year',
+        example: 6849.81
+      },
+      water_mitigated: {
+        type: 'number',
+        minimum: 0,
+        description: 'Water mitigated in kg CO2e per year',
+        example: 1441.254
+      },
+      water_collected: {
+        type: 'number',
+        minimum: 0,
+        description: 'Water collected in m3 per year',
+        example: 427
+      },
+      water: {
+        $ref: '#/components/schemas/StormwaterSystem'
+      },
+      thermal: {
+        $ref: '#/components/schemas/RoofThermalSystem'
+      },
+      social_metrics: {
+        type: 'object',
+        additionalProperties: { type: 'number' },
+        description: 'Social impact metrics by name: the built-in metrics in percentage improvement, or custom metrics registered with POST /social/metrics on their own scale. Unknown metrics are rejected.',
+        example: {
+          "social_network": 11.08,
+          "trust": 11.08,
+          "reciprocity": 11.08,
+          "safety_wellbeing": 9.86,
+          "social_equity": 9.83,
+          "happiness": 22.6,
+          "stress_reduction": 39.4,
+          "quality_of_life": 35.3
+        }
+      },
+      social_weighting_profile_id: {
+        type: 'string',
+        description: 'ID of a social weighting profile of the user (see POST /social/weighting-profiles); metrics it gives no weight keep their default weight',
+        example: '7d1f3a52-4c8e-4b9a-9f0e-2b6c1d8e5a43'
+      },
+      health_metrics: {
+        type: 'object',
+        properties: {
+          hypertension_reduction: { type: 'number' },
+          heat_wave_temperature: { type: 'number' },
+          mortality_reduction: { type: 'number' }
+        },
+        description: 'Health impact metrics',
+        example: {
+          "hypertension_reduction": 6.77,
+          "heat_wave_temperature": 28,
+          "mortality_reduction": 15
+        }
+      },
+      sdg_focus: sdgFocus,
+      climate_zone: climateZone,
+      biodiversity: {
+        $ref: '#/components/schemas/BiodiversityParameters'
+      },
+      lca: {
+        $ref: '#/components/schemas/LifecycleParameters'
+      },
+      ...gridProperties,
+      ...pricingProperties
+    }
+  },
+  ImprovementType: {
+    type: 'object',
+    required: ['name', 'savings_per_m2', 'cost_per_m2'],
+    properties: improvementTypeProperties
+  },
+  ImprovementTypeUpdate: {
+    type: 'object',
+    minProperties: 1,
+    properties: improvementTypeProperties
+  },
+  CostCatalog: {
+    type: 'object',
+    required: ['name', 'cost_factors'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        example: 'Denmark 2025'
+      },
+      country: {
+        type: 'string',
+        example: 'DK'
+      },
+      supplier: {
+        type: 'string',
+        example: 'Nordic Roofing A/S'
+      },
+      year: {
+        type: 'integer',
+        example: 2025
+      },
+      description: {
+        type: 'string',
+        example: 'Installed prices incl. labour'
+      },
+      cost_factors: {
+        $ref: '#/components/schemas/CostFactors'
+      },
+      notes: {
+        type: 'string',
+        example: 'Initial price list'
+      }
+    }
+  },
+  CostCatalogVersion: {
+    type: 'object',
+    required: ['cost_factors'],
+    properties: {
+      cost_factors: {
+        $ref: '#/components/schemas/CostFactors'
+      },
+      notes: {
+        type: 'string',
+        example: 'Q3 price adjustment'
+      }
+    }
+  },
+  CostFactors: {
+    type: 'object',
+    description: 'Cost per square meter by improvement type, in EUR',
+    minProperties: 1,
+    additionalProperties: { type: 'number', minimum: 0 },
+    example: {
+      "Green Areas": 135,
+      "Solar Power": 320,
+      "Water Management": 90,
+      "Social Impact": 160
+    }
+  },
+  ExchangeRate: {
+    type: 'object',
+    required: ['currency', 'rate', 'effective_date'],
+    properties: {
+      currency: {
+        type: 'string',
+        pattern: '^[A-Za-z]{3}$',
+        description: 'ISO 4217 currency code; not the base currency (EUR)',
+        example: 'DKK'
+      },
+      rate: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'Units of the currency per 1 EUR',
+        example: 7.46
+      },
+      effective_date: {
+        type: 'string',
+        format: 'date',
+        description: 'Date the rate takes effect',
+        example: '2025-07-01'
+      },
+      source: {
+        type: 'string',
+        example: 'ECB reference rate'
+      }
+    }
+  },
+  GridFactorTable: {
+    type: 'object',
+    required: ['name', 'factors'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        example: 'Nordic grid 2025'
+      },
+      description: {
+        type: 'string',
+        example: 'Location-based grid intensities for Nordic markets'
+      },
+      source: {
+        type: 'string',
+        description: 'Where the factors come from',
+        example: 'National energy agencies, 2025 projections'
+      },
+      factors: {
+        $ref: '#/components/schemas/GridFactors'
+      },
+      projected_from: {
+        type: 'integer',
+        description: 'First year whose factors are projections rather than reported values',
+        example: 2025
+      },
+      notes: {
+        type: 'string',
+        example: 'Initial version'
+      }
+    }
+  },
+  GridFactorTableVersion: {
+    type: 'object',
+    required: ['factors'],
+    properties: {
+      factors: {
+        $ref: '#/components/schemas/GridFactors'
+      },
+      projected_from: {
+        type: 'integer',
+        example: 2026
+      },
+      notes: {
+        type: 'string',
+        example: '2025 reported values'
+      }
+    }
+  },
+  GridFactors: {
+    type: 'object',
+    description: 'kg CO2e per kWh keyed by ISO 3166 country code and year; years in between are interpolated',
+    minProperties: 1,
+    propertyNames: { pattern: '^[A-Z]{2}$' },
+    additionalProperties: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[0-9]{4}$' },
+      additionalProperties: { type: 'number', minimum: 0 }
+    },
+    example: {
+      DK: { 2024: 0.11, 2030: 0.04, 2050: 0.005 },
+      SE: { 2024: 0.01, 2050: 0.004 }
+    }
+  },
+  HealthCoefficientSet: {
+    type: 'object',
+    required: ['name', 'coefficients'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        example: 'Nordic offices 2025'
+      },
+      description: {
+        type: 'string',
+        example: 'Health coefficients for office buildings with Nordic salary levels'
+      },
+      source: {
+        type: 'string',
+        description: 'Where the set comes from',
+        example: 'Literature review, 2025'
+      },
+      coefficients: {
+        $ref: '#/components/schemas/HealthCoefficients'
+      },
+      countries: {
+        $ref: '#/components/schemas/HealthCoefficientCountries'
+      },
+      notes: {
+        type: 'string',
+        example: 'Initial version'
+      }
+    }
+  },
+  HealthCoefficientSetVersion: {
+    type: 'object',
+    required: ['coefficients'],
+    properties: {
+      coefficients: {
+        $ref: '#/components/schemas/HealthCoefficients'
+      },
+      countries: {
+        $ref: '#/components/schemas/HealthCoefficientCountries'
+      },
+      notes: {
+        type: 'string',
+        example: 'Productivity coefficient from a newer meta-analysis'
+      }
+    }
+  },
+  HealthCoefficients: {
+    type: 'object',
+    description: 'Health impact coefficients. Health effects are in % for a fully green roof seen by every occupant; monetary values are in EUR',
+    required: [
+      'stress_reduction',
+      'hypertension_reduction',
+      'productivity_increase',
+      'sick_days_reduction',
+      'avg_salary',
+      'avg_sick_day_cost',
+      'green_roof_cost_per_sqm'
+    ],
+    additionalProperties: false,
+    properties: {
+      stress_reduction: { $ref: '#/components/schemas/HealthCoefficient' },
+      hypertension_reduction: { $ref: '#/components/schemas/HealthCoefficient' },
+      productivity_increase: { $ref: '#/components/schemas/HealthCoefficient' },
+      sick_days_reduction: { $ref: '#/components/schemas/HealthCoefficient' },
+      avg_salary: { $ref: '#/components/schemas/HealthCoefficient' },
+      avg_sick_day_cost: { $ref: '#/components/schemas/HealthCoefficient' },
+      green_roof_cost_per_sqm: { $ref: '#/components/schemas/HealthCoefficient' }
+    }
+  },
+  HealthCoefficientCountries: {
+    type: 'object',
+    description: 'Salary and sick-day cost in EUR by ISO 3166 country code, used instead of the set values for requests with that country',
+    propertyNames: { pattern: '^[A-Z]{2}$' },
+    additionalProperties: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        avg_salary: { $ref: '#/components/schemas/HealthCoefficient' },
+        avg_sick_day_cost: { $ref: '#/components/schemas/HealthCoefficient' }
+      }
+    },
+    example: {
+      DK: {
+        avg_salary: { value: 62000, unit: 'per employee per year', citation: { publication: 'Statistics Denmark', year: 2024 } }
+      }
+    }
+  },
+  HealthCoefficient: {
+    type: 'object',
+    required: ['value', 'citation'],
+    properties: {
+      value: {
+        type: 'number',
+        minimum: 0,
+        example: 39.4
+      },
+      unit: {
+        type: 'string',
+        example: '%'
+      },
+      description: {
+        type: 'string',
+        example: 'Reduction in reported stress of occupants with a view of green areas'
+      },
+      citation: {
+        $ref: '#/components/schemas/Citation'
+      }
+    }
+  },
+  Citation: {
+    type: 'object',
+    description: 'Source of a value; give at least one field',
+    minProperties: 1,
+    properties: {
+      authors: { type: 'string', example: 'Doe, J.; Roe, R.' },
+      title: { type: 'string', example: 'Green views and stress recovery in office workers' },
+      publication: { type: 'string', example: 'Journal of Environmental Psychology' },
+      year: { type: 'integer', example: 2020 },
+      doi: { type: 'string', example: '10.1000/example' },
+      url: { type: 'string', format: 'uri', example: 'https://doi.org/10.1000/example' },
+      note: { type: 'string', example: 'Table 3, adjusted model' }
+    }
+  },
+  SimpleCalculationParameters: {
+    type: 'object',
+    required: ['roof_area', 'roof_division'],
+    properties: {
+      roof_area: {
+        type: 'number',
+        minimum: 0,
+        description: 'Roof area in square meters',
+        example: 2000
+      },
+      roof_division: roofDivision,
+      currency: pricingProperties.currency
+    }
+  },
+  BatchBuilding: {
+    type: 'object',
+    required: ['building_id'],
+    properties: {
+      building_id: {
+        type: 'string',
+        minLength: 1,
+        example: 'building-123'
+      },
+      roof_area: {
+        type: 'number',
+        minimum: 0,
+        example: 2500
+      },
+      GWP_roof: {
+        type: 'number',
+        minimum: 0,
+        example: 3.5
+      },
+      roof_division: roofDivision
+    }
+  },
+  BatchCalculationRequest: {
+    type: 'object',
+    required: ['buildings'],
+    properties: {
+      buildings: {
+        type: 'array',
+        minItems: 1,
+        description: 'Buildings to calculate; each is validated individually against BatchBuilding so one invalid building is reported without rejecting the others',
+        items: {
+          type: 'object'
+        }
+      },
+      common_parameters: {
+        type: 'object',
+        description: 'Parameters shared by every building; accepts any CalculationParameters field'
+      },
+      async: {
+        type: 'boolean',
+        description: 'Queue the batch as a background job and return a job id instead of waiting for the results',
+        example: false
+      },
+      all_or_nothing: allOrNothing
+    }
+  },
+  OptimizationRequest: {
+    allOf: [
+      { $ref: '#/components/schemas/CalculationParameters' },
+      {
+        type: 'object',
+        properties: {
+          goal: {
+            type: 'string',
+            enum: Object.keys(OPTIMIZATION_GOALS),
+            description: 'Metric the best allocation is chosen by; co2_per_euro maximises roi_10yr, and roi is a deprecated name for it',
+            example: 'fastest_neutrality'
+          },
+          candidate_types: {
+            type: 'array',
+            items: { type: 'string' },
+            minItems: 1,
+            description: 'Improvement types to allocate (defaults to all registered types)',
+            example: ['Green Areas', 'Solar Power', 'Water Management', 'Social Impact']
+          },
+          step: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            description: 'Percentage grid step; must divide 100',
+            example: 10
+          },
+          constraints: {
+            type: 'object',
+            properties: {
+              max_budget: {
+                type: 'number',
+                minimum: 0,
+                description: 'Maximum estimated cost, in the requested currency',
+                example: 400000
+              },
+              min_green_share: {
+                type: 'number',
+                minimum: 0,
+                maximum: 100,
+                description: 'Minimum percentage of Green Areas',
+                example: 20
+              },
+              usable_solar_area: {
+                type: 'number',
+                minimum: 0,
+                description: 'Roof area usable for solar panels in m²; caps the Solar Power share',
+                example: 800
+              },
+              min_shares: {
+                type: 'object',
+                additionalProperties: { type: 'number', minimum: 0, maximum: 100 },
+                description: 'Minimum percentage per improvement type'
+              },
+              max_shares: {
+                type: 'object',
+                additionalProperties: { type: 'number', minimum: 0, maximum: 100 },
+                description: 'Maximum percentage per improvement type'
+              }
+            }
+          }
+        }
+      }
+    ]
+  },
+  Distribution: {
+    type: 'object',
+    required: ['distribution'],
+    properties: {
+      distribution: {
+        type: 'string',
+        enum: ['normal', 'triangular', 'uniform']
+      },
+      mean: {
+        type: 'number',
+        description: 'Mean (normal)'
+      },
+      sd: {
+        type: 'number',
+        minimum: 0,
+        description: 'Standard deviation (normal)'
+      },
+      min: {
+        type: 'number',
+        description: 'Lower bound (triangular, uniform); optional truncation for normal'
+      },
+      mode: {
+        type: 'number',
+        description: 'Most likely value (triangular)'
+      },
+      max: {
+        type: 'number',
+        description: 'Upper bound (triangular, uniform); optional truncation for normal'
+      }
+    },
+    example: { distribution: 'triangular', min: 0.01, mode: 0.02, max: 0.04 }
+  },
+  UncertaintyRequest: {
+    allOf: [
+      { $ref: '#/components/schemas/CalculationParameters' },
+      {
+        type: 'object',
+        required: ['distributions'],
+        properties: {
+          distributions: {
+            type: 'object',
+            additionalProperties: { $ref: '#/components/schemas/Distribution' },
+            minProperties: 1,
+            description: 'Distributions keyed by parameter, e.g. GWP_roof, decline_rate, efficiency_degradation or "full_savings.Solar Power"',
+            example: {
+              GWP_roof: { distribution: 'normal', mean: 3.33, sd: 0.3, min: 0 },
+              decline_rate: { distribution: 'triangular', min: 0.01, mode: 0.02, max: 0.04 },
+              'full_savings.Solar Power': { distribution: 'uniform', min: 800, max: 1600 }
+            }
+          },
+          iterations: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_ITERATIONS,
+            description: `Number of Monte Carlo samples; iterations × points may not exceed ${MAX_TIMELINE_VALUES}`,
+            example: 500
+          },
+          seed: {
+            type: 'integer',
+            description: 'Random seed; the same seed and inputs give the same result',
+            example: 1
+          },
+          tornado_metric: {
+            type: 'string',
+            enum: ['years_to_neutrality', 'ten_year_savings', 'npv'],
+            description: 'Metric the sensitivity table is ranked by',
+            example: 'years_to_neutrality'
+          }
+        }
+      }
+    ]
+  },
+  ComparisonScenario: {
+    type: 'object',
+    required: ['name', 'parameters'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        example: 'Base Scenario'
+      },
+      parameters: {
+        $ref: '#/components/schemas/CalculationParameters'
+      }
+    }
+  },
+  ComparisonRequest: {
+    type: 'object',
+    required: ['scenarios'],
+    properties: {
+      scenarios: {
+        type: 'array',
+        minItems: 2,
+        description: 'Scenarios to compare; each is validated individually against ComparisonScenario so one invalid scenario is reported without rejecting the others',
+        items: {
+          type: 'object'
+        }
+      },
+      currency: {
+        ...pricingProperties.currency,
+        description: 'ISO 4217 currency code applied to every scenario (defaults to EUR)',
+        example: 'SEK'
+      },
+      rate_date: pricingProperties.rate_date,
+      all_or_nothing: allOrNothing
+    }
+  },
+  RecalculationRequest: {
+    type: 'object',
+    properties: {
+      engine_version: {
+        type: 'string',
+        description: 'Engine version to re-run the calculation on (see GET /engines); defaults to the current version',
+        example: '1.3.0'
+      }
+    }
+  },
+  Portfolio: {
+    type: 'object',
+    required: ['name', 'buildings'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        description: 'Portfolio name',
+        example: 'Copenhagen offices'
+      },
+      description: {
+        type: 'string',
+        description: 'Portfolio description',
+        example: 'Office buildings owned by the Nordic fund'
+      },
+      buildings: {
+        type: 'array',
+        minItems: 1,
+        description: 'Buildings in the portfolio, in the same format as BatchBuilding',
+        items: {
+          type: 'object'
+        }
+      },
+      common_parameters: {
+        type: 'object',
+        description: 'Parameters shared by every building; accepts any CalculationParameters field'
+      }
+    }
+  },
+  PortfolioUpdate: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1
+      },
+      description: {
+        type: 'string'
+      },
+      buildings: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object'
+        }
+      },
+      common_parameters: {
+        type: 'object'
+      }
+    }
+  },
+  SocialMetric: {
+    type: 'object',
+    required: ['name', 'unit', 'scale'],
+    properties: {
+      name: {
+        type: 'string',
+        pattern: '^[a-z][a-z0-9_]*$',
+        maxLength: 64,
+        description: 'Name used as key in social_metrics; must not clash with a built-in metric',
+        example: 'community_events'
+      },
+      description: {
+        type: 'string',
+        example: 'Community events held on the roof per month'
+      },
+      unit: {
+        type: 'string',
+        minLength: 1,
+        description: 'Unit the metric is given in',
+        example: 'events/month'
+      },
+      scale: {
+        type: 'object',
+        required: ['min', 'max'],
+        additionalProperties: false,
+        description: 'Range of valid values; values are normalised to 0-100 on it',
+        properties: {
+          min: { type: 'number' },
+          max: { type: 'number' }
+        },
+        example: { min: 0, max: 10 }
+      },
+      default_weight: {
+        type: 'number',
+        minimum: 0,
+        description: 'Weight of the metric when the weighting profile gives none',
+        example: 0.1
+      }
+    }
+  },
+  SocialWeightingProfile: {
+    type: 'object',
+    required: ['name', 'weights'],
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1,
+        description: 'Profile name',
+        example: 'Equity first'
+      },
+      description: {
+        type: 'string',
+        example: 'Weighting for social housing clients'
+      },
+      weights: socialWeights
+    }
+  },
+  SocialWeightingProfileUpdate: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      name: {
+        type: 'string',
+        minLength: 1
+      },
+      description: {
+        type: 'string'
+      },
+      weights: socialWeights
+    }
+  },
+  PortfolioAnalysisRequest: {
+    type: 'object',
+    description: 'Either the ID of a saved portfolio or an inline list of buildings',
+    anyOf: [
+      { required: ['portfolio_id'] },
+      { required: ['buildings'] }
+    ],
+    properties: {
+      portfolio_id: {
+        type: 'string',
+        description: 'Saved portfolio to analyze',
+        example: '550e8400-e29b-41d4-a716-446655440000'
+      },
+      buildings: {
+        type: 'array',
+        minItems: 1,
+        description: 'Buildings to analyze when no portfolio_id is given, in the same format as BatchBuilding',
+        items: {
+          type: 'object'
+        }
+      },
+      common_parameters: {
+        type: 'object',
+        description: 'Parameters shared by every building; merged over those of a saved portfolio'
+      },
+      currency: {
+        ...pricingProperties.currency,
+        description: 'ISO 4217 currency code applied to every building (defaults to EUR)'
+      },
+      rate_date: pricingProperties.rate_date,
+      discount_rate: {
+        type: 'number',
+        exclusiveMinimum: -1,
+        description: 'Annual discount rate applied to every building, so that their NPVs can be added up',
+        example: 0.05
+      }
+    }
+  },
+  SdgReportRequest: {
+    description: 'Report options, and the calculation parameters recommended changes are evaluated with',
+    allOf: [
+      { $ref: '#/components/schemas/CalculationParameters' },
+      {
+        type: 'object',
+        required: ['roof_division'],
+        properties: {
+          roof_division: roofDivision,
+          sdg_focus: sdgFocus,
+          company_name: {
+            type: 'string',
+            description: 'Company name for the report',
+            example: 'Green Building Co.'
+          },
+          project_name: {
+            type: 'string',
+            description: 'Project name for the report',
+            example: 'Headquarters Roof Renovation'
+          },
+          biodiversity: {
+            $ref: '#/components/schemas/BiodiversityParameters'
+          },
+          shift_step: {
+            type: 'number',
+            exclusiveMinimum: 0,
+            exclusiveMaximum: 100,
+            description: 'Percentage points of the roof each recommended change moves between improvement types',
+            example: 10
+          },
+          max_recommendations: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 10,
+            description: 'Number of changes to recommend',
+            example: 3
+          }
+        }
+      }
+    ]
+  },
+  BiodiversityRequest: {
+    type: 'object',
+    required: ['roof_division'],
+    properties: {
+      roof_area: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'Roof area in square meters, to report the ecologically effective area',
+        example: 2776
+      },
+      roof_division: roofDivision,
+      biodiversity: {
+        $ref: '#/components/schemas/BiodiversityParameters'
+      }
+    }
+  },
+  HealthImpactRequest: {
+    type: 'object',
+    required: ['roof_area', 'roof_division'],
+    properties: {
+      roof_area: {
+        type: 'number',
+        minimum: 0,
+        description: 'Roof area in square meters',
+        example: 2776
+      },
+      roof_division: roofDivision,
+      employees: {
+        type: 'number',
+        minimum: 0,
+        description: 'Number of employees in the building (default 50, or all occupants with a building description)',
+        example: 50
+      },
+      building_occupants: {
+        type: 'number',
+        minimum: 0,
+        description: 'Total number of building occupants, at least the number of employees; only checked and reported, as exposure follows green_view_percentage. Not allowed with a building description',
+        example: 100
+      },
+      green_view_percentage: {
+        type: 'number',
+        minimum: 0,
+        maximum: 100,
+        description: 'Percentage of occupants with view of green areas (default 60); not allowed with a building description, which derives it',
+        example: 60
+      },
+      thermal: {
+        $ref: '#/components/schemas/RoofThermalSystem'
+      },
+      building: {
+        $ref: '#/components/schemas/BuildingOccupancy'
+      },
+      climate_zone: climateZone,
+      currency: pricingProperties.currency,
+      rate_date: pricingProperties.rate_date,
+      country: {
+        type: 'string',
+        pattern: '^[A-Za-z]{2}$',
+        description: 'ISO 3166 country code whose salary and sick-day cost in the coefficient set are used, if the set has them',
+        example: 'DK'
+      },
+      health_coefficient_set_id: {
+        type: 'string',
+        description: 'Health coefficient set to take the coefficients from (defaults to the built-in set)',
+        example: 'default'
+      },
+      health_coefficient_set_version: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Health coefficient set version to use (defaults to the latest version)',
+        example: 1
+      },
+      health_overrides: {
+        type: 'object',
+        description: 'Salary and sick-day cost for this report, in the report currency; take precedence over the coefficient set',
+        additionalProperties: false,
+        properties: {
+          avg_salary: { type: 'number', minimum: 0, example: 465000 },
+          avg_sick_day_cost: { type: 'number', minimum: 0, example: 1800 }
+        }
+      }
+    }
+  },
+  WaterAnalysisRequest: {
+    type: 'object',
+    required: ['roof_area', 'roof_division'],
+    properties: {
+      roof_area: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        description: 'Roof area in square meters',
+        example: 2776
+      },
+      roof_division: roofDivision,
+      water: {
+        $ref: '#/components/schemas/StormwaterSystem'
+      },
+      currency: pricingProperties.currency,
+      rate_date: pricingProperties.rate_date
+    }
+  },
+  TokenRequest: {
+    type: 'object',
+    required: ['company', 'email', 'purpose'],
+    properties: {
+      company: {
+        type: 'string',
+        minLength: 1,
+        description: 'Company name',
+        example: 'Green Roofs Inc.'
+      },
+      email: {
+        type: 'string',
+        format: 'email',
+        description: 'Contact email',
+        example: 'contact@greenroofs.com'
+      },
+      purpose: {
+        type: 'string',
+        minLength: 1,
+        description: 'Purpose of API access',
+        example: 'Integration with building management system'
+      },
+      company_id: {
+        type: 'string',
+        description: 'Company ID or registration number',
+        example: 'DK12345678'
+      },
+      address: {
+        type: 'string',
+        description: 'Company address',
+        example: '123 Green Street, Copenhagen'
+      }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['username', 'password', 'role'],
+    properties: {
+      username: {
+        type: 'string',
+        minLength: 1,
+        example: 'newuser'
+      },
+      password: {
+        type: 'string',
+        minLength: 1,
+        example: 'securepassword123'
+      },
+      role: {
+        type: 'string',
+        enum: ['admin', 'user'],
+        example: 'user'
+      }
+    }
+  }
+};
+
+module.exports = schemas;
@@ -0,0 +1,213 @@
+/**
+ * SDG recommendations
+ * Concrete roof changes that raise the SDG alignment of a design. Every shift
+ * of a share of the roof from one improvement type to another is scored with
+ * the SDG assessment and a re-run of performCalculations; the changes no other
+ * change beats on SDG score, CO2 savings and cost are recommended
+ */
+const { performCalculations, formatCurrency, DEFAULT_IMPROVEMENT_TYPES } = require('./calculations');
+const { assessSdgAlignment } = require('./sdg');
+const { paretoFront } = require('./optimizer');
+const { ValidationError } = require('./errors');
+
+// Percentage points of the roof moved by each candidate change
+const DEFAULT_SHIFT_STEP = 10;
+
+// Number of changes recommended
+const DEFAULT_MAX_RECOMMENDATIONS = 3;
+
+// Changes dominated on all of these by another change are not recommended
+const RECOMMENDATION_OBJECTIVES = [
+  { metric: 'sdg_alignment_score', direction: 'max' },
+  { metric: 'annual_savings', direction: 'max' },
+  { metric: 'estimated_cost', direction: 'min' }
+];
+
+// Score changes smaller than this are rounding noise
+const SCORE_TOLERANCE = 1e-9;
+
+/**
+ * Score a roof division on SDG alignment, CO2 and cost
+ * @param {object} params - Resolved calculation parameters
+ * @param {object} roof_division - Roof division to score
+ * @returns {object} SDG assessment and the headline calculation results
+ */
+function evaluateRoofDivision(params, roof_division) {
+  const improvement_types = params.improvement_types || DEFAULT_IMPROVEMENT_TYPES;
+  const alignment = assessSdgAlignment(roof_division, improvement_types);
+  const results = performCalculations({ ...params, roof_division });
+
+  return {
+    roof_division,
+    alignment,
+    sdg_alignment_score: alignment.sdg_alignment_score,
+    annual_savings: results.savings.annual,
+    years_to_neutrality: results.neutrality.with_improvements,
+    estimated_cost: results.economics.estimated_cost,
+    currency: results.economics.currency
+  };
+}
+
+/**
+ * Every shift of `step` percentage points from an improvement type on the roof to another registered type
+ * @param {object} roof_division - Current roof division
+ * @param {object} improvement_types - Registry of improvement types keyed by name
+ * @param {number} step - Percentage points to move
+ * @returns {Array<object>} Changes as { from, to, roof_division }
+ */
+function candidateShifts(roof_division, improvement_types, step) {
+  const shifts = [];
+  for (const [from, share] of Object.entries(roof_division)) {
+    if (share < step) continue;
+    for (const to of Object.keys(improvement_types)) {
+      if (to === from) continue;
+      const division = { ...roof_division, [from]: share - step, [to]: (roof_division[to] || 0) + step };
+      if (division[from] === 0) delete division[from];
+      shifts.push({ from, to, roof_division: division });
+    }
+  }
+  return shifts;
+}
+
+/**
+ * Goals a change raises the contribution to, with the targets the receiving improvement adds to
+ * @param {object} before - SDG assessment of the current roof division
+ * @param {object} after - SDG assessment after the change
+ * @param {string} to - Improvement type that receives the share
+ * @returns {Array<object>} Goals with their contribution before and after and the targets gained, largest gain first
+ */
+function goalsGained(before, after, to) {
+  return after.goals
+    .map((goal, index) => ({ goal, previous: before.goals[index] }))
+    .filter(({ goal, previous }) => goal.contribution > previous.contribution + SCORE_TOLERANCE)
+    .map(({ goal, previous }) => {
+      const targets = goal.targets
+        .filter(target => {
+          const old = previous.targets.find(({ id }) => id === target.id);
+          return target.contribution > (old ? old.contribution : 0) + SCORE_TOLERANCE;
+        })
+        .map(target => ({
+          id: target.id,
+          rationale: (target.improvements.find(({ improvement }) => improvement === to) || {}).rationale || null
+        }));
+      return {
+        number: goal.number,
+        name: goal.name,
+        contribution_before: previous.contribution,
+        contribution_after: goal.contribution,
+        targets
+      };
+    })
+    .sort((a, b) =>
+      (b.contribution_after - b.contribution_before) - (a.contribution_after - a.contribution_before) ||
+      a.number - b.number
+    );
+}
+
+/**
+ * Format a signed change
+ * @param {number} value - Change
+ * @param {number} digits - Decimal places
+ * @returns {string} Change with an explicit sign
+ */
+function signed(value, digits) {
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: digits, minimumFractionDigits: digits })}`;
+}
+
+/**
+ * Describe a recommended change and its effect
+ * @param {object} candidate - Evaluated change
+ * @param {object} baseline - Evaluation of the current roof division
+ * @param {number} step - Percentage points moved
+ * @returns {object} Recommendation
+ */
+function formatRecommendation(candidate, baseline, step) {
+  const goals = goalsGained(baseline.alignment, candidate.alignment, candidate.to);
+  const effect = {
+    sdg_alignment_score: candidate.sdg_alignment_score - baseline.sdg_alignment_score,
+    annual_co2_savings: candidate.annual_savings - baseline.annual_savings,
+    years_to_neutrality: candidate.years_to_neutrality !== null && baseline.years_to_neutrality !== null
+      ? candidate.years_to_neutrality - baseline.years_to_neutrality
+      : null,
+    estimated_cost: candidate.estimated_cost - baseline.estimated_cost,
+    currency: candidate.currency
+  };
+
+  const goalTexts = goals.map(goal => {
+    const ids = goal.targets.map(target => target.id).filter(Boolean);
+    return `SDG ${goal.number}` + (ids.length > 0 ? ` (target${ids.length > 1 ? 's' : ''} ${ids.join(', ')})` : '');
+  });
+  const goalText = goalTexts.length > 1
+    ? `${goalTexts.slice(0, -1).join(', ')} and ${goalTexts[goalTexts.length - 1]}`
+    : goalTexts[0];
+  const rationale = goals.flatMap(goal => goal.targets).map(target => target.rationale).find(Boolean);
+
+  return {
+    sdg: goals.length > 0 ? goals[0].name : null,
+    change: { from: candidate.from, to: candidate.to, percentage: step },
+    roof_division: candidate.roof_division,
+    goals,
+    effect,
+    suggestion: `Shift ${step}% of the roof from ${candidate.from} to ${candidate.to} for ${goalText}.` +
+      (rationale ? ` ${rationale}` : '') +
+      ` Effect: SDG score ${signed(effect.sdg_alignment_score, 1)} points, annual CO2 savings ${signed(effect.annual_co2_savings, 0)} kg CO2e,` +
+      ` estimated cost ${effect.estimated_cost >= 0 ? '+' : '-'}${formatCurrency(Math.abs(effect.estimated_cost), effect.currency)}.`
+  };
+}
+
+/**
+ * Recommend roof changes that raise the SDG alignment score
+ * @param {object} params - Resolved calculation parameters, including roof_division
+ * @param {object} options - Recommendation options
+ * @param {number} options.step - Percentage points each change moves (default 10)
+ * @param {number} options.max_recommendations - Number of changes to recommend (default 3)
+ * @returns {object} Current alignment, the recommended changes best first, and how many changes were evaluated
+ * @throws {ValidationError} If the step is not between 0 and 100
+ */
+function recommendSdgChanges(params, options = {}) {
+  const { step = DEFAULT_SHIFT_STEP, max_recommendations = DEFAULT_MAX_RECOMMENDATIONS } = options;
+  if (!(step > 0 && step < 100)) {
+    throw ValidationError.forField('shift_step', "Shift step must be between 0 and 100 percentage points");
+  }
+
+  const improvement_types = params.improvement_types || DEFAULT_IMPROVEMENT_TYPES;
+  const baseline = evaluateRoofDivision(params, params.roof_division);
+  const shifts = candidateShifts(params.roof_division, improvement_types, step);
+  const candidates = shifts
+    .map(shift => ({ ...shift, ...evaluateRoofDivision(params, shift.roof_division) }))
+    .filter(candidate => candidate.sdg_alignment_score > baseline.sdg_alignment_score + SCORE_TOLERANCE);
+
+  // Best SDG gain first; among equal gains, more CO2 savings and then lower cost
+  const ranked = paretoFront(candidates, RECOMMENDATION_OBJECTIVES).sort((a, b) =>
+    b.sdg_alignment_score - a.sdg_alignment_score ||
+    b.annual_savings - a.annual_savings ||
+    a.estimated_cost - b.estimated_cost
+  );
+
+  const recommendations = {
+    current_alignment: `The roof design contributes to ${baseline.alignment.sdgs_addressed.length} out of 17 SDGs (${Math.round(baseline.sdg_alignment_score)}% alignment).`,
+    baseline: {
+      sdg_alignment_score: baseline.sdg_alignment_score,
+      annual_co2_savings: baseline.annual_savings,
+      years_to_neutrality: baseline.years_to_neutrality,
+      estimated_cost: baseline.estimated_cost,
+      currency: baseline.currency
+    },
+    evaluated_changes: shifts.length,
+    suggestions: ranked.slice(0, max_recommendations).map(candidate => formatRecommendation(candidate, baseline, step))
+  };
+
+  if (recommendations.suggestions.length === 0) {
+    recommendations.suggestions.push({
+      sdg: "All SDGs",
+      suggestion: `Excellent work! No shift of ${step}% of the roof between registered improvement types raises the SDG alignment score.`
+    });
+  }
+
+  return recommendations;
+}
+
+module.exports = {
+  DEFAULT_SHIFT_STEP,
+  recommendSdgChanges
+};
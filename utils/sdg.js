@@ -0,0 +1,179 @@
+/**
+ * UN Sustainable Development Goals
+ * The bundled catalogue of the 17 goals and their targets, and the SDG
+ * alignment of a roof design derived from the targets each improvement in
+ * the roof division contributes to
+ */
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Bundled goal and target catalogue with the target mapping of the built-in improvement types
+const CATALOGUE_FILE = path.join(__dirname, '..', 'data', 'sdg', 'catalogue.json');
+
+// Share of the roof from which an improvement contributes fully to its targets;
+// smaller shares contribute in proportion
+const FULL_CONTRIBUTION_SHARE = 0.25;
+
+// Weight of a goal an improvement type only names in its registry sdgs, without a target mapping
+const GOAL_LEVEL_WEIGHT = 0.5;
+
+let sdgCatalogue = null;
+
+/**
+ * Load the bundled SDG catalogue
+ * @returns {object} Goals with their targets, improvement target mappings and catalogue details
+ */
+function loadSdgCatalogue() {
+  if (!sdgCatalogue) {
+    sdgCatalogue = JSON.parse(fs.readFileSync(CATALOGUE_FILE, 'utf8'));
+  }
+  return sdgCatalogue;
+}
+
+/**
+ * Find a goal by name or number
+ * @param {string|number} sdg - Goal name (case-insensitive), number, or "SDG <number>"
+ * @returns {object|undefined} Goal from the catalogue
+ */
+function findGoal(sdg) {
+  const { goals } = loadSdgCatalogue();
+  if (typeof sdg === 'number') {
+    return goals.find(goal => goal.number === sdg);
+  }
+  const name = String(sdg).trim().toLowerCase();
+  const number = /^(sdg\s*)?(\d+)$/.exec(name);
+  return number
+    ? goals.find(goal => goal.number === Number(number[2]))
+    : goals.find(goal => goal.name.toLowerCase() === name);
+}
+
+/**
+ * Resolve a list of goal names or numbers to catalogue goals
+ * @param {Array<string|number>} sdgs - Goal names or numbers
+ * @param {string} field - Request field the list came from, for error messages
+ * @returns {Array<object>} Goals in the order given, without duplicates
+ * @throws {ValidationError} If an entry is not one of the 17 goals
+ */
+function resolveGoals(sdgs, field = 'sdg_focus') {
+  const goals = sdgs.map((sdg, index) => {
+    const goal = findGoal(sdg);
+    if (!goal) {
+      throw ValidationError.forField(`${field}.${index}`, `Unknown Sustainable Development Goal "${sdg}". Use a goal name or a number from 1 to 17`);
+    }
+    return goal;
+  });
+  return [...new Set(goals)];
+}
+
+/**
+ * Target links of an improvement type: its catalogue mapping, or goal-level
+ * links for the goals named in its registry sdgs
+ * @param {string} improvement - Improvement type name
+ * @param {object} type - Improvement type from the registry (optional)
+ * @returns {Array<object>} Links as { goal, target, weight, rationale }; target is null for goal-level links
+ */
+function improvementLinks(improvement, type) {
+  const catalogue = loadSdgCatalogue();
+  const mapping = catalogue.improvements[improvement];
+  if (mapping) {
+    return mapping.map(({ target, weight, rationale }) => ({
+      goal: catalogue.goals.find(goal => goal.targets.some(({ id }) => id === target)),
+      target,
+      weight,
+      rationale
+    }));
+  }
+
+  return ((type && type.sdgs) || [])
+    .map(findGoal)
+    .filter(Boolean)
+    .map(goal => ({
+      goal,
+      target: null,
+      weight: GOAL_LEVEL_WEIGHT,
+      rationale: `Named as a goal of ${improvement} in the improvement type registry.`
+    }));
+}
+
+/**
+ * Assess the SDG alignment of a roof design. Each improvement contributes the
+ * weight of its links (1 direct, 0.5 supporting) scaled by its roof share up to
+ * FULL_CONTRIBUTION_SHARE. A target's contribution is the sum over improvements
+ * (at most 1), a goal's is that of its strongest target, and the alignment
+ * score is the mean goal contribution over all 17 goals.
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @param {object} improvement_types - Registry of improvement types keyed by name
+ * @returns {object} Contribution by goal and target, the goals addressed and the alignment score
+ */
+function assessSdgAlignment(roof_division, improvement_types = {}) {
+  const catalogue = loadSdgCatalogue();
+  const contributions = new Map(); // Goal number -> target ID (or null) -> contributing improvements
+
+  for (const [improvement, percentage] of Object.entries(roof_division)) {
+    const share = percentage / 100;
+    if (!(share > 0)) continue;
+    const scale = Math.min(1, share / FULL_CONTRIBUTION_SHARE);
+
+    for (const { goal, target, weight, rationale } of improvementLinks(improvement, improvement_types[improvement])) {
+      if (!contributions.has(goal.number)) contributions.set(goal.number, new Map());
+      const targets = contributions.get(goal.number);
+      if (!targets.has(target)) targets.set(target, []);
+      targets.get(target).push({ improvement, percentage, weight, contribution: weight * scale, rationale });
+    }
+  }
+
+  const goals = catalogue.goals.map(goal => {
+    const targets = [...(contributions.get(goal.number) || new Map())].map(([id, improvements]) => ({
+      id,
+      text: id ? goal.targets.find(target => target.id === id).text : null,
+      contribution: Math.min(1, improvements.reduce((sum, { contribution }) => sum + contribution, 0)),
+      improvements
+    }));
+    targets.sort((a, b) => b.contribution - a.contribution);
+
+    return {
+      number: goal.number,
+      name: goal.name,
+      description: goal.description,
+      contribution: targets.length > 0 ? targets[0].contribution : 0,
+      targets
+    };
+  });
+
+  const addressed = goals.filter(goal => goal.contribution > 0);
+
+  return {
+    catalogue: {
+      name: catalogue.name,
+      version: catalogue.version,
+      source: catalogue.source
+    },
+    goals,
+    sdgs_addressed: addressed.map(goal => goal.name),
+    sdg_alignment_score: (goals.reduce((sum, goal) => sum + goal.contribution, 0) / goals.length) * 100
+  };
+}
+
+/**
+ * Compare the goals a client claims with the contributions of the roof design
+ * @param {object} alignment - Result of assessSdgAlignment
+ * @param {Array<string|number>} sdg_focus - Claimed goal names or numbers
+ * @returns {Array<object>} Claimed goals with their contribution and whether the design supports them
+ * @throws {ValidationError} If a claimed goal is not one of the 17 goals
+ */
+function checkSdgFocus(alignment, sdg_focus) {
+  return resolveGoals(sdg_focus).map(({ number, name }) => {
+    const { contribution } = alignment.goals.find(goal => goal.number === number);
+    return { number, name, contribution, supported: contribution > 0 };
+  });
+}
+
+module.exports = {
+  FULL_CONTRIBUTION_SHARE,
+  loadSdgCatalogue,
+  resolveGoals,
+  improvementLinks,
+  assessSdgAlignment,
+  checkSdgFocus
+};
@@ -0,0 +1,79 @@
+/**
+ * Social impact scoring
+ * Built-in social metrics, and the social impact score as the weighted mean of
+ * the metrics normalised to 0-100 on their scales, with the weights of a
+ * weighting profile
+ */
+const { ValidationError } = require('./errors');
+
+// Built-in social metrics, in percentage improvement, with the weight they get
+// when the weighting profile gives none
+const DEFAULT_SOCIAL_METRICS = {
+  social_network: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.1, description: 'Improvement in social networks among building users' },
+  trust: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.1, description: 'Improvement in trust among building users' },
+  reciprocity: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.1, description: 'Improvement in reciprocity among building users' },
+  safety_wellbeing: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.15, description: 'Improvement in perceived safety and well-being' },
+  social_equity: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.15, description: 'Improvement in equitable access to green space' },
+  happiness: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.15, description: 'Improvement in reported happiness' },
+  stress_reduction: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.15, description: 'Reduction in reported stress' },
+  quality_of_life: { unit: '%', scale: { min: 0, max: 100 }, default_weight: 0.1, description: 'Improvement in reported quality of life' }
+};
+
+/**
+ * Score social impact as the weighted mean of the metrics on a 0-100 scale
+ * @param {object} social_metrics - Metric values keyed by metric name
+ * @param {object} metric_definitions - Definitions keyed by metric name (unit, scale, default_weight);
+ *   metrics with a null scale are taken as already on 0-100
+ * @param {object|null} profile - Weighting profile ({ id, name, weights }); metrics it gives no weight use their default_weight
+ * @returns {object} Social impact score and the weighting applied to each metric
+ * @throws {ValidationError} If a metric is unknown or outside its scale, or all weights are zero
+ */
+function scoreSocialImpact(social_metrics, metric_definitions = DEFAULT_SOCIAL_METRICS, profile = null) {
+  const weights = (profile && profile.weights) || {};
+  const metrics = {};
+  let weighted_sum = 0;
+  let total_weight = 0;
+
+  for (const [metric, value] of Object.entries(social_metrics)) {
+    const definition = metric_definitions[metric];
+    if (!definition) {
+      throw ValidationError.forField(`social_metrics.${metric}`, `Unknown social metric "${metric}". Use a built-in metric (${Object.keys(DEFAULT_SOCIAL_METRICS).join(', ')}) or register it with POST /social/metrics`);
+    }
+
+    const { scale } = definition;
+    if (scale && (value < scale.min || value > scale.max)) {
+      throw ValidationError.forField(`social_metrics.${metric}`, `${metric} must be between ${scale.min} and ${scale.max} ${definition.unit}`);
+    }
+    const normalized = scale ? (value - scale.min) * 100 / (scale.max - scale.min) : value;
+    const from_profile = weights[metric] !== undefined;
+    const weight = from_profile ? weights[metric] : definition.default_weight;
+
+    metrics[metric] = {
+      value,
+      unit: definition.unit,
+      scale,
+      normalized,
+      weight,
+      weight_source: from_profile ? 'profile' : 'default'
+    };
+    weighted_sum += normalized * weight;
+    total_weight += weight;
+  }
+
+  if (!(total_weight > 0)) {
+    throw ValidationError.forField('social_metrics', 'The weights of the social metrics add up to zero');
+  }
+
+  return {
+    social_impact_score: weighted_sum / total_weight,
+    weighting: {
+      profile: profile ? { id: profile.id, name: profile.name } : null,
+      metrics
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_SOCIAL_METRICS,
+  scoreSocialImpact
+};
@@ -0,0 +1,282 @@
+/**
+ * Solar yield model
+ * Hourly plane-of-array irradiance and PV output from a bundled typical
+ * meteorological year (TMY) file, for a given location and roof geometry
+ */
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+// Directory with the bundled weather files
+const WEATHER_DIR = path.join(__dirname, '..', 'data', 'tmy');
+
+// Farthest a site may be from the nearest bundled weather file before a
+// weather_file must be chosen explicitly
+const MAX_WEATHER_FILE_DISTANCE_KM = 500;
+
+// Defaults for the PV system
+const DEFAULT_SOLAR_SYSTEM = {
+  tilt: 30, // Degrees from horizontal
+  azimuth: 180, // Degrees clockwise from north (180 = south)
+  shading: 0, // Share of irradiance lost to shading (0-1)
+  module_rating_wp: 400, // Rated module power at STC in Wp
+  module_area: 1.95, // Module area in m²
+  packing_factor: 0.8, // Share of the solar roof area covered by modules
+  temperature_coefficient: -0.004, // Relative power change per °C above 25 °C
+  noct: 45, // Nominal operating cell temperature in °C
+  system_losses: 0.14, // Inverter, wiring, soiling and mismatch losses (0-1)
+  albedo: 0.2 // Ground reflectance
+};
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const RAD = Math.PI / 180;
+
+// Parsed weather files by name
+const weatherCache = new Map();
+
+/**
+ * Parse a weather file. Lines starting with # hold "key: value" metadata; the
+ * data has the columns month, hour, ghi, dhi and temp_air, plus day for a full
+ * 8760-hour year. Without a day column each month is one typical day.
+ * @param {string} name - Weather file name
+ * @param {string} content - File content
+ * @returns {object} Weather file with metadata and hourly records
+ */
+function parseWeatherFile(name, content) {
+  const metadata = {};
+  const rows = [];
+  let columns = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('#')) {
+      const match = trimmed.match(/^#\s*(\w+):\s*(.*)$/);
+      if (match) metadata[match[1]] = match[2];
+      continue;
+    }
+    if (!columns) {
+      columns = trimmed.split(',').map(column => column.trim());
+      continue;
+    }
+    const values = trimmed.split(',').map(Number);
+    const row = {};
+    columns.forEach((column, index) => { row[column] = values[index]; });
+    rows.push(row);
+  }
+
+  const typicalDays = !columns || !columns.includes('day');
+  const records = rows.map(row => {
+    const month = row.month - 1;
+    const day = typicalDays ? 15 : row.day;
+    return {
+      day_of_year: DAYS_IN_MONTH.slice(0, month).reduce((sum, days) => sum + days, 0) + day,
+      month,
+      hour: row.hour + 0.5, // Sun position at the middle of the hour
+      ghi: row.ghi,
+      dhi: row.dhi,
+      temp_air: row.temp_air,
+      // A typical day stands for every day of its month
+      weight: typicalDays ? DAYS_IN_MONTH[month] : 1
+    };
+  });
+
+  return {
+    name,
+    location: metadata.location || name,
+    latitude: parseFloat(metadata.latitude),
+    longitude: parseFloat(metadata.longitude),
+    source: metadata.source || null,
+    records
+  };
+}
+
+/**
+ * List the bundled weather files
+ * @returns {Array<string>} Weather file names (without extension)
+ */
+function listWeatherFiles() {
+  return fs.readdirSync(WEATHER_DIR)
+    .filter(file => file.endsWith('.csv'))
+    .map(file => path.basename(file, '.csv'))
+    .sort();
+}
+
+/**
+ * Load a bundled weather file
+ * @param {string} name - Weather file name (without extension)
+ * @returns {object} Parsed weather file
+ * @throws {ValidationError} If no weather file with that name exists
+ */
+function loadWeatherFile(name) {
+  if (!weatherCache.has(name)) {
+    if (!/^[\w-]+$/.test(name) || !listWeatherFiles().includes(name)) {
+      throw ValidationError.forField('solar.weather_file', `Unknown weather file "${name}". Available: ${listWeatherFiles().join(', ')}`);
+    }
+    const content = fs.readFileSync(path.join(WEATHER_DIR, `${name}.csv`), 'utf8');
+    weatherCache.set(name, parseWeatherFile(name, content));
+  }
+  return weatherCache.get(name);
+}
+
+/**
+ * Find the bundled weather file closest to a location
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {object} Parsed weather file
+ * @throws {ValidationError} If no bundled file lies within MAX_WEATHER_FILE_DISTANCE_KM
+ */
+function nearestWeatherFile(latitude, longitude) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  for (const name of listWeatherFiles()) {
+    const file = loadWeatherFile(name);
+    const distance = greatCircleKm(latitude, longitude, file.latitude, file.longitude);
+    if (distance < nearestDistance) {
+      nearest = file;
+      nearestDistance = distance;
+    }
+  }
+
+  if (nearestDistance > MAX_WEATHER_FILE_DISTANCE_KM) {
+    throw ValidationError.forField('solar.weather_file', `No bundled weather file within ${MAX_WEATHER_FILE_DISTANCE_KM} km of the site; the nearest is ${nearest.name} at ${Math.round(nearestDistance)} km. Pass weather_file to use a file anyway`);
+  }
+
+  return nearest;
+}
+
+/**
+ * Great-circle distance between two locations
+ * @returns {number} Distance in km
+ */
+function greatCircleKm(lat1, lon1, lat2, lon2) {
+  const a = Math.sin((lat2 - lat1) * RAD / 2) ** 2 +
+    Math.cos(lat1 * RAD) * Math.cos(lat2 * RAD) * Math.sin((lon2 - lon1) * RAD / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Sun position for a UTC time
+ * @param {number} day_of_year - Day of the year (1-365)
+ * @param {number} hour - UTC hour (fractional)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {object} Cosine of the zenith angle and azimuth in degrees clockwise from north
+ */
+function solarPosition(day_of_year, hour, latitude, longitude) {
+  const B = (day_of_year - 1) * 2 * Math.PI / 365;
+  // Equation of time in minutes (Spencer)
+  const equation_of_time = 229.2 * (0.000075 + 0.001868 * Math.cos(B) - 0.032077 * Math.sin(B) -
+    0.014615 * Math.cos(2 * B) - 0.04089 * Math.sin(2 * B));
+  const declination = 23.45 * RAD * Math.sin(2 * Math.PI * (284 + day_of_year) / 365);
+  const solar_time = hour + (4 * longitude + equation_of_time) / 60;
+  const hour_angle = 15 * (solar_time - 12) * RAD;
+  const lat = latitude * RAD;
+
+  const cos_zenith = Math.sin(lat) * Math.sin(declination) +
+    Math.cos(lat) * Math.cos(declination) * Math.cos(hour_angle);
+  const azimuth = Math.atan2(
+    Math.sin(hour_angle),
+    Math.cos(hour_angle) * Math.sin(lat) - Math.tan(declination) * Math.cos(lat)
+  ) / RAD + 180;
+
+  return { cos_zenith, azimuth };
+}
+
+/**
+ * Estimate the yearly yield of a PV system per m² of roof area
+ * @param {object} solar - Location, orientation and system parameters (see DEFAULT_SOLAR_SYSTEM)
+ * @param {number} solar.latitude - Latitude in degrees
+ * @param {number} solar.longitude - Longitude in degrees (east positive)
+ * @param {string} solar.weather_file - Bundled weather file (defaults to the nearest one within MAX_WEATHER_FILE_DISTANCE_KM)
+ * @returns {object} Irradiance, capacity and yield per m² of roof, and the distance to the weather file
+ * @throws {ValidationError} If the location or system parameters are out of range, or no weather file is near enough
+ */
+function estimateSolarYield(solar) {
+  const options = { ...DEFAULT_SOLAR_SYSTEM, ...solar };
+  const { latitude, longitude, tilt, azimuth, shading, module_rating_wp, module_area,
+    packing_factor, temperature_coefficient, noct, system_losses, albedo } = options;
+
+  if (!(latitude >= -90 && latitude <= 90)) throw ValidationError.forField('solar.latitude', "Latitude must be between -90 and 90");
+  if (!(longitude >= -180 && longitude <= 180)) throw ValidationError.forField('solar.longitude', "Longitude must be between -180 and 180");
+  if (!(tilt >= 0 && tilt <= 90)) throw ValidationError.forField('solar.tilt', "Tilt must be between 0 and 90 degrees");
+  if (!(shading >= 0 && shading <= 1)) throw ValidationError.forField('solar.shading', "Shading must be between 0 and 1");
+  if (!(module_rating_wp > 0) || !(module_area > 0)) throw ValidationError.forField('solar.module_rating_wp', "Module rating and area must be positive");
+
+  const weather = options.weather_file
+    ? loadWeatherFile(options.weather_file)
+    : nearestWeatherFile(latitude, longitude);
+  const weather_file_distance_km = greatCircleKm(latitude, longitude, weather.latitude, weather.longitude);
+
+  // kWp installed per m² of roof given to solar
+  const capacity_kwp_per_m2 = (module_rating_wp / 1000) / module_area * packing_factor;
+  const cos_tilt = Math.cos(tilt * RAD);
+  const sin_tilt = Math.sin(tilt * RAD);
+
+  let poa_irradiance = 0; // Wh/m² of module per year
+  let dc_energy = 0; // Wh per kWp per year, before system losses
+  const monthly = new Array(12).fill(0);
+
+  for (const record of weather.records) {
+    if (record.ghi <= 0) continue;
+
+    const sun = solarPosition(record.day_of_year, record.hour, latitude, longitude);
+    const beam_horizontal = Math.max(0, record.ghi - record.dhi);
+    let beam = 0;
+    let diffuse_horizontal = record.dhi;
+
+    if (sun.cos_zenith > 0.05) {
+      const cos_incidence = sun.cos_zenith * cos_tilt +
+        Math.sqrt(1 - sun.cos_zenith ** 2) * sin_tilt * Math.cos((sun.azimuth - azimuth) * RAD);
+      beam = beam_horizontal * Math.max(0, cos_incidence) / sun.cos_zenith;
+    } else {
+      // Sun (almost) below the horizon at mid-hour: treat all light as diffuse
+      diffuse_horizontal = record.ghi;
+    }
+
+    // Isotropic sky diffuse and ground-reflected irradiance
+    const poa = (beam +
+      diffuse_horizontal * (1 + cos_tilt) / 2 +
+      record.ghi * albedo * (1 - cos_tilt) / 2) * (1 - shading);
+
+    const cell_temperature = record.temp_air + (noct - 20) / 800 * poa;
+    const output = poa * Math.max(0, 1 + temperature_coefficient * (cell_temperature - 25));
+
+    poa_irradiance += poa * record.weight;
+    dc_energy += output * record.weight;
+    monthly[record.month] += output * record.weight;
+  }
+
+  const specific_yield = dc_energy / 1000 * (1 - system_losses); // kWh per kWp
+  const poa_kwh_per_m2 = poa_irradiance / 1000;
+
+  return {
+    weather_file: weather.name,
+    weather_location: weather.location,
+    weather_file_distance_km,
+    // Only an explicitly chosen file can be this far away
+    weather_file_out_of_range: weather_file_distance_km > MAX_WEATHER_FILE_DISTANCE_KM,
+    latitude,
+    longitude,
+    tilt,
+    azimuth,
+    shading,
+    module_rating_wp,
+    capacity_kwp_per_m2,
+    poa_irradiance_kwh_per_m2: poa_kwh_per_m2,
+    specific_yield_kwh_per_kwp: specific_yield,
+    performance_ratio: poa_kwh_per_m2 > 0 ? specific_yield / poa_kwh_per_m2 : null,
+    yield_kwh_per_m2: specific_yield * capacity_kwp_per_m2,
+    monthly_share: monthly.map(value => (dc_energy > 0 ? value / dc_energy : 0))
+  };
+}
+
+module.exports = {
+  DEFAULT_SOLAR_SYSTEM,
+  MAX_WEATHER_FILE_DISTANCE_KM,
+  estimateSolarYield,
+  listWeatherFiles,
+  loadWeatherFile,
+  solarPosition
+};
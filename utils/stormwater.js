@@ -0,0 +1,213 @@
+/**
+ * Stormwater model
+ * Daily water balance of a roof with vegetated substrate and a rainwater
+ * harvesting tank: retention, runoff, harvested volume and the drinking
+ * water and CO2 savings that follow from them
+ */
+const { ValidationError } = require('./errors');
+
+// Defaults for the roof hydrology and harvesting system
+const DEFAULT_STORMWATER_SYSTEM = {
+  annual_rainfall_mm: 613, // Annual rainfall, used when no daily series is given
+  daily_rainfall_mm: null, // Local daily rainfall series starting on 1 January
+  substrate_depth_mm: 100, // Depth of the growing substrate
+  water_holding_capacity: 0.35, // Share of the substrate volume that holds plant-available water
+  crop_factor: 0.6, // Actual evapotranspiration of the vegetation relative to reference evapotranspiration
+  runoff_coefficient: 0.9, // Share of rainfall that runs off a conventional roof
+  tank_volume_m3: 20, // Rainwater harvesting tank volume
+  daily_demand_m3: 1.2, // Non-potable demand supplied from the tank (toilets, irrigation)
+  drinking_water_emission_factor: 0.35, // kg CO2e per m³ of drinking water supplied
+  wastewater_emission_factor: 0.25 // kg CO2e per m³ of runoff treated in a combined sewer
+};
+
+// Improvement types whose roof area is covered with vegetated substrate
+const RETENTION_IMPROVEMENTS = ['Green Areas', 'Water Management'];
+
+// Share of annual rainfall and number of rain days per month, used to spread an
+// annual total over the year (Danish climate normals, rounded)
+const MONTHLY_RAINFALL_SHARE = [0.075, 0.055, 0.065, 0.06, 0.07, 0.085, 0.1, 0.1, 0.09, 0.095, 0.1, 0.105];
+const MONTHLY_RAIN_DAYS = [10, 8, 9, 8, 8, 9, 9, 10, 10, 11, 12, 11];
+
+// Reference evapotranspiration in mm per day by month (Danish climate normals, rounded)
+const MONTHLY_REFERENCE_ET = [0.2, 0.4, 0.9, 1.8, 2.9, 3.4, 3.4, 2.8, 1.8, 0.9, 0.4, 0.2];
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Peak runoff coefficients of green roofs by substrate depth (FLL green roof guidelines)
+const PEAK_RUNOFF_COEFFICIENTS = [
+  { min_depth_mm: 500, coefficient: 0.1 },
+  { min_depth_mm: 250, coefficient: 0.2 },
+  { min_depth_mm: 150, coefficient: 0.3 },
+  { min_depth_mm: 100, coefficient: 0.4 },
+  { min_depth_mm: 60, coefficient: 0.5 },
+  { min_depth_mm: 40, coefficient: 0.6 },
+  { min_depth_mm: 20, coefficient: 0.7 }
+];
+
+/**
+ * Spread an annual rainfall total over a year of rain days
+ * @param {number} annual_rainfall_mm - Annual rainfall in mm
+ * @returns {Array<number>} Rainfall in mm for each day of the year
+ */
+function syntheticDailyRainfall(annual_rainfall_mm) {
+  const daily = [];
+  DAYS_IN_MONTH.forEach((days, month) => {
+    const rain_days = MONTHLY_RAIN_DAYS[month];
+    const depth = annual_rainfall_mm * MONTHLY_RAINFALL_SHARE[month] / rain_days;
+    const month_days = new Array(days).fill(0);
+    for (let k = 0; k < rain_days; k++) {
+      month_days[Math.floor((k + 0.5) * days / rain_days)] = depth;
+    }
+    daily.push(...month_days);
+  });
+  return daily;
+}
+
+/**
+ * Month (0-11) of a day in a series that starts on 1 January
+ * @param {number} index - Day index in the series
+ * @returns {number} Month
+ */
+function monthOfDay(index) {
+  let day = index % 365;
+  let month = 0;
+  while (day >= DAYS_IN_MONTH[month]) {
+    day -= DAYS_IN_MONTH[month];
+    month++;
+  }
+  return month;
+}
+
+/**
+ * Peak runoff coefficient of a green roof
+ * @param {number} substrate_depth_mm - Substrate depth in mm
+ * @param {number} runoff_coefficient - Coefficient of a conventional roof, used for thinner substrates
+ * @returns {number} Peak runoff coefficient
+ */
+function peakRunoffCoefficient(substrate_depth_mm, runoff_coefficient) {
+  const match = PEAK_RUNOFF_COEFFICIENTS.find(entry => substrate_depth_mm >= entry.min_depth_mm);
+  return match ? Math.min(match.coefficient, runoff_coefficient) : runoff_coefficient;
+}
+
+/**
+ * Simulate the yearly water balance of a roof
+ * @param {object} water - Rainfall, substrate and tank parameters (see DEFAULT_STORMWATER_SYSTEM)
+ * @param {number} roof_area - Roof area in square meters
+ * @param {object} roof_division - Percentage allocation of roof improvements
+ * @returns {object} Yearly volumes, retention, peak runoff reduction and savings
+ * @throws {ValidationError} If the parameters are out of range
+ */
+function estimateStormwater(water, roof_area, roof_division) {
+  const options = { ...DEFAULT_STORMWATER_SYSTEM, ...water };
+  const { annual_rainfall_mm, daily_rainfall_mm, substrate_depth_mm, water_holding_capacity, crop_factor,
+    runoff_coefficient, tank_volume_m3, daily_demand_m3, drinking_water_emission_factor,
+    wastewater_emission_factor } = options;
+
+  if (!(roof_area > 0)) throw ValidationError.forField('roof_area', "Roof area must be positive");
+  if (daily_rainfall_mm) {
+    if (!Array.isArray(daily_rainfall_mm) || daily_rainfall_mm.length < 365) {
+      throw ValidationError.forField('water.daily_rainfall_mm', "Daily rainfall must cover at least one year (365 days)");
+    }
+    if (daily_rainfall_mm.some(value => !(value >= 0))) {
+      throw ValidationError.forField('water.daily_rainfall_mm', "Daily rainfall values must be non-negative numbers");
+    }
+  } else if (!(annual_rainfall_mm >= 0)) {
+    throw ValidationError.forField('water.annual_rainfall_mm', "Annual rainfall must not be negative");
+  }
+  if (!(substrate_depth_mm >= 0)) throw ValidationError.forField('water.substrate_depth_mm', "Substrate depth must not be negative");
+  if (!(water_holding_capacity >= 0 && water_holding_capacity <= 1)) throw ValidationError.forField('water.water_holding_capacity', "Water holding capacity must be between 0 and 1");
+  if (!(runoff_coefficient > 0 && runoff_coefficient <= 1)) throw ValidationError.forField('water.runoff_coefficient', "Runoff coefficient must be between 0 and 1");
+  if (!(tank_volume_m3 >= 0)) throw ValidationError.forField('water.tank_volume_m3', "Tank volume must not be negative");
+  if (!(daily_demand_m3 >= 0)) throw ValidationError.forField('water.daily_demand_m3', "Daily demand must not be negative");
+
+  const rainfall = daily_rainfall_mm || syntheticDailyRainfall(annual_rainfall_mm);
+  const years = rainfall.length / 365;
+
+  const retention_share = RETENTION_IMPROVEMENTS.reduce((sum, key) => sum + (roof_division[key] || 0), 0) / 100;
+  const retention_area = roof_area * retention_share;
+  const conventional_area = roof_area - retention_area;
+  const storage_capacity_mm = substrate_depth_mm * water_holding_capacity;
+
+  // Daily bucket model: the substrate fills up to its storage capacity and
+  // dries out by evapotranspiration; rain it does not hold drains like rain on
+  // a conventional roof, so a substrate without storage behaves as one. All
+  // roof runoff goes to the tank.
+  // The first year is run once before the reported run so the substrate and
+  // tank do not start empty.
+  let storage_mm = 0;
+  let tank_m3 = 0;
+  let totals;
+
+  for (const pass of ['warm_up', 'report']) {
+    totals = { rainfall_m3: 0, runoff_m3: 0, harvested_m3: 0, overflow_m3: 0, demand_m3: 0 };
+    const days = pass === 'warm_up' ? rainfall.slice(0, 365) : rainfall;
+
+    days.forEach((rain_mm, index) => {
+      const evapotranspiration = MONTHLY_REFERENCE_ET[monthOfDay(index)] * crop_factor;
+      storage_mm = Math.max(0, storage_mm - evapotranspiration);
+      const retained_mm = Math.min(rain_mm, storage_capacity_mm - storage_mm);
+      storage_mm += retained_mm;
+
+      const runoff_m3 = ((rain_mm - retained_mm) * retention_area + rain_mm * conventional_area) * runoff_coefficient / 1000;
+      tank_m3 += runoff_m3;
+      const overflow_m3 = Math.max(0, tank_m3 - tank_volume_m3);
+      tank_m3 -= overflow_m3;
+      const harvested_m3 = Math.min(tank_m3, daily_demand_m3);
+      tank_m3 -= harvested_m3;
+
+      totals.rainfall_m3 += rain_mm * roof_area / 1000;
+      totals.runoff_m3 += runoff_m3;
+      totals.harvested_m3 += harvested_m3;
+      totals.overflow_m3 += overflow_m3;
+      totals.demand_m3 += daily_demand_m3;
+    });
+  }
+
+  // Yearly averages
+  for (const key in totals) {
+    totals[key] /= years;
+  }
+
+  const baseline_runoff_m3 = totals.rainfall_m3 * runoff_coefficient;
+  const peak_runoff_coefficient = (peakRunoffCoefficient(substrate_depth_mm, runoff_coefficient) * retention_area +
+    runoff_coefficient * conventional_area) / roof_area;
+  // Less water reaches the sewer: retained on the roof or used from the tank
+  const sewer_discharge_reduction_m3 = baseline_runoff_m3 - totals.overflow_m3;
+
+  const drinking_water_co2_savings = totals.harvested_m3 * drinking_water_emission_factor;
+  const wastewater_co2_savings = sewer_discharge_reduction_m3 * wastewater_emission_factor;
+
+  return {
+    rainfall_source: daily_rainfall_mm ? 'daily_series' : 'annual_total',
+    years_of_rainfall: years,
+    annual_rainfall_mm: totals.rainfall_m3 * 1000 / roof_area,
+    substrate_depth_mm,
+    storage_capacity_mm,
+    retention_area,
+    tank_volume_m3,
+    rainfall_m3: totals.rainfall_m3,
+    baseline_runoff_m3,
+    runoff_m3: totals.runoff_m3,
+    retention_ratio: totals.rainfall_m3 > 0 ? 1 - totals.runoff_m3 / totals.rainfall_m3 : 0,
+    baseline_retention_ratio: 1 - runoff_coefficient,
+    peak_runoff_coefficient,
+    baseline_peak_runoff_coefficient: runoff_coefficient,
+    peak_runoff_reduction: 1 - peak_runoff_coefficient / runoff_coefficient,
+    harvested_m3: totals.harvested_m3,
+    overflow_m3: totals.overflow_m3,
+    demand_coverage: totals.demand_m3 > 0 ? totals.harvested_m3 / totals.demand_m3 : null,
+    sewer_discharge_reduction_m3,
+    drinking_water_savings_m3: totals.harvested_m3,
+    co2_savings: {
+      drinking_water: drinking_water_co2_savings,
+      wastewater: wastewater_co2_savings,
+      total: drinking_water_co2_savings + wastewater_co2_savings
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_STORMWATER_SYSTEM,
+  RETENTION_IMPROVEMENTS,
+  estimateStormwater
+};
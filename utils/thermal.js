@@ -0,0 +1,132 @@
+/**
+ * Green roof thermal model
+ * Surface temperature, roof U-value and cooling energy of vegetated roof area,
+ * and the resulting reduction in heat exposure during heat waves
+ */
+const { ValidationError } = require('./errors');
+
+// Defaults for the green roof build-up and the building below it
+const DEFAULT_THERMAL_SYSTEM = {
+  vegetation_type: 'sedum', // See VEGETATION_TYPES
+  substrate_depth_mm: 100, // Depth of the growing substrate
+  substrate_conductivity: 0.4, // Thermal conductivity of moist substrate in W/mK
+  roof_u_value: 0.35, // U-value of the existing roof in W/m²K
+  cooling_cop: 3.0, // Coefficient of performance of the cooling system
+  heat_wave_temperature: null // Peak air temperature in °C during a heat wave (defaults to the climate zone's)
+};
+
+// Climate data by climate zone: cooling degree days (base 18 °C), solar heating of a
+// conventional dark roof surface over the cooling season (°C·h above air temperature),
+// peak surface temperature of a conventional roof, typical heat-wave air temperature
+// and the air temperature above which heat-related mortality rises
+const CLIMATE_ZONES = {
+  temperate: { cooling_degree_days: 150, solar_excess_degree_hours: 20000, peak_surface_temperature: 60, heat_wave_temperature: 28, heat_mortality_threshold: 21 },
+  tropical: { cooling_degree_days: 3500, solar_excess_degree_hours: 90000, peak_surface_temperature: 75, heat_wave_temperature: 35, heat_mortality_threshold: 29 },
+  arid: { cooling_degree_days: 2500, solar_excess_degree_hours: 60000, peak_surface_temperature: 80, heat_wave_temperature: 42, heat_mortality_threshold: 33 },
+  continental: { cooling_degree_days: 400, solar_excess_degree_hours: 26000, peak_surface_temperature: 65, heat_wave_temperature: 32, heat_mortality_threshold: 24 },
+  polar: { cooling_degree_days: 0, solar_excess_degree_hours: 5000, peak_surface_temperature: 40, heat_wave_temperature: 22, heat_mortality_threshold: 16 }
+};
+
+// Vegetation types: share of the solar surface heating removed by shading and
+// evapotranspiration when well watered, thermal resistance of the plant layer in
+// m²K/W, and the substrate depth needed to keep the plants well watered
+const VEGETATION_TYPES = {
+  sedum: { surface_cooling: 0.6, thermal_resistance: 0.05, recommended_substrate_mm: 60 },
+  grass: { surface_cooling: 0.7, thermal_resistance: 0.1, recommended_substrate_mm: 100 },
+  perennials: { surface_cooling: 0.75, thermal_resistance: 0.15, recommended_substrate_mm: 150 },
+  shrubs: { surface_cooling: 0.8, thermal_resistance: 0.2, recommended_substrate_mm: 300 }
+};
+
+// Internal surface resistance for downward heat flow in m²K/W (EN ISO 6946)
+const INTERNAL_SURFACE_RESISTANCE = 0.17;
+
+// Air temperature reduction next to the roof per °C of surface cooling, for a fully green roof
+const SURFACE_TO_AIR_COUPLING = 0.05;
+
+/**
+ * Estimate the thermal effect of the green part of a roof
+ * @param {object} thermal - Vegetation, substrate and building parameters (see DEFAULT_THERMAL_SYSTEM)
+ * @param {number} roof_area - Roof area in square meters
+ * @param {object} roof_division - Percentage allocation of roof improvements; the Green Areas share is vegetated
+ * @param {string} climate_zone - Climate zone (see CLIMATE_ZONES)
+ * @returns {object} Surface temperatures, U-values, cooling energy saved per year and heat exposure reduction
+ * @throws {ValidationError} If the parameters are out of range
+ */
+function estimateRoofThermal(thermal, roof_area, roof_division, climate_zone = 'temperate') {
+  const options = { ...DEFAULT_THERMAL_SYSTEM, ...thermal };
+  const { vegetation_type, substrate_depth_mm, substrate_conductivity, roof_u_value, cooling_cop } = options;
+
+  const vegetation = VEGETATION_TYPES[vegetation_type];
+  if (!vegetation) {
+    throw ValidationError.forField('thermal.vegetation_type', `Unknown vegetation type "${vegetation_type}". Known types: ${Object.keys(VEGETATION_TYPES).join(', ')}`);
+  }
+  if (!(roof_area > 0)) throw ValidationError.forField('roof_area', "Roof area must be positive");
+  if (!(substrate_depth_mm >= 0)) throw ValidationError.forField('thermal.substrate_depth_mm', "Substrate depth must not be negative");
+  if (!(substrate_conductivity > 0)) throw ValidationError.forField('thermal.substrate_conductivity', "Substrate conductivity must be positive");
+  if (!(roof_u_value > 0)) throw ValidationError.forField('thermal.roof_u_value', "Roof U-value must be positive");
+  if (!(cooling_cop > 0)) throw ValidationError.forField('thermal.cooling_cop', "Cooling COP must be positive");
+
+  const climate = CLIMATE_ZONES[climate_zone] || CLIMATE_ZONES.temperate;
+  const heat_wave_temperature = options.heat_wave_temperature !== null ? options.heat_wave_temperature : climate.heat_wave_temperature;
+
+  const green_share = (roof_division["Green Areas"] || 0) / 100;
+  const green_area = roof_area * green_share;
+
+  // Thin substrates dry out and cool less by evapotranspiration
+  const surface_cooling = vegetation.surface_cooling * Math.min(1, substrate_depth_mm / vegetation.recommended_substrate_mm);
+  const surface_excess = Math.max(0, climate.peak_surface_temperature - heat_wave_temperature);
+  const surface_temperature_reduction = surface_excess * surface_cooling;
+
+  // Substrate and plant layer add thermal resistance to the existing roof
+  const added_resistance = substrate_depth_mm / 1000 / substrate_conductivity + vegetation.thermal_resistance;
+  const green_u_value = 1 / (1 / roof_u_value + added_resistance);
+
+  // Heat entering through one m² of roof over the cooling season in kWh: conduction
+  // driven by air above the cooling base temperature and by solar heating of the surface
+  const cooling_degree_hours = climate.cooling_degree_days * 24;
+  const conventional_heat_gain = roof_u_value * (cooling_degree_hours + climate.solar_excess_degree_hours) / 1000;
+  const green_heat_gain = green_u_value * (cooling_degree_hours + climate.solar_excess_degree_hours * (1 - surface_cooling)) / 1000;
+  const cooling_energy_savings_per_m2 = (conventional_heat_gain - green_heat_gain) / cooling_cop;
+
+  // Heat-wave peak: lower heat flux warms the ceiling of the top floor less, and the
+  // cooler surface warms the air around the building less
+  const peak_heat_flux_reduction = roof_u_value * surface_excess - green_u_value * (surface_excess - surface_temperature_reduction);
+  const top_floor_temperature_reduction = peak_heat_flux_reduction * INTERNAL_SURFACE_RESISTANCE * green_share;
+  const air_temperature_reduction = surface_temperature_reduction * SURFACE_TO_AIR_COUPLING * green_share;
+
+  // Heat-related mortality rises roughly linearly with temperature above the
+  // threshold, so lowering exposure removes that share of the excess
+  const heat_excess = heat_wave_temperature - climate.heat_mortality_threshold;
+  const exposure_reduction = top_floor_temperature_reduction + air_temperature_reduction;
+  const heat_mortality_reduction = heat_excess > 0 ? Math.min(100, exposure_reduction / heat_excess * 100) : 0;
+
+  return {
+    climate_zone: CLIMATE_ZONES[climate_zone] ? climate_zone : 'temperate',
+    vegetation_type,
+    substrate_depth_mm,
+    green_area,
+    heat_wave_temperature,
+    surface_temperature: {
+      conventional: climate.peak_surface_temperature,
+      green: climate.peak_surface_temperature - surface_temperature_reduction,
+      reduction: surface_temperature_reduction
+    },
+    u_value: {
+      conventional: roof_u_value,
+      green: green_u_value,
+      change: green_u_value - roof_u_value
+    },
+    cooling_energy_savings_kwh_per_m2: cooling_energy_savings_per_m2,
+    cooling_energy_savings_kwh: cooling_energy_savings_per_m2 * green_area,
+    top_floor_temperature_reduction,
+    air_temperature_reduction,
+    heat_mortality_reduction
+  };
+}
+
+module.exports = {
+  DEFAULT_THERMAL_SYSTEM,
+  CLIMATE_ZONES,
+  VEGETATION_TYPES,
+  estimateRoofThermal
+};
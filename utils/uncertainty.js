@@ -0,0 +1,414 @@
+/**
+ * Uncertainty analysis
+ * Seeded Monte Carlo simulation and one-at-a-time (tornado) sensitivity
+ * analysis around performCalculations
+ */
+const { performCalculations, DEFAULT_IMPROVEMENT_TYPES, DEFAULT_POINTS } = require('./calculations');
+const { ValidationError } = require('./errors');
+
+// Scalar parameters that may be given a distribution
+const UNCERTAIN_PARAMETERS = [
+  'roof_area',
+  'GWP_roof',
+  'decline_rate',
+  'efficiency_degradation',
+  'discount_rate',
+  'energy_price_escalation',
+  'maintenance_cost_rate',
+  'grid_emission_factor'
+];
+
+// Per-improvement overrides that may be given a distribution, e.g. "full_savings.Solar Power"
+const UNCERTAIN_GROUPS = ['full_savings', 'improvement_years', 'cost_factors'];
+
+// Every sample runs synchronously in the request and its timeline is kept
+// for the bands, so both the samples and the timeline values are bounded
+const MAX_ITERATIONS = 2000;
+const MAX_TIMELINE_VALUES = 500000;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning uniform numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate a distribution specification
+ * @param {string} name - Parameter the distribution belongs to
+ * @param {object} spec - Distribution specification
+ * @throws {ValidationError} If the specification is incomplete or inconsistent
+ */
+function validateDistribution(name, spec) {
+  const field = `distributions.${name}`;
+  const { distribution, mean, sd, min, mode, max } = spec;
+
+  if (distribution === 'normal') {
+    if (typeof mean !== 'number' || typeof sd !== 'number' || sd < 0) {
+      throw ValidationError.forField(field, "A normal distribution needs a mean and a non-negative sd");
+    }
+  } else if (distribution === 'uniform') {
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+      throw ValidationError.forField(field, "A uniform distribution needs min <= max");
+    }
+  } else if (distribution === 'triangular') {
+    if (typeof min !== 'number' || typeof mode !== 'number' || typeof max !== 'number' || !(min <= mode && mode <= max)) {
+      throw ValidationError.forField(field, "A triangular distribution needs min <= mode <= max");
+    }
+  } else {
+    throw ValidationError.forField(field, `Unknown distribution "${distribution}". Use normal, triangular or uniform`);
+  }
+}
+
+/**
+ * Inverse cumulative distribution function
+ * @param {object} spec - Distribution specification
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} Value at quantile p
+ */
+function quantile(spec, p) {
+  switch (spec.distribution) {
+    case 'uniform':
+      return spec.min + p * (spec.max - spec.min);
+    case 'triangular': {
+      const { min, mode, max } = spec;
+      if (max === min) return min;
+      const split = (mode - min) / (max - min);
+      return p < split
+        ? min + Math.sqrt(p * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - p) * (max - min) * (max - mode));
+    }
+    case 'normal':
+      return clamp(spec.mean + normalZ(p) * spec.sd, spec);
+    default:
+      throw new Error(`Unknown distribution: ${spec.distribution}`);
+  }
+}
+
+/**
+ * Approximate the standard normal quantile (Acklam's rational approximation)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z-score
+ */
+function normalZ(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalZ(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Clamp a value to the optional min/max of a distribution
+ * @param {number} value - Value
+ * @param {object} spec - Distribution specification
+ * @returns {number} Clamped value
+ */
+function clamp(value, spec) {
+  if (typeof spec.min === 'number') value = Math.max(spec.min, value);
+  if (typeof spec.max === 'number') value = Math.min(spec.max, value);
+  return value;
+}
+
+/**
+ * Draw a sample from a distribution
+ * @param {object} spec - Distribution specification
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} Sampled value
+ */
+function sample(spec, random) {
+  if (spec.distribution === 'normal') {
+    // Box-Muller transform; normal samples are clamped to min/max when given
+    const u1 = 1 - random();
+    const u2 = random();
+    const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return clamp(spec.mean + z * spec.sd, spec);
+  }
+  return quantile(spec, random());
+}
+
+/**
+ * Central value of a distribution, used for parameters held fixed in the sensitivity analysis
+ * @param {object} spec - Distribution specification
+ * @returns {number} Mean (normal), mode (triangular) or midpoint (uniform)
+ */
+function centralValue(spec) {
+  switch (spec.distribution) {
+    case 'normal': return clamp(spec.mean, spec);
+    case 'triangular': return spec.mode;
+    default: return (spec.min + spec.max) / 2;
+  }
+}
+
+/**
+ * Set a (possibly grouped) parameter on a copy of the parameters
+ * @param {object} params - Calculation parameters
+ * @param {string} name - Parameter name, e.g. "GWP_roof" or "full_savings.Solar Power"
+ * @param {number} value - Value to set
+ * @returns {object} Updated parameters
+ */
+function setParameter(params, name, value) {
+  const separator = name.indexOf('.');
+  if (separator === -1) {
+    return { ...params, [name]: value };
+  }
+  const group = name.slice(0, separator);
+  const key = name.slice(separator + 1);
+  return { ...params, [group]: { ...(params[group] || {}), [key]: value } };
+}
+
+/**
+ * Validate the parameter names and distributions of an analysis
+ * @param {object} distributions - Distributions keyed by parameter name
+ * @param {object} improvement_types - Registry of improvement types
+ * @throws {ValidationError} If a parameter cannot be varied or a distribution is invalid
+ */
+function validateDistributions(distributions, improvement_types) {
+  const names = Object.keys(distributions);
+  if (names.length === 0) {
+    throw ValidationError.forField('distributions', "At least one parameter distribution is required");
+  }
+
+  for (const name of names) {
+    const [group, key] = name.split(/\.(.+)/);
+    const valid = key === undefined
+      ? UNCERTAIN_PARAMETERS.includes(name)
+      : UNCERTAIN_GROUPS.includes(group) && Boolean(improvement_types[key]);
+    if (!valid) {
+      throw ValidationError.forField(`distributions.${name}`,
+        `Parameter cannot be varied. Use one of ${UNCERTAIN_PARAMETERS.join(', ')}, or ${UNCERTAIN_GROUPS.map(g => `${g}.<improvement type>`).join(', ')}`);
+    }
+    validateDistribution(name, distributions[name]);
+  }
+}
+
+/**
+ * Percentile of sorted values with linear interpolation
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, p) {
+  const position = (sorted.length - 1) * (p / 100);
+  const low = Math.floor(position);
+  const high = Math.ceil(position);
+  if (low === high) return sorted[low];
+  const value = sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+  return Number.isFinite(value) ? value : Infinity;
+}
+
+/**
+ * P10/P50/P90 of a set of values; Infinity (not reached) is reported as null
+ * @param {Array<number>} values - Values
+ * @returns {object} Percentile bands
+ */
+function bands(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const finite = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    p10: finite(percentile(sorted, 10)),
+    p50: finite(percentile(sorted, 50)),
+    p90: finite(percentile(sorted, 90))
+  };
+}
+
+/**
+ * Extract the metrics of interest from a calculation result
+ * @param {object} results - performCalculations results
+ * @returns {object} Neutrality year (Infinity if not reached), ten-year savings and NPV
+ */
+function metricsOf(results) {
+  return {
+    years_to_neutrality: results.neutrality.with_improvements === null ? Infinity : results.neutrality.with_improvements,
+    ten_year_savings: results.savings.ten_year,
+    npv: results.economics.npv
+  };
+}
+
+/**
+ * Run a seeded Monte Carlo simulation
+ * @param {object} params - Resolved calculation parameters
+ * @param {object} distributions - Distributions keyed by parameter name
+ * @param {object} options - iterations (default 500) and seed (default 1)
+ * @returns {object} Percentile bands for the timeline and key metrics
+ */
+function runMonteCarlo(params, distributions, options = {}) {
+  const { iterations = 500, seed = 1 } = options;
+  const random = createRandom(seed);
+  const names = Object.keys(distributions);
+
+  const timelines = [];
+  const metrics = { years_to_neutrality: [], ten_year_savings: [], npv: [] };
+  let years = null;
+  let failed_samples = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    let sampled = params;
+    for (const name of names) {
+      sampled = setParameter(sampled, name, sample(distributions[name], random));
+    }
+
+    let results;
+    try {
+      results = performCalculations(sampled);
+    } catch (error) {
+      // Sampled values outside the model's valid range (e.g. a negative area)
+      failed_samples++;
+      continue;
+    }
+
+    years = years || results.timeline.years;
+    timelines.push(results.timeline.co2_with_improvements);
+    const sampleMetrics = metricsOf(results);
+    for (const key in metrics) {
+      metrics[key].push(sampleMetrics[key]);
+    }
+  }
+
+  if (timelines.length === 0) {
+    throw new ValidationError("Every Monte Carlo sample was outside the valid parameter range; narrow the distributions", []);
+  }
+
+  const timeline_bands = { years, p10: [], p50: [], p90: [] };
+  const column = new Array(timelines.length);
+  for (let t = 0; t < years.length; t++) {
+    for (let s = 0; s < timelines.length; s++) {
+      column[s] = timelines[s][t];
+    }
+    const band = bands(column);
+    timeline_bands.p10.push(band.p10);
+    timeline_bands.p50.push(band.p50);
+    timeline_bands.p90.push(band.p90);
+  }
+
+  const reached = metrics.years_to_neutrality.filter(Number.isFinite).length;
+
+  return {
+    iterations,
+    seed,
+    successful_samples: timelines.length,
+    failed_samples,
+    neutrality: {
+      ...bands(metrics.years_to_neutrality),
+      probability_reached: reached / timelines.length
+    },
+    ten_year_savings: bands(metrics.ten_year_savings),
+    npv: bands(metrics.npv),
+    timeline: timeline_bands
+  };
+}
+
+/**
+ * One-at-a-time sensitivity: each parameter is moved to its P10 and P90 while
+ * the others stay at their central value
+ * @param {object} params - Resolved calculation parameters
+ * @param {object} distributions - Distributions keyed by parameter name
+ * @param {string} metric - Metric the rows are ranked by (years_to_neutrality, ten_year_savings or npv)
+ * @returns {Array<object>} Tornado rows, largest swing first
+ */
+function runTornado(params, distributions, metric = 'years_to_neutrality') {
+  const names = Object.keys(distributions);
+  const horizon = params.years_to_calculate || 50;
+
+  let central = params;
+  for (const name of names) {
+    central = setParameter(central, name, centralValue(distributions[name]));
+  }
+  const baseline = metricsOf(performCalculations(central));
+
+  // A neutrality year that is never reached counts as the end of the horizon
+  const comparable = (value) => (Number.isFinite(value) ? value : horizon);
+  const reported = (value) => (Number.isFinite(value) ? value : null);
+
+  const rows = names.map(name => {
+    const spec = distributions[name];
+    const low_value = quantile(spec, 0.1);
+    const high_value = quantile(spec, 0.9);
+    const low = metricsOf(performCalculations(setParameter(central, name, low_value)));
+    const high = metricsOf(performCalculations(setParameter(central, name, high_value)));
+
+    return {
+      parameter: name,
+      distribution: spec.distribution,
+      low_value,
+      base_value: centralValue(spec),
+      high_value,
+      low: reported(low[metric]),
+      high: reported(high[metric]),
+      swing: Math.abs(comparable(high[metric]) - comparable(low[metric]))
+    };
+  });
+
+  return {
+    metric,
+    baseline: reported(baseline[metric]),
+    rows: rows.sort((a, b) => b.swing - a.swing)
+  };
+}
+
+/**
+ * Run the Monte Carlo and sensitivity analyses
+ * @param {object} params - Resolved calculation parameters
+ * @param {object} options - distributions, iterations, seed and tornado_metric
+ * @returns {object} Monte Carlo bands and tornado table
+ */
+function analyzeUncertainty(params, options) {
+  const {
+    distributions = {},
+    iterations = 500,
+    seed = 1,
+    tornado_metric = 'years_to_neutrality'
+  } = options;
+
+  validateDistributions(distributions, params.improvement_types || DEFAULT_IMPROVEMENT_TYPES);
+  if (!(iterations >= 1 && iterations <= MAX_ITERATIONS)) {
+    throw ValidationError.forField('iterations', `Iterations must be between 1 and ${MAX_ITERATIONS}`);
+  }
+  const points = params.points || DEFAULT_POINTS;
+  if (iterations * points > MAX_TIMELINE_VALUES) {
+    throw ValidationError.forField('iterations', `Iterations × points must not exceed ${MAX_TIMELINE_VALUES}; at ${points} points use at most ${Math.floor(MAX_TIMELINE_VALUES / points)} iterations, or fewer points`);
+  }
+
+  // Validates the fixed parameters before any sampling
+  performCalculations(params);
+
+  return {
+    distributions,
+    monte_carlo: runMonteCarlo(params, distributions, { iterations, seed }),
+    sensitivity: runTornado(params, distributions, tornado_metric)
+  };
+}
+
+module.exports = {
+  MAX_ITERATIONS,
+  MAX_TIMELINE_VALUES,
+  UNCERTAIN_PARAMETERS,
+  UNCERTAIN_GROUPS,
+  createRandom,
+  quantile,
+  analyzeUncertainty,
+  runMonteCarlo,
+  runTornado
+};